@@ -1,10 +1,14 @@
 import React from 'react';
+import { BrowserRouter } from 'react-router-dom';
 import WattsUpApp from './WattsUpApp';
+import { getBasePath } from './utils/basePath';
 
 function App() {
   return (
     <div className="App">
-      <WattsUpApp />
+      <BrowserRouter basename={getBasePath()} future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+        <WattsUpApp />
+      </BrowserRouter>
     </div>
   );
 }
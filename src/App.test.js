@@ -1,8 +1,660 @@
-import { render, screen } from '@testing-library/react';
+import React from 'react';
+import { render, screen, fireEvent, within, act } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+/**
+ * Renders the app at a given route.
+ *
+ * @param {string} [path] - Initial URL path.
+ */
+function renderAt(path = '/') {
+  window.history.pushState({}, '', path);
+  return render(<App />);
+}
+
+/**
+ * Types an appliance's name in the picker and picks it with Enter.
+ *
+ * @param {string} name - Appliance to select.
+ */
+function pickAppliance(name) {
+  const picker = screen.getByLabelText('Appliance');
+  fireEvent.change(picker, { target: { value: name } });
+  fireEvent.keyDown(picker, { key: 'Enter' });
+}
+
+/**
+ * Adds an appliance through the Calculator form.
+ *
+ * @param {string} name - Appliance to select.
+ * @param {number} hours - Hours used per day.
+ */
+function addAppliance(name, hours) {
+  pickAppliance(name);
+  fireEvent.change(screen.getByLabelText('Hours Used Per Day'), { target: { value: hours } });
+  fireEvent.click(screen.getByRole('button', { name: /add appliance/i }));
+}
+
+/**
+ * Chooses a file in a file input and waits until the app has read it.
+ * FileReader finishes on a later tick, and how much later varies with machine load.
+ *
+ * @param {string} label - Label of the file input.
+ * @param {File} file - The file to choose.
+ * @param {Function} isDone - Returns true once the app shows the result of reading the file.
+ */
+async function chooseFile(label, file, isDone) {
+  await act(async () => {
+    fireEvent.change(screen.getByLabelText(label), { target: { files: [file] } });
+    for (let attempt = 0; attempt < 100 && !isDone(); attempt += 1) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  });
+}
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('opens the calculator from the site root', () => {
+  renderAt('/');
+  expect(screen.getByText('Add Your Appliances')).toBeInTheDocument();
+  expect(window.location.pathname).toBe('/calculator');
+});
+
+test('adds an appliance with its active, standby and total daily energy', () => {
+  renderAt('/calculator');
+  addAppliance('Laptop', 4);
+
+  // 50 W for 4 h, plus 2 W standby for the other 20 h
+  const row = screen.getByText('Laptop', { selector: 'td' }).closest('tr');
+  expect(within(row).getByText('50')).toBeInTheDocument();
+  expect(within(row).getByText('0.20')).toBeInTheDocument();
+  expect(within(row).getByText('0.04')).toBeInTheDocument();
+  expect(within(row).getByText('0.24')).toBeInTheDocument();
+  expect(screen.getByText('0.24 kWh')).toBeInTheDocument();
+});
+
+test('fills in catalog duty cycle and standby defaults', () => {
+  renderAt('/calculator');
+  pickAppliance('Refrigerator');
+
+  expect(screen.getByLabelText('Duty Cycle (%)')).toHaveValue(35);
+  expect(screen.getByLabelText('Standby Power (Watts)')).toHaveValue(0);
+});
+
+test('deletes an appliance', () => {
+  renderAt('/calculator');
+  addAppliance('TV', 3);
+  addAppliance('Laptop', 2);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Delete TV' }));
+
+  expect(screen.queryByText('TV', { selector: 'td' })).not.toBeInTheDocument();
+  expect(screen.getByText('Laptop', { selector: 'td' })).toBeInTheDocument();
+});
+
+test('edits an appliance inline and recomputes its energy', () => {
+  renderAt('/calculator');
+  addAppliance('Light Bulb (LED)', 5);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Edit Light Bulb (LED)' }));
+  fireEvent.change(screen.getByLabelText('Appliance name'), { target: { value: 'Kitchen Bulbs' } });
+  fireEvent.change(screen.getByLabelText('Qty'), { target: { value: '12' } });
+  fireEvent.change(screen.getByLabelText('Hours/Day'), { target: { value: '10' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save Light Bulb (LED)' }));
+
+  // 12 bulbs × 9 W × 10 h
+  const row = screen.getByText('Kitchen Bulbs', { selector: 'td' }).closest('tr');
+  expect(within(row).getByText('12')).toBeInTheDocument();
+  expect(within(row).getAllByText('1.08')).not.toHaveLength(0);
+});
+
+test('keeps a row in edit mode and explains why when the edited values are invalid', () => {
+  renderAt('/calculator');
+  addAppliance('TV', 3);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Edit TV' }));
+  fireEvent.change(screen.getByLabelText('Power (W)'), { target: { value: '' } });
+  fireEvent.change(screen.getByLabelText('Hours/Day'), { target: { value: '30' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save TV' }));
+
+  expect(screen.getByRole('alert')).toHaveTextContent('Watts must be a non-negative number');
+  expect(screen.getByRole('alert')).toHaveTextContent('Hours must be between 0 and 24');
+  expect(screen.getByLabelText('Power (W)')).toBeInTheDocument();
+  expect(screen.queryByText(/NaN/)).not.toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Power (W)'), { target: { value: '100' } });
+  fireEvent.change(screen.getByLabelText('Hours/Day'), { target: { value: '4' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save TV' }));
+  expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  expect(screen.queryByLabelText('Power (W)')).not.toBeInTheDocument();
+});
+
+test('duplicates a row and deletes several selected rows at once', () => {
+  renderAt('/calculator');
+  addAppliance('TV', 3);
+  addAppliance('Laptop', 2);
+  fireEvent.click(screen.getByRole('button', { name: 'Duplicate TV' }));
+  expect(screen.getAllByText('TV', { selector: 'td' })).toHaveLength(2);
+
+  screen.getAllByRole('checkbox', { name: 'Select TV' }).forEach(box => fireEvent.click(box));
+  fireEvent.click(screen.getByRole('button', { name: /delete selected/i }));
+
+  expect(screen.queryByText('TV', { selector: 'td' })).not.toBeInTheDocument();
+  expect(screen.getByText('Laptop', { selector: 'td' })).toBeInTheDocument();
+});
+
+test('sorts rows by a column', () => {
+  renderAt('/calculator');
+  addAppliance('Laptop', 2);
+  addAppliance('Microwave', 0.5);
+  addAppliance('Coffee Maker', 0.5);
+
+  const names = () => screen.getAllByRole('row').slice(1, 4).map(row => row.cells[1].textContent);
+  fireEvent.click(screen.getByRole('button', { name: 'Appliance' }));
+  expect(names()).toEqual(['Coffee Maker', 'Laptop', 'Microwave']);
+  fireEvent.click(screen.getByRole('button', { name: 'Appliance' }));
+  expect(names()).toEqual(['Microwave', 'Laptop', 'Coffee Maker']);
+});
+
+test('saves appliances and restores them on the next visit', () => {
+  const { unmount } = renderAt('/calculator');
+  addAppliance('Microwave', 0.5);
+  fireEvent.click(screen.getByRole('button', { name: /save/i }));
+
+  expect(screen.getByText('Saved')).toBeInTheDocument();
+  expect(JSON.parse(localStorage.getItem('wattsUpData')).profiles[0].items).toHaveLength(1);
+
+  unmount();
+  renderAt('/calculator');
+  expect(screen.getByText('Microwave', { selector: 'td' })).toBeInTheDocument();
+});
+
+test('undoes and redoes changes to the appliance list', () => {
+  renderAt('/calculator');
+  addAppliance('TV', 3);
+  fireEvent.click(screen.getByRole('button', { name: 'Delete TV' }));
+  expect(screen.queryByText('TV', { selector: 'td' })).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+  expect(screen.getByText('TV', { selector: 'td' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Redo' }));
+  expect(screen.queryByText('TV', { selector: 'td' })).not.toBeInTheDocument();
+});
+
+test('imports a CSV file after previewing it and replaces the current list', async () => {
+  renderAt('/calculator');
+  addAppliance('TV', 3);
+
+  const csv = 'Appliance,Watts,Hours/Day\nMicrowave,1000,0.5\nToaster,lots,1\n';
+  const file = new File([csv], 'inventory.csv', { type: 'text/csv' });
+  await chooseFile('Import appliance file', file, () => screen.queryByText(/Preview of/) !== null);
+
+  expect(screen.getByText('1 of 2 rows can be imported. 1 row with errors will be skipped.')).toBeInTheDocument();
+  expect(screen.getByText('Watts must be a non-negative number')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByLabelText('Replace my current list'));
+  fireEvent.click(screen.getByRole('button', { name: 'Import 1 Appliance' }));
+
+  expect(screen.getByText('Microwave', { selector: 'td' })).toBeInTheDocument();
+  expect(screen.queryByText('TV', { selector: 'td' })).not.toBeInTheDocument();
+});
+
+test('autosaves after changes settle when autosave is on', () => {
+  jest.useFakeTimers();
+  try {
+    renderAt('/calculator');
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Autosave' }));
+    addAppliance('Toaster', 0.1);
+    expect(JSON.parse(localStorage.getItem('wattsUpData')).profiles[0].items).toHaveLength(0);
+
+    act(() => {
+      jest.advanceTimersByTime(1000);
+    });
+    expect(JSON.parse(localStorage.getItem('wattsUpData')).profiles[0].items).toHaveLength(1);
+  } finally {
+    jest.useRealTimers();
+  }
+});
+
+test('recovers from corrupted saved data instead of crashing', () => {
+  localStorage.setItem('wattsUpData', '{"items": [oops');
+  renderAt('/calculator');
+
+  expect(screen.getByRole('alert')).toHaveTextContent(/could not be read/);
+  expect(screen.getByText('Add Your Appliances')).toBeInTheDocument();
+});
+
+test('switches tabs through their routes', () => {
+  renderAt('/calculator');
+  addAppliance('Refrigerator', 24);
+
+  fireEvent.click(screen.getByRole('link', { name: 'Insights' }));
+  expect(window.location.pathname).toBe('/insights');
+  expect(screen.getByText('How You Compare')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('link', { name: 'Learn' }));
+  expect(window.location.pathname).toBe('/learn');
+  expect(screen.getByText('Understanding Energy Consumption')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('link', { name: 'Calculator' }));
+  expect(screen.getByText('Add Your Appliances')).toBeInTheDocument();
+});
+
+test('shows the empty state on Insights until appliances are added', () => {
+  renderAt('/insights');
+  expect(screen.getByText('No Data Yet')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Go to Calculator' }));
+  expect(window.location.pathname).toBe('/calculator');
+});
+
+test('compares smart-meter data with the estimate on Insights', async () => {
+  renderAt('/insights');
+
+  // The first day's reading is split over two rows with the same timestamp
+  const csv = 'timestamp,kWh\n2025-01-06 00:00,4\n2025-01-06 00:00,6\n2025-01-07 00:00,10\n';
+  const file = new File([csv], 'meter.csv', { type: 'text/csv' });
+  await chooseFile('Load meter data file', file, () => screen.queryByText(/Meter data from/) !== null);
+
+  expect(screen.getByText('Meter data from 2025-01-06 to 2025-01-07 (2 days).')).toBeInTheDocument();
+  expect(screen.getAllByText('10.00 kWh/day')).toHaveLength(2);
+  expect(screen.getByText(/10.00 kWh a day is unaccounted for/)).toBeInTheDocument();
+  expect(screen.getByRole('status')).toHaveTextContent('Added 1 reading with a repeated timestamp to the reading before');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Remove meter data' }));
+  expect(screen.queryByText(/Meter data from/)).not.toBeInTheDocument();
+});
+
+test('shows carbon emissions for the selected grid region or a custom factor', () => {
+  renderAt('/calculator');
+  addAppliance('Refrigerator', 24);
+  fireEvent.click(screen.getByRole('link', { name: 'Insights' }));
+
+  // 150 W × 24 h × 35% duty cycle = 1.26 kWh/day
+  fireEvent.change(screen.getByLabelText('Custom Factor (kg CO₂e/kWh)'), { target: { value: '0.5' } });
+  expect(screen.getByText('0.63 kg CO₂e')).toBeInTheDocument();
+  expect(screen.getByText('230 kg CO₂e')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Custom Factor (kg CO₂e/kWh)'), { target: { value: '' } });
+  fireEvent.change(screen.getByLabelText('Grid Region'), { target: { value: 'NYUP' } });
+  expect(screen.getByText(/for NYUP \(NPCC Upstate NY\)/)).toBeInTheDocument();
+});
+
+test('compares against the selected peer group', () => {
+  renderAt('/calculator');
+  addAppliance('Refrigerator', 24);
+  fireEvent.click(screen.getByRole('link', { name: 'Insights' }));
+  expect(screen.getByText('Benchmark: United States')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Region'), { target: { value: 'US-TX' } });
+  fireEvent.change(screen.getByLabelText('Home Type'), { target: { value: 'apartment' } });
+  fireEvent.change(screen.getByLabelText('Household Size'), { target: { value: '1' } });
+
+  // Texas averages 1,143 kWh a month; × 0.6 for an apartment × 0.6 for one person
+  expect(screen.getByText('Benchmark: Texas · 1 person · Apartment')).toBeInTheDocument();
+  expect(screen.getByText('13.5 kWh')).toBeInTheDocument();
+  // 1.26 kWh is 9% of that
+  expect(screen.getByText(/You use 9% of the typical daily energy/)).toBeInTheDocument();
+});
+
+test('recommends savings for the appliances in the list, or a generic tip otherwise', () => {
+  renderAt('/calculator');
+  addAppliance('Light Bulb (LED)', 5);
+  fireEvent.click(screen.getByRole('link', { name: 'Insights' }));
+  expect(screen.getByText('Energy Saving Tip')).toBeInTheDocument();
+  expect(screen.queryByText('Switch to LED bulbs')).not.toBeInTheDocument();
+  // Generic tips stay relevant to the list, however often a new one is drawn
+  for (let i = 0; i < 10; i += 1) {
+    expect(screen.queryByText(/Replace incandescent bulbs/)).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: /new tip/i }));
+  }
+
+  fireEvent.click(screen.getByRole('link', { name: 'Calculator' }));
+  addAppliance('Light Bulb (Incandescent)', 5);
+  fireEvent.click(screen.getByRole('link', { name: 'Insights' }));
+
+  const tip = screen.getByText('Switch to LED bulbs').closest('li');
+  expect(within(tip).getByText('Light Bulb (Incandescent)')).toBeInTheDocument();
+  // 60 W × 5 h, 85% saved
+  expect(within(tip).getByText('0.26 kWh/day')).toBeInTheDocument();
+});
+
+test('simulates an upgrade with its payback period', () => {
+  renderAt('/calculator');
+  addAppliance('Light Bulb (Incandescent)', 5);
+  fireEvent.click(screen.getByRole('link', { name: 'What If' }));
+
+  fireEvent.change(screen.getByLabelText('Replace With'), { target: { value: 'Light Bulb (LED)' } });
+  expect(screen.getByLabelText('New Power (Watts)')).toHaveValue(9);
+  fireEvent.change(screen.getByLabelText('Purchase Price ($)'), { target: { value: '5' } });
+  fireEvent.click(screen.getByRole('button', { name: /add to scenario/i }));
+
+  // 51 W × 5 h saved per day = 93 kWh a year, at the default $0.16/kWh flat rate
+  const row = screen.getByRole('button', { name: 'Remove upgrade of Light Bulb (Incandescent)' }).closest('tr');
+  expect(within(row).getByText('93')).toBeInTheDocument();
+  expect(within(row).getByText('$14.89')).toBeInTheDocument();
+  expect(within(row).getByText('0.3 years')).toBeInTheDocument();
+  expect(screen.getByText('With Upgrades')).toBeInTheDocument();
+
+  fireEvent.click(within(row).getByRole('button'));
+  expect(screen.queryByText('With Upgrades')).not.toBeInTheDocument();
+});
+
+test('keeps a separate appliance list per profile and compares two profiles', () => {
+  renderAt('/calculator');
+  addAppliance('Refrigerator', 24);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Clone' }));
+  expect(screen.getByLabelText('Profile')).toHaveDisplayValue('My Home (copy)');
+  fireEvent.click(screen.getByRole('button', { name: 'Rename' }));
+  fireEvent.change(screen.getByLabelText('Profile Name'), { target: { value: 'After Upgrades' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Rename' }));
+  addAppliance('Ceiling Fan', 8);
+  expect(screen.getByText('Ceiling Fan', { selector: 'td' })).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Profile'), { target: { value: '1' } });
+  expect(screen.queryByText('Ceiling Fan', { selector: 'td' })).not.toBeInTheDocument();
+  expect(screen.getByText('Refrigerator', { selector: 'td' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('link', { name: 'Insights' }));
+  expect(screen.getByLabelText('Compare')).toHaveDisplayValue('My Home');
+  expect(screen.getByLabelText('With')).toHaveDisplayValue('After Upgrades');
+  const row = screen.getByText('Ceiling Fan', { selector: 'td' }).closest('tr');
+  expect(within(row).getByText('Added')).toBeInTheDocument();
+  // 75 W × 8 h
+  expect(within(row).getByText('+0.60')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('link', { name: 'Calculator' }));
+  fireEvent.click(screen.getByRole('button', { name: /save/i }));
+  const saved = JSON.parse(localStorage.getItem('wattsUpData'));
+  expect(saved.profiles.map(profile => [profile.name, profile.items.length])).toEqual([['My Home', 1], ['After Upgrades', 2]]);
+});
+
+test('deletes a profile after confirmation', () => {
+  const confirm = jest.spyOn(window, 'confirm').mockReturnValue(true);
+  try {
+    renderAt('/calculator');
+    expect(screen.getByRole('button', { name: 'Delete' })).toBeDisabled();
+    fireEvent.click(screen.getByRole('button', { name: 'New' }));
+    fireEvent.change(screen.getByLabelText('New Profile Name'), { target: { value: 'Cabin' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Create' }));
+    expect(screen.getByLabelText('Profile')).toHaveDisplayValue('Cabin');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+    expect(confirm).toHaveBeenCalled();
+    expect(screen.getByLabelText('Profile')).toHaveDisplayValue('My Home');
+    expect(screen.queryByRole('option', { name: 'Cabin' })).not.toBeInTheDocument();
+  } finally {
+    confirm.mockRestore();
+  }
+});
+
+test('schedules an appliance for some weekdays and seasons and projects the year month by month', () => {
+  renderAt('/calculator');
+  addAppliance('AC/Heater', 8);
+  fireEvent.click(screen.getByRole('button', { name: 'Schedule AC/Heater' }));
+
+  fireEvent.change(screen.getByLabelText('Weekly pattern'), { target: { value: 'weekdays' } });
+  expect(screen.getByLabelText('Sat')).toHaveValue(0);
+  fireEvent.change(screen.getByLabelText('Seasonal pattern'), { target: { value: 'cooling' } });
+  expect(screen.getByLabelText('Jul')).toHaveValue(1);
+  fireEvent.click(screen.getByRole('button', { name: /save schedule/i }));
+
+  const row = screen.getByText('AC/Heater', { selector: 'td' }).closest('tr');
+  // Weekday average of 8 h on 5 of 7 days
+  expect(within(row).getByText('5.71')).toBeInTheDocument();
+  expect(within(row).getByLabelText('Scheduled')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('link', { name: 'Insights' }));
+  expect(screen.getByText('Month by Month')).toBeInTheDocument();
+  expect(screen.getByText(/^Jul · \d+ kWh$/)).toBeInTheDocument();
+  // Only the 2 W standby draw is left in winter; February is the shortest month
+  expect(screen.getByText('Feb · 1 kWh')).toBeInTheDocument();
+});
+
+test('charts when appliances run and warns when the peak exceeds the circuit limit', () => {
+  renderAt('/calculator');
+  addAppliance('Dryer', 1);
+  fireEvent.click(screen.getByRole('button', { name: 'Schedule Dryer' }));
+  fireEvent.click(screen.getByRole('button', { name: /add time/i }));
+  fireEvent.change(screen.getByLabelText('From'), { target: { value: '19:00' } });
+  fireEvent.change(screen.getByLabelText('To'), { target: { value: '20:00' } });
+  fireEvent.click(screen.getByRole('button', { name: /save schedule/i }));
+
+  fireEvent.click(screen.getByRole('link', { name: 'Insights' }));
+  expect(screen.getByText('3.00 kW')).toBeInTheDocument();
+  expect(screen.getByText('at 19:00, with everything in its window running')).toBeInTheDocument();
+  // A 100 A service carries the dryer easily
+  expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Circuit or Service Limit'), { target: { value: 'circuit-15' } });
+  expect(screen.getByRole('alert')).toHaveTextContent('more than the 1.80 kW a 15 A circuit (120 V) can carry');
+});
+
+test('simulates rooftop solar on the What If tab and keeps the system with the profile', () => {
+  renderAt('/calculator');
+  addAppliance('Refrigerator', 24);
+  fireEvent.click(screen.getByRole('link', { name: 'What If' }));
+
+  const card = screen.getByText('Solar and Battery').closest('div');
+  const selfSufficiency = () => within(card).getByText('Self-Sufficiency').nextSibling;
+  fireEvent.change(within(card).getByLabelText('System Size (kW)'), { target: { value: '0' } });
+  expect(selfSufficiency()).toHaveTextContent('0%');
+
+  fireEvent.change(within(card).getByLabelText('System Size (kW)'), { target: { value: '10' } });
+  fireEvent.change(within(card).getByLabelText('Location'), { target: { value: 'us-phoenix' } });
+  fireEvent.change(within(card).getByLabelText('Battery (kWh)'), { target: { value: '20' } });
+  // A large array and battery run a refrigerator around the clock
+  expect(selfSufficiency()).toHaveTextContent('100%');
+
+  fireEvent.click(screen.getByRole('link', { name: 'Calculator' }));
+  fireEvent.click(screen.getByRole('button', { name: /save/i }));
+  const saved = JSON.parse(localStorage.getItem('wattsUpData'));
+  expect(saved.profiles[0].settings.solar).toMatchObject({ systemKw: 10, locationId: 'us-phoenix', batteryKwh: 20 });
+});
+
+test('adds an electric vehicle worked out from the miles driven as an ordinary appliance', () => {
+  renderAt('/calculator');
+  fireEvent.change(screen.getByLabelText('Miles Driven Per Day'), { target: { value: '36' } });
+  fireEvent.change(screen.getByLabelText('Home Charger'), { target: { value: 'level-1' } });
+  // 12 kWh at 1.4 kW
+  expect(screen.getByText(/Electric Vehicle: 1400 W for 8\.57 h a day/)).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: /add to list/i }));
+
+  const row = screen.getByText('Electric Vehicle', { selector: 'td' }).closest('tr');
+  expect(within(row).getByText('8.57')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Water Heater' }));
+  fireEvent.change(screen.getByLabelText('Heater Type'), { target: { value: 'heat-pump' } });
+  fireEvent.click(screen.getByRole('button', { name: /add to list/i }));
+  expect(screen.getByText('Water Heater (Heat Pump)', { selector: 'td' })).toBeInTheDocument();
+});
+
+test('adds a custom appliance to the catalog, finds it in the picker and keeps it when saving', () => {
+  renderAt('/calculator');
+  fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Aquarium Pump' } });
+  fireEvent.change(screen.getByLabelText('Watts'), { target: { value: '20' } });
+  fireEvent.change(screen.getByLabelText('Typical Hours/Day'), { target: { value: '24' } });
+  fireEvent.change(screen.getByLabelText('Notes'), { target: { value: '55-gallon tank' } });
+  fireEvent.click(screen.getByRole('button', { name: /add to catalog/i }));
+
+  // Searching by notes lists it under its category, marked as the user's own
+  const picker = screen.getByLabelText('Appliance');
+  fireEvent.focus(picker);
+  fireEvent.change(picker, { target: { value: 'gallon' } });
+  const group = screen.getByRole('group', { name: 'Other' });
+  expect(within(group).getAllByRole('option')).toHaveLength(1);
+  expect(within(group).getByText('Custom')).toBeInTheDocument();
+  fireEvent.keyDown(picker, { key: 'Enter' });
+  expect(screen.getByLabelText('Power (Watts)')).toHaveValue(20);
+
+  fireEvent.click(screen.getByRole('button', { name: /add appliance/i }));
+  expect(screen.getByText('Aquarium Pump', { selector: 'td' })).toBeInTheDocument();
+
+  // Names already in the catalog are refused
+  fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'toaster' } });
+  fireEvent.change(screen.getByLabelText('Watts'), { target: { value: '900' } });
+  fireEvent.click(screen.getByRole('button', { name: /add to catalog/i }));
+  expect(screen.getByRole('alert')).toHaveTextContent('"toaster" is already in the catalog');
+
+  fireEvent.click(screen.getByRole('button', { name: /save/i }));
+  expect(JSON.parse(localStorage.getItem('wattsUpData')).customAppliances).toMatchObject([
+    { name: 'Aquarium Pump', watts: 20, hours: 24, notes: '55-gallon tank' }
+  ]);
+});
+
+test('keeps listing matches while a longer name is typed and picks a full name with Enter', () => {
+  renderAt('/calculator');
+  fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'TV Soundbar' } });
+  fireEvent.change(screen.getByLabelText('Watts'), { target: { value: '30' } });
+  fireEvent.click(screen.getByRole('button', { name: /add to catalog/i }));
+
+  const picker = screen.getByLabelText('Appliance');
+  fireEvent.focus(picker);
+  fireEvent.change(picker, { target: { value: 'TV' } });
+  expect(screen.getByRole('option', { name: /TV Soundbar/ })).toBeInTheDocument();
+  fireEvent.change(picker, { target: { value: 'TV Soundbar' } });
+  expect(screen.getByLabelText('Power (Watts)')).toHaveValue(30);
+
+  // "Other" is also a category, so its appliances stay listed until one is picked
+  fireEvent.focus(picker);
+  fireEvent.change(picker, { target: { value: 'Other' } });
+  expect(within(screen.getByRole('group', { name: 'Other' })).getAllByRole('option').length).toBeGreaterThan(1);
+  fireEvent.keyDown(picker, { key: 'Enter' });
+  expect(screen.getByLabelText('Power (Watts)')).toHaveValue(0);
+});
+
+test('works out watts from the volts and amps on the label and shows the sum in the row', () => {
+  renderAt('/calculator');
+  pickAppliance('Other');
+  fireEvent.click(screen.getByRole('button', { name: /use the label/i }));
+  fireEvent.click(screen.getByRole('button', { name: '240 V' }));
+  fireEvent.change(screen.getByLabelText('Current (A)'), { target: { value: '5' } });
+  fireEvent.change(screen.getByLabelText('Power Factor (optional)'), { target: { value: '0.9' } });
+  expect(screen.getByLabelText('Power (Watts)')).toHaveValue(1080);
+  fireEvent.click(screen.getByRole('button', { name: /add appliance/i }));
+
+  const row = screen.getByText('Other', { selector: 'td' }).closest('tr');
+  expect(within(row).getByText('240 V × 5 A × 0.9 PF = 1080 W')).toBeInTheDocument();
+
+  // Editing the watts by hand drops the derivation
+  fireEvent.click(screen.getByRole('button', { name: 'Edit Other' }));
+  fireEvent.change(screen.getByLabelText('Power (W)'), { target: { value: '1000' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save Other' }));
+  expect(within(row).queryByText(/= 1080 W/)).not.toBeInTheDocument();
+});
+
+test('blocks adding an appliance until its label ratings work out to a positive wattage', () => {
+  renderAt('/calculator');
+  pickAppliance('Other');
+  fireEvent.click(screen.getByRole('button', { name: /use the label/i }));
+  const add = screen.getByRole('button', { name: /add appliance/i });
+  expect(add).toBeDisabled();
+  expect(screen.getByText(/enter the volts and amps printed on the label/i)).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Current (A)'), { target: { value: '0.001' } });
+  expect(add).toBeDisabled();
+  expect(screen.getByText(/an appliance needs at least 1 W/)).toBeInTheDocument();
+  fireEvent.submit(add.closest('form'));
+  expect(screen.queryByText('Other', { selector: 'td' })).not.toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Current (A)'), { target: { value: '0.5' } });
+  expect(add).toBeEnabled();
+  fireEvent.click(add);
+  expect(screen.getByText('Other', { selector: 'td' })).toBeInTheDocument();
+});
+
+test('explains the label formula on the Learn tab with the same numbers as the calculator', () => {
+  renderAt('/learn');
+  expect(screen.getByText('Power (W) = Volts × Amps × Power Factor')).toBeInTheDocument();
+  expect(screen.getByText(/120 V × 12\.5 A × 0\.9 PF = 1350 W, so 2 hours of use is \(1350 × 2\) ÷ 1,000 = 2\.7 kWh/)).toBeInTheDocument();
+});
+
+test('keeps a snapshot per saved day, tracks it against a budget and shows what changed', () => {
+  localStorage.setItem('wattsUpData', JSON.stringify({
+    version: 6,
+    autosave: false,
+    activeProfileId: 1,
+    profiles: [{
+      id: 1,
+      name: 'Home',
+      items: [{ id: 1, name: 'Dryer', watts: 3000, hours: 1, dutyCycle: 75, standbyWatts: 1 }],
+      snapshots: [{
+        date: '2025-01-10',
+        savedAt: '2025-01-10T18:00:00.000Z',
+        kWh: 2.55,
+        cost: 0.4,
+        items: [{ name: 'Dryer', quantity: 1, kWh: 2.25 }, { name: 'Light Bulb (Incandescent)', quantity: 1, kWh: 0.3 }]
+      }]
+    }],
+    customAppliances: []
+  }));
+  renderAt('/calculator');
+  fireEvent.click(screen.getByRole('button', { name: /save/i }));
+  fireEvent.click(screen.getByRole('link', { name: 'Insights' }));
+
+  fireEvent.change(screen.getByLabelText('Budget'), { target: { value: '2' } });
+  fireEvent.change(screen.getByLabelText('Per'), { target: { value: 'daily' } });
+  expect(screen.getByRole('alert')).toHaveTextContent('Over budget by 0.3 kWh');
+
+  expect(screen.getByLabelText('From')).toHaveDisplayValue('Jan 10, 2025');
+  const row = screen.getByText('Light Bulb (Incandescent)', { selector: 'td' }).closest('tr');
+  expect(within(row).getByText('-0.30')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('link', { name: 'Calculator' }));
+  fireEvent.click(screen.getByRole('button', { name: /save/i }));
+  const saved = JSON.parse(localStorage.getItem('wattsUpData')).profiles[0];
+  expect(saved.snapshots).toHaveLength(2);
+  expect(saved.settings.budget).toEqual({ amount: 2, period: 'daily', unit: 'kwh' });
+});
+
+test('prints an audit report of the household and downloads it as a web page', () => {
+  const print = jest.spyOn(window, 'print').mockImplementation(() => {});
+  URL.createObjectURL = jest.fn(() => 'blob:report');
+  URL.revokeObjectURL = jest.fn();
+  renderAt('/calculator');
+  addAppliance('Dryer', 2);
+  addAppliance('TV', 4);
+
+  fireEvent.click(screen.getByRole('link', { name: 'Report' }));
+  expect(window.location.pathname).toBe('/report');
+  expect(screen.getByText('Home Energy Audit')).toBeInTheDocument();
+  expect(screen.getByText(/of the typical daily energy of homes in your peer group/)).toBeInTheDocument();
+  const top = screen.getByRole('table', { name: 'Top consumers' });
+  expect(within(top).getAllByRole('row')[1]).toHaveTextContent('Dryer');
+  expect(screen.getByText('Line-dry some loads')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: /print or save as pdf/i }));
+  expect(print).toHaveBeenCalled();
+
+  fireEvent.click(screen.getByRole('button', { name: /download html/i }));
+  const blob = URL.createObjectURL.mock.calls[0][0];
+  expect(blob.type).toBe('text/html');
+
+  // The print stylesheet applies only while the report is shown
+  expect(document.body).toHaveClass('report-route');
+  fireEvent.click(screen.getByRole('link', { name: 'Calculator' }));
+  expect(document.body).not.toHaveClass('report-route');
+
+  print.mockRestore();
+  delete URL.createObjectURL;
+  delete URL.revokeObjectURL;
+});
+
+test('shows an offline indicator while the connection is down', () => {
+  renderAt('/calculator');
+  expect(screen.queryByText(/you're offline/i)).not.toBeInTheDocument();
+
+  act(() => {
+    window.dispatchEvent(new Event('offline'));
+  });
+  expect(screen.getByRole('status')).toHaveTextContent("You're offline. Watt's Up? keeps working");
+
+  act(() => {
+    window.dispatchEvent(new Event('online'));
+  });
+  expect(screen.queryByText(/you're offline/i)).not.toBeInTheDocument();
 });
@@ -3,113 +3,304 @@
  *
  * A React application to estimate household energy usage.
  * It allows users to add appliances, calculate their daily energy consumption (in kWh),
- * compare their usage to the U.S. average, and receive energy-saving tips.
+ * compare their usage to similar households, and receive energy-saving tips.
  *
  * Features:
  * - Add appliances with configurable power (watts) and daily hours of use.
+ * - Work out watts from the volts, amps and power factor on an appliance's label.
+ * - Search the appliance catalog by category, and add your own appliances to it.
+ * - Work out electric vehicles, water heaters and pool pumps from miles driven, household size or pump size.
+ * - Edit, duplicate, sort and bulk-delete appliances, with quantities for identical units.
+ * - Model compressor/thermostat duty cycles and standby ("phantom") power.
+ * - Give appliances weekly schedules and seasonal patterns, projected month by month.
+ * - Set the times of day appliances run to chart the daily load curve and check peak demand against a breaker limit.
  * - Display a summary of your energy usage.
- * - Compare your usage to an average U.S. household.
- * - Save and load data from localStorage.
- * - Provide dynamic energy-saving tips.
+ * - Compare your usage to households like yours, by country or US state, size, home type and climate.
+ * - Estimate electricity costs under flat, tiered or time-of-use tariffs.
+ * - Visualize consumption with an interactive dashboard.
+ * - Link directly to each tab and share a household's appliance list by URL.
+ * - Export and import appliance lists as CSV or JSON, with a validated preview.
+ * - Compare the estimate with smart-meter interval data and surface unaccounted usage.
+ * - Estimate CO₂e emissions with regional grid emission factors.
+ * - Save and load data from localStorage, with optional autosave and undo/redo.
+ * - Recommend personalized energy savings, ranked by how much they save.
+ * - Simulate appliance upgrades with their savings and payback period.
+ * - Simulate rooftop solar and a home battery: generation, grid import and export, and self-sufficiency.
+ * - Keep several named households or plans as profiles and compare them appliance by appliance.
+ * - Keep a dated snapshot of each day's saved configuration and track it against a kWh or cost budget.
+ * - Print an energy audit report, save it as a PDF or download it as a standalone web page.
+ * - Install as an app that works offline, with a prompt to reload when a new version is deployed.
  *
  * Author: Manan Gulati 
  * Date: 9th May 2025
  */
 
 import React, { useState, useEffect } from 'react';
+import { Routes, Route, NavLink, Navigate, useNavigate } from 'react-router-dom';
 // Import icons from lucide-react for a modern UI
-import { Lightbulb, Trash2, PlusCircle, Save, RefreshCw } from 'lucide-react';
-
-// Constant list of common appliances and their average wattage
-const APPLIANCES = [
-  { name: 'Refrigerator', watts: 150 },
-  { name: 'AC/Heater', watts: 1500 },
-  { name: 'Laptop', watts: 50 },
-  { name: 'Desktop Computer', watts: 200 },
-  { name: 'TV', watts: 100 },
-  { name: 'Microwave', watts: 1000 },
-  { name: 'Washing Machine', watts: 500 },
-  { name: 'Dryer', watts: 3000 },
-  { name: 'Light Bulb (LED)', watts: 9 },
-  { name: 'Light Bulb (Incandescent)', watts: 60 },
-  { name: 'Dishwasher', watts: 1200 },
-  { name: 'Electric Oven', watts: 2150 },
-  { name: 'Coffee Maker', watts: 1000 },
-  { name: 'Toaster', watts: 1100 },
-  { name: 'Hair Dryer', watts: 1800 },
-  { name: 'Ceiling Fan', watts: 75 },
-  { name: 'Router/Modem', watts: 15 },
-  { name: 'Gaming Console', watts: 150 },
-  { name: 'Phone Charger', watts: 5 },
-  { name: 'Other', watts: 0 }
-];
-
-// U.S. average daily household electricity consumption in kWh for comparison
-const US_AVERAGE_KWH = 30;
-
-// A list of energy-saving tips to show the user
-const ENERGY_TIPS = [
-  "Replace incandescent bulbs with LED bulbs to save up to 80% energy on lighting.",
-  "Unplug devices when not in use to eliminate 'phantom' energy use.",
-  "Use smart power strips to automatically cut power to devices in standby mode.",
-  "Set your refrigerator temperature to 38°F and freezer to 0°F for optimal efficiency.",
-  "Run full loads in dishwashers and washing machines to maximize efficiency.",
-  "Use cold water for laundry when possible to save on water heating costs.",
-  "Clean or replace AC filters regularly to improve efficiency.",
-  "Use ceiling fans to supplement AC and raise the thermostat by 4°F without loss of comfort.",
-  "Enable power management settings on computers and monitors.",
-  "Air dry dishes and clothes when possible instead of using machine drying."
-];
+import { PlusCircle, Save, Share2, Undo2, Redo2, AlertTriangle, Download } from 'lucide-react';
+import TariffSettings from './components/TariffSettings';
+import UsageTable from './components/UsageTable';
+import UsageDashboard from './components/UsageDashboard';
+import SeasonalProjection from './components/SeasonalProjection';
+import LoadProfile from './components/LoadProfile';
+import EmptyState from './components/EmptyState';
+import SharedHousehold from './components/SharedHousehold';
+import InventoryTransfer, { IMPORT_MODES } from './components/InventoryTransfer';
+import MeterComparison from './components/MeterComparison';
+import CarbonFootprint from './components/CarbonFootprint';
+import BenchmarkSelector from './components/BenchmarkSelector';
+import Recommendations from './components/Recommendations';
+import UpgradeSimulator from './components/UpgradeSimulator';
+import SolarSimulator from './components/SolarSimulator';
+import HighLoadCalculator from './components/HighLoadCalculator';
+import AppliancePicker from './components/AppliancePicker';
+import CustomAppliances from './components/CustomAppliances';
+import NameplateInput from './components/NameplateInput';
+import ProfileSwitcher from './components/ProfileSwitcher';
+import ProfileComparison from './components/ProfileComparison';
+import BudgetTracker from './components/BudgetTracker';
+import ReportView from './components/ReportView';
+import AppStatus from './components/AppStatus';
+import {
+  createUsageItem,
+  updateUsageItem,
+  calculateTotalKwh,
+  calculateStandbyKwh,
+  getComparisonPercentage,
+  getComparisonBand,
+  describeComparison,
+  projectPeriods,
+  DAYS_PER_YEAR,
+  DEFAULT_DUTY_CYCLE,
+  calculateItemKwh,
+  calculateNameplateWatts,
+  parseNameplate,
+  formatNameplate,
+  getCostSummary,
+  normalizeTariff,
+  formatCurrency,
+  getRecommendations
+} from './engine';
+import { buildShareUrl } from './utils/shareLink';
+import { loadData, saveData, LOAD_STATUS, DEFAULT_SETTINGS, DEFAULT_PROFILE_ID } from './utils/storage';
+import { createProfile, cloneProfile } from './utils/profiles';
+import { buildCatalog, findCatalogEntry, createCustomAppliance } from './utils/catalog';
+import { createSnapshot, recordSnapshot } from './utils/history';
+import { buildReport, renderReportHtml, getReportFilename } from './utils/report';
+import { downloadFile } from './utils/download';
+import useUndoableState from './hooks/useUndoableState';
+import useAppStatus from './hooks/useAppStatus';
+import { APPLIANCES } from './data/appliances';
+import { resolveBenchmark } from './data/benchmarks';
+import { getApplicableTips } from './data/tips';
+import { SUPPLY_VOLTAGES } from './data/loadLimits';
+
+/**
+ * Returns a unique identifier for a new usage item. It is based on the current timestamp,
+ * but always greater than every existing id so items added in quick succession never collide.
+ *
+ * @param {Array<Object>} items - The existing usage items.
+ * @returns {number} A new unique identifier.
+ */
+function createItemId(items) {
+  return items.reduce((max, item) => Math.max(max, item.id + 1), Date.now());
+}
+
+// Delay between the last change and an automatic save, in milliseconds
+const AUTOSAVE_DELAY_MS = 1000;
+
+// Nameplate fields when switching the add form to label ratings
+const EMPTY_NAMEPLATE = { volts: SUPPLY_VOLTAGES[0], amps: '', powerFactor: '' };
+
+// Nameplate worked through on the Learn tab: a 12.5 A motor at 120 V with a power factor of 0.9, run for 2 hours
+const EXAMPLE_NAMEPLATE = { volts: 120, amps: 12.5, powerFactor: 0.9 };
+const EXAMPLE_NAMEPLATE_HOURS = 2;
 
 export default function WattsUpApp() {
-  // State for list of appliances usage items
-  const [usageItems, setUsageItems] = useState([]);
+  // State for list of appliances usage items, with undo/redo history of adds, edits and deletes
+  const [usageItems, setUsageItems, usageHistory] = useUndoableState([]);
 
   // States to track form input values for new appliances
-  const [newAppliance, setNewAppliance] = useState('Refrigerator');
-  const [newWatts, setNewWatts] = useState(150);
-  const [newHours, setNewHours] = useState(24);
+  const [newAppliance, setNewAppliance] = useState(APPLIANCES[0].name);
+  const [newWatts, setNewWatts] = useState(APPLIANCES[0].watts);
+  const [newHours, setNewHours] = useState(APPLIANCES[0].hours);
+  const [newDutyCycle, setNewDutyCycle] = useState(APPLIANCES[0].dutyCycle);
+  const [newStandbyWatts, setNewStandbyWatts] = useState(APPLIANCES[0].standbyWatts);
+  const [newQuantity, setNewQuantity] = useState(1);
+  // Raw label ratings the watts are worked out from, or null while watts are entered directly
+  const [newNameplate, setNewNameplate] = useState(null);
 
-  // State for total energy consumption (kWh), comparison percentage, and a random energy tip
+  // State for total energy consumption (kWh), comparison percentage, and which generic tip is shown
   const [totalKwh, setTotalKwh] = useState(0);
   const [comparisonPercentage, setComparisonPercentage] = useState(0);
-  const [randomTip, setRandomTip] = useState('');
+  // Random number in [0, 1) picking a tip among those that apply to the current appliances
+  const [tipSeed, setTipSeed] = useState(0);
+
+  // State for the electricity tariff used to turn kWh into cost
+  const [tariff, setTariff] = useState(normalizeTariff());
 
-  // State for controlling active tabs in the application (calculator, insights, learn)
-  const [activeTab, setActiveTab] = useState('calculator');
+  // Tabs (calculator, insights, learn) are routes, so navigation goes through the router
+  const navigate = useNavigate();
+
+  // State for the share link of the current usage items, shown after clicking "Share"
+  const [shareUrl, setShareUrl] = useState('');
 
   // State to show a "saved" indicator after saving data to localStorage
   const [isSaved, setIsSaved] = useState(false);
 
+  // State for the active profile's settings, such as the grid region and benchmark
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+
+  // State for whether changes are saved automatically; applies to all profiles
+  const [autosave, setAutosave] = useState(false);
+
+  // State for all saved profiles and which one is being edited. The active profile's items,
+  // tariff, settings and meter live in their own states above and are written back on switch or save.
+  const [profiles, setProfiles] = useState([]);
+  const [activeProfileId, setActiveProfileId] = useState(DEFAULT_PROFILE_ID);
+
+  // State for the summary of imported smart-meter data, or null when none was loaded
+  const [meter, setMeter] = useState(null);
+
+  // Dated snapshots of the active profile's saved configurations, oldest first
+  const [snapshots, setSnapshots] = useState([]);
+
+  // Appliances the user added to the catalog, shared by all profiles
+  const [customAppliances, setCustomAppliances] = useState([]);
+
+  // State for the upgrades proposed in the What If tab
+  const [upgrades, setUpgrades] = useState([]);
+
+  // State for a storage problem to tell the user about: { message, backupKey }
+  const [storageNotice, setStorageNotice] = useState(null);
+
+  const { reset: resetUsageItems, undo, redo, canUndo, canRedo } = usageHistory;
+
+  // Connection state and new versions of the installed app
+  const { isOnline, updateAvailable, offlineUnavailable, applyUpdate, dismissUpdate } = useAppStatus();
+
+  // Built-in and custom appliances offered in the pickers
+  const catalog = buildCatalog(customAppliances);
+
+  // Peer group the household is compared against: { dailyKwh, label }
+  const benchmark = resolveBenchmark(settings.benchmark);
+
+  // All profiles with the active one's current, possibly unsaved, data
+  const currentProfiles = profiles.map(profile => (
+    profile.id === activeProfileId ? { ...profile, items: usageItems, tariff, settings, meter, snapshots } : profile
+  ));
+
   /**
-   * useEffect hook - Loads saved usage data from localStorage 
+   * useEffect hook - Loads saved profiles from localStorage, opens the last active one
    * and sets a random energy-saving tip when the component mounts.
+   * Older saves are migrated; unreadable data is kept aside and reported instead of crashing.
    */
   useEffect(() => {
-    const savedData = localStorage.getItem('wattsUpData');
-    if (savedData) {
-      setUsageItems(JSON.parse(savedData));
+    const { status, data, message, backupKey } = loadData();
+    const activeProfile = data.profiles.find(profile => profile.id === data.activeProfileId);
+    setProfiles(data.profiles);
+    setActiveProfileId(activeProfile.id);
+    setAutosave(data.autosave);
+    setCustomAppliances(data.customAppliances);
+    resetUsageItems(activeProfile.items);
+    setTariff(activeProfile.tariff);
+    setSettings(activeProfile.settings);
+    setMeter(activeProfile.meter);
+    setSnapshots(activeProfile.snapshots);
+    if (status === LOAD_STATUS.RECOVERED) {
+      setStorageNotice({ message, backupKey });
     }
-    const randomIndex = Math.floor(Math.random() * ENERGY_TIPS.length);
-    setRandomTip(ENERGY_TIPS[randomIndex]);
-  }, []);
+    setTipSeed(Math.random());
+  }, [resetUsageItems]);
+
+  /**
+   * useEffect hook - Saves automatically once changes have settled, when autosave is on,
+   * updating the day's snapshot like a manual save.
+   */
+  useEffect(() => {
+    if (!autosave) return undefined;
+    const timer = setTimeout(() => {
+      const nextSnapshots = recordSnapshot(snapshots, createSnapshot(usageItems, tariff));
+      const savedProfiles = profiles.map(profile => (
+        profile.id === activeProfileId
+          ? { ...profile, items: usageItems, tariff, settings, meter, snapshots: nextSnapshots }
+          : profile
+      ));
+      if (saveData({ autosave, activeProfileId, profiles: savedProfiles, customAppliances })) {
+        // recordSnapshot returns the same list when nothing changed, which keeps this from saving again
+        if (nextSnapshots !== snapshots) setSnapshots(nextSnapshots);
+        setIsSaved(true);
+      }
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [autosave, profiles, activeProfileId, usageItems, tariff, settings, meter, customAppliances, snapshots]);
+
+  /**
+   * useEffect hook - Binds Ctrl/Cmd+Z to undo and Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y to redo,
+   * except while typing in a form field, where the browser's own undo applies.
+   */
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
 
   /**
    * useEffect hook - Recalculates total energy usage (in kWh)
-   * and updates the comparison percentage each time the usageItems array changes.
+   * and updates the comparison percentage each time the usageItems array or the benchmark changes.
    */
   useEffect(() => {
     // Calculate total energy consumption in kWh for the day
-    const total = usageItems.reduce(
-      (sum, item) => sum + (item.watts * item.hours) / 1000,
-      0
-    );
+    const total = calculateTotalKwh(usageItems);
     setTotalKwh(total);
-    // Calculate how the user's energy usage compares to the U.S. average
-    setComparisonPercentage((total / US_AVERAGE_KWH) * 100);
+    // Calculate how the user's energy usage compares to the selected peer group
+    setComparisonPercentage(getComparisonPercentage(total, benchmark.dailyKwh));
     // Reset saved indicator on data change
     setIsSaved(false);
-  }, [usageItems]);
+  }, [usageItems, benchmark.dailyKwh]);
+
+  /**
+   * useEffect hook - Resets the saved indicator when the tariff, settings, meter data, profiles
+   * or custom appliances change.
+   */
+  useEffect(() => {
+    setIsSaved(false);
+  }, [tariff, settings, meter, profiles, customAppliances]);
+
+  // Daily, monthly and annual cost of the current usage under the selected tariff
+  const costSummary = getCostSummary(totalKwh, tariff);
+
+  // Weekly, monthly and annual energy projected from the daily total
+  const energyProjection = projectPeriods(totalKwh);
+
+  // Daily energy drawn by appliances in standby ("phantom" load)
+  const standbyKwh = calculateStandbyKwh(usageItems);
+  const activeKwh = totalKwh - standbyKwh;
+
+  // Energy audit report of the active profile, for the Report tab and its download.
+  // Profiles are empty until the saved data has loaded on mount.
+  const activeProfile = currentProfiles.find(profile => profile.id === activeProfileId);
+  const auditReport = buildReport({
+    profileName: activeProfile ? activeProfile.name : '',
+    items: usageItems,
+    tariff,
+    benchmark
+  });
+
+  // Label ratings that don't work out to a positive wattage leave the watts at 0 and block Add
+  const canAddAppliance = !newNameplate || Number(newWatts) > 0;
 
   /**
    * Event handler to add a new appliance to the usage list.
@@ -118,72 +309,349 @@ export default function WattsUpApp() {
    */
   const handleAddAppliance = (e) => {
     e.preventDefault();
-    const newItem = {
-      id: Date.now(), // Unique identifier based on timestamp
-      name: newAppliance,
-      watts: parseInt(newWatts, 10),
-      hours: parseFloat(newHours),
-      kWh: (parseInt(newWatts, 10) * parseFloat(newHours)) / 1000
-    };
+    if (!canAddAppliance) return;
+    const newItem = createUsageItem(
+      {
+        name: newAppliance,
+        watts: newWatts,
+        hours: newHours,
+        dutyCycle: newDutyCycle,
+        standbyWatts: newStandbyWatts,
+        quantity: newQuantity,
+        nameplate: newNameplate
+      },
+      createItemId(usageItems)
+    );
     setUsageItems([...usageItems, newItem]);
-    setNewHours(24); // Reset hours input to default value after adding
+    // Reset hours input to the appliance's default value after adding
+    const appliance = findCatalogEntry(catalog, newAppliance);
+    setNewHours(appliance ? appliance.hours : 24);
+    setNewQuantity(1);
+  };
+
+  /**
+   * Adds an appliance worked out by one of the high-load calculators.
+   *
+   * @param {Object} values - Usage item values from the calculator.
+   */
+  const handleAddEstimated = (values) => {
+    setUsageItems([...usageItems, createUsageItem(values, createItemId(usageItems))]);
   };
 
   /**
    * Event handler to update appliance selection.
-   * It sets the new appliance name and updates its corresponding wattage.
+   * It sets the new appliance name and fills in its catalog ratings.
+   *
+   * @param {string} selected - Name of the picked catalog entry.
    */
-  const handleApplianceChange = (e) => {
-    const selected = e.target.value;
+  const handleApplianceChange = (selected) => {
     setNewAppliance(selected);
-    const appliance = APPLIANCES.find(a => a.name === selected);
+    const appliance = findCatalogEntry(catalog, selected);
+    // Watts worked out from a label stay until the user goes back to entering them directly
+    if (!newNameplate) setNewWatts(appliance ? appliance.watts : 0);
+    if (appliance) {
+      setNewHours(appliance.hours);
+      setNewDutyCycle(appliance.dutyCycle);
+      setNewStandbyWatts(appliance.standbyWatts);
+    }
+  };
+
+  /**
+   * Updates the label ratings in the add form and the watts worked out from them.
+   *
+   * @param {Object} nameplate - Raw volts, amps and power factor.
+   */
+  const handleNameplateChange = (nameplate) => {
+    setNewNameplate(nameplate);
+    const parsed = parseNameplate(nameplate);
+    setNewWatts(parsed ? calculateNameplateWatts(parsed) : 0);
+  };
+
+  /**
+   * Switches the add form between entering watts and working them out from label ratings.
+   */
+  const handleTogglePowerInput = () => {
+    if (!newNameplate) {
+      handleNameplateChange(EMPTY_NAMEPLATE);
+      return;
+    }
+    setNewNameplate(null);
+    const appliance = findCatalogEntry(catalog, newAppliance);
     setNewWatts(appliance ? appliance.watts : 0);
   };
 
   /**
-   * Removes a selected appliance from the usage list.
+   * Adds an appliance of the user's own to the catalog and picks it in the form.
    *
-   * @param {number} id - The unique identifier of the appliance to delete.
+   * @param {Object} values - Validated values from the My Appliances form.
    */
-  const handleDeleteItem = (id) => {
-    setUsageItems(usageItems.filter(item => item.id !== id));
+  const handleAddCustomAppliance = (values) => {
+    const entry = createCustomAppliance(customAppliances, values);
+    setCustomAppliances([...customAppliances, entry]);
+    setNewAppliance(entry.name);
+    setNewNameplate(null);
+    setNewWatts(entry.watts);
+    setNewHours(entry.hours);
+    setNewDutyCycle(DEFAULT_DUTY_CYCLE);
+    setNewStandbyWatts(entry.standbyWatts);
   };
 
   /**
-   * Randomly selects and sets a new energy-saving tip.
+   * Removes an appliance of the user's own from the catalog. Items already in a list keep
+   * their name and ratings; the form goes back to the first appliance if it had this one picked.
+   *
+   * @param {number} id - Id of the custom appliance.
+   */
+  const handleDeleteCustomAppliance = (id) => {
+    const entry = customAppliances.find(candidate => candidate.id === id);
+    setCustomAppliances(customAppliances.filter(candidate => candidate.id !== id));
+    if (entry && entry.name === newAppliance) handleApplianceChange(APPLIANCES[0].name);
+  };
+
+  /**
+   * Removes appliances from the usage list.
+   *
+   * @param {Array<number>} ids - The unique identifiers of the appliances to delete.
+   */
+  const handleDeleteItems = (ids) => {
+    setUsageItems(usageItems.filter(item => !ids.includes(item.id)));
+  };
+
+  /**
+   * Applies an inline edit to an appliance and recomputes its energy.
+   *
+   * @param {number} id - The unique identifier of the appliance.
+   * @param {Object} changes - The edited fields.
+   */
+  const handleUpdateItem = (id, changes) => {
+    setUsageItems(usageItems.map(item => (item.id === id ? updateUsageItem(item, changes) : item)));
+  };
+
+  /**
+   * Inserts a copy of an appliance right after the original.
+   *
+   * @param {number} id - The unique identifier of the appliance to copy.
+   */
+  const handleDuplicateItem = (id) => {
+    const index = usageItems.findIndex(item => item.id === id);
+    const copy = { ...usageItems[index], id: createItemId(usageItems) };
+    setUsageItems([...usageItems.slice(0, index + 1), copy, ...usageItems.slice(index + 1)]);
+  };
+
+  /**
+   * Randomly selects a new generic energy-saving tip.
    */
   const getNewTip = () => {
-    const randomIndex = Math.floor(Math.random() * ENERGY_TIPS.length);
-    setRandomTip(ENERGY_TIPS[randomIndex]);
+    setTipSeed(Math.random());
   };
 
+  // Generic tips are picked among those relevant to the appliances in the list
+  const applicableTips = getApplicableTips(usageItems);
+  const genericTip = applicableTips[Math.floor(tipSeed * applicableTips.length)];
+
   /**
-   * Saves the current usage data to localStorage and shows a "saved" indicator.
+   * Writes all profiles, custom appliances and the autosave preference to localStorage,
+   * reporting a failure to the user.
+   *
+   * @param {Object} [changes] - Data of the active profile that was changed in the same event,
+   *   such as { items }, and is not in state yet.
+   * @param {boolean} [nextAutosave] - The autosave preference to store; defaults to the current one.
+   * @returns {boolean} Whether the data was written.
+   */
+  const persistData = (changes = {}, nextAutosave = autosave) => {
+    const saved = saveData({
+      autosave: nextAutosave,
+      activeProfileId,
+      profiles: currentProfiles.map(profile => (profile.id === activeProfileId ? { ...profile, ...changes } : profile)),
+      customAppliances
+    });
+    if (!saved) {
+      setStorageNotice({ message: 'Your data could not be saved. Browser storage may be full or disabled.', backupKey: null });
+    }
+    return saved;
+  };
+
+  /**
+   * Saves all profiles to localStorage, records the day's snapshot of the active profile
+   * and shows a "saved" indicator.
    */
-  const saveData = () => {
-    localStorage.setItem('wattsUpData', JSON.stringify(usageItems));
+  const handleSave = () => {
+    const nextSnapshots = recordSnapshot(snapshots, createSnapshot(usageItems, tariff));
+    if (!persistData({ snapshots: nextSnapshots })) return;
+    setSnapshots(nextSnapshots);
     setIsSaved(true);
     // Hide the "saved" indicator after 3 seconds
     setTimeout(() => setIsSaved(false), 3000);
   };
 
+  /**
+   * Turns autosave on or off. The choice is saved right away, together with the current data.
+   */
+  const handleToggleAutosave = () => {
+    setAutosave(!autosave);
+    persistData({}, !autosave);
+  };
+
+  /**
+   * Updates settings chosen on the Insights tab, such as the grid emission factor.
+   * Like tariff changes, they are stored on the next save.
+   *
+   * @param {Object} changes - Changed settings.
+   */
+  const handleSettingsChange = (changes) => {
+    setSettings({ ...settings, ...changes });
+  };
+
+  /**
+   * Downloads the energy audit report as a standalone HTML page.
+   */
+  const handleDownloadReport = () => {
+    downloadFile(getReportFilename(auditReport), renderReportHtml(auditReport), 'text/html');
+  };
+
+  /**
+   * Downloads the copy of unreadable saved data that was kept aside while loading.
+   */
+  const handleDownloadBackup = () => {
+    const raw = localStorage.getItem(storageNotice.backupKey);
+    downloadFile(`${storageNotice.backupKey}.json`, raw || '', 'application/json');
+  };
+
+  /**
+   * Builds a share link for the current usage items and copies it to the clipboard when possible.
+   */
+  const handleShare = () => {
+    const url = buildShareUrl(usageItems);
+    setShareUrl(url);
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(url).catch(() => {});
+    }
+  };
+
+  /**
+   * Appends usage items from a share link to the user's own list and saves the result.
+   * Imported items get new ids so they never collide with existing ones.
+   *
+   * @param {Array<Object>} sharedItems - Items decoded from the share link.
+   */
+  const handleImportShared = (sharedItems) => {
+    const baseId = createItemId(usageItems);
+    const imported = sharedItems.map((item, index) => ({ ...item, id: baseId + index }));
+    const merged = [...usageItems, ...imported];
+    setUsageItems(merged);
+    persistData({ items: merged });
+  };
+
+  /**
+   * Adds usage items from an imported file to the list, or replaces the list with them.
+   * Goes through the undo history, so an unwanted import can be undone.
+   *
+   * @param {Array<Object>} importedItems - Validated items from the file.
+   * @param {string} mode - One of IMPORT_MODES.
+   */
+  const handleImportInventory = (importedItems, mode) => {
+    const current = mode === IMPORT_MODES.REPLACE ? [] : usageItems;
+    const baseId = createItemId(usageItems);
+    const imported = importedItems.map((item, index) => ({ ...item, id: baseId + index }));
+    setUsageItems([...current, ...imported]);
+  };
+
+  /**
+   * Makes a profile the active one: its data replaces what is being edited, and the undo
+   * history, share link and What If scenario of the previous profile are cleared.
+   *
+   * @param {Object} profile - The profile to open.
+   */
+  const openProfile = (profile) => {
+    setActiveProfileId(profile.id);
+    resetUsageItems(profile.items);
+    setTariff(profile.tariff);
+    setSettings(profile.settings);
+    setMeter(profile.meter);
+    setSnapshots(profile.snapshots);
+    setUpgrades([]);
+    setShareUrl('');
+  };
+
+  /**
+   * Switches to another profile, keeping the current one's unsaved changes in memory.
+   *
+   * @param {number} id - Id of the profile to switch to.
+   */
+  const handleSwitchProfile = (id) => {
+    const profile = currentProfiles.find(candidate => candidate.id === id);
+    if (!profile) return;
+    setProfiles(currentProfiles);
+    openProfile(profile);
+  };
+
+  /**
+   * Creates an empty profile and switches to it.
+   *
+   * @param {string} name - Name of the new profile.
+   */
+  const handleCreateProfile = (name) => {
+    const profile = createProfile(currentProfiles, name);
+    setProfiles([...currentProfiles, profile]);
+    openProfile(profile);
+  };
+
+  /**
+   * Copies the active profile, e.g. as the starting point of an "after" plan, and switches to the copy.
+   */
+  const handleCloneProfile = () => {
+    const active = currentProfiles.find(profile => profile.id === activeProfileId);
+    const copy = cloneProfile(currentProfiles, active);
+    setProfiles([...currentProfiles, copy]);
+    openProfile(copy);
+  };
+
+  /**
+   * Renames the active profile.
+   *
+   * @param {string} name - The new name.
+   */
+  const handleRenameProfile = (name) => {
+    setProfiles(profiles.map(profile => (profile.id === activeProfileId ? { ...profile, name } : profile)));
+  };
+
+  /**
+   * Deletes the active profile and switches to the first remaining one. The last profile is kept.
+   */
+  const handleDeleteProfile = () => {
+    const remaining = currentProfiles.filter(profile => profile.id !== activeProfileId);
+    if (remaining.length === 0) return;
+    setProfiles(remaining);
+    openProfile(remaining[0]);
+  };
+
+  /**
+   * Returns the Tailwind classes of a navigation tab.
+   *
+   * @param {{isActive: boolean}} state - Whether the tab's route is the current one.
+   * @returns {string} A string representing Tailwind CSS classes.
+   */
+  const getNavClass = ({ isActive }) => `px-4 py-2 rounded-lg transition ${
+    isActive
+      ? 'bg-white text-blue-700'
+      : 'bg-blue-700 text-white hover:bg-blue-600'
+  }`;
+
+  // Efficiency band (styling and verdict) for the current comparison percentage
+  const comparisonBand = getComparisonBand(comparisonPercentage);
+
   /**
    * Helper function to return a CSS class based on the energy efficiency level.
    * It uses the comparison percentage to determine styling.
    *
    * @returns {string} A string representing Tailwind CSS classes.
    */
-  const getEfficiencyClass = () => {
-    if (comparisonPercentage <= 50) return "text-green-500";
-    if (comparisonPercentage <= 80) return "text-green-400";
-    if (comparisonPercentage <= 120) return "text-yellow-500";
-    return "text-red-500";
-  };
+  const getEfficiencyClass = () => comparisonBand.className;
 
   return (
-    <div className="min-h-screen bg-gray-50">
+    <div className="min-h-screen bg-gray-50 print:bg-white">
       {/* Header Section */}
-      <header className="bg-gradient-to-r from-blue-600 to-blue-800 text-white shadow-lg">
+      <header className="bg-gradient-to-r from-blue-600 to-blue-800 text-white shadow-lg print:hidden">
         <div className="max-w-6xl mx-auto px-4 py-6">
           <div className="flex items-center justify-between">
             <div>
@@ -194,331 +662,621 @@ export default function WattsUpApp() {
             </div>
             {/* Navigation Tabs */}
             <nav className="flex items-center space-x-4">
-              <button 
-                onClick={() => setActiveTab('calculator')}
-                className={`px-4 py-2 rounded-lg transition ${
-                  activeTab === 'calculator' 
-                    ? 'bg-white text-blue-700' 
-                    : 'bg-blue-700 text-white hover:bg-blue-600'
-                }`}
+              <NavLink 
+                to="/calculator"
+                className={getNavClass}
               >
                 Calculator
-              </button>
-              <button 
-                onClick={() => setActiveTab('insights')}
-                className={`px-4 py-2 rounded-lg transition ${
-                  activeTab === 'insights' 
-                    ? 'bg-white text-blue-700' 
-                    : 'bg-blue-700 text-white hover:bg-blue-600'
-                }`}
+              </NavLink>
+              <NavLink 
+                to="/insights"
+                className={getNavClass}
               >
                 Insights
-              </button>
-              <button 
-                onClick={() => setActiveTab('learn')}
-                className={`px-4 py-2 rounded-lg transition ${
-                  activeTab === 'learn' 
-                    ? 'bg-white text-blue-700' 
-                    : 'bg-blue-700 text-white hover:bg-blue-600'
-                }`}
+              </NavLink>
+              <NavLink 
+                to="/what-if"
+                className={getNavClass}
+              >
+                What If
+              </NavLink>
+              <NavLink 
+                to="/learn"
+                className={getNavClass}
               >
                 Learn
-              </button>
+              </NavLink>
+              <NavLink 
+                to="/report"
+                className={getNavClass}
+              >
+                Report
+              </NavLink>
             </nav>
           </div>
         </div>
       </header>
       
       {/* Main Content */}
-      <main className="max-w-6xl mx-auto px-4 py-8">
-        {/* Calculator Tab */}
-        {activeTab === 'calculator' && (
-          <section className="space-y-8">
-            {/* Appliance Input Form */}
-            <div className="bg-white rounded-xl shadow-md p-6">
-              <div className="flex items-center justify-between mb-4">
-                <h2 className="text-xl font-semibold text-gray-800">Add Your Appliances</h2>
-                <button 
-                  onClick={saveData}
-                  className={`flex items-center text-sm px-3 py-1 rounded-lg border transition ${
-                    isSaved
-                      ? 'bg-green-50 text-green-600 border-green-200'
-                      : 'bg-blue-50 text-blue-600 border-blue-200 hover:bg-blue-100'
-                  }`}
-                >
-                  {isSaved ? (
-                    <>
-                      <span className="mr-1">✓</span> Saved
-                    </>
-                  ) : (
-                    <>
-                      <Save size={14} className="mr-1" /> Save
-                    </>
-                  )}
-                </button>
-              </div>
-              <form onSubmit={handleAddAppliance} className="space-y-5">
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-                  {/* Appliance Selection */}
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Appliance</label>
-                    <select 
-                      value={newAppliance}
-                      onChange={handleApplianceChange}
-                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 transition"
-                    >
-                      {APPLIANCES.map(appliance => (
-                        <option key={appliance.name} value={appliance.name}>
-                          {appliance.name}
-                        </option>
-                      ))}
-                    </select>
-                  </div>
-                  {/* Power Input */}
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Power (Watts)</label>
-                    <input 
-                      type="number" 
-                      min="1"
-                      value={newWatts}
-                      onChange={(e) => setNewWatts(e.target.value)}
-                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 transition"
-                    />
-                  </div>
-                  {/* Hours Input */}
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Hours Used Per Day</label>
-                    <input 
-                      type="number" 
-                      min="0.1" 
-                      max="24" 
-                      step="0.1"
-                      value={newHours}
-                      onChange={(e) => setNewHours(e.target.value)}
-                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 transition"
-                    />
-                  </div>
-                </div>
-                <button 
-                  type="submit" 
-                  className="flex items-center justify-center bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition shadow-sm"
+      <main className="max-w-6xl mx-auto px-4 py-8 print:max-w-none print:p-0">
+        {/* Offline Indicator and Update Prompt */}
+        <AppStatus
+          isOnline={isOnline}
+          updateAvailable={updateAvailable}
+          offlineUnavailable={offlineUnavailable}
+          onUpdate={applyUpdate}
+          onDismissUpdate={dismissUpdate}
+        />
+
+        {/* Storage Problem Notice */}
+        {storageNotice && (
+          <div role="alert" className="mb-6 flex items-start bg-yellow-50 border border-yellow-200 rounded-lg p-4 print:hidden">
+            <AlertTriangle size={20} className="text-yellow-600 mr-3 flex-shrink-0 mt-0.5" />
+            <div className="flex-1 text-sm text-gray-800">
+              <p>{storageNotice.message}</p>
+              {storageNotice.backupKey && (
+                <p className="text-gray-600 mt-1">
+                  A copy of the original data was kept in your browser under "{storageNotice.backupKey}".
+                </p>
+              )}
+            </div>
+            <div className="flex items-center space-x-3 ml-4">
+              {storageNotice.backupKey && (
+                <button
+                  onClick={handleDownloadBackup}
+                  className="flex items-center text-sm text-yellow-700 hover:text-yellow-800 transition"
                 >
-                  <PlusCircle size={18} className="mr-2" />
-                  Add Appliance
+                  <Download size={14} className="mr-1" /> Download Copy
                 </button>
-              </form>
-            </div>
-            
-            {/* Energy Usage List */}
-            <div className="bg-white rounded-xl shadow-md p-6">
-              <h2 className="text-xl font-semibold text-gray-800 mb-4">Your Energy Usage</h2>
-              {usageItems.length === 0 ? (
-                <div className="text-center py-10 bg-gray-50 rounded-lg border border-dashed border-gray-300">
-                  <p className="text-gray-500">Add some appliances to see your energy consumption</p>
-                  <p className="text-sm text-gray-400 mt-1">Your data will be saved in your browser</p>
-                </div>
-              ) : (
-                <div className="overflow-x-auto rounded-lg border border-gray-200">
-                  <table className="min-w-full divide-y divide-gray-200">
-                    <thead className="bg-gray-50">
-                      <tr>
-                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Appliance</th>
-                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Power (W)</th>
-                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Hours/Day</th>
-                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Daily Energy (kWh)</th>
-                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
-                      </tr>
-                    </thead>
-                    <tbody className="bg-white divide-y divide-gray-200">
-                      {usageItems.map(item => (
-                        <tr key={item.id} className="hover:bg-gray-50 transition">
-                          <td className="px-4 py-3">{item.name}</td>
-                          <td className="px-4 py-3">{item.watts}</td>
-                          <td className="px-4 py-3">{item.hours}</td>
-                          <td className="px-4 py-3 font-medium">{item.kWh.toFixed(2)}</td>
-                          <td className="px-4 py-3">
-                            <button 
-                              onClick={() => handleDeleteItem(item.id)}
-                              className="text-red-500 hover:text-red-700 transition p-1 rounded-full hover:bg-red-50"
-                            >
-                              <Trash2 size={16} />
-                            </button>
-                          </td>
-                        </tr>
-                      ))}
-                    </tbody>
-                    <tfoot>
-                      <tr className="bg-gray-50 font-medium">
-                        <td colSpan="3" className="px-4 py-3 text-right">Total Daily Energy:</td>
-                        <td className="px-4 py-3 text-blue-600">{totalKwh.toFixed(2)} kWh</td>
-                        <td></td>
-                      </tr>
-                    </tfoot>
-                  </table>
-                </div>
               )}
+              <button
+                onClick={() => setStorageNotice(null)}
+                className="text-sm text-gray-500 hover:text-gray-700 transition"
+              >
+                Dismiss
+              </button>
             </div>
-          </section>
+          </div>
         )}
 
-        {/* Insights Tab */}
-        {activeTab === 'insights' && (
-          <section className="space-y-8">
-            {usageItems.length > 0 ? (
-              <>
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                  {/* Comparison Section */}
-                  <div className="bg-white rounded-xl shadow-md p-6">
-                    <h2 className="text-xl font-semibold text-gray-800 mb-4">How You Compare</h2>
-                    <div className="flex items-center mb-4">
-                      <div className="w-full bg-gray-200 rounded-full h-6 overflow-hidden">
-                        <div 
-                          className={`h-6 rounded-full ${comparisonPercentage > 100 ? 'bg-red-500' : 'bg-green-500'}`}
-                          style={{ width: `${Math.min(comparisonPercentage, 200)}%` }}
-                        ></div>
-                      </div>
-                    </div>
-                    <div className="flex justify-between mb-4">
-                      <div>
-                        <p className="text-sm text-gray-500">Your Daily Usage</p>
-                        <p className="text-2xl font-bold text-blue-600">{totalKwh.toFixed(2)} kWh</p>
-                      </div>
-                      <div className="text-right">
-                        <p className="text-sm text-gray-500">U.S. Average</p>
-                        <p className="text-2xl font-bold text-gray-600">{US_AVERAGE_KWH} kWh</p>
-                      </div>
-                    </div>
-                    <div className="bg-gray-50 rounded-lg p-4 border border-gray-100">
-                      <p className={`font-medium ${getEfficiencyClass()}`}>
-                        {comparisonPercentage <= 50 ? (
-                          <>
-                            <span role="img" aria-label="Excellent">✨</span> Excellent! Your usage is significantly below average.
-                          </>
-                        ) : comparisonPercentage <= 80 ? (
-                          <>
-                            <span role="img" aria-label="Good">👍</span> Good! Your usage is below average.
-                          </>
-                        ) : comparisonPercentage <= 120 ? (
-                          <>
-                            <span role="img" aria-label="Average">⚖️</span> Your usage is about average.
-                          </>
-                        ) : (
-                          <>
-                            <span role="img" aria-label="Warning">⚠️</span> Your usage is above average. Consider energy-saving measures.
-                          </>
-                        )}
-                      </p>
-                    </div>
+        {/* Profile Switcher */}
+        <ProfileSwitcher
+          profiles={currentProfiles}
+          activeProfileId={activeProfileId}
+          onSwitch={handleSwitchProfile}
+          onCreate={handleCreateProfile}
+          onRename={handleRenameProfile}
+          onClone={handleCloneProfile}
+          onDelete={handleDeleteProfile}
+        />
+
+        <Routes>
+          {/* Calculator Tab */}
+          <Route path="/calculator" element={
+            <section className="space-y-8">
+              {/* Appliance Input Form */}
+              <div className="bg-white rounded-xl shadow-md p-6">
+                <div className="flex items-center justify-between mb-4">
+                  <h2 className="text-xl font-semibold text-gray-800">Add Your Appliances</h2>
+                  <div className="flex items-center space-x-2">
+                    <label className="flex items-center text-sm text-gray-600 mr-1">
+                      <input
+                        type="checkbox"
+                        checked={autosave}
+                        onChange={handleToggleAutosave}
+                        className="mr-1"
+                      />
+                      Autosave
+                    </label>
+                    <button 
+                      onClick={handleShare}
+                      disabled={usageItems.length === 0}
+                      className="flex items-center text-sm px-3 py-1 rounded-lg border transition bg-blue-50 text-blue-600 border-blue-200 hover:bg-blue-100 disabled:opacity-50"
+                    >
+                      <Share2 size={14} className="mr-1" /> Share
+                    </button>
+                    <button 
+                      onClick={handleSave}
+                      className={`flex items-center text-sm px-3 py-1 rounded-lg border transition ${
+                        isSaved
+                          ? 'bg-green-50 text-green-600 border-green-200'
+                          : 'bg-blue-50 text-blue-600 border-blue-200 hover:bg-blue-100'
+                      }`}
+                    >
+                      {isSaved ? (
+                        <>
+                          <span className="mr-1">✓</span> Saved
+                        </>
+                      ) : (
+                        <>
+                          <Save size={14} className="mr-1" /> Save
+                        </>
+                      )}
+                    </button>
                   </div>
-                  
-                  {/* Energy Saving Tip Section */}
-                  <div className="bg-white rounded-xl shadow-md p-6">
-                    <div className="flex items-center justify-between mb-4">
-                      <h2 className="text-xl font-semibold text-gray-800">Energy Saving Tip</h2>
-                      <button 
-                        onClick={getNewTip}
-                        className="flex items-center text-blue-600 hover:text-blue-700 p-1 rounded-lg hover:bg-blue-50 transition"
+                </div>
+                {/* Share Link */}
+                {shareUrl && (
+                  <div className="mb-4 p-3 bg-blue-50 rounded-lg border border-blue-100">
+                    <p className="text-sm text-blue-700 mb-1">Share this link to show your appliance list (copied to clipboard):</p>
+                    <input
+                      type="text"
+                      readOnly
+                      value={shareUrl}
+                      aria-label="Share link"
+                      onFocus={(e) => e.target.select()}
+                      className="w-full p-2 text-sm font-mono border border-blue-200 rounded-lg bg-white"
+                    />
+                  </div>
+                )}
+                <form onSubmit={handleAddAppliance} className="space-y-5">
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                    {/* Appliance Selection */}
+                    <div>
+                      <label htmlFor="appliance-name" className="block text-sm font-medium text-gray-700 mb-1">Appliance</label>
+                      <AppliancePicker
+                        id="appliance-name"
+                        catalog={catalog}
+                        value={newAppliance}
+                        onChange={handleApplianceChange}
+                      />
+                    </div>
+                    {/* Power Input */}
+                    <div>
+                      <label htmlFor="appliance-watts" className="block text-sm font-medium text-gray-700 mb-1">Power (Watts)</label>
+                      <input 
+                        id="appliance-watts"
+                        type="number" 
+                        min="1"
+                        value={newWatts}
+                        readOnly={Boolean(newNameplate)}
+                        onChange={(e) => setNewWatts(e.target.value)}
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 transition read-only:bg-gray-50"
+                      />
+                      <button
+                        type="button"
+                        onClick={handleTogglePowerInput}
+                        className="text-xs text-blue-600 hover:text-blue-700 mt-1"
                       >
-                        <RefreshCw size={16} className="mr-1" />
-                        <span className="text-sm">New Tip</span>
+                        {newNameplate ? 'Enter watts directly' : 'Only know volts and amps? Use the label'}
                       </button>
                     </div>
-                    <div className="bg-yellow-50 p-5 rounded-lg border border-yellow-100">
-                      <div className="flex">
-                        <Lightbulb className="text-yellow-500 mr-3 flex-shrink-0 mt-1" size={24} />
-                        <p className="text-gray-800">{randomTip}</p>
-                      </div>
+                    {/* Hours Input */}
+                    <div>
+                      <label htmlFor="appliance-hours" className="block text-sm font-medium text-gray-700 mb-1">Hours Used Per Day</label>
+                      <input 
+                        id="appliance-hours"
+                        type="number" 
+                        min="0.1" 
+                        max="24" 
+                        step="0.1"
+                        value={newHours}
+                        onChange={(e) => setNewHours(e.target.value)}
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 transition"
+                      />
+                    </div>
+                    {/* Quantity Input */}
+                    <div>
+                      <label htmlFor="appliance-quantity" className="block text-sm font-medium text-gray-700 mb-1">Quantity</label>
+                      <input 
+                        id="appliance-quantity"
+                        type="number" 
+                        min="1" 
+                        step="1"
+                        value={newQuantity}
+                        onChange={(e) => setNewQuantity(e.target.value)}
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 transition"
+                      />
+                      <p className="text-xs text-gray-400 mt-1">Number of identical units, e.g. 12 light bulbs</p>
+                    </div>
+                    {/* Duty Cycle Input */}
+                    <div>
+                      <label htmlFor="appliance-duty-cycle" className="block text-sm font-medium text-gray-700 mb-1">Duty Cycle (%)</label>
+                      <input 
+                        id="appliance-duty-cycle"
+                        type="number" 
+                        min="1" 
+                        max="100" 
+                        value={newDutyCycle}
+                        onChange={(e) => setNewDutyCycle(e.target.value)}
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 transition"
+                      />
+                      <p className="text-xs text-gray-400 mt-1">Share of those hours at full power, e.g. a fridge compressor cycling</p>
+                    </div>
+                    {/* Standby Power Input */}
+                    <div>
+                      <label htmlFor="appliance-standby" className="block text-sm font-medium text-gray-700 mb-1">Standby Power (Watts)</label>
+                      <input 
+                        id="appliance-standby"
+                        type="number" 
+                        min="0" 
+                        step="0.1"
+                        value={newStandbyWatts}
+                        onChange={(e) => setNewStandbyWatts(e.target.value)}
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 transition"
+                      />
+                      <p className="text-xs text-gray-400 mt-1">Drawn while plugged in but off, for the rest of the day</p>
                     </div>
                   </div>
-                </div>
-              </>
-            ) : (
-              // Show message when there is no energy usage data yet
-              <div className="bg-white rounded-xl shadow-md p-6 text-center">
-                <div className="py-10">
-                  <h2 className="text-xl font-semibold text-gray-800 mb-3">No Data Yet</h2>
-                  <p className="text-gray-500 max-w-md mx-auto">
-                    Add some appliances in the Calculator tab to see insights about your energy usage and get personalized tips.
-                  </p>
+                  {/* Nameplate Ratings */}
+                  {newNameplate && <NameplateInput nameplate={newNameplate} onChange={handleNameplateChange} />}
                   <button 
-                    onClick={() => setActiveTab('calculator')}
-                    className="mt-4 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition"
+                    type="submit" 
+                    disabled={!canAddAppliance}
+                    aria-describedby={newNameplate ? 'nameplate-status' : undefined}
+                    className="flex items-center justify-center bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition shadow-sm disabled:opacity-50 disabled:cursor-not-allowed"
                   >
-                    Go to Calculator
+                    <PlusCircle size={18} className="mr-2" />
+                    Add Appliance
                   </button>
-                </div>
+                </form>
               </div>
-            )}
-          </section>
-        )}
 
-        {/* Learn Tab */}
-        {activeTab === 'learn' && (
-          <section className="space-y-8">
-            <div className="bg-white rounded-xl shadow-md p-6">
-              <h2 className="text-2xl font-semibold text-gray-800 mb-4">Understanding Energy Consumption</h2>
-              <div className="space-y-6">
-                {/* Kilowatt-Hour Explanation */}
-                <div className="bg-blue-50 p-5 rounded-lg">
-                  <h3 className="font-semibold text-lg text-blue-800 mb-2">What is a Kilowatt-Hour (kWh)?</h3>
-                  <p className="text-gray-700">
-                    A kilowatt-hour (kWh) is a unit of energy equal to 1,000 watt-hours. It represents the amount of energy consumed when a 1,000-watt appliance runs for one hour, or when a 100-watt appliance runs for 10 hours.
-                  </p>
-                  <div className="mt-3 p-3 bg-white rounded border border-blue-100">
-                    <p className="font-medium text-blue-700">The Formula:</p>
-                    <p className="font-mono mt-1">kWh = (Power in Watts × Hours of Use) ÷ 1,000</p>
+              {/* Custom Appliances */}
+              <CustomAppliances
+                customAppliances={customAppliances}
+                catalog={catalog}
+                onAdd={handleAddCustomAppliance}
+                onDelete={handleDeleteCustomAppliance}
+              />
+
+              {/* High-Load Calculators */}
+              <HighLoadCalculator onAdd={handleAddEstimated} />
+
+              {/* Tariff Settings */}
+              <TariffSettings tariff={tariff} onChange={setTariff} />
+            
+              {/* Energy Usage List */}
+              <div className="bg-white rounded-xl shadow-md p-6">
+                <div className="flex items-center justify-between mb-4">
+                  <h2 className="text-xl font-semibold text-gray-800">Your Energy Usage</h2>
+                  <div className="flex items-center space-x-1">
+                    <button
+                      onClick={undo}
+                      disabled={!canUndo}
+                      aria-label="Undo"
+                      title="Undo (Ctrl+Z)"
+                      className="text-gray-600 hover:text-blue-600 transition p-1 rounded-full hover:bg-blue-50 disabled:opacity-30"
+                    >
+                      <Undo2 size={18} />
+                    </button>
+                    <button
+                      onClick={redo}
+                      disabled={!canRedo}
+                      aria-label="Redo"
+                      title="Redo (Ctrl+Shift+Z)"
+                      className="text-gray-600 hover:text-blue-600 transition p-1 rounded-full hover:bg-blue-50 disabled:opacity-30"
+                    >
+                      <Redo2 size={18} />
+                    </button>
                   </div>
                 </div>
-                {/* Energy Conversion Explanation */}
-                <div>
-                  <h3 className="font-semibold text-lg text-gray-800 mb-2">Energy Conversion and Efficiency</h3>
-                  <p className="text-gray-600 mb-3">
-                    When electrical energy flows into your appliances, it transforms into other forms of energy:
-                  </p>
-                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
-                    <div className="bg-green-50 p-4 rounded-lg border border-green-100">
-                      <h4 className="font-medium text-green-800 mb-2">Light Energy</h4>
-                      <p className="text-sm text-gray-600">
-                        Bulbs convert electricity to light, but incandescent bulbs waste 90% as heat, while LEDs are much more efficient.
-                      </p>
+                {usageItems.length === 0 ? (
+                  <div className="text-center py-10 bg-gray-50 rounded-lg border border-dashed border-gray-300">
+                    <p className="text-gray-500">Add some appliances to see your energy consumption</p>
+                    <p className="text-sm text-gray-400 mt-1">Your data will be saved in your browser</p>
+                  </div>
+                ) : (
+                  <UsageTable
+                    items={usageItems}
+                    totals={{ active: activeKwh, standby: standbyKwh, total: totalKwh }}
+                    costSummary={costSummary}
+                    onUpdate={handleUpdateItem}
+                    onDuplicate={handleDuplicateItem}
+                    onDelete={handleDeleteItems}
+                  />
+                )}
+              </div>
+
+              {/* Import & Export */}
+              <InventoryTransfer
+                items={usageItems}
+                effectiveRate={costSummary.effectiveRate}
+                onImport={handleImportInventory}
+                catalog={catalog}
+              />
+            </section>
+          } />
+
+          {/* Insights Tab */}
+          <Route path="/insights" element={
+            <section className="space-y-8">
+              {usageItems.length > 0 ? (
+                <>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    {/* Comparison Section */}
+                    <div className="bg-white rounded-xl shadow-md p-6">
+                      <h2 className="text-xl font-semibold text-gray-800 mb-4">How You Compare</h2>
+                      <BenchmarkSelector
+                        selection={settings.benchmark}
+                        onChange={(selection) => handleSettingsChange({ benchmark: selection })}
+                      />
+                      <div className="flex items-center mb-4">
+                        <div className="w-full bg-gray-200 rounded-full h-6 overflow-hidden">
+                          <div 
+                            className={`h-6 rounded-full ${comparisonPercentage > 100 ? 'bg-red-500' : 'bg-green-500'}`}
+                            style={{ width: `${Math.min(comparisonPercentage, 200)}%` }}
+                          ></div>
+                        </div>
+                      </div>
+                      <div className="flex justify-between mb-4">
+                        <div>
+                          <p className="text-sm text-gray-500">Your Daily Usage</p>
+                          <p className="text-2xl font-bold text-blue-600">{totalKwh.toFixed(2)} kWh</p>
+                        </div>
+                        <div className="text-right">
+                          <p className="text-sm text-gray-500">Similar Homes</p>
+                          <p className="text-2xl font-bold text-gray-600">{benchmark.dailyKwh.toFixed(1)} kWh</p>
+                        </div>
+                      </div>
+                      <div className="grid grid-cols-3 gap-4 mb-4 text-sm">
+                        <div>
+                          <p className="text-gray-500">Weekly</p>
+                          <p className="font-semibold text-gray-700">{energyProjection.weekly.toFixed(1)} kWh</p>
+                        </div>
+                        <div>
+                          <p className="text-gray-500">Monthly</p>
+                          <p className="font-semibold text-gray-700">{energyProjection.monthly.toFixed(1)} kWh</p>
+                        </div>
+                        <div>
+                          <p className="text-gray-500">Annual</p>
+                          <p className="font-semibold text-gray-700">{energyProjection.annual.toFixed(0)} kWh</p>
+                        </div>
+                      </div>
+                      <div className="bg-gray-50 rounded-lg p-4 border border-gray-100">
+                        <p className={`font-medium ${getEfficiencyClass()}`}>
+                          <span role="img" aria-label={comparisonBand.label}>{comparisonBand.emoji}</span> {comparisonBand.message}
+                        </p>
+                        <p className="text-sm text-gray-600 mt-1">
+                          {describeComparison(comparisonPercentage)}
+                        </p>
+                        <p className="text-xs text-gray-400 mt-2">Benchmark: {benchmark.label}</p>
+                      </div>
                     </div>
-                    <div className="bg-red-50 p-4 rounded-lg border border-red-100">
-                      <h4 className="font-medium text-red-800 mb-2">Heat Energy</h4>
-                      <p className="text-sm text-gray-600">
-                        Heaters, ovens, and toasters convert electricity to heat through electrical resistance.
-                      </p>
+                  
+                    {/* Cost Section */}
+                    <div className="bg-white rounded-xl shadow-md p-6">
+                      <h2 className="text-xl font-semibold text-gray-800 mb-4">What It Costs You</h2>
+                      <div className="grid grid-cols-3 gap-4 mb-4">
+                        <div>
+                          <p className="text-sm text-gray-500">Daily</p>
+                          <p className="text-2xl font-bold text-blue-600">{formatCurrency(costSummary.daily)}</p>
+                        </div>
+                        <div>
+                          <p className="text-sm text-gray-500">Monthly</p>
+                          <p className="text-2xl font-bold text-blue-600">{formatCurrency(costSummary.monthly)}</p>
+                        </div>
+                        <div>
+                          <p className="text-sm text-gray-500">Annual</p>
+                          <p className="text-2xl font-bold text-blue-600">{formatCurrency(costSummary.annual)}</p>
+                        </div>
+                      </div>
+                      <div className="flex justify-between text-sm text-gray-600 mb-4">
+                        <span>Phantom (standby) load</span>
+                        <span className="font-medium">
+                          {standbyKwh.toFixed(2)} kWh/day · {formatCurrency(standbyKwh * costSummary.effectiveRate * DAYS_PER_YEAR)}/year
+                        </span>
+                      </div>
+                      <div className="bg-gray-50 rounded-lg p-4 border border-gray-100 text-sm text-gray-600">
+                        Average rate of {formatCurrency(costSummary.effectiveRate)}/kWh plus a {formatCurrency(costSummary.serviceCharge)} monthly service charge.
+                      </div>
                     </div>
-                    <div className="bg-purple-50 p-4 rounded-lg border border-purple-100">
-                      <h4 className="font-medium text-purple-800 mb-2">Mechanical Energy</h4>
-                      <p className="text-sm text-gray-600">
-                        Motors in fans, washers, and refrigerators convert electricity to motion.
+
+                    {/* Energy Saving Recommendations */}
+                    <Recommendations
+                      recommendations={getRecommendations(usageItems)}
+                      effectiveRate={costSummary.effectiveRate}
+                      genericTip={genericTip}
+                      onNewTip={getNewTip}
+                    />
+                  </div>
+
+                  {/* Budget and Snapshot History */}
+                  <BudgetTracker
+                    usage={{ kWh: totalKwh, cost: costSummary.daily }}
+                    snapshots={snapshots}
+                    budget={settings.budget}
+                    onBudgetChange={(budget) => handleSettingsChange({ budget })}
+                  />
+
+                  {/* Seasonal Projection */}
+                  <SeasonalProjection usageItems={usageItems} effectiveRate={costSummary.effectiveRate} />
+
+                  {/* Daily Load Profile */}
+                  <LoadProfile
+                    usageItems={usageItems}
+                    limit={settings.loadLimit}
+                    onLimitChange={(limit) => handleSettingsChange({ loadLimit: limit })}
+                  />
+
+                  {/* Carbon Footprint */}
+                  <CarbonFootprint
+                    usageItems={usageItems}
+                    factorId={settings.emissionFactorId}
+                    customFactor={settings.customEmissionFactor}
+                    onChange={handleSettingsChange}
+                  />
+
+                  {/* Consumption Dashboard */}
+                  <UsageDashboard
+                    usageItems={usageItems}
+                    totalKwh={totalKwh}
+                    referenceKwh={benchmark.dailyKwh}
+                    referenceLabel="Similar Homes"
+                    onGoToCalculator={() => navigate('/calculator')}
+                  />
+                </>
+              ) : (
+                // Show message when there is no energy usage data yet
+                <EmptyState
+                  message="Add some appliances in the Calculator tab to see insights about your energy usage and get personalized tips."
+                  actionLabel="Go to Calculator"
+                  onAction={() => navigate('/calculator')}
+                />
+              )}
+
+              {/* Smart-Meter Comparison */}
+              <MeterComparison
+                meter={meter}
+                estimatedKwh={totalKwh}
+                onLoad={setMeter}
+                onClear={() => setMeter(null)}
+              />
+
+              {/* Profile Comparison */}
+              {currentProfiles.length > 1 && (
+                <ProfileComparison profiles={currentProfiles} activeProfileId={activeProfileId} />
+              )}
+            </section>
+          } />
+
+          {/* What If Tab */}
+          <Route path="/what-if" element={
+            <section className="space-y-8">
+              {usageItems.length > 0 ? (
+                <>
+                  <UpgradeSimulator
+                    items={usageItems}
+                    tariff={tariff}
+                    upgrades={upgrades}
+                    onChange={setUpgrades}
+                    catalog={catalog}
+                  />
+
+                  {/* Solar and Battery */}
+                  <SolarSimulator
+                    usageItems={usageItems}
+                    system={settings.solar}
+                    benchmark={benchmark}
+                    onChange={(solar) => handleSettingsChange({ solar })}
+                  />
+                </>
+              ) : (
+                <EmptyState
+                  message="Add some appliances in the Calculator tab to try out upgrades and see how quickly they pay for themselves."
+                  actionLabel="Go to Calculator"
+                  onAction={() => navigate('/calculator')}
+                />
+              )}
+            </section>
+          } />
+
+          {/* Learn Tab */}
+          <Route path="/learn" element={
+            <section className="space-y-8">
+              <div className="bg-white rounded-xl shadow-md p-6">
+                <h2 className="text-2xl font-semibold text-gray-800 mb-4">Understanding Energy Consumption</h2>
+                <div className="space-y-6">
+                  {/* Kilowatt-Hour Explanation */}
+                  <div className="bg-blue-50 p-5 rounded-lg">
+                    <h3 className="font-semibold text-lg text-blue-800 mb-2">What is a Kilowatt-Hour (kWh)?</h3>
+                    <p className="text-gray-700">
+                      A kilowatt-hour (kWh) is a unit of energy equal to 1,000 watt-hours. It represents the amount of energy consumed when a 1,000-watt appliance runs for one hour, or when a 100-watt appliance runs for 10 hours.
+                    </p>
+                    <div className="mt-3 p-3 bg-white rounded border border-blue-100">
+                      <p className="font-medium text-blue-700">The Formula:</p>
+                      <p className="font-mono mt-1">kWh = (Power in Watts × Hours of Use) ÷ 1,000</p>
+                    </div>
+                    <p className="text-gray-700 mt-3">
+                      If an appliance's label lists volts and amps instead of watts, multiply them. Motors and electronics draw some current that does no work, so their power factor, when the label gives one, scales the result down. The calculator works out the watts this way when you add an appliance from its label, and shows the same sum in its row:
+                    </p>
+                    <div className="mt-3 p-3 bg-white rounded border border-blue-100">
+                      <p className="font-mono">Power (W) = Volts × Amps × Power Factor</p>
+                      <p className="font-mono mt-1 text-sm text-gray-600">
+                        e.g. {formatNameplate(EXAMPLE_NAMEPLATE)}, so {EXAMPLE_NAMEPLATE_HOURS} hours of use is{' '}
+                        ({calculateNameplateWatts(EXAMPLE_NAMEPLATE)} × {EXAMPLE_NAMEPLATE_HOURS}) ÷ 1,000 ={' '}
+                        {calculateItemKwh(calculateNameplateWatts(EXAMPLE_NAMEPLATE), EXAMPLE_NAMEPLATE_HOURS)} kWh
                       </p>
                     </div>
+                    <p className="text-gray-700 mt-3">
+                      Many appliances don't draw full power the whole time they are on. A refrigerator's compressor, for example, cycles on and off to hold its temperature, and devices left plugged in keep drawing a little "standby" power when switched off. The calculator accounts for both:
+                    </p>
+                    <div className="mt-3 p-3 bg-white rounded border border-blue-100">
+                      <p className="font-mono">Active kWh = (Watts × Hours × Duty Cycle %) ÷ 1,000</p>
+                      <p className="font-mono mt-1">Standby kWh = (Standby Watts × (24 − Hours)) ÷ 1,000</p>
+                    </div>
+                    <p className="text-gray-700 mt-3">
+                      Appliances with a schedule are worked out day by day: each weekday's hours are scaled by the month's seasonal multiplier, and the daily figures shown are the average day of the year.
+                    </p>
+                    <p className="text-gray-700 mt-3">
+                      Energy is power over time, but a breaker cares about power at a single moment. If a 3,000 W dryer and a 2,000 W oven run at 19:00, the circuit carries 5,000 W, or about 21 A at 240 V:
+                    </p>
+                    <div className="mt-3 p-3 bg-white rounded border border-blue-100">
+                      <p className="font-mono">Current (A) = Power (W) ÷ Voltage (V)</p>
+                    </div>
+                    <p className="text-gray-700 mt-3">
+                      Breakers should carry no more than 80% of their rating for long periods. Give your appliances times of day in their schedules and the Insights tab charts when your load peaks.
+                    </p>
+                  </div>
+                  {/* Energy Conversion Explanation */}
+                  <div>
+                    <h3 className="font-semibold text-lg text-gray-800 mb-2">Energy Conversion and Efficiency</h3>
+                    <p className="text-gray-600 mb-3">
+                      When electrical energy flows into your appliances, it transforms into other forms of energy:
+                    </p>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+                      <div className="bg-green-50 p-4 rounded-lg border border-green-100">
+                        <h4 className="font-medium text-green-800 mb-2">Light Energy</h4>
+                        <p className="text-sm text-gray-600">
+                          Bulbs convert electricity to light, but incandescent bulbs waste 90% as heat, while LEDs are much more efficient.
+                        </p>
+                      </div>
+                      <div className="bg-red-50 p-4 rounded-lg border border-red-100">
+                        <h4 className="font-medium text-red-800 mb-2">Heat Energy</h4>
+                        <p className="text-sm text-gray-600">
+                          Heaters, ovens, and toasters convert electricity to heat through electrical resistance.
+                        </p>
+                      </div>
+                      <div className="bg-purple-50 p-4 rounded-lg border border-purple-100">
+                        <h4 className="font-medium text-purple-800 mb-2">Mechanical Energy</h4>
+                        <p className="text-sm text-gray-600">
+                          Motors in fans, washers, and refrigerators convert electricity to motion.
+                        </p>
+                      </div>
+                    </div>
+                  </div>
+                  {/* Energy Efficiency Explanation */}
+                  <div className="bg-gray-50 p-5 rounded-lg">
+                    <h3 className="font-semibold text-lg text-gray-800 mb-2">Why Does Energy Efficiency Matter?</h3>
+                    <p className="text-gray-600 mb-3">
+                      Energy efficiency reduces environmental impact by decreasing greenhouse gas emissions, conserving non-renewable resources, and reducing pollution.
+                    </p>
+                    <ul className="list-disc pl-5 space-y-1 text-gray-600">
+                      <li>Lower greenhouse gas emissions</li>
+                      <li>Conservation of non-renewable resources</li>
+                      <li>Reduction in pollution</li>
+                    </ul>
+                    <p className="mt-3 text-gray-600">
+                      Every kWh saved means a step towards a cleaner, more sustainable future.
+                    </p>
+                    <div className="mt-3 p-3 bg-white rounded border border-gray-200">
+                      <p className="font-mono">CO₂e (kg) = Energy (kWh) × Grid Emission Factor (kg/kWh)</p>
+                    </div>
+                    <p className="mt-3 text-gray-600">
+                      The emission factor depends on how your grid generates electricity: coal-heavy grids emit several times
+                      more per kWh than grids run on hydro, nuclear, wind or solar. Pick your region on the Insights tab.
+                    </p>
                   </div>
-                </div>
-                {/* Energy Efficiency Explanation */}
-                <div className="bg-gray-50 p-5 rounded-lg">
-                  <h3 className="font-semibold text-lg text-gray-800 mb-2">Why Does Energy Efficiency Matter?</h3>
-                  <p className="text-gray-600 mb-3">
-                    Energy efficiency reduces environmental impact by decreasing greenhouse gas emissions, conserving non-renewable resources, and reducing pollution.
-                  </p>
-                  <ul className="list-disc pl-5 space-y-1 text-gray-600">
-                    <li>Lower greenhouse gas emissions</li>
-                    <li>Conservation of non-renewable resources</li>
-                    <li>Reduction in pollution</li>
-                  </ul>
-                  <p className="mt-3 text-gray-600">
-                    Every kWh saved means a step towards a cleaner, more sustainable future.
-                  </p>
                 </div>
               </div>
-            </div>
-          </section>
-        )}
+            </section>
+          } />
+
+          {/* Report Tab */}
+          <Route path="/report" element={
+            <ReportView report={auditReport} onDownload={handleDownloadReport} />
+          } />
+
+          {/* Shared Household (read-only view of a share link) */}
+          <Route path="/shared/:payload" element={<SharedHousehold onImport={handleImportShared} />} />
+
+          {/* Anything else, including the site root, opens the Calculator */}
+          <Route path="*" element={<Navigate to="/calculator" replace />} />
+        </Routes>
       </main>
       
       {/* Footer Section */}
-      <footer className="mt-8 bg-gray-100 border-t border-gray-200">
+      <footer className="mt-8 bg-gray-100 border-t border-gray-200 print:hidden">
         <div className="max-w-6xl mx-auto px-4 py-6">
           <div className="flex flex-col md:flex-row justify-between items-center">
             <div className="mb-4 md:mb-0">
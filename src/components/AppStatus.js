@@ -0,0 +1,70 @@
+/**
+ * AppStatus.js
+ *
+ * Banners about the app itself rather than the household: a notice while the browser is
+ * offline or when offline use could not be set up, and a prompt to reload when a new
+ * version has been deployed.
+ */
+
+import React from 'react';
+import { WifiOff, RefreshCw } from 'lucide-react';
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.isOnline - Whether the browser has a network connection.
+ * @param {boolean} props.updateAvailable - Whether a new version is waiting.
+ * @param {boolean} [props.offlineUnavailable] - Whether the service worker could not be registered.
+ * @param {Function} props.onUpdate - Reloads into the new version.
+ * @param {Function} props.onDismissUpdate - Hides the update prompt.
+ */
+export default function AppStatus({ isOnline, updateAvailable, offlineUnavailable = false, onUpdate, onDismissUpdate }) {
+  if (isOnline && !updateAvailable && !offlineUnavailable) return null;
+
+  return (
+    <div className="space-y-3 mb-6 print:hidden">
+      {/* Offline Indicator */}
+      {!isOnline && (
+        <div role="status" className="flex items-start bg-gray-100 border border-gray-300 rounded-lg p-4">
+          <WifiOff size={20} className="text-gray-600 mr-3 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-gray-800">
+            You're offline. Watt's Up? keeps working, and everything you save stays in this browser.
+          </p>
+        </div>
+      )}
+
+      {/* Offline Support Failure */}
+      {isOnline && offlineUnavailable && (
+        <div role="status" className="flex items-start bg-gray-100 border border-gray-300 rounded-lg p-4">
+          <WifiOff size={20} className="text-gray-600 mr-3 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-gray-800">
+            Offline use could not be set up in this browser, so Watt's Up? needs a connection to open.
+          </p>
+        </div>
+      )}
+
+      {/* Update Prompt */}
+      {updateAvailable && (
+        <div role="alert" className="flex items-center bg-blue-50 border border-blue-200 rounded-lg p-4">
+          <RefreshCw size={20} className="text-blue-600 mr-3 flex-shrink-0" />
+          <p className="flex-1 text-sm text-gray-800">
+            A new version of Watt's Up? is available. Save your changes, then reload to start using it.
+          </p>
+          <div className="flex items-center space-x-3 ml-4">
+            <button
+              onClick={onUpdate}
+              className="bg-blue-600 hover:bg-blue-700 text-white text-sm px-3 py-1.5 rounded-lg transition"
+            >
+              Reload
+            </button>
+            <button
+              onClick={onDismissUpdate}
+              className="text-sm text-gray-500 hover:text-gray-700 transition"
+            >
+              Later
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,150 @@
+/**
+ * AppliancePicker.js
+ *
+ * Searchable replacement for the appliance <select>: a text box that filters the catalog
+ * by name, category or notes, with the matches grouped by category. Pick a match with the
+ * mouse, or with the arrow keys and Enter; a name typed in full is highlighted, and picked
+ * right away only when nothing else matches, so longer names can still be typed.
+ */
+
+import React, { useState } from 'react';
+import { Search } from 'lucide-react';
+import { searchCatalog, groupByCategory, findCatalogEntry } from '../utils/catalog';
+
+/**
+ * @param {Object} props
+ * @param {string} props.id - Id of the text box, for its label.
+ * @param {Array<Object>} props.catalog - Catalog entries to pick from (see buildCatalog).
+ * @param {string} props.value - Name of the selected appliance.
+ * @param {Function} props.onChange - Called with the name of the picked appliance.
+ */
+export default function AppliancePicker({ id, catalog, value, onChange }) {
+  const [query, setQuery] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+
+  const groups = groupByCategory(searchCatalog(catalog, query));
+  // Matches in the order they are listed, for moving through them with the arrow keys
+  const matches = groups.flatMap(group => group.entries);
+  const listId = `${id}-options`;
+
+  /**
+   * Picks an appliance and closes the list.
+   *
+   * @param {Object} entry - The catalog entry.
+   */
+  const pick = (entry) => {
+    onChange(entry.name);
+    setIsOpen(false);
+    setQuery('');
+  };
+
+  /**
+   * Filters the list as the user types. A name typed in full is highlighted, so Enter picks it,
+   * and is picked at once if it is the only match ("TV" still lists "TV Soundbar", and "Other"
+   * lists the Other category).
+   *
+   * @param {React.ChangeEvent} e - Change event of the text box.
+   */
+  const handleQueryChange = (e) => {
+    const results = searchCatalog(catalog, e.target.value);
+    const exact = findCatalogEntry(catalog, e.target.value);
+    if (exact && results.length === 1 && results[0] === exact) {
+      pick(exact);
+      return;
+    }
+    const listed = groupByCategory(results).flatMap(group => group.entries);
+    setQuery(e.target.value);
+    setHighlighted(exact ? Math.max(listed.indexOf(exact), 0) : 0);
+    setIsOpen(true);
+  };
+
+  /**
+   * Moves through the matches with the arrow keys, picks one with Enter and closes the list with Escape.
+   *
+   * @param {React.KeyboardEvent} e - Key event of the text box.
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!isOpen) {
+        setIsOpen(true);
+        return;
+      }
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setHighlighted((highlighted + step + matches.length) % Math.max(matches.length, 1));
+    } else if (e.key === 'Enter' && isOpen) {
+      // Keep Enter from submitting the surrounding form while choosing
+      e.preventDefault();
+      if (matches[highlighted]) pick(matches[highlighted]);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+      setQuery('');
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="relative">
+        <Search size={16} className="absolute left-2 top-1/2 -translate-y-1/2 text-gray-400" />
+        <input
+          id={id}
+          type="text"
+          role="combobox"
+          aria-expanded={isOpen}
+          aria-controls={listId}
+          aria-autocomplete="list"
+          autoComplete="off"
+          placeholder="Search appliances…"
+          value={isOpen ? query : value}
+          onFocus={() => { setIsOpen(true); setQuery(''); setHighlighted(0); }}
+          onBlur={() => { setIsOpen(false); setQuery(''); }}
+          onChange={handleQueryChange}
+          onKeyDown={handleKeyDown}
+          className="w-full p-2 pl-8 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 transition"
+        />
+      </div>
+
+      {/* Matches */}
+      {isOpen && (
+        <div
+          id={listId}
+          role="listbox"
+          className="absolute z-10 mt-1 w-full max-h-72 overflow-y-auto bg-white border border-gray-200 rounded-lg shadow-lg"
+        >
+          {groups.length === 0 && (
+            <p className="px-3 py-2 text-sm text-gray-500">No appliances match. Add your own under My Appliances.</p>
+          )}
+          {groups.map(group => (
+            <div key={group.category.id} role="group" aria-label={group.category.label}>
+              <p className="px-3 pt-2 pb-1 text-xs font-medium text-gray-500 uppercase tracking-wider">{group.category.label}</p>
+              {group.entries.map(entry => {
+                const index = matches.indexOf(entry);
+                return (
+                  <div
+                    key={`${entry.isCustom ? 'custom' : 'builtin'}-${entry.name}`}
+                    role="option"
+                    aria-selected={index === highlighted}
+                    // Pick on mouse down, before the text box loses focus and closes the list
+                    onMouseDown={(e) => { e.preventDefault(); pick(entry); }}
+                    onMouseEnter={() => setHighlighted(index)}
+                    className={`px-3 py-2 text-sm cursor-pointer ${index === highlighted ? 'bg-blue-50' : ''}`}
+                  >
+                    <div className="flex items-center justify-between">
+                      <span className={entry.name === value ? 'font-semibold text-blue-700' : 'text-gray-800'}>{entry.name}</span>
+                      <span className="text-xs text-gray-400">
+                        {entry.isCustom && <span className="mr-2 px-1.5 py-0.5 rounded bg-purple-100 text-purple-700">Custom</span>}
+                        {entry.watts} W
+                      </span>
+                    </div>
+                    {entry.notes && <p className="text-xs text-gray-500">{entry.notes}</p>}
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
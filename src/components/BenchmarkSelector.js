@@ -0,0 +1,56 @@
+/**
+ * BenchmarkSelector.js
+ *
+ * Chooses the peer group the household is compared against: a country or US state,
+ * adjusted for household size, home type and climate zone.
+ */
+
+import React from 'react';
+import { BENCHMARK_ADJUSTMENTS, BENCHMARK_GROUPS, BENCHMARK_REGIONS } from '../data/benchmarks';
+
+const SELECT_CLASS = 'w-full p-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 transition';
+const LABEL_CLASS = 'block text-xs font-medium text-gray-600 mb-1';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.selection - { regionId, householdSize, homeType, climateZone }.
+ * @param {Function} props.onChange - Called with the updated selection.
+ */
+export default function BenchmarkSelector({ selection, onChange }) {
+  return (
+    <div className="grid grid-cols-2 gap-3 mb-4">
+      <div>
+        <label htmlFor="benchmark-region" className={LABEL_CLASS}>Region</label>
+        <select
+          id="benchmark-region"
+          value={selection.regionId}
+          onChange={(e) => onChange({ ...selection, regionId: e.target.value })}
+          className={SELECT_CLASS}
+        >
+          {Object.values(BENCHMARK_GROUPS).map(group => (
+            <optgroup key={group} label={group}>
+              {BENCHMARK_REGIONS.filter(region => region.group === group).map(region => (
+                <option key={region.id} value={region.id}>{region.name}</option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+      </div>
+      {BENCHMARK_ADJUSTMENTS.map(adjustment => (
+        <div key={adjustment.key}>
+          <label htmlFor={`benchmark-${adjustment.key}`} className={LABEL_CLASS}>{adjustment.label}</label>
+          <select
+            id={`benchmark-${adjustment.key}`}
+            value={selection[adjustment.key]}
+            onChange={(e) => onChange({ ...selection, [adjustment.key]: e.target.value })}
+            className={SELECT_CLASS}
+          >
+            {adjustment.options.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      ))}
+    </div>
+  );
+}
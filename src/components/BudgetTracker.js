@@ -0,0 +1,257 @@
+/**
+ * BudgetTracker.js
+ *
+ * Insights card for an energy budget: a kWh or cost limit per day or per month, how the
+ * current estimate measures up, a chart of every saved snapshot against the budget, and
+ * the appliance-by-appliance changes between any two snapshots.
+ */
+
+import React, { useState } from 'react';
+import { ResponsiveContainer, BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine } from 'recharts';
+import { AlertTriangle, CheckCircle } from 'lucide-react';
+import {
+  BUDGET_PERIODS,
+  BUDGET_UNITS,
+  BUDGET_STATUS,
+  evaluateBudget,
+  getBudgetUsage,
+  formatBudgetAmount
+} from '../engine/budget';
+import { compareHouseholds, COMPARISON_STATUS } from '../engine/comparison';
+
+const INPUT_CLASS = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 transition';
+const LABEL_CLASS = 'block text-sm font-medium text-gray-700 mb-1';
+const TH_CLASS = 'px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+// Bar colors of snapshots within and over the budget, and of the budget line
+const UNDER_COLOR = '#2563eb';
+const OVER_COLOR = '#dc2626';
+const BUDGET_COLOR = '#9ca3af';
+
+// Look of the status message for each budget status
+const STATUS_STYLES = {
+  [BUDGET_STATUS.UNDER]: { className: 'bg-green-50 border-green-100 text-green-800', bar: 'bg-green-500' },
+  [BUDGET_STATUS.NEAR]: { className: 'bg-yellow-50 border-yellow-200 text-yellow-800', bar: 'bg-yellow-500' },
+  [BUDGET_STATUS.OVER]: { className: 'bg-red-50 border-red-200 text-red-700', bar: 'bg-red-500' }
+};
+
+/**
+ * Formats a snapshot's date for the chart and the selectors.
+ *
+ * @param {string} date - Local date, e.g. "2025-05-09".
+ * @returns {string} e.g. "May 9, 2025".
+ */
+const formatDate = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+/**
+ * Formats a difference in kWh/day with its sign.
+ *
+ * @param {number} value - The difference.
+ * @returns {string} e.g. "+1.20" or "-0.35".
+ */
+const formatDiff = (value) => `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+
+/**
+ * @param {Object} props
+ * @param {{kWh: number, cost: number}} props.usage - The current estimate's daily energy and cost.
+ * @param {Array<Object>} props.snapshots - The profile's saved snapshots, oldest first (see utils/history.js).
+ * @param {{amount: ?number, period: string, unit: string}} props.budget - The profile's budget.
+ * @param {Function} props.onBudgetChange - Called with the changed budget.
+ */
+export default function BudgetTracker({ usage, snapshots, budget, onBudgetChange }) {
+  // Dates of the snapshots being compared; null picks the oldest and the newest
+  const [fromDate, setFromDate] = useState(null);
+  const [toDate, setToDate] = useState(null);
+
+  const evaluation = evaluateBudget(usage, budget);
+  const periodLabel = budget.period === BUDGET_PERIODS.MONTHLY ? 'a month' : 'a day';
+  const history = snapshots.map(snapshot => ({
+    label: formatDate(snapshot.date),
+    value: getBudgetUsage(snapshot, budget)
+  }));
+
+  const from = snapshots.find(snapshot => snapshot.date === fromDate) || snapshots[0];
+  const to = snapshots.find(snapshot => snapshot.date === toDate) || snapshots[snapshots.length - 1];
+  const comparison = snapshots.length > 1 ? compareHouseholds(from.items, to.items) : null;
+  const changedRows = comparison ? comparison.rows.filter(row => row.status !== COMPARISON_STATUS.UNCHANGED) : [];
+
+  /**
+   * Updates the budget amount; a blank or non-positive amount removes the budget.
+   *
+   * @param {React.ChangeEvent} e - Change event of the amount input.
+   */
+  const handleAmountChange = (e) => {
+    const amount = parseFloat(e.target.value);
+    onBudgetChange({ ...budget, amount: amount > 0 ? amount : null });
+  };
+
+  const style = STATUS_STYLES[evaluation.status];
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-1">Budget and Progress</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Set a goal for your energy use or bill. Every day you save, a snapshot of your appliances is kept, so you can see how changes add up.
+      </p>
+
+      {/* Budget Settings */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <div>
+          <label htmlFor="budget-amount" className={LABEL_CLASS}>Budget</label>
+          <input
+            id="budget-amount"
+            type="number"
+            min="0"
+            step={budget.unit === BUDGET_UNITS.COST ? '0.01' : '1'}
+            placeholder="No budget"
+            value={budget.amount == null ? '' : budget.amount}
+            onChange={handleAmountChange}
+            className={INPUT_CLASS}
+          />
+        </div>
+        <div>
+          <label htmlFor="budget-unit" className={LABEL_CLASS}>Measured In</label>
+          <select
+            id="budget-unit"
+            value={budget.unit}
+            onChange={(e) => onBudgetChange({ ...budget, unit: e.target.value })}
+            className={INPUT_CLASS}
+          >
+            <option value={BUDGET_UNITS.KWH}>Energy (kWh)</option>
+            <option value={BUDGET_UNITS.COST}>Cost ($)</option>
+          </select>
+        </div>
+        <div>
+          <label htmlFor="budget-period" className={LABEL_CLASS}>Per</label>
+          <select
+            id="budget-period"
+            value={budget.period}
+            onChange={(e) => onBudgetChange({ ...budget, period: e.target.value })}
+            className={INPUT_CLASS}
+          >
+            <option value={BUDGET_PERIODS.DAILY}>Day</option>
+            <option value={BUDGET_PERIODS.MONTHLY}>Month</option>
+          </select>
+        </div>
+      </div>
+
+      {/* Current Status */}
+      {evaluation.status !== BUDGET_STATUS.NONE && (
+        <div
+          role={evaluation.status === BUDGET_STATUS.OVER ? 'alert' : 'status'}
+          className={`p-4 mb-6 rounded-lg border ${style.className}`}
+        >
+          <p className="flex items-center font-medium">
+            {evaluation.status === BUDGET_STATUS.UNDER
+              ? <CheckCircle size={18} className="mr-2" />
+              : <AlertTriangle size={18} className="mr-2" />}
+            {evaluation.status === BUDGET_STATUS.OVER && `Over budget by ${formatBudgetAmount(-evaluation.remaining, budget.unit)}`}
+            {evaluation.status === BUDGET_STATUS.NEAR && `Close to your budget: ${formatBudgetAmount(evaluation.remaining, budget.unit)} left`}
+            {evaluation.status === BUDGET_STATUS.UNDER && `Within budget: ${formatBudgetAmount(evaluation.remaining, budget.unit)} left`}
+          </p>
+          <p className="text-sm mt-1">
+            Your current estimate is {formatBudgetAmount(evaluation.actual, budget.unit)} {periodLabel}, {evaluation.percentage.toFixed(0)}% of your {formatBudgetAmount(evaluation.limit, budget.unit)} budget.
+          </p>
+          <div className="w-full bg-white rounded-full h-2 mt-2 overflow-hidden">
+            <div className={`h-2 rounded-full ${style.bar}`} style={{ width: `${Math.min(evaluation.percentage, 100)}%` }}></div>
+          </div>
+        </div>
+      )}
+
+      {/* History Chart */}
+      {snapshots.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-6 bg-gray-50 rounded-lg border border-dashed border-gray-300">
+          Save your data to take the first snapshot. Save again after a change to see your progress.
+        </p>
+      ) : (
+        <div className="h-64">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={history}>
+              <CartesianGrid strokeDasharray="3 3" vertical={false} />
+              <XAxis dataKey="label" />
+              <YAxis />
+              <Tooltip formatter={(value) => formatBudgetAmount(value, budget.unit)} />
+              {evaluation.limit != null && (
+                <ReferenceLine y={evaluation.limit} stroke={BUDGET_COLOR} strokeDasharray="4 4" label="Budget" />
+              )}
+              <Bar dataKey="value" name={`Saved estimate, ${periodLabel}`}>
+                {history.map(entry => (
+                  <Cell
+                    key={entry.label}
+                    fill={evaluation.limit != null && entry.value > evaluation.limit ? OVER_COLOR : UNDER_COLOR}
+                  />
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {/* Snapshot Comparison */}
+      {comparison && (
+        <div className="mt-6">
+          <h3 className="font-semibold text-gray-800 mb-3">What Changed</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label htmlFor="snapshot-from" className={LABEL_CLASS}>From</label>
+              <select id="snapshot-from" value={from.date} onChange={(e) => setFromDate(e.target.value)} className={INPUT_CLASS}>
+                {snapshots.map(snapshot => (
+                  <option key={snapshot.date} value={snapshot.date}>{formatDate(snapshot.date)}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="snapshot-to" className={LABEL_CLASS}>To</label>
+              <select id="snapshot-to" value={to.date} onChange={(e) => setToDate(e.target.value)} className={INPUT_CLASS}>
+                {snapshots.map(snapshot => (
+                  <option key={snapshot.date} value={snapshot.date}>{formatDate(snapshot.date)}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          {changedRows.length === 0 ? (
+            <p className="text-sm text-gray-500">No appliances changed between these snapshots.</p>
+          ) : (
+            <div className="overflow-x-auto rounded-lg border border-gray-200">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className={TH_CLASS}>Appliance</th>
+                    <th className={TH_CLASS}>{formatDate(from.date)} (kWh/day)</th>
+                    <th className={TH_CLASS}>{formatDate(to.date)} (kWh/day)</th>
+                    <th className={TH_CLASS}>Change</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {changedRows.map(row => (
+                    <tr key={row.name}>
+                      <td className="px-4 py-3">{row.name}</td>
+                      <td className="px-4 py-3">{row.status === COMPARISON_STATUS.ADDED ? '—' : row.kWhA.toFixed(2)}</td>
+                      <td className="px-4 py-3">{row.status === COMPARISON_STATUS.REMOVED ? '—' : row.kWhB.toFixed(2)}</td>
+                      <td className={`px-4 py-3 font-medium ${row.diffKwh < 0 ? 'text-green-600' : 'text-red-600'}`}>
+                        {formatDiff(row.diffKwh)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot className="bg-gray-50 font-semibold">
+                  <tr>
+                    <td className="px-4 py-3">Total</td>
+                    <td className="px-4 py-3">{comparison.totals.kWhA.toFixed(2)}</td>
+                    <td className="px-4 py-3">{comparison.totals.kWhB.toFixed(2)}</td>
+                    <td className={`px-4 py-3 ${comparison.totals.diffKwh < 0 ? 'text-green-600' : 'text-red-600'}`}>
+                      {formatDiff(comparison.totals.diffKwh)}
+                    </td>
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
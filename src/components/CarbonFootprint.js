@@ -0,0 +1,123 @@
+/**
+ * CarbonFootprint.js
+ *
+ * Insights card with the household's greenhouse gas emissions: daily and annual CO₂e
+ * under a selectable grid emission factor, relatable equivalents and each appliance's share.
+ */
+
+import React from 'react';
+import { Leaf } from 'lucide-react';
+import { calculateEmissions, getEmissionEquivalents, resolveEmissionFactor, EMISSION_EQUIVALENTS } from '../engine/carbon';
+import { EMISSION_FACTORS, EMISSION_FACTOR_GROUPS, findEmissionFactor } from '../data/emissionFactors';
+
+const INPUT_CLASS = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 transition';
+const LABEL_CLASS = 'block text-sm font-medium text-gray-700 mb-1';
+
+/**
+ * Formats a number with thousands separators and a fixed number of decimals.
+ *
+ * @param {number} value - The number.
+ * @param {number} [decimals] - Decimals to show.
+ * @returns {string} e.g. "1,234.5".
+ */
+const formatNumber = (value, decimals = 0) => value.toLocaleString('en-US', {
+  minimumFractionDigits: decimals,
+  maximumFractionDigits: decimals
+});
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.usageItems - The household's usage items.
+ * @param {string} props.factorId - Id of the selected emission factor table entry.
+ * @param {?number} props.customFactor - Custom emission factor in kg/kWh, or null to use the table.
+ * @param {Function} props.onChange - Called with { emissionFactorId } or { customEmissionFactor } changes.
+ */
+export default function CarbonFootprint({ usageItems, factorId, customFactor, onChange }) {
+  const selected = findEmissionFactor(factorId);
+  const kgPerKwh = resolveEmissionFactor(selected, customFactor);
+  const emissions = calculateEmissions(usageItems, kgPerKwh);
+  const equivalents = getEmissionEquivalents(emissions.annualKg);
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
+        <Leaf size={20} className="mr-2 text-green-600" /> Your Carbon Footprint
+      </h2>
+
+      {/* Emission Factor */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+        <div>
+          <label htmlFor="emission-factor" className={LABEL_CLASS}>Grid Region</label>
+          <select
+            id="emission-factor"
+            value={factorId}
+            onChange={(e) => onChange({ emissionFactorId: e.target.value })}
+            className={INPUT_CLASS}
+          >
+            {Object.values(EMISSION_FACTOR_GROUPS).map(group => (
+              <optgroup key={group} label={group}>
+                {EMISSION_FACTORS.filter(factor => factor.group === group).map(factor => (
+                  <option key={factor.id} value={factor.id}>{factor.name} ({factor.kgPerKwh} kg/kWh)</option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="custom-emission-factor" className={LABEL_CLASS}>Custom Factor (kg CO₂e/kWh)</label>
+          <input
+            id="custom-emission-factor"
+            type="number"
+            min="0"
+            step="0.001"
+            placeholder="Use grid region"
+            value={customFactor === null ? '' : customFactor}
+            onChange={(e) => onChange({ customEmissionFactor: e.target.value === '' ? null : Math.max(0, parseFloat(e.target.value) || 0) })}
+            className={INPUT_CLASS}
+          />
+        </div>
+      </div>
+
+      {/* Totals */}
+      <div className="grid grid-cols-2 gap-4 mb-4">
+        <div>
+          <p className="text-sm text-gray-500">Daily</p>
+          <p className="text-2xl font-bold text-green-600">{formatNumber(emissions.dailyKg, 2)} kg CO₂e</p>
+        </div>
+        <div>
+          <p className="text-sm text-gray-500">Annual</p>
+          <p className="text-2xl font-bold text-green-600">{formatNumber(emissions.annualKg)} kg CO₂e</p>
+        </div>
+      </div>
+
+      {/* Equivalents */}
+      <div className="bg-green-50 rounded-lg p-4 border border-green-100 text-sm text-gray-700 mb-4">
+        <p className="font-medium mb-1">Each year, that's about the same as:</p>
+        <ul className="list-disc pl-5 space-y-1">
+          {Object.keys(EMISSION_EQUIVALENTS).map(key => (
+            <li key={key}>{formatNumber(equivalents[key])} {EMISSION_EQUIVALENTS[key].label}</li>
+          ))}
+        </ul>
+      </div>
+
+      {/* Per-Appliance Shares */}
+      <h3 className="font-medium text-gray-800 mb-2">Emissions by Appliance</h3>
+      <ul className="space-y-2">
+        {emissions.items.filter(item => item.dailyKg > 0).map(item => (
+          <li key={item.id} className="text-sm">
+            <div className="flex justify-between text-gray-700">
+              <span>{item.name}</span>
+              <span>{formatNumber(item.dailyKg, 2)} kg/day · {item.share.toFixed(1)}%</span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div className="bg-green-500 h-2 rounded-full" style={{ width: `${item.share}%` }}></div>
+            </div>
+          </li>
+        ))}
+      </ul>
+      <p className="text-xs text-gray-400 mt-4">
+        Using {formatNumber(kgPerKwh, 3)} kg CO₂e per kWh{customFactor === null && selected ? ` for ${selected.name}` : ' (custom)'}.
+      </p>
+    </div>
+  );
+}
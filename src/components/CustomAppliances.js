@@ -0,0 +1,145 @@
+/**
+ * CustomAppliances.js
+ *
+ * Calculator tab card where users add appliances the built-in catalog lacks, with their
+ * own wattage, typical hours, standby power, category and notes. Their entries show up
+ * in the appliance picker next to the built-in ones and are saved for all profiles.
+ */
+
+import React, { useState } from 'react';
+import { BookPlus, Trash2 } from 'lucide-react';
+import { APPLIANCE_CATEGORIES, DEFAULT_CATEGORY_ID } from '../data/appliances';
+import { validateCustomAppliance, DEFAULT_CUSTOM_HOURS } from '../utils/catalog';
+
+const INPUT_CLASS = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 transition';
+const LABEL_CLASS = 'block text-sm font-medium text-gray-700 mb-1';
+
+// Values of the empty form
+const EMPTY_FORM = {
+  name: '',
+  watts: '',
+  hours: DEFAULT_CUSTOM_HOURS,
+  standbyWatts: 0,
+  category: DEFAULT_CATEGORY_ID,
+  notes: ''
+};
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.customAppliances - The user's custom appliances.
+ * @param {Array<Object>} props.catalog - The whole catalog, whose names are taken.
+ * @param {Function} props.onAdd - Called with the validated form values of a new appliance.
+ * @param {Function} props.onDelete - Called with the id of the custom appliance to delete.
+ */
+export default function CustomAppliances({ customAppliances, catalog, onAdd, onDelete }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState([]);
+
+  /**
+   * Returns a change handler for one form field.
+   *
+   * @param {string} field - Form field.
+   * @returns {Function} Change handler of the field's input.
+   */
+  const handleFieldChange = (field) => (e) => {
+    setForm({ ...form, [field]: e.target.value });
+  };
+
+  /**
+   * Validates the form and adds the appliance to the catalog.
+   *
+   * @param {React.FormEvent} e - Form submit event.
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const nextErrors = validateCustomAppliance(form, catalog);
+    setErrors(nextErrors);
+    if (nextErrors.length > 0) return;
+    onAdd(form);
+    setForm(EMPTY_FORM);
+  };
+
+  const categoryLabel = (id) => (APPLIANCE_CATEGORIES.find(category => category.id === id) || {}).label;
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-1">My Appliances</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Missing something? Add it to the catalog with its rating from the label or manual, and pick it like any other appliance.
+      </p>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="custom-name" className={LABEL_CLASS}>Name</label>
+            <input id="custom-name" type="text" value={form.name} onChange={handleFieldChange('name')} className={INPUT_CLASS} />
+          </div>
+          <div>
+            <label htmlFor="custom-watts" className={LABEL_CLASS}>Watts</label>
+            <input id="custom-watts" type="number" min="0" value={form.watts} onChange={handleFieldChange('watts')} className={INPUT_CLASS} />
+          </div>
+          <div>
+            <label htmlFor="custom-hours" className={LABEL_CLASS}>Typical Hours/Day</label>
+            <input id="custom-hours" type="number" min="0" max="24" step="0.1" value={form.hours} onChange={handleFieldChange('hours')} className={INPUT_CLASS} />
+          </div>
+          <div>
+            <label htmlFor="custom-standby" className={LABEL_CLASS}>Standby Watts</label>
+            <input id="custom-standby" type="number" min="0" step="0.1" value={form.standbyWatts} onChange={handleFieldChange('standbyWatts')} className={INPUT_CLASS} />
+          </div>
+          <div>
+            <label htmlFor="custom-category" className={LABEL_CLASS}>Category</label>
+            <select id="custom-category" value={form.category} onChange={handleFieldChange('category')} className={INPUT_CLASS}>
+              {APPLIANCE_CATEGORIES.map(category => (
+                <option key={category.id} value={category.id}>{category.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="custom-notes" className={LABEL_CLASS}>Notes</label>
+            <input id="custom-notes" type="text" value={form.notes} onChange={handleFieldChange('notes')} className={INPUT_CLASS} />
+          </div>
+        </div>
+
+        {errors.length > 0 && (
+          <ul role="alert" className="text-sm text-red-600 list-disc list-inside">
+            {errors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        )}
+
+        <button
+          type="submit"
+          className="flex items-center bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition shadow-sm"
+        >
+          <BookPlus size={18} className="mr-2" />
+          Add to Catalog
+        </button>
+      </form>
+
+      {/* Saved Entries */}
+      {customAppliances.length > 0 && (
+        <ul className="mt-6 divide-y divide-gray-100 border-t border-gray-100">
+          {customAppliances.map(entry => (
+            <li key={entry.id} className="flex items-center justify-between py-3">
+              <div className="text-sm">
+                <p className="font-medium text-gray-800">{entry.name}</p>
+                <p className="text-gray-500">
+                  {categoryLabel(entry.category)} · {entry.watts} W · {entry.hours} h/day
+                  {entry.standbyWatts > 0 ? ` · ${entry.standbyWatts} W standby` : ''}
+                </p>
+                {entry.notes && <p className="text-xs text-gray-400">{entry.notes}</p>}
+              </div>
+              <button
+                type="button"
+                onClick={() => onDelete(entry.id)}
+                aria-label={`Delete ${entry.name} from catalog`}
+                className="text-gray-400 hover:text-red-600 transition p-1 rounded-full hover:bg-red-50"
+              >
+                <Trash2 size={18} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
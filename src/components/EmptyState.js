@@ -0,0 +1,33 @@
+/**
+ * EmptyState.js
+ *
+ * The "No Data Yet" panel shown wherever there is nothing to analyze yet.
+ */
+
+import React from 'react';
+
+/**
+ * @param {Object} props
+ * @param {string} [props.title] - Panel heading.
+ * @param {string} props.message - Explanation shown under the heading.
+ * @param {string} [props.actionLabel] - Label of the optional call-to-action button.
+ * @param {Function} [props.onAction] - Called when the call-to-action button is clicked.
+ */
+export default function EmptyState({ title = 'No Data Yet', message, actionLabel, onAction }) {
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6 text-center">
+      <div className="py-10">
+        <h2 className="text-xl font-semibold text-gray-800 mb-3">{title}</h2>
+        <p className="text-gray-500 max-w-md mx-auto">{message}</p>
+        {onAction && (
+          <button
+            onClick={onAction}
+            className="mt-4 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition"
+          >
+            {actionLabel}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,246 @@
+/**
+ * HighLoadCalculator.js
+ *
+ * Calculator tab card for large loads that are hard to describe in watts and hours: an
+ * electric vehicle, a water heater or a pool pump. Each calculator asks for what the user
+ * knows (miles driven, people at home, pump size) and adds the result as an ordinary appliance.
+ */
+
+import React, { useState } from 'react';
+import { Car, Droplets, Waves, PlusCircle } from 'lucide-react';
+import { createUsageItem, HOURS_PER_DAY } from '../engine/energy';
+import { estimateEvCharging, estimateWaterHeater, estimatePoolPump, HOT_WATER_GALLONS_PER_PERSON } from '../engine/highLoad';
+import {
+  EV_CHARGERS,
+  EV_EFFICIENCIES,
+  WATER_HEATER_TYPES,
+  DEFAULT_EV,
+  DEFAULT_WATER_HEATER,
+  DEFAULT_POOL_PUMP
+} from '../data/highLoad';
+
+const INPUT_CLASS = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 transition';
+const LABEL_CLASS = 'block text-sm font-medium text-gray-700 mb-1';
+const HINT_CLASS = 'text-xs text-gray-400 mt-1';
+
+// The calculators, in the order of their tabs
+const CALCULATORS = [
+  { id: 'ev', label: 'Electric Vehicle', Icon: Car },
+  { id: 'water-heater', label: 'Water Heater', Icon: Droplets },
+  { id: 'pool-pump', label: 'Pool Pump', Icon: Waves }
+];
+
+/**
+ * Reads a non-negative number from a number input.
+ *
+ * @param {React.ChangeEvent} e - Change event of the input.
+ * @returns {number} The value, or 0 if blank or negative.
+ */
+const readAmount = (e) => Math.max(0, parseFloat(e.target.value) || 0);
+
+/**
+ * @param {Object} props
+ * @param {Function} props.onAdd - Called with the usage item values of the estimated appliance.
+ */
+export default function HighLoadCalculator({ onAdd }) {
+  const [calculator, setCalculator] = useState(CALCULATORS[0].id);
+  const [ev, setEv] = useState(DEFAULT_EV);
+  const [waterHeater, setWaterHeater] = useState(DEFAULT_WATER_HEATER);
+  const [poolPump, setPoolPump] = useState(DEFAULT_POOL_PUMP);
+
+  /**
+   * Works out the appliance the current calculator describes.
+   *
+   * @returns {Object} Usage item values.
+   */
+  const estimate = () => {
+    if (calculator === 'water-heater') {
+      const heater = WATER_HEATER_TYPES.find(type => type.id === waterHeater.typeId) || WATER_HEATER_TYPES[0];
+      return estimateWaterHeater({ people: waterHeater.people, heater });
+    }
+    if (calculator === 'pool-pump') return estimatePoolPump(poolPump);
+    const charger = EV_CHARGERS.find(option => option.id === ev.chargerId) || EV_CHARGERS[0];
+    return estimateEvCharging({ milesPerDay: ev.milesPerDay, kWhPerMile: ev.kWhPerMile, chargerKw: charger.kw });
+  };
+
+  const values = estimate();
+  const preview = createUsageItem(values, 0);
+  const vehicle = EV_EFFICIENCIES.find(option => option.kWhPerMile === ev.kWhPerMile);
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-1">High-Load Appliances</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Work out the daily use of big loads from what you know about them, then add them to your list.
+      </p>
+
+      {/* Calculator Tabs */}
+      <div className="flex flex-wrap gap-2 mb-4">
+        {CALCULATORS.map(({ id, label, Icon }) => (
+          <button
+            key={id}
+            type="button"
+            aria-pressed={calculator === id}
+            onClick={() => setCalculator(id)}
+            className={`flex items-center text-sm px-3 py-2 rounded-lg border transition ${
+              calculator === id
+                ? 'bg-blue-600 text-white border-blue-600'
+                : 'bg-white text-gray-700 border-gray-200 hover:bg-gray-100'
+            }`}
+          >
+            <Icon size={16} className="mr-1" />
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {/* Electric Vehicle */}
+      {calculator === 'ev' && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="ev-miles" className={LABEL_CLASS}>Miles Driven Per Day</label>
+            <input
+              id="ev-miles"
+              type="number"
+              min="0"
+              value={ev.milesPerDay}
+              onChange={(e) => setEv({ ...ev, milesPerDay: readAmount(e) })}
+              className={INPUT_CLASS}
+            />
+            <p className={HINT_CLASS}>Average over the week, including weekends</p>
+          </div>
+          <div>
+            <label htmlFor="ev-efficiency" className={LABEL_CLASS}>Efficiency (kWh/mile)</label>
+            <input
+              id="ev-efficiency"
+              type="number"
+              min="0"
+              step="0.01"
+              value={ev.kWhPerMile}
+              onChange={(e) => setEv({ ...ev, kWhPerMile: readAmount(e) })}
+              className={INPUT_CLASS}
+            />
+            <p className={HINT_CLASS}>
+              {vehicle ? `Typical of a ${vehicle.label.toLowerCase()}. ` : ''}
+              {EV_EFFICIENCIES.map(option => `${option.label} ${option.kWhPerMile}`).join(', ')}
+            </p>
+          </div>
+          <div>
+            <label htmlFor="ev-charger" className={LABEL_CLASS}>Home Charger</label>
+            <select
+              id="ev-charger"
+              value={ev.chargerId}
+              onChange={(e) => setEv({ ...ev, chargerId: e.target.value })}
+              className={INPUT_CLASS}
+            >
+              {EV_CHARGERS.map(option => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
+
+      {/* Water Heater */}
+      {calculator === 'water-heater' && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="water-people" className={LABEL_CLASS}>People in the Home</label>
+            <input
+              id="water-people"
+              type="number"
+              min="1"
+              step="1"
+              value={waterHeater.people}
+              onChange={(e) => setWaterHeater({ ...waterHeater, people: readAmount(e) })}
+              className={INPUT_CLASS}
+            />
+            <p className={HINT_CLASS}>Each uses about {HOT_WATER_GALLONS_PER_PERSON} gallons of hot water a day</p>
+          </div>
+          <div>
+            <label htmlFor="water-type" className={LABEL_CLASS}>Heater Type</label>
+            <select
+              id="water-type"
+              value={waterHeater.typeId}
+              onChange={(e) => setWaterHeater({ ...waterHeater, typeId: e.target.value })}
+              className={INPUT_CLASS}
+            >
+              {WATER_HEATER_TYPES.map(type => (
+                <option key={type.id} value={type.id}>{type.label}</option>
+              ))}
+            </select>
+            <p className={HINT_CLASS}>A heat pump moves heat from the air and uses about a quarter of the energy</p>
+          </div>
+        </div>
+      )}
+
+      {/* Pool Pump */}
+      {calculator === 'pool-pump' && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="pool-horsepower" className={LABEL_CLASS}>Pump Horsepower</label>
+            <input
+              id="pool-horsepower"
+              type="number"
+              min="0"
+              step="0.25"
+              value={poolPump.horsepower}
+              onChange={(e) => setPoolPump({ ...poolPump, horsepower: readAmount(e) })}
+              className={INPUT_CLASS}
+            />
+            <p className={HINT_CLASS}>On the motor's label, often 1 to 2 hp</p>
+          </div>
+          <div>
+            <label htmlFor="pool-hours" className={LABEL_CLASS}>Hours Run Per Day</label>
+            <input
+              id="pool-hours"
+              type="number"
+              min="0"
+              max={HOURS_PER_DAY}
+              step="0.5"
+              value={poolPump.hours}
+              onChange={(e) => setPoolPump({ ...poolPump, hours: readAmount(e) })}
+              className={INPUT_CLASS}
+            />
+          </div>
+          <div>
+            <label htmlFor="pool-speed" className={LABEL_CLASS}>Speed (%)</label>
+            <input
+              id="pool-speed"
+              type="number"
+              min="10"
+              max="100"
+              step="5"
+              value={poolPump.speedPercent}
+              onChange={(e) => setPoolPump({ ...poolPump, speedPercent: readAmount(e) })}
+              className={INPUT_CLASS}
+            />
+            <p className={HINT_CLASS}>100 for a single-speed pump; variable-speed pumps save most at low speed</p>
+          </div>
+        </div>
+      )}
+
+      {/* Result */}
+      <div className="flex flex-wrap items-center justify-between gap-4 mt-4 p-4 bg-blue-50 rounded-lg border border-blue-100">
+        <div className="text-sm text-gray-700">
+          <p>
+            {values.name}: {values.watts} W for {values.hours} h a day ={' '}
+            <span className="font-semibold text-blue-600">{preview.kWh.toFixed(2)} kWh/day</span>
+          </p>
+          {calculator === 'ev' && values.hours === HOURS_PER_DAY && (
+            <p className="text-xs text-red-600 mt-1">This charger can't deliver that much in a day; pick a faster one.</p>
+          )}
+        </div>
+        <button
+          type="button"
+          onClick={() => onAdd(values)}
+          disabled={preview.kWh <= 0}
+          className="flex items-center bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition shadow-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <PlusCircle size={18} className="mr-2" />
+          Add to List
+        </button>
+      </div>
+    </div>
+  );
+}
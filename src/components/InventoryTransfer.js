@@ -0,0 +1,210 @@
+/**
+ * InventoryTransfer.js
+ *
+ * Export of the appliance list to CSV or JSON, and import from the same formats.
+ * Imported files are shown in a preview first, so bad rows can be reviewed before
+ * the list is merged with or replaces the current one.
+ */
+
+import React, { useState } from 'react';
+import { FileDown, FileUp, AlertTriangle, CheckCircle, XCircle } from 'lucide-react';
+import {
+  INVENTORY_FORMATS,
+  detectInventoryFormat,
+  exportInventoryCsv,
+  exportInventoryJson,
+  parseInventory
+} from '../utils/inventory';
+import { downloadFile } from '../utils/download';
+import { readFileAsText } from '../utils/readFile';
+
+// How imported items are combined with the current list
+export const IMPORT_MODES = {
+  MERGE: 'merge',
+  REPLACE: 'replace'
+};
+
+const TH_CLASS = 'px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+const BUTTON_CLASS = 'flex items-center bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-2 rounded-lg transition text-sm';
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.items - The current usage items.
+ * @param {number} props.effectiveRate - Price per kWh, for the exported cost column.
+ * @param {Function} props.onImport - Called with (items, mode) when an import is confirmed.
+ * @param {Array<Object>} props.catalog - Appliance catalog whose names imported rows keep (see buildCatalog).
+ */
+export default function InventoryTransfer({ items, effectiveRate, onImport, catalog }) {
+  // Parsed file awaiting confirmation: { filename, rows, error }
+  const [preview, setPreview] = useState(null);
+  const [mode, setMode] = useState(IMPORT_MODES.MERGE);
+
+  const validRows = preview ? preview.rows.filter(row => row.item) : [];
+  const invalidCount = preview ? preview.rows.length - validRows.length : 0;
+
+  /**
+   * Downloads the current list in the given format.
+   *
+   * @param {string} format - One of INVENTORY_FORMATS.
+   */
+  const handleExport = (format) => {
+    if (format === INVENTORY_FORMATS.CSV) {
+      downloadFile('watts-up-appliances.csv', exportInventoryCsv(items, effectiveRate), 'text/csv');
+    } else {
+      downloadFile('watts-up-appliances.json', exportInventoryJson(items, effectiveRate), 'application/json');
+    }
+  };
+
+  /**
+   * Reads and validates the chosen file and shows its preview.
+   *
+   * @param {React.ChangeEvent<HTMLInputElement>} e - Change event of the file input.
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    // Clear the input so choosing the same file again still triggers a change
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const text = await readFileAsText(file);
+      setPreview({ filename: file.name, ...parseInventory(text, detectInventoryFormat(file.name, text), catalog) });
+    } catch (error) {
+      setPreview({ filename: file.name, rows: [], error: 'The file could not be read.' });
+    }
+  };
+
+  /**
+   * Imports the valid rows of the preview and closes it.
+   */
+  const handleConfirm = () => {
+    onImport(validRows.map(row => row.item), mode);
+    setPreview(null);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h2 className="text-xl font-semibold text-gray-800">Import &amp; Export</h2>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => handleExport(INVENTORY_FORMATS.CSV)}
+            disabled={items.length === 0}
+            className={`${BUTTON_CLASS} disabled:opacity-50`}
+          >
+            <FileDown size={16} className="mr-1" /> Export CSV
+          </button>
+          <button
+            onClick={() => handleExport(INVENTORY_FORMATS.JSON)}
+            disabled={items.length === 0}
+            className={`${BUTTON_CLASS} disabled:opacity-50`}
+          >
+            <FileDown size={16} className="mr-1" /> Export JSON
+          </button>
+          <label className={`${BUTTON_CLASS} cursor-pointer`}>
+            <FileUp size={16} className="mr-1" /> Import File
+            <input
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              aria-label="Import appliance file"
+              onChange={handleFileChange}
+              className="sr-only"
+            />
+          </label>
+        </div>
+      </div>
+      <p className="text-sm text-gray-500">
+        Exports include daily energy and cost. Imports need Appliance and Hours/Day columns, and either Watts
+        or the Volts and Amps from the label; Quantity, Duty Cycle (%) and Standby Watts are optional.
+      </p>
+
+      {/* Import Preview */}
+      {preview && (
+        <div className="mt-4 border border-gray-200 rounded-lg p-4 space-y-3">
+          <h3 className="font-medium text-gray-800">Preview of {preview.filename}</h3>
+          {preview.error ? (
+            <p role="alert" className="text-sm text-red-600">{preview.error}</p>
+          ) : (
+            <>
+              <p className="text-sm text-gray-600">
+                {validRows.length} of {preview.rows.length} rows can be imported.
+                {invalidCount > 0 && ` ${invalidCount} row${invalidCount === 1 ? '' : 's'} with errors will be skipped.`}
+              </p>
+              <div className="overflow-x-auto max-h-64 rounded-lg border border-gray-200">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className={TH_CLASS}>Row</th>
+                      <th className={TH_CLASS}>Status</th>
+                      <th className={TH_CLASS}>Appliance</th>
+                      <th className={TH_CLASS}>Qty</th>
+                      <th className={TH_CLASS}>Power (W)</th>
+                      <th className={TH_CLASS}>Hours/Day</th>
+                      <th className={TH_CLASS}>Notes</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {preview.rows.map(row => (
+                      <tr key={row.line} className={row.item ? '' : 'bg-red-50'}>
+                        <td className="px-3 py-2">{row.line}</td>
+                        <td className="px-3 py-2">
+                          {!row.item && <XCircle size={16} className="text-red-500" aria-label="Error" />}
+                          {row.item && row.warnings.length > 0 && <AlertTriangle size={16} className="text-yellow-500" aria-label="Warning" />}
+                          {row.item && row.warnings.length === 0 && <CheckCircle size={16} className="text-green-500" aria-label="OK" />}
+                        </td>
+                        <td className="px-3 py-2">{row.item ? row.item.name : '—'}</td>
+                        <td className="px-3 py-2">{row.item ? row.item.quantity : '—'}</td>
+                        <td className="px-3 py-2">{row.item ? row.item.watts : '—'}</td>
+                        <td className="px-3 py-2">{row.item ? row.item.hours : '—'}</td>
+                        <td className="px-3 py-2 text-gray-600">{[...row.errors, ...row.warnings].join('. ')}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <fieldset className="flex flex-wrap gap-4 text-sm text-gray-700">
+                <legend className="sr-only">Import mode</legend>
+                <label className="flex items-center">
+                  <input
+                    type="radio"
+                    name="import-mode"
+                    checked={mode === IMPORT_MODES.MERGE}
+                    onChange={() => setMode(IMPORT_MODES.MERGE)}
+                    className="mr-2"
+                  />
+                  Add to my current list
+                </label>
+                <label className="flex items-center">
+                  <input
+                    type="radio"
+                    name="import-mode"
+                    checked={mode === IMPORT_MODES.REPLACE}
+                    onChange={() => setMode(IMPORT_MODES.REPLACE)}
+                    className="mr-2"
+                  />
+                  Replace my current list
+                </label>
+              </fieldset>
+            </>
+          )}
+          <div className="flex gap-2">
+            {!preview.error && (
+              <button
+                onClick={handleConfirm}
+                disabled={validRows.length === 0}
+                className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition text-sm disabled:opacity-50"
+              >
+                Import {validRows.length} Appliance{validRows.length === 1 ? '' : 's'}
+              </button>
+            )}
+            <button
+              onClick={() => setPreview(null)}
+              className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg transition text-sm"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
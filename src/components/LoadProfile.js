@@ -0,0 +1,172 @@
+/**
+ * LoadProfile.js
+ *
+ * Insights card with the household's 24-hour load curve, its peak demand, and a warning
+ * when the simultaneous load comes close to or exceeds a circuit or service limit.
+ */
+
+import React, { useState } from 'react';
+import { ResponsiveContainer, AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine } from 'recharts';
+import { AlertTriangle } from 'lucide-react';
+import {
+  calculateLoadProfile,
+  getLimitWatts,
+  assessLoad,
+  DEMAND_STATUS,
+  CONTINUOUS_LOAD_RATIO,
+  SLOTS_PER_HOUR
+} from '../engine/loadProfile';
+import { LOAD_LIMIT_PRESETS, findLoadLimitPreset } from '../data/loadLimits';
+
+const INPUT_CLASS = 'w-full p-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 transition';
+const LABEL_CLASS = 'block text-xs font-medium text-gray-600 mb-1';
+
+// Series colors
+const AVERAGE_COLOR = '#2563eb';
+const RUNNING_COLOR = '#f59e0b';
+const LIMIT_COLOR = '#dc2626';
+
+// Value of the limit selector for a limit that matches no preset
+const CUSTOM_LIMIT = 'custom';
+
+/**
+ * Formats a power value.
+ *
+ * @param {number} watts - Power in watts.
+ * @returns {string} e.g. "850 W" or "3.14 kW".
+ */
+const formatWatts = (watts) => (watts >= 1000 ? `${(watts / 1000).toFixed(2)} kW` : `${watts.toFixed(0)} W`);
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.usageItems - The household's usage items.
+ * @param {{amps: number, volts: number}} props.limit - The circuit or service limit.
+ * @param {Function} props.onLimitChange - Called with the new limit.
+ */
+export default function LoadProfile({ usageItems, limit, onLimitChange }) {
+  const [isCustom, setIsCustom] = useState(() => !findLoadLimitPreset(limit));
+
+  const profile = calculateLoadProfile(usageItems);
+  const limitWatts = getLimitWatts(limit);
+  const assessment = assessLoad(profile.peak.watts, limitWatts);
+  const preset = findLoadLimitPreset(limit);
+  const limitLabel = preset && !isCustom ? preset.label : `${limit.amps} A, ${limit.volts} V limit`;
+  const hasWindows = usageItems.some(item => item.timeWindows);
+
+  /**
+   * Picks a preset limit, or switches to entering a custom one.
+   *
+   * @param {string} id - Preset id, or CUSTOM_LIMIT.
+   */
+  const handlePresetChange = (id) => {
+    const selected = LOAD_LIMIT_PRESETS.find(candidate => candidate.id === id);
+    setIsCustom(!selected);
+    if (selected) onLimitChange({ amps: selected.amps, volts: selected.volts });
+  };
+
+  /**
+   * Updates the amps or volts of a custom limit, ignoring values that are not positive numbers.
+   *
+   * @param {string} field - "amps" or "volts".
+   * @returns {Function} Change handler for an input element.
+   */
+  const handleCustomChange = (field) => (e) => {
+    const value = parseFloat(e.target.value);
+    if (value > 0) onLimitChange({ ...limit, [field]: value });
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-1">Your Day, Hour by Hour</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        {hasWindows
+          ? 'Built from the times of day your appliances run. Appliances without a time window are spread over the whole day.'
+          : 'Add times of day to your appliances\' schedules to see when your load peaks. Until then, usage is spread over the whole day.'}
+      </p>
+
+      {/* Demand Summary */}
+      <dl className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <div>
+          <dt className="text-sm text-gray-500">Peak Demand</dt>
+          <dd className="text-2xl font-bold text-blue-600">{formatWatts(profile.peak.watts)}</dd>
+          <dd className="text-xs text-gray-500">at {profile.peak.time}, with everything in its window running</dd>
+        </div>
+        <div>
+          <dt className="text-sm text-gray-500">Busiest Average Hour</dt>
+          <dd className="text-2xl font-bold text-blue-600">{formatWatts(profile.averagePeak.watts)}</dd>
+          <dd className="text-xs text-gray-500">at {profile.averagePeak.time}</dd>
+        </div>
+        <div>
+          <dt className="text-sm text-gray-500">Share of Limit</dt>
+          <dd className="text-2xl font-bold text-blue-600">{assessment.percentage.toFixed(0)}%</dd>
+          <dd className="text-xs text-gray-500">of {formatWatts(limitWatts)} ({limitLabel})</dd>
+        </div>
+      </dl>
+
+      {/* Limit Warning */}
+      {assessment.status !== DEMAND_STATUS.OK && (
+        <div
+          role="alert"
+          className={`flex items-start rounded-lg p-4 mb-4 border ${
+            assessment.status === DEMAND_STATUS.OVER ? 'bg-red-50 border-red-200 text-red-800' : 'bg-yellow-50 border-yellow-200 text-yellow-800'
+          }`}
+        >
+          <AlertTriangle size={20} className="mr-3 flex-shrink-0 mt-0.5" />
+          <p className="text-sm">
+            {assessment.status === DEMAND_STATUS.OVER
+              ? `A peak of ${formatWatts(profile.peak.watts)} at ${profile.peak.time} is more than the ${formatWatts(limitWatts)} a ${limitLabel} can carry. Run big loads at different times, or have an electrician check the wiring.`
+              : `A peak of ${formatWatts(profile.peak.watts)} at ${profile.peak.time} is above ${CONTINUOUS_LOAD_RATIO * 100}% of your ${limitLabel}, the most a breaker should carry for long periods.`}
+          </p>
+        </div>
+      )}
+
+      {/* Limit Selection */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+        <div>
+          <label htmlFor="load-limit" className={LABEL_CLASS}>Circuit or Service Limit</label>
+          <select
+            id="load-limit"
+            value={isCustom || !preset ? CUSTOM_LIMIT : preset.id}
+            onChange={(e) => handlePresetChange(e.target.value)}
+            className={INPUT_CLASS}
+          >
+            {LOAD_LIMIT_PRESETS.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+            <option value={CUSTOM_LIMIT}>Custom</option>
+          </select>
+        </div>
+        {(isCustom || !preset) && (
+          <>
+            <div>
+              <label htmlFor="load-limit-amps" className={LABEL_CLASS}>Breaker Rating (A)</label>
+              <input id="load-limit-amps" type="number" min="1" step="1" defaultValue={limit.amps} onChange={handleCustomChange('amps')} className={INPUT_CLASS} />
+            </div>
+            <div>
+              <label htmlFor="load-limit-volts" className={LABEL_CLASS}>Voltage (V)</label>
+              <input id="load-limit-volts" type="number" min="1" step="1" defaultValue={limit.volts} onChange={handleCustomChange('volts')} className={INPUT_CLASS} />
+            </div>
+          </>
+        )}
+      </div>
+
+      {/* Load Curve */}
+      <div className="h-72">
+        <ResponsiveContainer width="100%" height="100%">
+          <AreaChart data={profile.slots}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey="time" interval={SLOTS_PER_HOUR * 3 - 1} />
+            <YAxis unit=" W" />
+            <Tooltip formatter={formatWatts} />
+            <Legend />
+            <Area type="stepAfter" dataKey="runningWatts" name="Running Load" stroke={RUNNING_COLOR} fill={RUNNING_COLOR} fillOpacity={0.15} />
+            <Area type="stepAfter" dataKey="averageWatts" name="Average Load" stroke={AVERAGE_COLOR} fill={AVERAGE_COLOR} fillOpacity={0.3} />
+            {assessment.status !== DEMAND_STATUS.OK && (
+              <ReferenceLine y={limitWatts} stroke={LIMIT_COLOR} strokeDasharray="4 4" label="Limit" ifOverflow="extendDomain" />
+            )}
+          </AreaChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
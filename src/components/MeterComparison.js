@@ -0,0 +1,198 @@
+/**
+ * MeterComparison.js
+ *
+ * Compares the appliance-based estimate with real consumption from a smart-meter export
+ * (Green Button XML or timestamp,kWh CSV): actual daily and hourly use, and the
+ * "unaccounted" energy the appliance list does not explain.
+ */
+
+import React, { useState } from 'react';
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine
+} from 'recharts';
+import { Gauge, FileUp, X } from 'lucide-react';
+import { summarizeReadings, reconcileUsage } from '../engine/meter';
+import { parseMeterFile } from '../utils/meterData';
+import { readFileAsText } from '../utils/readFile';
+
+// Differences within this share of metered use count as a match
+const MATCH_TOLERANCE_PERCENTAGE = 5;
+
+// Bar colors
+const ACTUAL_COLOR = '#2563eb';
+const ESTIMATE_COLOR = '#f59e0b';
+
+/**
+ * Formats a kWh value for chart tooltips.
+ *
+ * @param {number} value - Energy in kWh.
+ * @returns {string} e.g. "3.60 kWh".
+ */
+const formatKwh = (value) => `${Number(value).toFixed(2)} kWh`;
+
+/**
+ * @param {Object} props
+ * @param {?Object} props.meter - Summary of the loaded meter data (see summarizeReadings), or null.
+ * @param {number} props.estimatedKwh - Daily consumption estimated from the appliance list.
+ * @param {Function} props.onLoad - Called with the summary of a newly loaded meter file.
+ * @param {Function} props.onClear - Called to remove the loaded meter data.
+ */
+export default function MeterComparison({ meter, estimatedKwh, onLoad, onClear }) {
+  // Problem with the last chosen file
+  const [error, setError] = useState(null);
+  // Adjustments made while reading the last loaded file
+  const [warnings, setWarnings] = useState([]);
+
+  /**
+   * Reads and summarizes the chosen meter export.
+   *
+   * @param {React.ChangeEvent<HTMLInputElement>} e - Change event of the file input.
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const text = await readFileAsText(file);
+      const { readings, warnings: parseWarnings, error: parseError } = parseMeterFile(file.name, text);
+      const summary = parseError ? null : summarizeReadings(readings);
+      if (!summary) {
+        setError(parseError || 'The file has no usable readings.');
+        setWarnings([]);
+        return;
+      }
+      setError(null);
+      setWarnings(parseWarnings);
+      onLoad(summary);
+    } catch (readError) {
+      setError('The file could not be read.');
+      setWarnings([]);
+    }
+  };
+
+  const reconciliation = meter ? reconcileUsage(estimatedKwh, meter.dailyAverageKwh) : null;
+  const isMatch = reconciliation
+    && Math.abs(reconciliation.unaccountedKwh) <= reconciliation.actualKwh * MATCH_TOLERANCE_PERCENTAGE / 100;
+  const hourlyData = meter ? meter.hourlyProfile.map((kWh, hour) => ({ hour: `${hour}:00`, kWh })) : [];
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-xl font-semibold text-gray-800 flex items-center">
+          <Gauge size={20} className="mr-2 text-blue-600" /> Actual vs. Estimated
+        </h2>
+        <div className="flex gap-2">
+          <label className="flex items-center bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-2 rounded-lg transition text-sm cursor-pointer">
+            <FileUp size={16} className="mr-1" /> Load Meter Data
+            <input
+              type="file"
+              accept=".xml,.csv,application/xml,text/xml,text/csv"
+              aria-label="Load meter data file"
+              onChange={handleFileChange}
+              className="sr-only"
+            />
+          </label>
+          {meter && (
+            <button
+              onClick={onClear}
+              aria-label="Remove meter data"
+              className="text-gray-500 hover:text-gray-700 transition p-2 rounded-full hover:bg-gray-100"
+            >
+              <X size={16} />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && <p role="alert" className="text-sm text-red-600">{error}</p>}
+      {meter && warnings.map(warning => (
+        <p key={warning} role="status" className="text-sm text-yellow-700">{warning}</p>
+      ))}
+
+      {!meter ? (
+        <p className="text-sm text-gray-600">
+          Load an interval export from your utility (Green Button XML, or a CSV with timestamp and kWh columns)
+          to see how your appliance list compares with what your meter actually recorded. Try
+          the <a href="/samples/green-button-sample.xml" download className="text-blue-600 hover:underline">Green Button sample</a> or
+          the <a href="/samples/interval-sample.csv" download className="text-blue-600 hover:underline">CSV sample</a>.
+        </p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-500">
+            Meter data from {meter.startDate} to {meter.endDate} ({meter.days.length} day{meter.days.length === 1 ? '' : 's'}).
+          </p>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div className="bg-blue-50 rounded-lg p-4">
+              <p className="text-sm text-gray-600">Metered</p>
+              <p className="text-2xl font-bold text-blue-600">{reconciliation.actualKwh.toFixed(2)} kWh/day</p>
+            </div>
+            <div className="bg-yellow-50 rounded-lg p-4">
+              <p className="text-sm text-gray-600">Estimated</p>
+              <p className="text-2xl font-bold text-yellow-600">{reconciliation.estimatedKwh.toFixed(2)} kWh/day</p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-4">
+              <p className="text-sm text-gray-600">Unaccounted</p>
+              <p className="text-2xl font-bold text-gray-800">{reconciliation.unaccountedKwh.toFixed(2)} kWh/day</p>
+            </div>
+          </div>
+          <p className="text-gray-700">
+            {isMatch && `Your appliance list explains your metered use to within ${MATCH_TOLERANCE_PERCENTAGE}%.`}
+            {!isMatch && reconciliation.unaccountedKwh > 0 && (
+              `Your appliance list explains ${reconciliation.coveragePercentage.toFixed(0)}% of your metered use. `
+              + `${reconciliation.unaccountedKwh.toFixed(2)} kWh a day is unaccounted for. Look for loads you may have missed, `
+              + 'such as a water heater, pumps, space heaters or always-on electronics.'
+            )}
+            {!isMatch && reconciliation.unaccountedKwh < 0 && (
+              `Your appliance list estimates ${Math.abs(reconciliation.unaccountedKwh).toFixed(2)} kWh a day more than your meter recorded. `
+              + 'Check the hours, duty cycles and quantities you entered.'
+            )}
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {/* Daily Consumption */}
+            <div>
+              <h3 className="font-medium text-gray-800 mb-2">Daily Consumption</h3>
+              <div className="h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={meter.days}>
+                    <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                    <XAxis dataKey="date" />
+                    <YAxis unit=" kWh" />
+                    <Tooltip formatter={formatKwh} />
+                    <Legend />
+                    <Bar dataKey="kWh" name="Metered" fill={ACTUAL_COLOR} />
+                    <ReferenceLine y={estimatedKwh} stroke={ESTIMATE_COLOR} strokeDasharray="4 4" label="Estimate" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+
+            {/* Average Hourly Profile */}
+            <div>
+              <h3 className="font-medium text-gray-800 mb-2">Average Use by Hour</h3>
+              <div className="h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={hourlyData}>
+                    <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                    <XAxis dataKey="hour" interval={3} />
+                    <YAxis unit=" kWh" />
+                    <Tooltip formatter={formatKwh} />
+                    <Bar dataKey="kWh" name="Metered" fill={ACTUAL_COLOR} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+/**
+ * NameplateInput.js
+ *
+ * Alternate power input of the add form for appliances whose label lists volts and amps
+ * rather than watts. Shows how the watts follow from the ratings, the same way the row
+ * in the usage table and the Learn tab do, or what is missing while they don't work out
+ * to a positive wattage.
+ */
+
+import React from 'react';
+import { Tag } from 'lucide-react';
+import { parseNameplate, formatNameplate, calculateNameplateWatts } from '../engine/energy';
+import { SUPPLY_VOLTAGES } from '../data/loadLimits';
+
+const INPUT_CLASS = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 transition';
+const LABEL_CLASS = 'block text-sm font-medium text-gray-700 mb-1';
+const HINT_CLASS = 'text-xs text-gray-400 mt-1';
+
+/**
+ * @param {Object} props
+ * @param {{volts: (number|string), amps: (number|string), powerFactor: (number|string)}} props.nameplate - Raw
+ *   values of the fields.
+ * @param {Function} props.onChange - Called with the changed raw values.
+ */
+export default function NameplateInput({ nameplate, onChange }) {
+  const parsed = parseNameplate(nameplate);
+  const isComplete = Boolean(parsed) && calculateNameplateWatts(parsed) > 0;
+
+  /**
+   * Returns a change handler for one rating.
+   *
+   * @param {string} field - volts, amps or powerFactor.
+   * @returns {Function} Change handler of the field's input.
+   */
+  const handleFieldChange = (field) => (e) => {
+    onChange({ ...nameplate, [field]: e.target.value });
+  };
+
+  return (
+    <div className="p-4 bg-blue-50 rounded-lg border border-blue-100">
+      <p className="flex items-center text-sm font-medium text-blue-800 mb-3">
+        <Tag size={16} className="mr-2" />
+        Power from the appliance's label
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label htmlFor="nameplate-volts" className={LABEL_CLASS}>Voltage (V)</label>
+          <input
+            id="nameplate-volts"
+            type="number"
+            min="1"
+            value={nameplate.volts}
+            onChange={handleFieldChange('volts')}
+            className={INPUT_CLASS}
+          />
+          <div className="flex gap-2 mt-1">
+            {SUPPLY_VOLTAGES.map(volts => (
+              <button
+                key={volts}
+                type="button"
+                aria-pressed={Number(nameplate.volts) === volts}
+                onClick={() => onChange({ ...nameplate, volts })}
+                className={`text-xs px-2 py-1 rounded border transition ${
+                  Number(nameplate.volts) === volts
+                    ? 'bg-blue-600 text-white border-blue-600'
+                    : 'bg-white text-gray-700 border-gray-200 hover:bg-gray-100'
+                }`}
+              >
+                {volts} V
+              </button>
+            ))}
+          </div>
+        </div>
+        <div>
+          <label htmlFor="nameplate-amps" className={LABEL_CLASS}>Current (A)</label>
+          <input
+            id="nameplate-amps"
+            type="number"
+            min="0"
+            step="0.1"
+            value={nameplate.amps}
+            onChange={handleFieldChange('amps')}
+            className={INPUT_CLASS}
+          />
+        </div>
+        <div>
+          <label htmlFor="nameplate-power-factor" className={LABEL_CLASS}>Power Factor (optional)</label>
+          <input
+            id="nameplate-power-factor"
+            type="number"
+            min="0.1"
+            max="1"
+            step="0.01"
+            placeholder="1"
+            value={nameplate.powerFactor}
+            onChange={handleFieldChange('powerFactor')}
+            className={INPUT_CLASS}
+          />
+          <p className={HINT_CLASS}>Leave blank for heaters and bulbs; motors and electronics are often 0.6 to 0.95</p>
+        </div>
+      </div>
+
+      {/* Derivation */}
+      <p id="nameplate-status" className={`mt-3 text-sm ${isComplete ? 'text-gray-700' : 'text-red-600'}`} aria-live="polite">
+        {isComplete && <span className="font-mono">{formatNameplate(parsed)}</span>}
+        {!isComplete && (parsed
+          ? `${formatNameplate(parsed)}: check the ratings, an appliance needs at least 1 W.`
+          : 'Enter the volts and amps printed on the label, with a power factor between 0 and 1 if it lists one.')}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,169 @@
+/**
+ * ProfileComparison.js
+ *
+ * Insights card that compares two profiles appliance by appliance and in total,
+ * e.g. two homes, or a home before and after a planned change.
+ */
+
+import React, { useState } from 'react';
+import { compareHouseholds, COMPARISON_STATUS, DAYS_PER_YEAR } from '../engine';
+
+const SELECT_CLASS = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 transition';
+const TH_CLASS = 'px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+// Badge shown next to appliances that only one profile has, or that differ
+const STATUS_BADGES = {
+  [COMPARISON_STATUS.ADDED]: { label: 'Added', className: 'bg-blue-100 text-blue-700' },
+  [COMPARISON_STATUS.REMOVED]: { label: 'Removed', className: 'bg-gray-200 text-gray-700' },
+  [COMPARISON_STATUS.CHANGED]: { label: 'Changed', className: 'bg-yellow-100 text-yellow-800' }
+};
+
+/**
+ * Formats a difference with its sign.
+ *
+ * @param {number} value - The difference.
+ * @param {number} [digits] - Decimal places; defaults to 2.
+ * @returns {string} e.g. "+1.20" or "-0.35".
+ */
+const formatDiff = (value, digits = 2) => `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
+
+/**
+ * Returns the Tailwind text color of a difference: green when the second profile uses less.
+ *
+ * @param {number} kWh - Difference in kWh/day.
+ * @returns {string} Tailwind classes.
+ */
+const diffClass = (kWh) => {
+  if (kWh < 0) return 'text-green-600';
+  if (kWh > 0) return 'text-red-600';
+  return 'text-gray-500';
+};
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.profiles - All profiles with their current items.
+ * @param {number} props.activeProfileId - Id of the active profile, compared by default.
+ */
+export default function ProfileComparison({ profiles, activeProfileId }) {
+  const [selectedA, setSelectedA] = useState(activeProfileId);
+  const [selectedB, setSelectedB] = useState(null);
+
+  // Fall back to sensible choices when a selected profile was deleted or none is chosen yet
+  const profileA = profiles.find(profile => profile.id === selectedA)
+    || profiles.find(profile => profile.id === activeProfileId);
+  const profileB = profiles.find(profile => profile.id === selectedB && profile.id !== profileA.id)
+    || profiles.find(profile => profile.id !== profileA.id);
+
+  const comparison = compareHouseholds(profileA.items, profileB.items);
+  const { totals } = comparison;
+  const percentChange = totals.kWhA > 0 ? (totals.diffKwh / totals.kWhA) * 100 : 0;
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-1">Compare Profiles</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        See how two households, or two plans for the same one, differ appliance by appliance.
+      </p>
+
+      {/* Profile Selection */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+        <div>
+          <label htmlFor="compare-profile-a" className="block text-sm font-medium text-gray-700 mb-1">Compare</label>
+          <select
+            id="compare-profile-a"
+            value={profileA.id}
+            onChange={(e) => setSelectedA(Number(e.target.value))}
+            className={SELECT_CLASS}
+          >
+            {profiles.map(profile => (
+              <option key={profile.id} value={profile.id}>{profile.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="compare-profile-b" className="block text-sm font-medium text-gray-700 mb-1">With</label>
+          <select
+            id="compare-profile-b"
+            value={profileB.id}
+            onChange={(e) => setSelectedB(Number(e.target.value))}
+            className={SELECT_CLASS}
+          >
+            {profiles.filter(profile => profile.id !== profileA.id).map(profile => (
+              <option key={profile.id} value={profile.id}>{profile.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Totals */}
+      <dl className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div className="bg-gray-50 rounded-lg p-4">
+          <dt className="text-sm text-gray-500">{profileA.name}</dt>
+          <dd className="text-2xl font-bold text-gray-800">{totals.kWhA.toFixed(2)} kWh/day</dd>
+          <dd className="text-xs text-gray-500">{(totals.kWhA * DAYS_PER_YEAR).toFixed(0)} kWh/year</dd>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-4">
+          <dt className="text-sm text-gray-500">{profileB.name}</dt>
+          <dd className="text-2xl font-bold text-gray-800">{totals.kWhB.toFixed(2)} kWh/day</dd>
+          <dd className="text-xs text-gray-500">{(totals.kWhB * DAYS_PER_YEAR).toFixed(0)} kWh/year</dd>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-4">
+          <dt className="text-sm text-gray-500">Difference</dt>
+          <dd className={`text-2xl font-bold ${diffClass(totals.diffKwh)}`}>{formatDiff(totals.diffKwh)} kWh/day</dd>
+          <dd className="text-xs text-gray-500">
+            {totals.kWhA > 0 ? `${formatDiff(percentChange, 0)}% · ` : ''}
+            {formatDiff(totals.diffKwh * DAYS_PER_YEAR, 0)} kWh/year
+          </dd>
+        </div>
+      </dl>
+
+      {/* Appliance Differences */}
+      {comparison.rows.length > 0 ? (
+        <div className="overflow-x-auto rounded-lg border border-gray-200">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className={TH_CLASS}>Appliance</th>
+                <th className={TH_CLASS}>{profileA.name} (kWh/day)</th>
+                <th className={TH_CLASS}>{profileB.name} (kWh/day)</th>
+                <th className={TH_CLASS}>Difference</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {comparison.rows.map(row => {
+                const badge = STATUS_BADGES[row.status];
+                return (
+                  <tr key={row.name.toLowerCase()}>
+                    <td className="px-4 py-3">
+                      {row.name}
+                      {badge && (
+                        <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${badge.className}`}>{badge.label}</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3">
+                      {row.quantityA > 0 ? `${row.kWhA.toFixed(2)}${row.quantityA > 1 ? ` (×${row.quantityA})` : ''}` : '—'}
+                    </td>
+                    <td className="px-4 py-3">
+                      {row.quantityB > 0 ? `${row.kWhB.toFixed(2)}${row.quantityB > 1 ? ` (×${row.quantityB})` : ''}` : '—'}
+                    </td>
+                    <td className={`px-4 py-3 font-medium ${diffClass(row.diffKwh)}`}>{formatDiff(row.diffKwh)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+            <tfoot className="bg-gray-50 font-semibold">
+              <tr>
+                <td className="px-4 py-3">Total</td>
+                <td className="px-4 py-3">{totals.kWhA.toFixed(2)}</td>
+                <td className="px-4 py-3">{totals.kWhB.toFixed(2)}</td>
+                <td className={`px-4 py-3 ${diffClass(totals.diffKwh)}`}>{formatDiff(totals.diffKwh)}</td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">Neither profile has any appliances yet.</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+/**
+ * ProfileSwitcher.js
+ *
+ * Bar above the tabs for choosing the active profile and creating, renaming,
+ * cloning and deleting profiles.
+ */
+
+import React, { useState } from 'react';
+import { Plus, Copy, Pencil, Trash2, Check, X } from 'lucide-react';
+
+const BUTTON_CLASS = 'flex items-center text-sm px-3 py-2 rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed';
+
+// What the name field is being used for
+const EDIT_MODES = {
+  CREATE: 'create',
+  RENAME: 'rename'
+};
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.profiles - All profiles, each with at least { id, name }.
+ * @param {number} props.activeProfileId - Id of the profile being edited.
+ * @param {Function} props.onSwitch - Called with the id of the profile to switch to.
+ * @param {Function} props.onCreate - Called with the name of a new, empty profile.
+ * @param {Function} props.onRename - Called with the new name of the active profile.
+ * @param {Function} props.onClone - Copies the active profile.
+ * @param {Function} props.onDelete - Deletes the active profile.
+ */
+export default function ProfileSwitcher({ profiles, activeProfileId, onSwitch, onCreate, onRename, onClone, onDelete }) {
+  const [editMode, setEditMode] = useState(null);
+  const [name, setName] = useState('');
+
+  const activeProfile = profiles.find(profile => profile.id === activeProfileId);
+
+  /**
+   * Opens the name field, empty for a new profile or filled in for renaming.
+   *
+   * @param {string} mode - One of EDIT_MODES.
+   */
+  const startEditing = (mode) => {
+    setEditMode(mode);
+    setName(mode === EDIT_MODES.RENAME && activeProfile ? activeProfile.name : '');
+  };
+
+  /**
+   * Creates or renames a profile with the entered name.
+   *
+   * @param {React.FormEvent} e - Form submit event.
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    if (editMode === EDIT_MODES.CREATE) onCreate(trimmed);
+    else onRename(trimmed);
+    setEditMode(null);
+  };
+
+  /**
+   * Asks for confirmation, then deletes the active profile.
+   */
+  const handleDelete = () => {
+    if (window.confirm(`Delete the profile "${activeProfile.name}" and its appliance list?`)) {
+      onDelete();
+    }
+  };
+
+  if (editMode) {
+    return (
+      <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-md p-4 mb-6 flex flex-wrap items-end gap-3 print:hidden">
+        <div className="flex-1 min-w-48">
+          <label htmlFor="profile-name" className="block text-sm font-medium text-gray-700 mb-1">
+            {editMode === EDIT_MODES.CREATE ? 'New Profile Name' : 'Profile Name'}
+          </label>
+          <input
+            id="profile-name"
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g. Beach House or After Upgrades"
+            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 transition"
+            autoFocus
+          />
+        </div>
+        <button type="submit" disabled={!name.trim()} className={`${BUTTON_CLASS} bg-blue-600 hover:bg-blue-700 text-white`}>
+          <Check size={16} className="mr-1" />
+          {editMode === EDIT_MODES.CREATE ? 'Create' : 'Rename'}
+        </button>
+        <button type="button" onClick={() => setEditMode(null)} className={`${BUTTON_CLASS} bg-gray-100 hover:bg-gray-200 text-gray-700`}>
+          <X size={16} className="mr-1" />
+          Cancel
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-4 mb-6 flex flex-wrap items-end gap-3 print:hidden">
+      <div className="flex-1 min-w-48">
+        <label htmlFor="active-profile" className="block text-sm font-medium text-gray-700 mb-1">Profile</label>
+        <select
+          id="active-profile"
+          value={activeProfileId}
+          onChange={(e) => onSwitch(Number(e.target.value))}
+          className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 transition"
+        >
+          {profiles.map(profile => (
+            <option key={profile.id} value={profile.id}>{profile.name}</option>
+          ))}
+        </select>
+      </div>
+      <button onClick={() => startEditing(EDIT_MODES.CREATE)} className={`${BUTTON_CLASS} bg-blue-50 hover:bg-blue-100 text-blue-700`}>
+        <Plus size={16} className="mr-1" />
+        New
+      </button>
+      <button onClick={onClone} className={`${BUTTON_CLASS} bg-gray-100 hover:bg-gray-200 text-gray-700`}>
+        <Copy size={16} className="mr-1" />
+        Clone
+      </button>
+      <button onClick={() => startEditing(EDIT_MODES.RENAME)} className={`${BUTTON_CLASS} bg-gray-100 hover:bg-gray-200 text-gray-700`}>
+        <Pencil size={16} className="mr-1" />
+        Rename
+      </button>
+      <button
+        onClick={handleDelete}
+        disabled={profiles.length < 2}
+        title={profiles.length < 2 ? 'The last profile cannot be deleted' : undefined}
+        className={`${BUTTON_CLASS} bg-red-50 hover:bg-red-100 text-red-700`}
+      >
+        <Trash2 size={16} className="mr-1" />
+        Delete
+      </button>
+    </div>
+  );
+}
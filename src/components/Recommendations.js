@@ -0,0 +1,72 @@
+/**
+ * Recommendations.js
+ *
+ * Insights card with personalized energy-saving recommendations, ranked by how much
+ * they save. Falls back to a generic tip when no recommendation applies.
+ */
+
+import React from 'react';
+import { Lightbulb, RefreshCw, TrendingDown } from 'lucide-react';
+import { formatCurrency } from '../engine/tariffs';
+import { DAYS_PER_YEAR } from '../engine/energy';
+
+// Number of recommendations listed
+const MAX_RECOMMENDATIONS = 5;
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.recommendations - Ranked recommendations from getRecommendations.
+ * @param {number} props.effectiveRate - Price per kWh, for the projected money savings.
+ * @param {string} props.genericTip - Tip shown when there are no recommendations.
+ * @param {Function} props.onNewTip - Shows another generic tip.
+ */
+export default function Recommendations({ recommendations, effectiveRate, genericTip, onNewTip }) {
+  if (recommendations.length === 0) {
+    return (
+      <div className="bg-white rounded-xl shadow-md p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-gray-800">Energy Saving Tip</h2>
+          <button
+            onClick={onNewTip}
+            className="flex items-center text-blue-600 hover:text-blue-700 p-1 rounded-lg hover:bg-blue-50 transition"
+          >
+            <RefreshCw size={16} className="mr-1" />
+            <span className="text-sm">New Tip</span>
+          </button>
+        </div>
+        <div className="bg-yellow-50 p-5 rounded-lg border border-yellow-100">
+          <div className="flex">
+            <Lightbulb className="text-yellow-500 mr-3 flex-shrink-0 mt-1" size={24} />
+            <p className="text-gray-800">{genericTip}</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-4">Recommended for You</h2>
+      <ol className="space-y-3">
+        {recommendations.slice(0, MAX_RECOMMENDATIONS).map(recommendation => (
+          <li key={recommendation.id} className="bg-yellow-50 p-4 rounded-lg border border-yellow-100">
+            <div className="flex items-start justify-between gap-2">
+              <div>
+                <p className="font-medium text-gray-800">{recommendation.title}</p>
+                <p className="text-xs text-gray-500 mb-1">{recommendation.applianceName}</p>
+              </div>
+              <span className="flex items-center text-sm font-medium text-green-600 whitespace-nowrap">
+                <TrendingDown size={14} className="mr-1" />
+                {recommendation.savingsKwh.toFixed(2)} kWh/day
+              </span>
+            </div>
+            <p className="text-sm text-gray-600">{recommendation.description}</p>
+            <p className="text-xs text-gray-500 mt-1">
+              Saves about {formatCurrency(recommendation.savingsKwh * effectiveRate * DAYS_PER_YEAR)} a year.
+            </p>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,208 @@
+/**
+ * ReportView.js
+ *
+ * The Report tab: the household's energy audit laid out as a document, with the app's
+ * header, navigation and footer left off the printout (see ReportView.css). Print it, save it
+ * as a PDF from the print dialog, or download it as a standalone HTML page.
+ */
+
+import React, { useEffect } from 'react';
+import { Printer, Download, Lightbulb, TrendingDown } from 'lucide-react';
+import { formatCurrency } from '../engine/tariffs';
+import { formatReportDate } from '../utils/report';
+import './ReportView.css';
+
+// Class the print stylesheet is scoped to, set on the body while the report is shown
+const PRINT_SCOPE_CLASS = 'report-route';
+
+const TH_CLASS = 'px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider print:px-2 print:py-1';
+const TD_CLASS = 'px-4 py-3 print:px-2 print:py-1';
+const SECTION_CLASS = 'report-section mt-8 print:mt-6 print:break-inside-avoid';
+const HEADING_CLASS = 'text-lg font-semibold text-gray-800 border-b-2 border-blue-600 pb-1 mb-3';
+
+/**
+ * Lists appliances with their energy and share of the total.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.appliances - Appliances of the report.
+ * @param {string} props.caption - Accessible name of the table.
+ * @param {?number} [props.totalKwh] - Daily total shown in a footer row, if given.
+ */
+function ApplianceTable({ appliances, caption, totalKwh = null }) {
+  return (
+    <div className="overflow-x-auto rounded-lg border border-gray-200 print:overflow-visible">
+      <table className="min-w-full divide-y divide-gray-200 text-sm" aria-label={caption}>
+        <thead className="bg-gray-50">
+          <tr>
+            <th className={TH_CLASS}>Appliance</th>
+            <th className={TH_CLASS}>Qty</th>
+            <th className={TH_CLASS}>Watts</th>
+            <th className={TH_CLASS}>Hours/Day</th>
+            <th className={TH_CLASS}>kWh/Day</th>
+            <th className={TH_CLASS}>Share</th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {appliances.map(appliance => (
+            <tr key={appliance.id} className="print:break-inside-avoid">
+              <td className={TD_CLASS}>{appliance.name}</td>
+              <td className={TD_CLASS}>{appliance.quantity}</td>
+              <td className={TD_CLASS}>{appliance.watts}</td>
+              <td className={TD_CLASS}>{appliance.hours}</td>
+              <td className={TD_CLASS}>{appliance.kWh.toFixed(2)}</td>
+              <td className={TD_CLASS}>{appliance.share.toFixed(0)}%</td>
+            </tr>
+          ))}
+        </tbody>
+        {totalKwh != null && (
+          <tfoot className="bg-gray-50 font-semibold">
+            <tr>
+              <td className={TD_CLASS} colSpan={4}>Total</td>
+              <td className={TD_CLASS}>{totalKwh.toFixed(2)}</td>
+              <td className={TD_CLASS}>100%</td>
+            </tr>
+          </tfoot>
+        )}
+      </table>
+    </div>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.report - Report from buildReport (see utils/report.js).
+ * @param {Function} props.onDownload - Downloads the report as an HTML page.
+ */
+export default function ReportView({ report, onDownload }) {
+  const { energy, cost, standby, comparison } = report;
+
+  // Apply the print stylesheet only while the report is on screen
+  useEffect(() => {
+    document.body.classList.add(PRINT_SCOPE_CLASS);
+    return () => document.body.classList.remove(PRINT_SCOPE_CLASS);
+  }, []);
+
+  // Headline figures of the household summary
+  const stats = [
+    { label: 'Appliances', value: report.applianceCount },
+    { label: 'Daily Energy', value: `${energy.daily.toFixed(2)} kWh` },
+    { label: 'Monthly Energy', value: `${energy.monthly.toFixed(1)} kWh` },
+    { label: 'Annual Energy', value: `${energy.annual.toFixed(0)} kWh` },
+    { label: 'Daily Cost', value: formatCurrency(cost.daily) },
+    { label: 'Monthly Cost', value: formatCurrency(cost.monthly) },
+    { label: 'Annual Cost', value: formatCurrency(cost.annual) },
+    { label: 'Average Rate', value: `${formatCurrency(cost.effectiveRate)}/kWh` }
+  ];
+
+  return (
+    <div>
+      {/* Report Actions */}
+      <div className="report-actions flex flex-wrap items-center justify-between gap-3 mb-6 print:hidden">
+        <p className="text-sm text-gray-600">
+          A summary of this household to print, save as a PDF from the print dialog, or keep as a web page.
+        </p>
+        <div className="flex gap-2">
+          <button
+            onClick={() => window.print()}
+            className="flex items-center bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition"
+          >
+            <Printer size={18} className="mr-2" /> Print or Save as PDF
+          </button>
+          <button
+            onClick={onDownload}
+            className="flex items-center bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 px-4 py-2 rounded-lg transition"
+          >
+            <Download size={18} className="mr-2" /> Download HTML
+          </button>
+        </div>
+      </div>
+
+      <article className="report-document bg-white rounded-xl shadow-md p-8 print:shadow-none print:rounded-none print:p-0">
+        {/* Report Title */}
+        <header>
+          <h2 className="text-2xl font-bold text-gray-800">{report.title}</h2>
+          <p className="text-gray-500">{report.profileName} · {formatReportDate(report.generatedAt)}</p>
+        </header>
+
+        {/* Household Summary */}
+        <section className={SECTION_CLASS}>
+          <h3 className={HEADING_CLASS}>Household Summary</h3>
+          <dl className="report-stats grid grid-cols-2 md:grid-cols-4 gap-3 print:grid-cols-4">
+            {stats.map(stat => (
+              <div key={stat.label} className="border border-gray-200 rounded-lg px-3 py-2">
+                <dt className="text-xs text-gray-500">{stat.label}</dt>
+                <dd className="text-lg font-semibold text-gray-800">{stat.value}</dd>
+              </div>
+            ))}
+          </dl>
+          <p className="text-sm text-gray-500 mt-2">
+            Phantom (standby) load: {standby.kWh.toFixed(2)} kWh/day, {formatCurrency(standby.annualCost)}/year.
+          </p>
+        </section>
+
+        {/* Comparison Verdict */}
+        <section className={SECTION_CLASS}>
+          <h3 className={HEADING_CLASS}>How You Compare</h3>
+          <div className="report-verdict bg-gray-50 rounded-lg p-4 border border-gray-100">
+            <p className={`font-medium ${comparison.band.className}`}>
+              <span role="img" aria-label={comparison.band.label}>{comparison.band.emoji}</span> {comparison.band.message}
+            </p>
+            <p className="text-sm text-gray-600 mt-1">{comparison.summary}</p>
+            <p className="text-xs text-gray-400 mt-2">
+              Similar homes use {comparison.benchmarkKwh.toFixed(1)} kWh a day. Benchmark: {comparison.benchmarkLabel}
+            </p>
+          </div>
+        </section>
+
+        {/* Top Consumers */}
+        <section className={SECTION_CLASS}>
+          <h3 className={HEADING_CLASS}>Top Consumers</h3>
+          {report.topConsumers.length > 0
+            ? <ApplianceTable appliances={report.topConsumers} caption="Top consumers" />
+            : <p className="text-sm text-gray-500">No appliances use energy yet.</p>}
+        </section>
+
+        {/* Appliance Table */}
+        <section className="report-section mt-8 print:mt-6">
+          <h3 className={HEADING_CLASS}>Appliances</h3>
+          {report.appliances.length > 0
+            ? <ApplianceTable appliances={report.appliances} caption="All appliances" totalKwh={energy.daily} />
+            : <p className="text-sm text-gray-500">No appliances have been added.</p>}
+        </section>
+
+        {/* Energy-Saving Tips */}
+        <section className={SECTION_CLASS}>
+          <h3 className={HEADING_CLASS}>
+            {report.recommendations.length > 0 ? 'Recommended for You' : 'Energy Saving Tips'}
+          </h3>
+          <ol className="space-y-3">
+            {report.recommendations.map(recommendation => (
+              <li key={recommendation.id} className="flex items-start print:break-inside-avoid">
+                <TrendingDown size={18} className="text-green-600 mr-3 mt-1 flex-shrink-0" />
+                <div>
+                  <p className="font-medium text-gray-800">
+                    {recommendation.title} <span className="text-sm font-normal text-gray-500">({recommendation.applianceName})</span>
+                  </p>
+                  <p className="text-sm text-gray-600">{recommendation.description}</p>
+                  <p className="text-xs text-green-700 mt-1">
+                    Saves {recommendation.savingsKwh.toFixed(2)} kWh/day, about {formatCurrency(recommendation.annualSavings)}/year
+                  </p>
+                </div>
+              </li>
+            ))}
+            {report.tips.map(tip => (
+              <li key={tip} className="flex items-start print:break-inside-avoid">
+                <Lightbulb size={18} className="text-yellow-500 mr-3 mt-1 flex-shrink-0" />
+                <p className="text-gray-700">{tip}</p>
+              </li>
+            ))}
+          </ol>
+        </section>
+
+        <p className="text-xs text-gray-400 mt-8">
+          Generated by Watt's Up? Smart Energy Usage Estimator. Figures are estimates from the appliances entered.
+        </p>
+      </article>
+    </div>
+  );
+}
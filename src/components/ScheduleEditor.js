@@ -0,0 +1,291 @@
+/**
+ * ScheduleEditor.js
+ *
+ * Panel for giving a usage item a weekly schedule (hours on each weekday), seasonal
+ * multipliers (how much it is used each month) and the times of day it runs, with presets
+ * for common patterns.
+ */
+
+import React, { useState } from 'react';
+import { Check, X, Repeat, Plus, Trash2 } from 'lucide-react';
+import { createUsageItem, WEEKDAYS, MONTHS, HOURS_PER_DAY } from '../engine/energy';
+import { formatTimeOfDay, parseTimeOfDay } from '../engine/loadProfile';
+import { SCHEDULE_PRESETS, SEASONAL_PRESETS, flipHemisphere } from '../data/schedules';
+
+const INPUT_CLASS = 'w-full p-1 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-blue-500';
+const SELECT_CLASS = 'p-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500';
+
+/**
+ * Checks that every value of a list is a number within a range.
+ *
+ * @param {Array<number|string>} values - Raw input values.
+ * @param {number} max - Largest allowed value.
+ * @returns {boolean} Whether all values are valid.
+ */
+const allWithin = (values, max) => values.every(value => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number >= 0 && number <= max;
+});
+
+// Window added by "Add Time": the evening, when most households use the most
+const NEW_WINDOW = { start: '18:00', end: '22:00' };
+
+/**
+ * Parses the edited time-of-day windows.
+ *
+ * @param {Array<{start: string, end: string}>} windows - Windows as clock times, e.g. "19:00".
+ * @returns {?Array<{start: number, end: number}>} The windows in hours, or null if any of them is
+ *   not a pair of different times.
+ */
+const parseWindows = (windows) => {
+  const parsed = windows.map(window => ({ start: parseTimeOfDay(window.start), end: parseTimeOfDay(window.end) }));
+  const isValid = parsed.every(({ start, end }) => start < HOURS_PER_DAY && end >= 0 && start !== end);
+  return isValid ? parsed : null;
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.item - The usage item being scheduled.
+ * @param {Function} props.onSave - Called with { hours, schedule, seasonality, timeWindows } changes.
+ * @param {Function} props.onCancel - Closes the editor without saving.
+ */
+export default function ScheduleEditor({ item, onSave, onCancel }) {
+  const [weekHours, setWeekHours] = useState(item.schedule || WEEKDAYS.map(() => item.hours));
+  const [multipliers, setMultipliers] = useState(item.seasonality || MONTHS.map(() => 1));
+  const [windows, setWindows] = useState((item.timeWindows || []).map(window => ({
+    start: formatTimeOfDay(window.start),
+    end: formatTimeOfDay(window.end)
+  })));
+
+  const timeWindows = parseWindows(windows);
+  const isValid = allWithin(weekHours, HOURS_PER_DAY) && allWithin(multipliers, Infinity) && timeWindows !== null;
+  // Preview of the item with the edited schedule; the first day's hours apply when every day is the same
+  const preview = isValid
+    ? createUsageItem({ ...item, hours: weekHours[0], schedule: weekHours, seasonality: multipliers }, item.id)
+    : null;
+
+  /**
+   * Replaces one value of a list kept in state.
+   *
+   * @param {Array} values - The current list.
+   * @param {Function} setValues - Its state setter.
+   * @param {number} index - Position of the changed value.
+   * @returns {Function} Change handler for an input element.
+   */
+  const handleValueChange = (values, setValues, index) => (e) => {
+    setValues(values.map((value, i) => (i === index ? e.target.value : value)));
+  };
+
+  /**
+   * Changes the start or end of a time-of-day window.
+   *
+   * @param {number} index - Position of the window.
+   * @param {string} field - "start" or "end".
+   * @returns {Function} Change handler for an input element.
+   */
+  const handleWindowChange = (index, field) => (e) => {
+    setWindows(windows.map((window, i) => (i === index ? { ...window, [field]: e.target.value } : window)));
+  };
+
+  /**
+   * Applies a weekly preset, using the item's usual hours on the days it is used.
+   *
+   * @param {string} id - Id of one of SCHEDULE_PRESETS.
+   */
+  const applySchedulePreset = (id) => {
+    const preset = SCHEDULE_PRESETS.find(candidate => candidate.id === id);
+    const usualHours = Math.max(...weekHours.map(value => parseFloat(value) || 0)) || item.hours;
+    if (preset) setWeekHours(preset.build(usualHours));
+  };
+
+  /**
+   * Applies a seasonal preset.
+   *
+   * @param {string} id - Id of one of SEASONAL_PRESETS.
+   */
+  const applySeasonalPreset = (id) => {
+    const preset = SEASONAL_PRESETS.find(candidate => candidate.id === id);
+    if (preset) setMultipliers(preset.multipliers);
+  };
+
+  /**
+   * Saves the schedule, seasonal multipliers and time-of-day windows.
+   *
+   * @param {React.FormEvent} e - Form submit event.
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!isValid) return;
+    onSave({
+      hours: weekHours[0],
+      schedule: weekHours,
+      seasonality: multipliers,
+      timeWindows: timeWindows.length > 0 ? timeWindows : null
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-blue-50 border border-blue-100 rounded-lg p-4 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="font-medium text-gray-800">Schedule for {item.name}</h3>
+        {preview && (
+          <span className="text-sm text-gray-600">
+            Average day: <span className="font-semibold text-blue-600">{preview.kWh.toFixed(2)} kWh</span>
+          </span>
+        )}
+      </div>
+
+      {/* Weekly Schedule */}
+      <div>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <p className="text-sm font-medium text-gray-700">Hours Used Each Day</p>
+          <select
+            aria-label="Weekly pattern"
+            value=""
+            onChange={(e) => applySchedulePreset(e.target.value)}
+            className={SELECT_CLASS}
+          >
+            <option value="" disabled>Apply a pattern…</option>
+            {SCHEDULE_PRESETS.map(preset => (
+              <option key={preset.id} value={preset.id}>{preset.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="grid grid-cols-7 gap-2">
+          {WEEKDAYS.map((day, index) => (
+            <div key={day}>
+              <label htmlFor={`schedule-${day}`} className="block text-xs text-gray-500 mb-1">{day}</label>
+              <input
+                id={`schedule-${day}`}
+                type="number"
+                min="0"
+                max={HOURS_PER_DAY}
+                step="0.1"
+                value={weekHours[index]}
+                onChange={handleValueChange(weekHours, setWeekHours, index)}
+                className={INPUT_CLASS}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Seasonal Multipliers */}
+      <div>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <p className="text-sm font-medium text-gray-700">Seasonal Multiplier</p>
+          <div className="flex items-center gap-2">
+            <select
+              aria-label="Seasonal pattern"
+              value=""
+              onChange={(e) => applySeasonalPreset(e.target.value)}
+              className={SELECT_CLASS}
+            >
+              <option value="" disabled>Apply a pattern…</option>
+              {SEASONAL_PRESETS.map(preset => (
+                <option key={preset.id} value={preset.id}>{preset.label}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => setMultipliers(flipHemisphere(multipliers))}
+              className="flex items-center text-sm text-blue-600 hover:text-blue-700 px-2 py-1 rounded-lg hover:bg-blue-100 transition"
+            >
+              <Repeat size={14} className="mr-1" />
+              Flip Hemisphere
+            </button>
+          </div>
+        </div>
+        <p className="text-xs text-gray-500 mb-2">
+          Scales the hours above in each month: 1 is a typical month, 0.5 half as much use, 0 not used at all.
+        </p>
+        <div className="grid grid-cols-6 md:grid-cols-12 gap-2">
+          {MONTHS.map((month, index) => (
+            <div key={month}>
+              <label htmlFor={`season-${month}`} className="block text-xs text-gray-500 mb-1">{month}</label>
+              <input
+                id={`season-${month}`}
+                type="number"
+                min="0"
+                step="0.05"
+                value={multipliers[index]}
+                onChange={handleValueChange(multipliers, setMultipliers, index)}
+                className={INPUT_CLASS}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Time of Day */}
+      <div>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <p className="text-sm font-medium text-gray-700">Time of Day</p>
+          <button
+            type="button"
+            onClick={() => setWindows([...windows, NEW_WINDOW])}
+            className="flex items-center text-sm text-blue-600 hover:text-blue-700 px-2 py-1 rounded-lg hover:bg-blue-100 transition"
+          >
+            <Plus size={14} className="mr-1" />
+            Add Time
+          </button>
+        </div>
+        <p className="text-xs text-gray-500 mb-2">
+          When the appliance usually runs, e.g. 19:00 to 20:00. A window ending before it starts runs past midnight.
+          Leave empty if it could run at any time.
+        </p>
+        {windows.map((window, index) => (
+          <div key={index} className="flex items-end gap-2 mb-2">
+            <div>
+              <label htmlFor={`window-start-${index}`} className="block text-xs text-gray-500 mb-1">From</label>
+              <input
+                id={`window-start-${index}`}
+                type="time"
+                value={window.start}
+                onChange={handleWindowChange(index, 'start')}
+                className={INPUT_CLASS}
+              />
+            </div>
+            <div>
+              <label htmlFor={`window-end-${index}`} className="block text-xs text-gray-500 mb-1">To</label>
+              <input
+                id={`window-end-${index}`}
+                type="time"
+                value={window.end}
+                onChange={handleWindowChange(index, 'end')}
+                className={INPUT_CLASS}
+              />
+            </div>
+            <button
+              type="button"
+              aria-label={`Remove time ${index + 1}`}
+              onClick={() => setWindows(windows.filter((unused, i) => i !== index))}
+              className="text-red-500 hover:text-red-700 p-1 rounded hover:bg-red-50 transition"
+            >
+              <Trash2 size={16} />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={!isValid}
+          className="flex items-center text-sm bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Check size={16} className="mr-1" />
+          Save Schedule
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="flex items-center text-sm bg-white hover:bg-gray-100 text-gray-700 px-3 py-2 rounded-lg border border-gray-200 transition"
+        >
+          <X size={16} className="mr-1" />
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,82 @@
+/**
+ * SeasonalProjection.js
+ *
+ * Insights card with the household's projected consumption for each month of the year,
+ * following the weekly schedules and seasonal multipliers of its appliances.
+ */
+
+import React from 'react';
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine } from 'recharts';
+import { projectMonthlyKwh, DAYS_PER_YEAR } from '../engine/energy';
+import { formatCurrency } from '../engine/tariffs';
+
+// Bar color
+const MONTH_COLOR = '#2563eb';
+
+// Color of the line marking the average month
+const AVERAGE_COLOR = '#9ca3af';
+
+/**
+ * Formats a kWh value for the chart tooltip.
+ *
+ * @param {number} value - Energy in kWh.
+ * @returns {string} e.g. "108 kWh".
+ */
+const formatKwh = (value) => `${value.toFixed(0)} kWh`;
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.usageItems - The household's usage items.
+ * @param {number} props.effectiveRate - Price per kWh, for the cost of the busiest month.
+ */
+export default function SeasonalProjection({ usageItems, effectiveRate }) {
+  const monthly = projectMonthlyKwh(usageItems);
+  const annualKwh = monthly.reduce((sum, entry) => sum + entry.kWh, 0);
+  const averageKwh = annualKwh / monthly.length;
+  const highest = monthly.reduce((max, entry) => (entry.kWh > max.kWh ? entry : max));
+  const lowest = monthly.reduce((min, entry) => (entry.kWh < min.kWh ? entry : min));
+  const isSeasonal = usageItems.some(item => item.schedule || item.seasonality);
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-1">Month by Month</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        {isSeasonal
+          ? 'Projected from your appliances\' weekly schedules and seasonal patterns.'
+          : 'Every month follows the same daily usage. Add a schedule to appliances used only on some days or in some seasons to see the curve.'}
+      </p>
+
+      {/* Monthly Summary */}
+      <dl className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <div>
+          <dt className="text-sm text-gray-500">Busiest Month</dt>
+          <dd className="text-2xl font-bold text-blue-600">{highest.month} · {formatKwh(highest.kWh)}</dd>
+          <dd className="text-xs text-gray-500">About {formatCurrency(highest.kWh * effectiveRate)} of energy</dd>
+        </div>
+        <div>
+          <dt className="text-sm text-gray-500">Quietest Month</dt>
+          <dd className="text-2xl font-bold text-blue-600">{lowest.month} · {formatKwh(lowest.kWh)}</dd>
+        </div>
+        <div>
+          <dt className="text-sm text-gray-500">Year</dt>
+          <dd className="text-2xl font-bold text-blue-600">{formatKwh(annualKwh)}</dd>
+          <dd className="text-xs text-gray-500">{(annualKwh / DAYS_PER_YEAR).toFixed(2)} kWh on an average day</dd>
+        </div>
+      </dl>
+
+      {/* Monthly Chart */}
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={monthly}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey="month" />
+            <YAxis unit=" kWh" />
+            <Tooltip formatter={formatKwh} />
+            <ReferenceLine y={averageKwh} stroke={AVERAGE_COLOR} strokeDasharray="4 4" label="Average" />
+            <Bar dataKey="kWh" name="Projected" fill={MONTH_COLOR} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+/**
+ * SharedHousehold.js
+ *
+ * Read-only view of an appliance list opened from a share link.
+ * The visitor can browse the list and optionally import it into their own saved data.
+ */
+
+import React from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { Download, Share2 } from 'lucide-react';
+import EmptyState from './EmptyState';
+import { calculateTotalKwh } from '../engine/energy';
+import { decodeUsageItems } from '../utils/shareLink';
+
+/**
+ * @param {Object} props
+ * @param {Function} props.onImport - Called with the shared usage items when the visitor imports them.
+ */
+export default function SharedHousehold({ onImport }) {
+  const { payload } = useParams();
+  const navigate = useNavigate();
+  const sharedItems = decodeUsageItems(payload);
+
+  if (!sharedItems) {
+    return (
+      <EmptyState
+        title="Invalid Share Link"
+        message="This link could not be read. It may have been copied incompletely."
+        actionLabel="Go to Calculator"
+        onAction={() => navigate('/calculator')}
+      />
+    );
+  }
+
+  const totalKwh = calculateTotalKwh(sharedItems);
+
+  /**
+   * Imports the shared items into the visitor's data and returns to the calculator.
+   */
+  const handleImport = () => {
+    onImport(sharedItems);
+    navigate('/calculator');
+  };
+
+  return (
+    <section className="space-y-8">
+      <div className="bg-white rounded-xl shadow-md p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center">
+            <Share2 size={20} className="text-blue-600 mr-2" />
+            <h2 className="text-xl font-semibold text-gray-800">Shared Household</h2>
+          </div>
+          <button
+            onClick={handleImport}
+            className="flex items-center bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition shadow-sm"
+          >
+            <Download size={16} className="mr-2" />
+            Import into My Data
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          Someone shared this appliance list with you. It is read-only; importing adds these appliances to your own saved list.
+        </p>
+        <div className="overflow-x-auto rounded-lg border border-gray-200">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Appliance</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Qty</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Power (W)</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Hours/Day</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Daily Energy (kWh)</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {sharedItems.map(item => (
+                <tr key={item.id}>
+                  <td className="px-4 py-3">{item.name}</td>
+                  <td className="px-4 py-3">{item.quantity}</td>
+                  <td className="px-4 py-3">{item.watts}</td>
+                  <td className="px-4 py-3">{item.hours}</td>
+                  <td className="px-4 py-3 font-medium">{item.kWh.toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr className="bg-gray-50 font-medium">
+                <td colSpan="4" className="px-4 py-3 text-right">Total Daily Energy:</td>
+                <td className="px-4 py-3 text-blue-600">{totalKwh.toFixed(2)} kWh</td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      </div>
+    </section>
+  );
+}
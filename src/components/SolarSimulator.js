@@ -0,0 +1,212 @@
+/**
+ * SolarSimulator.js
+ *
+ * What-if card for rooftop solar and a home battery: describe a system and see how much
+ * it generates, how much the household would still buy from the grid or send back to it,
+ * and how that changes the comparison with similar homes.
+ */
+
+import React from 'react';
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend } from 'recharts';
+import { Sun } from 'lucide-react';
+import { simulateSolar } from '../engine/solar';
+import { getComparisonPercentage, getComparisonBand } from '../engine/energy';
+import {
+  SOLAR_LOCATIONS,
+  SOLAR_LOCATION_GROUPS,
+  SOLAR_ORIENTATIONS,
+  SOLAR_TILTS,
+  findSolarLocation,
+  getSiteFactor
+} from '../data/solarResources';
+
+const INPUT_CLASS = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 transition';
+const LABEL_CLASS = 'block text-sm font-medium text-gray-700 mb-1';
+
+// Bar colors
+const CONSUMPTION_COLOR = '#2563eb';
+const GENERATION_COLOR = '#f59e0b';
+
+/**
+ * Formats a kWh value for the chart tooltip.
+ *
+ * @param {number} value - Energy in kWh.
+ * @returns {string} e.g. "412 kWh".
+ */
+const formatKwh = (value) => `${value.toFixed(0)} kWh`;
+
+/**
+ * Reads a non-negative number from a number input.
+ *
+ * @param {React.ChangeEvent} e - Change event of the input.
+ * @returns {number} The value, or 0 if blank or negative.
+ */
+const readAmount = (e) => Math.max(0, parseFloat(e.target.value) || 0);
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.usageItems - The household's usage items.
+ * @param {Object} props.system - The solar system: { systemKw, locationId, orientationId, tiltId, batteryKwh }.
+ * @param {{dailyKwh: number, label: string}} props.benchmark - Consumption of similar homes.
+ * @param {Function} props.onChange - Called with the updated system.
+ */
+export default function SolarSimulator({ usageItems, system, benchmark, onChange }) {
+  const location = findSolarLocation(system.locationId) || SOLAR_LOCATIONS[0];
+  const result = simulateSolar(usageItems, {
+    systemKw: system.systemKw,
+    peakSunHours: location.peakSunHours,
+    siteFactor: getSiteFactor(system.orientationId, system.tiltId),
+    batteryKwh: system.batteryKwh
+  });
+  const { daily } = result;
+  const percentageBefore = getComparisonPercentage(daily.consumptionKwh, benchmark.dailyKwh);
+  const percentageAfter = getComparisonPercentage(daily.importKwh, benchmark.dailyKwh);
+  const bandBefore = getComparisonBand(percentageBefore);
+  const bandAfter = getComparisonBand(percentageAfter);
+
+  /**
+   * Updates one field of the system.
+   *
+   * @param {Object} changes - Changed fields.
+   */
+  const update = (changes) => onChange({ ...system, ...changes });
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-1 flex items-center">
+        <Sun size={20} className="mr-2 text-yellow-500" /> Solar and Battery
+      </h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Sunshine is matched against the times of day you use energy, so appliances used after dark
+        need a battery or the grid.
+      </p>
+
+      {/* System */}
+      <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-4 mb-6">
+        <div>
+          <label htmlFor="solar-size" className={LABEL_CLASS}>System Size (kW)</label>
+          <input
+            id="solar-size"
+            type="number"
+            min="0"
+            step="0.1"
+            value={system.systemKw}
+            onChange={(e) => update({ systemKw: readAmount(e) })}
+            className={INPUT_CLASS}
+          />
+        </div>
+        <div>
+          <label htmlFor="solar-location" className={LABEL_CLASS}>Location</label>
+          <select
+            id="solar-location"
+            value={location.id}
+            onChange={(e) => update({ locationId: e.target.value })}
+            className={INPUT_CLASS}
+          >
+            {Object.values(SOLAR_LOCATION_GROUPS).map(group => (
+              <optgroup key={group} label={group}>
+                {SOLAR_LOCATIONS.filter(option => option.group === group).map(option => (
+                  <option key={option.id} value={option.id}>{option.name}</option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="solar-orientation" className={LABEL_CLASS}>Panels Face</label>
+          <select
+            id="solar-orientation"
+            value={system.orientationId}
+            onChange={(e) => update({ orientationId: e.target.value })}
+            className={INPUT_CLASS}
+          >
+            {SOLAR_ORIENTATIONS.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="solar-tilt" className={LABEL_CLASS}>Tilt</label>
+          <select
+            id="solar-tilt"
+            value={system.tiltId}
+            onChange={(e) => update({ tiltId: e.target.value })}
+            className={INPUT_CLASS}
+          >
+            {SOLAR_TILTS.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="solar-battery" className={LABEL_CLASS}>Battery (kWh)</label>
+          <input
+            id="solar-battery"
+            type="number"
+            min="0"
+            step="0.5"
+            value={system.batteryKwh}
+            onChange={(e) => update({ batteryKwh: readAmount(e) })}
+            className={INPUT_CLASS}
+          />
+        </div>
+      </div>
+
+      {/* Daily Balance */}
+      <dl className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+        <div>
+          <dt className="text-sm text-gray-500">Generation</dt>
+          <dd className="text-2xl font-bold text-yellow-600">{daily.generationKwh.toFixed(2)} kWh</dd>
+          <dd className="text-xs text-gray-500">per day, averaged over the year</dd>
+        </div>
+        <div>
+          <dt className="text-sm text-gray-500">Grid Import</dt>
+          <dd className="text-2xl font-bold text-blue-600">{daily.importKwh.toFixed(2)} kWh</dd>
+          <dd className="text-xs text-gray-500">of {daily.consumptionKwh.toFixed(2)} kWh used per day</dd>
+        </div>
+        <div>
+          <dt className="text-sm text-gray-500">Grid Export</dt>
+          <dd className="text-2xl font-bold text-green-600">{daily.exportKwh.toFixed(2)} kWh</dd>
+          <dd className="text-xs text-gray-500">
+            {daily.netKwh < 0
+              ? `A net exporter by ${(-daily.netKwh).toFixed(2)} kWh a day`
+              : `Net import of ${daily.netKwh.toFixed(2)} kWh a day`}
+          </dd>
+        </div>
+        <div>
+          <dt className="text-sm text-gray-500">Self-Sufficiency</dt>
+          <dd className="text-2xl font-bold text-blue-600">{result.selfSufficiency.toFixed(0)}%</dd>
+          <dd className="text-xs text-gray-500">of your use covered without the grid</dd>
+        </div>
+      </dl>
+
+      {/* Comparison With Similar Homes */}
+      <div className="bg-gray-50 rounded-lg p-4 border border-gray-100 mb-4 text-sm text-gray-700">
+        <p>
+          Today you use <span className="font-semibold">{percentageBefore.toFixed(0)}%</span> of the typical daily
+          energy of similar homes (<span className={bandBefore.className}>{bandBefore.label}</span>).
+        </p>
+        <p className="mt-1">
+          With this system you would buy <span className="font-semibold">{percentageAfter.toFixed(0)}%</span> of
+          it from the grid (<span className={bandAfter.className}>{bandAfter.label}</span>).
+        </p>
+        <p className="text-xs text-gray-400 mt-2">Benchmark: {benchmark.label}</p>
+      </div>
+
+      {/* Monthly Chart */}
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={result.months}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey="month" />
+            <YAxis unit=" kWh" />
+            <Tooltip formatter={formatKwh} />
+            <Legend />
+            <Bar dataKey="consumptionKwh" name="Consumption" fill={CONSUMPTION_COLOR} />
+            <Bar dataKey="generationKwh" name="Generation" fill={GENERATION_COLOR} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,240 @@
+/**
+ * TariffSettings.js
+ *
+ * Form for choosing how electricity is billed: a flat rate, tiered block pricing
+ * or time-of-use rates, plus a fixed monthly service charge.
+ */
+
+import React from 'react';
+import { DollarSign, PlusCircle, Trash2 } from 'lucide-react';
+import { TARIFF_TYPES } from '../engine/tariffs';
+
+// Tariff models offered in the selector, in display order
+const TARIFF_OPTIONS = [
+  { type: TARIFF_TYPES.FLAT, label: 'Flat Rate' },
+  { type: TARIFF_TYPES.TIERED, label: 'Tiered' },
+  { type: TARIFF_TYPES.TIME_OF_USE, label: 'Time of Use' }
+];
+
+const INPUT_CLASS = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 transition';
+const LABEL_CLASS = 'block text-sm font-medium text-gray-700 mb-1';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.tariff - The current tariff.
+ * @param {Function} props.onChange - Called with the updated tariff.
+ */
+export default function TariffSettings({ tariff, onChange }) {
+  /**
+   * Updates a single numeric field of the tariff.
+   *
+   * @param {string} field - Name of the tariff field.
+   * @returns {Function} Change handler for an input element.
+   */
+  const handleNumberChange = (field) => (e) => {
+    onChange({ ...tariff, [field]: parseFloat(e.target.value) || 0 });
+  };
+
+  /**
+   * Updates one field of a pricing tier. An empty upper bound makes the tier unbounded.
+   *
+   * @param {number} index - Position of the tier.
+   * @param {string} field - Either "upTo" or "rate".
+   * @param {string} value - Raw input value.
+   */
+  const handleTierChange = (index, field, value) => {
+    const tiers = tariff.tiers.map((tier, i) => {
+      if (i !== index) return tier;
+      if (field === 'upTo') {
+        return { ...tier, upTo: value === '' ? null : parseFloat(value) || 0 };
+      }
+      return { ...tier, rate: parseFloat(value) || 0 };
+    });
+    onChange({ ...tariff, tiers });
+  };
+
+  /**
+   * Adds a new unbounded tier after the last one; the previous last tier gets an upper bound.
+   */
+  const handleAddTier = () => {
+    const tiers = [...tariff.tiers];
+    const last = tiers[tiers.length - 1];
+    const previousBound = tiers.length > 1 ? tiers[tiers.length - 2].upTo : 0;
+    if (last && last.upTo == null) {
+      tiers[tiers.length - 1] = { ...last, upTo: previousBound + 500 };
+    }
+    tiers.push({ upTo: null, rate: last ? last.rate : 0.15 });
+    onChange({ ...tariff, tiers });
+  };
+
+  /**
+   * Removes a tier. At least one tier is always kept.
+   *
+   * @param {number} index - Position of the tier to remove.
+   */
+  const handleRemoveTier = (index) => {
+    if (tariff.tiers.length <= 1) return;
+    onChange({ ...tariff, tiers: tariff.tiers.filter((_, i) => i !== index) });
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <div className="flex items-center mb-4">
+        <DollarSign size={20} className="text-blue-600 mr-2" />
+        <h2 className="text-xl font-semibold text-gray-800">Electricity Rate</h2>
+      </div>
+      {/* Tariff Type Selector */}
+      <div className="flex flex-wrap gap-2 mb-5">
+        {TARIFF_OPTIONS.map(option => (
+          <button
+            key={option.type}
+            type="button"
+            onClick={() => onChange({ ...tariff, type: option.type })}
+            className={`px-3 py-1 rounded-lg border text-sm transition ${
+              tariff.type === option.type
+                ? 'bg-blue-600 text-white border-blue-600'
+                : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        {/* Flat Rate */}
+        {tariff.type === TARIFF_TYPES.FLAT && (
+          <div>
+            <label htmlFor="tariff-flat-rate" className={LABEL_CLASS}>Rate ($/kWh)</label>
+            <input
+              id="tariff-flat-rate"
+              type="number"
+              min="0"
+              step="0.01"
+              value={tariff.flatRate}
+              onChange={handleNumberChange('flatRate')}
+              className={INPUT_CLASS}
+            />
+          </div>
+        )}
+
+        {/* Tiered Blocks */}
+        {tariff.type === TARIFF_TYPES.TIERED && (
+          <div className="md:col-span-2 space-y-2">
+            <p className={LABEL_CLASS}>Monthly Blocks</p>
+            {tariff.tiers.map((tier, index) => (
+              <div key={index} className="flex items-center gap-2">
+                <span className="text-sm text-gray-500 w-24">
+                  {index === 0 ? 'First' : 'Next'}
+                </span>
+                <input
+                  type="number"
+                  min="0"
+                  placeholder="No limit"
+                  aria-label={`Tier ${index + 1} upper bound (kWh)`}
+                  value={tier.upTo == null ? '' : tier.upTo}
+                  onChange={(e) => handleTierChange(index, 'upTo', e.target.value)}
+                  className={INPUT_CLASS}
+                />
+                <span className="text-sm text-gray-500">kWh at</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  aria-label={`Tier ${index + 1} rate ($/kWh)`}
+                  value={tier.rate}
+                  onChange={(e) => handleTierChange(index, 'rate', e.target.value)}
+                  className={INPUT_CLASS}
+                />
+                <span className="text-sm text-gray-500">$/kWh</span>
+                <button
+                  type="button"
+                  onClick={() => handleRemoveTier(index)}
+                  disabled={tariff.tiers.length <= 1}
+                  className="text-red-500 hover:text-red-700 transition p-1 rounded-full hover:bg-red-50 disabled:opacity-30"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={handleAddTier}
+              className="flex items-center text-sm text-blue-600 hover:text-blue-700 transition"
+            >
+              <PlusCircle size={14} className="mr-1" /> Add Tier
+            </button>
+          </div>
+        )}
+
+        {/* Time-of-Use Rates */}
+        {tariff.type === TARIFF_TYPES.TIME_OF_USE && (
+          <>
+            <div>
+              <label htmlFor="tariff-peak-rate" className={LABEL_CLASS}>Peak Rate ($/kWh)</label>
+              <input
+                id="tariff-peak-rate"
+                type="number"
+                min="0"
+                step="0.01"
+                value={tariff.peakRate}
+                onChange={handleNumberChange('peakRate')}
+                className={INPUT_CLASS}
+              />
+            </div>
+            <div>
+              <label htmlFor="tariff-off-peak-rate" className={LABEL_CLASS}>Off-Peak Rate ($/kWh)</label>
+              <input
+                id="tariff-off-peak-rate"
+                type="number"
+                min="0"
+                step="0.01"
+                value={tariff.offPeakRate}
+                onChange={handleNumberChange('offPeakRate')}
+                className={INPUT_CLASS}
+              />
+            </div>
+            <div>
+              <p className={LABEL_CLASS}>Peak Hours</p>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  min="0"
+                  max="23"
+                  aria-label="Peak start hour"
+                  value={tariff.peakStart}
+                  onChange={handleNumberChange('peakStart')}
+                  className={INPUT_CLASS}
+                />
+                <span className="text-sm text-gray-500">to</span>
+                <input
+                  type="number"
+                  min="0"
+                  max="24"
+                  aria-label="Peak end hour"
+                  value={tariff.peakEnd}
+                  onChange={handleNumberChange('peakEnd')}
+                  className={INPUT_CLASS}
+                />
+              </div>
+            </div>
+          </>
+        )}
+
+        {/* Service Charge */}
+        <div>
+          <label htmlFor="tariff-service-charge" className={LABEL_CLASS}>Monthly Service Charge ($)</label>
+          <input
+            id="tariff-service-charge"
+            type="number"
+            min="0"
+            step="0.01"
+            value={tariff.serviceCharge}
+            onChange={handleNumberChange('serviceCharge')}
+            className={INPUT_CLASS}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,292 @@
+/**
+ * UpgradeSimulator.js
+ *
+ * What-if mode: propose replacements for appliances in the list (a new wattage or
+ * hours, or a catalog alternative) with a purchase price, see what each saves and how
+ * long it takes to pay back, and compare the whole scenario with the current household.
+ */
+
+import React, { useState } from 'react';
+import { PlusCircle, Trash2, ArrowRight } from 'lucide-react';
+import { evaluateScenario, DEFAULT_UPGRADE_LIFETIME_YEARS } from '../engine/upgrades';
+import { formatCurrency } from '../engine/tariffs';
+import { findCatalogEntry, groupByCategory } from '../utils/catalog';
+
+const INPUT_CLASS = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 transition';
+const LABEL_CLASS = 'block text-sm font-medium text-gray-700 mb-1';
+const TH_CLASS = 'px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+// Value of the replacement selector that keeps the appliance and only changes its settings
+const SAME_APPLIANCE = '';
+
+/**
+ * Formats a payback period.
+ *
+ * @param {number} years - Payback in years; Infinity if it never pays back.
+ * @returns {string} e.g. "3.2 years" or "Never".
+ */
+const formatPayback = (years) => (Number.isFinite(years) ? `${years.toFixed(1)} years` : 'Never');
+
+/**
+ * Returns a draft upgrade prefilled with an item's current settings.
+ *
+ * @param {?Object} item - The usage item to upgrade.
+ * @returns {Object} Form values.
+ */
+const draftFor = (item) => ({
+  itemId: item ? item.id : '',
+  replacement: SAME_APPLIANCE,
+  watts: item ? item.watts : 0,
+  hours: item ? item.hours : 0,
+  dutyCycle: item ? item.dutyCycle : 100,
+  standbyWatts: item ? item.standbyWatts : 0,
+  price: 0,
+  lifetimeYears: DEFAULT_UPGRADE_LIFETIME_YEARS
+});
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.items - The current usage items.
+ * @param {Object} props.tariff - The tariff used to price savings.
+ * @param {Array<Object>} props.upgrades - Upgrades in the scenario, at most one per item.
+ * @param {Function} props.onChange - Called with the updated list of upgrades.
+ * @param {Array<Object>} props.catalog - Appliance catalog offered as replacements (see buildCatalog).
+ */
+export default function UpgradeSimulator({ items, tariff, upgrades, onChange, catalog }) {
+  const [draft, setDraft] = useState(() => draftFor(items[0]));
+
+  const scenario = evaluateScenario(items, upgrades, tariff);
+  const selectedItem = items.find(item => item.id === Number(draft.itemId));
+
+  /**
+   * Picks the appliance to upgrade and loads its current settings into the form.
+   *
+   * @param {string} id - Id of the usage item.
+   */
+  const handleItemChange = (id) => {
+    setDraft(draftFor(items.find(item => item.id === Number(id))));
+  };
+
+  /**
+   * Picks a catalog alternative, taking its ratings but keeping the current hours of use.
+   *
+   * @param {string} name - Catalog name, or SAME_APPLIANCE.
+   */
+  const handleReplacementChange = (name) => {
+    const source = findCatalogEntry(catalog, name) || selectedItem;
+    if (!source) return;
+    setDraft({
+      ...draft,
+      replacement: name,
+      watts: source.watts,
+      dutyCycle: source.dutyCycle,
+      standbyWatts: source.standbyWatts
+    });
+  };
+
+  /**
+   * Adds the drafted upgrade to the scenario, replacing any earlier upgrade of the same item.
+   *
+   * @param {React.FormEvent} e - Form submit event.
+   */
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!selectedItem) return;
+    const changes = {
+      watts: draft.watts,
+      hours: draft.hours,
+      dutyCycle: draft.dutyCycle,
+      standbyWatts: draft.standbyWatts
+    };
+    if (draft.replacement !== SAME_APPLIANCE) changes.name = draft.replacement;
+    const upgrade = {
+      itemId: selectedItem.id,
+      changes,
+      price: parseFloat(draft.price) || 0,
+      lifetimeYears: parseFloat(draft.lifetimeYears) || DEFAULT_UPGRADE_LIFETIME_YEARS
+    };
+    onChange([...upgrades.filter(existing => existing.itemId !== selectedItem.id), upgrade]);
+  };
+
+  /**
+   * Updates one numeric form field.
+   *
+   * @param {string} field - Draft field name.
+   * @returns {Function} Change handler for an input element.
+   */
+  const handleNumberChange = (field) => (e) => {
+    setDraft({ ...draft, [field]: e.target.value });
+  };
+
+  return (
+    <div className="space-y-8">
+      {/* Upgrade Form */}
+      <div className="bg-white rounded-xl shadow-md p-6">
+        <h2 className="text-xl font-semibold text-gray-800 mb-1">What If You Upgraded?</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Pick an appliance, describe its replacement and what it costs. Add several upgrades to build a scenario.
+        </p>
+        <form onSubmit={handleAdd} className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div className="md:col-span-2">
+            <label htmlFor="upgrade-item" className={LABEL_CLASS}>Appliance</label>
+            <select
+              id="upgrade-item"
+              value={draft.itemId}
+              onChange={(e) => handleItemChange(e.target.value)}
+              className={INPUT_CLASS}
+            >
+              {items.map(item => (
+                <option key={item.id} value={item.id}>
+                  {item.name} ({item.watts} W, {item.hours} h/day)
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="md:col-span-2">
+            <label htmlFor="upgrade-replacement" className={LABEL_CLASS}>Replace With</label>
+            <select
+              id="upgrade-replacement"
+              value={draft.replacement}
+              onChange={(e) => handleReplacementChange(e.target.value)}
+              className={INPUT_CLASS}
+            >
+              <option value={SAME_APPLIANCE}>Same appliance, new settings</option>
+              {groupByCategory(catalog).map(group => (
+                <optgroup key={group.category.id} label={group.category.label}>
+                  {group.entries.map(appliance => (
+                    <option key={appliance.name} value={appliance.name}>{appliance.name}</option>
+                  ))}
+                </optgroup>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="upgrade-watts" className={LABEL_CLASS}>New Power (Watts)</label>
+            <input id="upgrade-watts" type="number" min="0" value={draft.watts} onChange={handleNumberChange('watts')} className={INPUT_CLASS} />
+          </div>
+          <div>
+            <label htmlFor="upgrade-hours" className={LABEL_CLASS}>New Hours/Day</label>
+            <input id="upgrade-hours" type="number" min="0" max="24" step="0.1" value={draft.hours} onChange={handleNumberChange('hours')} className={INPUT_CLASS} />
+          </div>
+          <div>
+            <label htmlFor="upgrade-price" className={LABEL_CLASS}>Purchase Price ($)</label>
+            <input id="upgrade-price" type="number" min="0" step="1" value={draft.price} onChange={handleNumberChange('price')} className={INPUT_CLASS} />
+          </div>
+          <div>
+            <label htmlFor="upgrade-lifetime" className={LABEL_CLASS}>Lifetime (Years)</label>
+            <input id="upgrade-lifetime" type="number" min="1" step="1" value={draft.lifetimeYears} onChange={handleNumberChange('lifetimeYears')} className={INPUT_CLASS} />
+          </div>
+          <div className="md:col-span-4">
+            <button
+              type="submit"
+              className="flex items-center justify-center bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition shadow-sm"
+            >
+              <PlusCircle size={18} className="mr-2" />
+              Add to Scenario
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {/* Scenario Upgrades */}
+      {scenario.upgrades.length > 0 && (
+        <div className="bg-white rounded-xl shadow-md p-6">
+          <h2 className="text-xl font-semibold text-gray-800 mb-4">Your Scenario</h2>
+          <div className="overflow-x-auto rounded-lg border border-gray-200">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className={TH_CLASS}>Upgrade</th>
+                  <th className={TH_CLASS}>kWh Saved/Year</th>
+                  <th className={TH_CLASS}>Saved/Year</th>
+                  <th className={TH_CLASS}>Price</th>
+                  <th className={TH_CLASS}>Payback</th>
+                  <th className={TH_CLASS}>Lifetime Savings</th>
+                  <th className={TH_CLASS}>Action</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {scenario.upgrades.map(result => (
+                  <tr key={result.item.id}>
+                    <td className="px-4 py-3">
+                      <span className="flex items-center flex-wrap">
+                        {result.item.name} ({result.item.watts} W)
+                        <ArrowRight size={14} className="mx-1 text-gray-400" />
+                        {result.proposed.name} ({result.proposed.watts} W)
+                      </span>
+                    </td>
+                    <td className="px-4 py-3">{result.annualKwh.toFixed(0)}</td>
+                    <td className="px-4 py-3">{formatCurrency(result.annualSavings)}</td>
+                    <td className="px-4 py-3">{formatCurrency(result.upgrade.price)}</td>
+                    <td className="px-4 py-3">{formatPayback(result.paybackYears)}</td>
+                    <td className={`px-4 py-3 font-medium ${result.lifetimeSavings >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                      {formatCurrency(result.lifetimeSavings)}
+                    </td>
+                    <td className="px-4 py-3">
+                      <button
+                        onClick={() => onChange(upgrades.filter(upgrade => upgrade.itemId !== result.item.id))}
+                        aria-label={`Remove upgrade of ${result.item.name}`}
+                        className="text-red-500 hover:text-red-700 transition p-1 rounded-full hover:bg-red-50"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Side-by-Side Comparison */}
+      {scenario.upgrades.length > 0 && (
+        <div className="bg-white rounded-xl shadow-md p-6">
+          <h2 className="text-xl font-semibold text-gray-800 mb-4">Current vs. Upgraded</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+            {[
+              { title: 'Current Household', household: scenario.current, className: 'bg-gray-50' },
+              { title: 'With Upgrades', household: scenario.proposed, className: 'bg-green-50' }
+            ].map(({ title, household, className }) => (
+              <div key={title} className={`${className} rounded-lg p-4`}>
+                <h3 className="font-medium text-gray-800 mb-2">{title}</h3>
+                <dl className="grid grid-cols-3 gap-2 text-sm">
+                  <div>
+                    <dt className="text-gray-500">Daily</dt>
+                    <dd className="font-semibold text-gray-800">{household.kWh.toFixed(2)} kWh</dd>
+                  </div>
+                  <div>
+                    <dt className="text-gray-500">Monthly Bill</dt>
+                    <dd className="font-semibold text-gray-800">{formatCurrency(household.cost.monthly)}</dd>
+                  </div>
+                  <div>
+                    <dt className="text-gray-500">Annual Bill</dt>
+                    <dd className="font-semibold text-gray-800">{formatCurrency(household.cost.annual)}</dd>
+                  </div>
+                </dl>
+              </div>
+            ))}
+          </div>
+          <dl className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div>
+              <dt className="text-sm text-gray-500">Total Price</dt>
+              <dd className="text-2xl font-bold text-gray-800">{formatCurrency(scenario.totals.totalPrice)}</dd>
+            </div>
+            <div>
+              <dt className="text-sm text-gray-500">Saved per Year</dt>
+              <dd className="text-2xl font-bold text-green-600">{formatCurrency(scenario.totals.annualSavings)}</dd>
+            </div>
+            <div>
+              <dt className="text-sm text-gray-500">Payback</dt>
+              <dd className="text-2xl font-bold text-blue-600">{formatPayback(scenario.totals.paybackYears)}</dd>
+            </div>
+            <div>
+              <dt className="text-sm text-gray-500">Lifetime Savings</dt>
+              <dd className="text-2xl font-bold text-blue-600">{formatCurrency(scenario.totals.lifetimeSavings)}</dd>
+            </div>
+          </dl>
+        </div>
+      )}
+    </div>
+  );
+}
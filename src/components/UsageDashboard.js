@@ -0,0 +1,165 @@
+/**
+ * UsageDashboard.js
+ *
+ * Charts for the Insights tab, built with Recharts from the household's usage items:
+ * - A donut showing each appliance's share of daily consumption.
+ * - A ranked bar chart of the biggest consumers.
+ * - A stacked bar comparing the household against a reference household.
+ */
+
+import React from 'react';
+import {
+  ResponsiveContainer,
+  PieChart,
+  Pie,
+  Cell,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend
+} from 'recharts';
+import EmptyState from './EmptyState';
+
+// Colors assigned to appliances in order of consumption
+const CHART_COLORS = [
+  '#2563eb', '#16a34a', '#f59e0b', '#dc2626', '#7c3aed',
+  '#0891b2', '#db2777', '#65a30d', '#ea580c', '#4b5563'
+];
+
+// Color of the reference household bar
+const REFERENCE_COLOR = '#9ca3af';
+
+// Number of appliances shown in the ranked bar chart
+const TOP_CONSUMER_COUNT = 8;
+
+/**
+ * Groups usage items by appliance name and sorts them by daily consumption, largest first.
+ *
+ * @param {Array<Object>} usageItems - The household's usage items.
+ * @returns {Array<{name: string, kWh: number, color: string}>} One entry per appliance.
+ */
+function groupByAppliance(usageItems) {
+  const totals = new Map();
+  usageItems.forEach(item => {
+    totals.set(item.name, (totals.get(item.name) || 0) + item.kWh);
+  });
+  return Array.from(totals, ([name, kWh]) => ({ name, kWh }))
+    .filter(entry => entry.kWh > 0)
+    .sort((a, b) => b.kWh - a.kWh)
+    .map((entry, index) => ({ ...entry, color: CHART_COLORS[index % CHART_COLORS.length] }));
+}
+
+/**
+ * Formats a kWh value for chart tooltips.
+ *
+ * @param {number} value - Energy in kWh.
+ * @returns {string} e.g. "3.60 kWh".
+ */
+const formatKwh = (value) => `${Number(value).toFixed(2)} kWh`;
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.usageItems - The household's usage items.
+ * @param {number} props.totalKwh - Total daily consumption of the household.
+ * @param {number} props.referenceKwh - Daily consumption of the reference household.
+ * @param {string} props.referenceLabel - Name of the reference household, e.g. "U.S. Average".
+ * @param {Function} [props.onGoToCalculator] - Called from the empty state's call-to-action.
+ */
+export default function UsageDashboard({ usageItems, totalKwh, referenceKwh, referenceLabel, onGoToCalculator }) {
+  const breakdown = groupByAppliance(usageItems);
+
+  if (breakdown.length === 0) {
+    return (
+      <EmptyState
+        message="None of your appliances use any energy yet. Give them a wattage in the Calculator tab to see your consumption dashboard."
+        actionLabel="Go to Calculator"
+        onAction={onGoToCalculator}
+      />
+    );
+  }
+
+  const topConsumers = breakdown.slice(0, TOP_CONSUMER_COUNT);
+
+  // One row per household; each appliance is its own stacked segment on the "You" row
+  const comparisonData = [
+    breakdown.reduce((row, entry) => ({ ...row, [entry.name]: entry.kWh }), { household: 'Your Home' }),
+    { household: referenceLabel, [referenceLabel]: referenceKwh }
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {/* Share of Consumption */}
+        <div className="bg-white rounded-xl shadow-md p-6">
+          <h2 className="text-xl font-semibold text-gray-800 mb-4">Where Your Energy Goes</h2>
+          <div className="h-72">
+            <ResponsiveContainer width="100%" height="100%">
+              <PieChart>
+                <Pie
+                  data={breakdown}
+                  dataKey="kWh"
+                  nameKey="name"
+                  innerRadius="55%"
+                  outerRadius="80%"
+                  paddingAngle={2}
+                >
+                  {breakdown.map(entry => (
+                    <Cell key={entry.name} fill={entry.color} />
+                  ))}
+                </Pie>
+                <Tooltip
+                  formatter={(value) => `${formatKwh(value)} (${((value / totalKwh) * 100).toFixed(1)}%)`}
+                />
+                <Legend />
+              </PieChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+
+        {/* Biggest Consumers */}
+        <div className="bg-white rounded-xl shadow-md p-6">
+          <h2 className="text-xl font-semibold text-gray-800 mb-4">Biggest Consumers</h2>
+          <div className="h-72">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={topConsumers} layout="vertical" margin={{ left: 20 }}>
+                <CartesianGrid strokeDasharray="3 3" horizontal={false} />
+                <XAxis type="number" unit=" kWh" />
+                <YAxis type="category" dataKey="name" width={110} />
+                <Tooltip formatter={formatKwh} />
+                <Legend />
+                <Bar dataKey="kWh" name="Daily Energy">
+                  {topConsumers.map(entry => (
+                    <Cell key={entry.name} fill={entry.color} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      </div>
+
+      {/* Comparison Against the Reference Household */}
+      <div className="bg-white rounded-xl shadow-md p-6">
+        <h2 className="text-xl font-semibold text-gray-800 mb-4">You vs. {referenceLabel}</h2>
+        <div className="h-56">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={comparisonData} layout="vertical" margin={{ left: 20 }}>
+              <CartesianGrid strokeDasharray="3 3" horizontal={false} />
+              <XAxis type="number" unit=" kWh" />
+              <YAxis type="category" dataKey="household" width={110} />
+              <Tooltip formatter={formatKwh} />
+              <Legend />
+              {breakdown.map(entry => (
+                <Bar key={entry.name} dataKey={entry.name} stackId="usage" fill={entry.color} />
+              ))}
+              <Bar dataKey={referenceLabel} stackId="usage" fill={REFERENCE_COLOR} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,373 @@
+/**
+ * UsageTable.js
+ *
+ * The "Your Energy Usage" table. Rows can be edited inline, given a weekly schedule
+ * and seasonal pattern, duplicated, selected for bulk deletion and sorted by any column.
+ * Appliances added from their label show how their watts were worked out.
+ */
+
+import React, { Fragment, useState } from 'react';
+import { Trash2, Pencil, Copy, Check, X, ArrowUp, ArrowDown, CalendarDays } from 'lucide-react';
+import { formatCurrency } from '../engine/tariffs';
+import { formatNameplate, validateUsageValues } from '../engine/energy';
+import ScheduleEditor from './ScheduleEditor';
+
+const TH_CLASS = 'px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+const EDIT_INPUT_CLASS = 'w-20 p-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500';
+
+// Sortable columns in display order. Cost is proportional to energy, so it sorts by kWh.
+const COLUMNS = [
+  { key: 'name', label: 'Appliance' },
+  { key: 'quantity', label: 'Qty' },
+  { key: 'watts', label: 'Power (W)' },
+  { key: 'hours', label: 'Hours/Day' },
+  { key: 'dutyCycle', label: 'Duty Cycle' },
+  { key: 'activeKwh', label: 'Active (kWh)' },
+  { key: 'standbyKwh', label: 'Standby (kWh)' },
+  { key: 'kWh', label: 'Daily Energy (kWh)' },
+  { key: 'cost', label: 'Daily Cost', sortKey: 'kWh' }
+];
+
+// Fields that can be edited inline, with their input attributes
+const EDITABLE_FIELDS = {
+  quantity: { type: 'number', min: '1', step: '1' },
+  watts: { type: 'number', min: '0', step: '1' },
+  hours: { type: 'number', min: '0', max: '24', step: '0.1' },
+  dutyCycle: { type: 'number', min: '1', max: '100', step: '1' }
+};
+
+/**
+ * Returns a copy of the items sorted by a column.
+ *
+ * @param {Array<Object>} items - The usage items.
+ * @param {{key: string, direction: string}} sort - Column key and "asc" or "desc".
+ * @returns {Array<Object>} The sorted items.
+ */
+function sortItems(items, sort) {
+  if (!sort.key) return items;
+  const column = COLUMNS.find(c => c.key === sort.key);
+  const field = column.sortKey || column.key;
+  const factor = sort.direction === 'asc' ? 1 : -1;
+  return [...items].sort((a, b) => {
+    if (typeof a[field] === 'string') return a[field].localeCompare(b[field]) * factor;
+    return (a[field] - b[field]) * factor;
+  });
+}
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.items - The usage items.
+ * @param {{active: number, standby: number, total: number}} props.totals - Daily energy totals in kWh.
+ * @param {Object} props.costSummary - Cost summary from getCostSummary, used for the cost column and bill.
+ * @param {Function} props.onUpdate - Called with (id, changes) when a row edit is saved.
+ * @param {Function} props.onDuplicate - Called with the id of the row to duplicate.
+ * @param {Function} props.onDelete - Called with an array of ids to delete.
+ */
+export default function UsageTable({ items, totals, costSummary, onUpdate, onDuplicate, onDelete }) {
+  // Current sort column and direction; no key keeps the order items were added in
+  const [sort, setSort] = useState({ key: null, direction: 'asc' });
+
+  // Ids of rows ticked for bulk deletion
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  // Row being edited, its draft values and why the draft could not be saved
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState({});
+  const [editErrors, setEditErrors] = useState([]);
+
+  // Row whose schedule is being edited
+  const [schedulingId, setSchedulingId] = useState(null);
+  const schedulingItem = items.find(item => item.id === schedulingId);
+
+  const sortedItems = sortItems(items, sort);
+  // Ignore selections of rows that no longer exist
+  const selected = selectedIds.filter(id => items.some(item => item.id === id));
+  const allSelected = items.length > 0 && selected.length === items.length;
+
+  /**
+   * Sorts by a column; clicking the current sort column flips its direction.
+   *
+   * @param {string} key - Column key.
+   */
+  const handleSort = (key) => {
+    setSort(current => ({
+      key,
+      direction: current.key === key && current.direction === 'asc' ? 'desc' : 'asc'
+    }));
+  };
+
+  /**
+   * Ticks or unticks a single row.
+   *
+   * @param {number} id - Row id.
+   */
+  const toggleSelected = (id) => {
+    setSelectedIds(selected.includes(id) ? selected.filter(s => s !== id) : [...selected, id]);
+  };
+
+  /**
+   * Ticks every row, or clears the selection when all rows are already ticked.
+   */
+  const toggleSelectAll = () => {
+    setSelectedIds(allSelected ? [] : items.map(item => item.id));
+  };
+
+  /**
+   * Deletes all ticked rows.
+   */
+  const handleDeleteSelected = () => {
+    onDelete(selected);
+    setSelectedIds([]);
+  };
+
+  /**
+   * Starts editing a row with its current values.
+   *
+   * @param {Object} item - The usage item to edit.
+   */
+  const startEditing = (item) => {
+    setEditingId(item.id);
+    setEditErrors([]);
+    setDraft({
+      name: item.name,
+      quantity: item.quantity,
+      watts: item.watts,
+      hours: item.hours,
+      dutyCycle: item.dutyCycle
+    });
+  };
+
+  /**
+   * Saves the draft of the row being edited. An invalid draft keeps the row in edit mode
+   * and lists what to fix, as an import does for its rows.
+   */
+  const saveEditing = () => {
+    const errors = validateUsageValues(draft);
+    if (errors.length > 0) {
+      setEditErrors(errors);
+      return;
+    }
+    const name = String(draft.name).trim();
+    onUpdate(editingId, { ...draft, name: name || 'Other' });
+    setEditingId(null);
+  };
+
+  /**
+   * Renders the content of one cell, as an input when its row is being edited.
+   *
+   * @param {Object} item - The row's usage item.
+   * @param {string} key - Column key.
+   * @returns {React.ReactNode} The cell content.
+   */
+  const renderCell = (item, key) => {
+    const isEditing = item.id === editingId;
+    if (isEditing && key === 'name') {
+      return (
+        <input
+          type="text"
+          aria-label="Appliance name"
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          className="w-40 p-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+        />
+      );
+    }
+    if (isEditing && EDITABLE_FIELDS[key]) {
+      return (
+        <input
+          {...EDITABLE_FIELDS[key]}
+          aria-label={COLUMNS.find(c => c.key === key).label}
+          value={draft[key]}
+          onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+          className={EDIT_INPUT_CLASS}
+        />
+      );
+    }
+    switch (key) {
+      case 'watts':
+        return item.nameplate ? (
+          <span title="Worked out from the label: volts × amps × power factor">
+            {item.watts}
+            <span className="block text-xs text-gray-400 whitespace-nowrap">{formatNameplate(item.nameplate)}</span>
+          </span>
+        ) : item.watts;
+      case 'hours':
+        return item.schedule || item.seasonality || item.timeWindows ? (
+          <span className="flex items-center" title="Scheduled by weekday, season or time of day; the daily energy is the average day of the year">
+            {item.hours}
+            <CalendarDays size={12} className="ml-1 text-blue-500" aria-label="Scheduled" />
+          </span>
+        ) : item.hours;
+      case 'dutyCycle':
+        return `${item.dutyCycle}%`;
+      case 'activeKwh':
+        return item.activeKwh.toFixed(2);
+      case 'standbyKwh':
+        return (
+          <span className="text-gray-500">
+            {item.standbyKwh.toFixed(2)}
+            {item.standbyWatts > 0 && <span className="text-xs text-gray-400"> ({item.standbyWatts} W)</span>}
+          </span>
+        );
+      case 'kWh':
+        return <span className="font-medium">{item.kWh.toFixed(2)}</span>;
+      case 'cost':
+        return formatCurrency(item.kWh * costSummary.effectiveRate);
+      default:
+        return item[key];
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {/* Bulk Actions */}
+      {selected.length > 0 && (
+        <div className="flex items-center justify-between bg-red-50 border border-red-100 rounded-lg px-4 py-2">
+          <span className="text-sm text-red-700">{selected.length} selected</span>
+          <button
+            onClick={handleDeleteSelected}
+            className="flex items-center text-sm text-red-600 hover:text-red-700 transition"
+          >
+            <Trash2 size={14} className="mr-1" /> Delete Selected
+          </button>
+        </div>
+      )}
+      <div className="overflow-x-auto rounded-lg border border-gray-200">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3">
+                <input type="checkbox" aria-label="Select all" checked={allSelected} onChange={toggleSelectAll} />
+              </th>
+              {COLUMNS.map(column => (
+                <th key={column.key} className={TH_CLASS}>
+                  <button
+                    onClick={() => handleSort(column.key)}
+                    className="flex items-center uppercase tracking-wider hover:text-gray-700"
+                  >
+                    {column.label}
+                    {sort.key === column.key && (
+                      sort.direction === 'asc'
+                        ? <ArrowUp size={12} className="ml-1" />
+                        : <ArrowDown size={12} className="ml-1" />
+                    )}
+                  </button>
+                </th>
+              ))}
+              <th className={TH_CLASS}>Action</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {sortedItems.map(item => (
+              <Fragment key={item.id}>
+                <tr className="hover:bg-gray-50 transition">
+                  <td className="px-4 py-3">
+                    <input
+                      type="checkbox"
+                      aria-label={`Select ${item.name}`}
+                      checked={selected.includes(item.id)}
+                      onChange={() => toggleSelected(item.id)}
+                    />
+                  </td>
+                  {COLUMNS.map(column => (
+                    <td key={column.key} className="px-4 py-3">{renderCell(item, column.key)}</td>
+                  ))}
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    {item.id === editingId ? (
+                      <>
+                        <button
+                          onClick={saveEditing}
+                          aria-label={`Save ${item.name}`}
+                          className="text-green-600 hover:text-green-700 transition p-1 rounded-full hover:bg-green-50"
+                        >
+                          <Check size={16} />
+                        </button>
+                        <button
+                          onClick={() => setEditingId(null)}
+                          aria-label="Cancel editing"
+                          className="text-gray-500 hover:text-gray-700 transition p-1 rounded-full hover:bg-gray-100"
+                        >
+                          <X size={16} />
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        <button
+                          onClick={() => startEditing(item)}
+                          aria-label={`Edit ${item.name}`}
+                          className="text-blue-500 hover:text-blue-700 transition p-1 rounded-full hover:bg-blue-50"
+                        >
+                          <Pencil size={16} />
+                        </button>
+                        <button
+                          onClick={() => setSchedulingId(item.id)}
+                          aria-label={`Schedule ${item.name}`}
+                          className="text-blue-500 hover:text-blue-700 transition p-1 rounded-full hover:bg-blue-50"
+                        >
+                          <CalendarDays size={16} />
+                        </button>
+                        <button
+                          onClick={() => onDuplicate(item.id)}
+                          aria-label={`Duplicate ${item.name}`}
+                          className="text-blue-500 hover:text-blue-700 transition p-1 rounded-full hover:bg-blue-50"
+                        >
+                          <Copy size={16} />
+                        </button>
+                        <button
+                          onClick={() => onDelete([item.id])}
+                          aria-label={`Delete ${item.name}`}
+                          className="text-red-500 hover:text-red-700 transition p-1 rounded-full hover:bg-red-50"
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+                {/* Edit Errors */}
+                {item.id === editingId && editErrors.length > 0 && (
+                  <tr className="bg-red-50">
+                    <td colSpan={COLUMNS.length + 2} className="px-4 py-2">
+                      <ul role="alert" className="text-sm text-red-600 list-disc list-inside">
+                        {editErrors.map(error => <li key={error}>{error}</li>)}
+                      </ul>
+                    </td>
+                  </tr>
+                )}
+              </Fragment>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr className="bg-gray-50 font-medium">
+              <td colSpan="6" className="px-4 py-3 text-right">Total Daily Energy:</td>
+              <td className="px-4 py-3">{totals.active.toFixed(2)}</td>
+              <td className="px-4 py-3 text-gray-500">{totals.standby.toFixed(2)}</td>
+              <td className="px-4 py-3 text-blue-600">{totals.total.toFixed(2)} kWh</td>
+              <td className="px-4 py-3 text-blue-600">{formatCurrency(costSummary.daily)}</td>
+              <td></td>
+            </tr>
+            <tr className="bg-gray-50 text-sm text-gray-600">
+              <td colSpan="8" className="px-4 py-2 text-right">Estimated Bill (incl. {formatCurrency(costSummary.serviceCharge)}/month service charge):</td>
+              <td colSpan="3" className="px-4 py-2">
+                {formatCurrency(costSummary.monthly)}/month · {formatCurrency(costSummary.annual)}/year
+              </td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+
+      {/* Schedule Editor */}
+      {schedulingItem && (
+        <ScheduleEditor
+          key={schedulingItem.id}
+          item={schedulingItem}
+          onSave={(changes) => {
+            onUpdate(schedulingItem.id, changes);
+            setSchedulingId(null);
+          }}
+          onCancel={() => setSchedulingId(null)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+/**
+ * appliances.js
+ *
+ * Built-in catalog of common appliances with typical ratings.
+ *
+ * - watts: power draw while running.
+ * - hours: typical hours per day the appliance is switched on.
+ * - dutyCycle: percentage of those hours it actually draws full power
+ *   (compressors and thermostatic heaters cycle on and off).
+ * - standbyWatts: "vampire" draw for the rest of the day while it is plugged in but off.
+ * - category: id of one of APPLIANCE_CATEGORIES, for grouping the catalog.
+ *
+ * Users can add their own appliances to the catalog (see utils/catalog.js).
+ */
+
+// Catalog groups, in the order they are listed
+export const APPLIANCE_CATEGORIES = [
+  { id: 'kitchen', label: 'Kitchen' },
+  { id: 'laundry', label: 'Laundry' },
+  { id: 'hvac', label: 'Heating, Cooling & Hot Water' },
+  { id: 'electronics', label: 'Electronics' },
+  { id: 'lighting', label: 'Lighting' },
+  { id: 'other', label: 'Other' }
+];
+
+// Category of appliances that fit none of the others
+export const DEFAULT_CATEGORY_ID = 'other';
+
+export const APPLIANCES = [
+  { name: 'Refrigerator', watts: 150, hours: 24, dutyCycle: 35, standbyWatts: 0, category: 'kitchen' },
+  { name: 'AC/Heater', watts: 1500, hours: 8, dutyCycle: 60, standbyWatts: 2, category: 'hvac' },
+  { name: 'Laptop', watts: 50, hours: 8, dutyCycle: 100, standbyWatts: 2, category: 'electronics' },
+  { name: 'Desktop Computer', watts: 200, hours: 6, dutyCycle: 100, standbyWatts: 5, category: 'electronics' },
+  { name: 'TV', watts: 100, hours: 4, dutyCycle: 100, standbyWatts: 3, category: 'electronics' },
+  { name: 'Microwave', watts: 1000, hours: 0.25, dutyCycle: 100, standbyWatts: 3, category: 'kitchen' },
+  { name: 'Washing Machine', watts: 500, hours: 1, dutyCycle: 100, standbyWatts: 1, category: 'laundry' },
+  { name: 'Dryer', watts: 3000, hours: 1, dutyCycle: 75, standbyWatts: 1, category: 'laundry' },
+  { name: 'Light Bulb (LED)', watts: 9, hours: 5, dutyCycle: 100, standbyWatts: 0, category: 'lighting' },
+  { name: 'Light Bulb (Incandescent)', watts: 60, hours: 5, dutyCycle: 100, standbyWatts: 0, category: 'lighting' },
+  { name: 'Dishwasher', watts: 1200, hours: 1.5, dutyCycle: 70, standbyWatts: 1, category: 'kitchen' },
+  { name: 'Electric Oven', watts: 2150, hours: 1, dutyCycle: 50, standbyWatts: 3, category: 'kitchen' },
+  { name: 'Coffee Maker', watts: 1000, hours: 0.5, dutyCycle: 100, standbyWatts: 1, category: 'kitchen' },
+  { name: 'Toaster', watts: 1100, hours: 0.1, dutyCycle: 100, standbyWatts: 0, category: 'kitchen' },
+  { name: 'Hair Dryer', watts: 1800, hours: 0.2, dutyCycle: 100, standbyWatts: 0, category: 'other' },
+  { name: 'Ceiling Fan', watts: 75, hours: 8, dutyCycle: 100, standbyWatts: 0, category: 'hvac' },
+  { name: 'Router/Modem', watts: 15, hours: 24, dutyCycle: 100, standbyWatts: 0, category: 'electronics' },
+  { name: 'Gaming Console', watts: 150, hours: 2, dutyCycle: 100, standbyWatts: 10, category: 'electronics' },
+  { name: 'Phone Charger', watts: 5, hours: 3, dutyCycle: 100, standbyWatts: 0.3, category: 'electronics' },
+  { name: 'Electric Vehicle', watts: 7700, hours: 1.3, dutyCycle: 100, standbyWatts: 0, category: 'other' },
+  { name: 'Water Heater (Electric)', watts: 4500, hours: 2, dutyCycle: 100, standbyWatts: 0, category: 'hvac' },
+  { name: 'Water Heater (Heat Pump)', watts: 550, hours: 4.3, dutyCycle: 100, standbyWatts: 0, category: 'hvac' },
+  { name: 'Pool Pump', watts: 1720, hours: 8, dutyCycle: 100, standbyWatts: 0, category: 'other' },
+  { name: 'Other', watts: 0, hours: 1, dutyCycle: 100, standbyWatts: 0, category: 'other' }
+];
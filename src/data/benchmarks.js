@@ -0,0 +1,180 @@
+/**
+ * benchmarks.js
+ *
+ * Offline benchmark data for comparing a household against its peers.
+ *
+ * - Countries: approximate average annual electricity use per household (World Energy
+ *   Council, Odyssee and national statistics, around 2020–2022).
+ * - US states: EIA 2022 average monthly consumption per residential customer.
+ *
+ * Adjustment factors scale a region's average for household size, home type and climate.
+ * They are rough ratios from the EIA Residential Energy Consumption Survey; each list has
+ * a neutral "typical" option that leaves the average unchanged.
+ */
+
+import { calculateBenchmark } from '../engine/benchmarks';
+import { DAYS_PER_YEAR } from '../engine/energy';
+
+/**
+ * Converts a monthly consumption figure to kWh per day.
+ *
+ * @param {number} monthlyKwh - Average kWh per month.
+ * @returns {number} Average kWh per day.
+ */
+const fromMonthly = (monthlyKwh) => (monthlyKwh * 12) / DAYS_PER_YEAR;
+
+/**
+ * Converts an annual consumption figure to kWh per day.
+ *
+ * @param {number} annualKwh - Average kWh per year.
+ * @returns {number} Average kWh per day.
+ */
+const fromAnnual = (annualKwh) => annualKwh / DAYS_PER_YEAR;
+
+// Groups the regions are listed under in the selector
+export const BENCHMARK_GROUPS = {
+  COUNTRY: 'Countries',
+  US_STATE: 'US States'
+};
+
+export const BENCHMARK_REGIONS = [
+  { id: 'US', name: 'United States', group: BENCHMARK_GROUPS.COUNTRY, dailyKwh: fromAnnual(10791) },
+  { id: 'CA', name: 'Canada', group: BENCHMARK_GROUPS.COUNTRY, dailyKwh: fromAnnual(11000) },
+  { id: 'MX', name: 'Mexico', group: BENCHMARK_GROUPS.COUNTRY, dailyKwh: fromAnnual(2100) },
+  { id: 'BR', name: 'Brazil', group: BENCHMARK_GROUPS.COUNTRY, dailyKwh: fromAnnual(1950) },
+  { id: 'GB', name: 'United Kingdom', group: BENCHMARK_GROUPS.COUNTRY, dailyKwh: fromAnnual(3600) },
+  { id: 'FR', name: 'France', group: BENCHMARK_GROUPS.COUNTRY, dailyKwh: fromAnnual(4700) },
+  { id: 'DE', name: 'Germany', group: BENCHMARK_GROUPS.COUNTRY, dailyKwh: fromAnnual(3100) },
+  { id: 'ES', name: 'Spain', group: BENCHMARK_GROUPS.COUNTRY, dailyKwh: fromAnnual(3500) },
+  { id: 'IT', name: 'Italy', group: BENCHMARK_GROUPS.COUNTRY, dailyKwh: fromAnnual(2500) },
+  { id: 'PL', name: 'Poland', group: BENCHMARK_GROUPS.COUNTRY, dailyKwh: fromAnnual(2100) },
+  { id: 'SE', name: 'Sweden', group: BENCHMARK_GROUPS.COUNTRY, dailyKwh: fromAnnual(8000) },
+  { id: 'NO', name: 'Norway', group: BENCHMARK_GROUPS.COUNTRY, dailyKwh: fromAnnual(16000) },
+  { id: 'IN', name: 'India', group: BENCHMARK_GROUPS.COUNTRY, dailyKwh: fromAnnual(1200) },
+  { id: 'CN', name: 'China', group: BENCHMARK_GROUPS.COUNTRY, dailyKwh: fromAnnual(1900) },
+  { id: 'JP', name: 'Japan', group: BENCHMARK_GROUPS.COUNTRY, dailyKwh: fromAnnual(4300) },
+  { id: 'KR', name: 'South Korea', group: BENCHMARK_GROUPS.COUNTRY, dailyKwh: fromAnnual(3700) },
+  { id: 'AU', name: 'Australia', group: BENCHMARK_GROUPS.COUNTRY, dailyKwh: fromAnnual(5600) },
+  { id: 'ZA', name: 'South Africa', group: BENCHMARK_GROUPS.COUNTRY, dailyKwh: fromAnnual(3700) },
+  { id: 'US-AL', name: 'Alabama', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(1130) },
+  { id: 'US-AK', name: 'Alaska', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(577) },
+  { id: 'US-AZ', name: 'Arizona', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(1049) },
+  { id: 'US-AR', name: 'Arkansas', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(1079) },
+  { id: 'US-CA', name: 'California', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(533) },
+  { id: 'US-CO', name: 'Colorado', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(702) },
+  { id: 'US-CT', name: 'Connecticut', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(731) },
+  { id: 'US-DE', name: 'Delaware', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(917) },
+  { id: 'US-DC', name: 'District of Columbia', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(598) },
+  { id: 'US-FL', name: 'Florida', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(1111) },
+  { id: 'US-GA', name: 'Georgia', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(1075) },
+  { id: 'US-HI', name: 'Hawaii', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(517) },
+  { id: 'US-ID', name: 'Idaho', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(951) },
+  { id: 'US-IL', name: 'Illinois', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(725) },
+  { id: 'US-IN', name: 'Indiana', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(945) },
+  { id: 'US-IA', name: 'Iowa', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(876) },
+  { id: 'US-KS', name: 'Kansas', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(917) },
+  { id: 'US-KY', name: 'Kentucky', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(1058) },
+  { id: 'US-LA', name: 'Louisiana', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(1209) },
+  { id: 'US-ME', name: 'Maine', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(622) },
+  { id: 'US-MD', name: 'Maryland', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(937) },
+  { id: 'US-MA', name: 'Massachusetts', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(622) },
+  { id: 'US-MI', name: 'Michigan', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(652) },
+  { id: 'US-MN', name: 'Minnesota', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(760) },
+  { id: 'US-MS', name: 'Mississippi', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(1158) },
+  { id: 'US-MO', name: 'Missouri', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(1040) },
+  { id: 'US-MT', name: 'Montana', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(859) },
+  { id: 'US-NE', name: 'Nebraska', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(980) },
+  { id: 'US-NV', name: 'Nevada', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(945) },
+  { id: 'US-NH', name: 'New Hampshire', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(634) },
+  { id: 'US-NJ', name: 'New Jersey', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(694) },
+  { id: 'US-NM', name: 'New Mexico', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(603) },
+  { id: 'US-NY', name: 'New York', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(580) },
+  { id: 'US-NC', name: 'North Carolina', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(1059) },
+  { id: 'US-ND', name: 'North Dakota', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(1077) },
+  { id: 'US-OH', name: 'Ohio', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(872) },
+  { id: 'US-OK', name: 'Oklahoma', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(1128) },
+  { id: 'US-OR', name: 'Oregon', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(931) },
+  { id: 'US-PA', name: 'Pennsylvania', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(849) },
+  { id: 'US-RI', name: 'Rhode Island', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(573) },
+  { id: 'US-SC', name: 'South Carolina', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(1083) },
+  { id: 'US-SD', name: 'South Dakota', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(1008) },
+  { id: 'US-TN', name: 'Tennessee', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(1174) },
+  { id: 'US-TX', name: 'Texas', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(1143) },
+  { id: 'US-UT', name: 'Utah', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(790) },
+  { id: 'US-VT', name: 'Vermont', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(567) },
+  { id: 'US-VA', name: 'Virginia', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(1047) },
+  { id: 'US-WA', name: 'Washington', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(957) },
+  { id: 'US-WV', name: 'West Virginia', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(1082) },
+  { id: 'US-WI', name: 'Wisconsin', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(709) },
+  { id: 'US-WY', name: 'Wyoming', group: BENCHMARK_GROUPS.US_STATE, dailyKwh: fromMonthly(892) }
+];
+
+// Adjustments to a region's average, keyed by the setting that stores the chosen option
+export const BENCHMARK_ADJUSTMENTS = [
+  {
+    key: 'householdSize',
+    label: 'Household Size',
+    options: [
+      { id: 'typical', label: 'Typical for region', factor: 1 },
+      { id: '1', label: '1 person', factor: 0.6 },
+      { id: '2', label: '2 people', factor: 0.85 },
+      { id: '3', label: '3 people', factor: 1.05 },
+      { id: '4', label: '4 people', factor: 1.2 },
+      { id: '5', label: '5 or more people', factor: 1.35 }
+    ]
+  },
+  {
+    key: 'homeType',
+    label: 'Home Type',
+    options: [
+      { id: 'typical', label: 'Typical for region', factor: 1 },
+      { id: 'apartment', label: 'Apartment', factor: 0.6 },
+      { id: 'attached', label: 'Townhouse', factor: 0.85 },
+      { id: 'detached', label: 'Detached house', factor: 1.15 },
+      { id: 'mobile', label: 'Mobile home', factor: 1.05 }
+    ]
+  },
+  {
+    key: 'climateZone',
+    label: 'Climate Zone',
+    options: [
+      { id: 'typical', label: 'Typical for region', factor: 1 },
+      { id: 'mild', label: 'Mild / marine', factor: 0.85 },
+      { id: 'cold', label: 'Cold', factor: 1.1 },
+      { id: 'hotDry', label: 'Hot-dry', factor: 1.1 },
+      { id: 'hotHumid', label: 'Hot-humid', factor: 1.2 }
+    ]
+  }
+];
+
+// Peer group used until the user picks one
+export const DEFAULT_BENCHMARK_SELECTION = {
+  regionId: 'US',
+  householdSize: 'typical',
+  homeType: 'typical',
+  climateZone: 'typical'
+};
+
+/**
+ * Looks up a benchmark region by id.
+ *
+ * @param {string} id - Country code, or "US-" followed by a state code.
+ * @returns {Object|undefined} The region, if any.
+ */
+export function findBenchmarkRegion(id) {
+  return BENCHMARK_REGIONS.find(region => region.id === id);
+}
+
+/**
+ * Turns a saved peer group selection into a benchmark. Unknown ids fall back to the defaults.
+ *
+ * @param {Object} [selection] - { regionId, householdSize, homeType, climateZone }.
+ * @returns {{dailyKwh: number, label: string}} The benchmark to compare against.
+ */
+export function resolveBenchmark(selection = DEFAULT_BENCHMARK_SELECTION) {
+  const region = findBenchmarkRegion(selection.regionId) || findBenchmarkRegion(DEFAULT_BENCHMARK_SELECTION.regionId);
+  const adjustments = BENCHMARK_ADJUSTMENTS.map(adjustment => (
+    adjustment.options.find(option => option.id === selection[adjustment.key]) || adjustment.options[0]
+  ));
+  return calculateBenchmark(region, adjustments);
+}
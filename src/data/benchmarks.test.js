@@ -0,0 +1,24 @@
+import { BENCHMARK_REGIONS, DEFAULT_BENCHMARK_SELECTION, resolveBenchmark } from './benchmarks';
+
+describe('resolveBenchmark', () => {
+  test('defaults to the national US average', () => {
+    const benchmark = resolveBenchmark();
+    expect(benchmark.label).toBe('United States');
+    expect(benchmark.dailyKwh).toBeCloseTo(29.56, 2);
+  });
+
+  test('applies the chosen state and adjustments', () => {
+    const benchmark = resolveBenchmark({ ...DEFAULT_BENCHMARK_SELECTION, regionId: 'US-CA', householdSize: '5' });
+    expect(benchmark.label).toBe('California · 5 or more people');
+    expect(benchmark.dailyKwh).toBeCloseTo((533 * 12 / 365) * 1.35);
+  });
+
+  test('falls back to defaults for unknown ids', () => {
+    expect(resolveBenchmark({ regionId: 'XX', homeType: 'castle' }).label).toBe('United States');
+  });
+
+  test('has unique region ids', () => {
+    const ids = BENCHMARK_REGIONS.map(region => region.id);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * emissionFactors.js
+ *
+ * Offline table of electricity grid emission factors in kg CO₂e per kWh consumed.
+ *
+ * - Countries: approximate national grid averages for 2022 (Ember and IEA figures).
+ * - US eGRID subregions: EPA eGRID2022 total output CO₂e rates, converted from lb/MWh.
+ *
+ * Factors change every year as grids decarbonize; users can enter a custom value from
+ * their utility instead.
+ */
+
+// Kilograms per pound, for converting eGRID rates
+const KG_PER_LB = 0.45359237;
+
+/**
+ * Converts an eGRID rate to kg CO₂e per kWh.
+ *
+ * @param {number} lbPerMwh - Emission rate in lb/MWh.
+ * @returns {number} Emission factor in kg/kWh, rounded to 3 decimals.
+ */
+const fromLbPerMwh = (lbPerMwh) => Math.round(lbPerMwh * KG_PER_LB) / 1000;
+
+// Groups the factors are listed under in the selector
+export const EMISSION_FACTOR_GROUPS = {
+  COUNTRY: 'Countries',
+  EGRID: 'US eGRID Subregions'
+};
+
+export const EMISSION_FACTORS = [
+  { id: 'US', name: 'United States', group: EMISSION_FACTOR_GROUPS.COUNTRY, kgPerKwh: 0.369 },
+  { id: 'CA', name: 'Canada', group: EMISSION_FACTOR_GROUPS.COUNTRY, kgPerKwh: 0.128 },
+  { id: 'MX', name: 'Mexico', group: EMISSION_FACTOR_GROUPS.COUNTRY, kgPerKwh: 0.432 },
+  { id: 'BR', name: 'Brazil', group: EMISSION_FACTOR_GROUPS.COUNTRY, kgPerKwh: 0.098 },
+  { id: 'GB', name: 'United Kingdom', group: EMISSION_FACTOR_GROUPS.COUNTRY, kgPerKwh: 0.238 },
+  { id: 'FR', name: 'France', group: EMISSION_FACTOR_GROUPS.COUNTRY, kgPerKwh: 0.056 },
+  { id: 'DE', name: 'Germany', group: EMISSION_FACTOR_GROUPS.COUNTRY, kgPerKwh: 0.381 },
+  { id: 'ES', name: 'Spain', group: EMISSION_FACTOR_GROUPS.COUNTRY, kgPerKwh: 0.174 },
+  { id: 'IT', name: 'Italy', group: EMISSION_FACTOR_GROUPS.COUNTRY, kgPerKwh: 0.331 },
+  { id: 'PL', name: 'Poland', group: EMISSION_FACTOR_GROUPS.COUNTRY, kgPerKwh: 0.662 },
+  { id: 'SE', name: 'Sweden', group: EMISSION_FACTOR_GROUPS.COUNTRY, kgPerKwh: 0.041 },
+  { id: 'NO', name: 'Norway', group: EMISSION_FACTOR_GROUPS.COUNTRY, kgPerKwh: 0.03 },
+  { id: 'IN', name: 'India', group: EMISSION_FACTOR_GROUPS.COUNTRY, kgPerKwh: 0.713 },
+  { id: 'CN', name: 'China', group: EMISSION_FACTOR_GROUPS.COUNTRY, kgPerKwh: 0.582 },
+  { id: 'JP', name: 'Japan', group: EMISSION_FACTOR_GROUPS.COUNTRY, kgPerKwh: 0.485 },
+  { id: 'KR', name: 'South Korea', group: EMISSION_FACTOR_GROUPS.COUNTRY, kgPerKwh: 0.436 },
+  { id: 'AU', name: 'Australia', group: EMISSION_FACTOR_GROUPS.COUNTRY, kgPerKwh: 0.549 },
+  { id: 'ZA', name: 'South Africa', group: EMISSION_FACTOR_GROUPS.COUNTRY, kgPerKwh: 0.709 },
+  { id: 'AKGD', name: 'AKGD (ASCC Alaska Grid)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(1052) },
+  { id: 'AKMS', name: 'AKMS (ASCC Miscellaneous)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(497) },
+  { id: 'AZNM', name: 'AZNM (WECC Southwest)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(776) },
+  { id: 'CAMX', name: 'CAMX (WECC California)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(497) },
+  { id: 'ERCT', name: 'ERCT (ERCOT All)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(813) },
+  { id: 'FRCC', name: 'FRCC (FRCC All)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(809) },
+  { id: 'HIMS', name: 'HIMS (HICC Miscellaneous)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(1154) },
+  { id: 'HIOA', name: 'HIOA (HICC Oahu)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(1570) },
+  { id: 'MROE', name: 'MROE (MRO East)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(1479) },
+  { id: 'MROW', name: 'MROW (MRO West)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(937) },
+  { id: 'NEWE', name: 'NEWE (NPCC New England)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(536) },
+  { id: 'NWPP', name: 'NWPP (WECC Northwest)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(646) },
+  { id: 'NYCW', name: 'NYCW (NPCC NYC/Westchester)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(885) },
+  { id: 'NYLI', name: 'NYLI (NPCC Long Island)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(1198) },
+  { id: 'NYUP', name: 'NYUP (NPCC Upstate NY)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(275) },
+  { id: 'PRMS', name: 'PRMS (Puerto Rico Miscellaneous)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(1593) },
+  { id: 'RFCE', name: 'RFCE (RFC East)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(646) },
+  { id: 'RFCM', name: 'RFCM (RFC Michigan)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(1216) },
+  { id: 'RFCW', name: 'RFCW (RFC West)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(1012) },
+  { id: 'RMPA', name: 'RMPA (WECC Rockies)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(1134) },
+  { id: 'SPNO', name: 'SPNO (SPP North)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(950) },
+  { id: 'SPSO', name: 'SPSO (SPP South)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(944) },
+  { id: 'SRMV', name: 'SRMV (SERC Mississippi Valley)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(743) },
+  { id: 'SRMW', name: 'SRMW (SERC Midwest)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(1480) },
+  { id: 'SRSO', name: 'SRSO (SERC South)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(877) },
+  { id: 'SRTV', name: 'SRTV (SERC Tennessee Valley)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(928) },
+  { id: 'SRVC', name: 'SRVC (SERC Virginia/Carolina)', group: EMISSION_FACTOR_GROUPS.EGRID, kgPerKwh: fromLbPerMwh(636) }
+];
+
+// Factor used until the user picks one
+export const DEFAULT_EMISSION_FACTOR_ID = 'US';
+
+/**
+ * Looks up an emission factor by id.
+ *
+ * @param {string} id - Country code or eGRID subregion acronym.
+ * @returns {Object|undefined} The table entry, if any.
+ */
+export function findEmissionFactor(id) {
+  return EMISSION_FACTORS.find(factor => factor.id === id);
+}
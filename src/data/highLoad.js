@@ -0,0 +1,32 @@
+/**
+ * highLoad.js
+ *
+ * Presets for the high-load appliance calculators: home EV chargers, typical vehicle
+ * efficiencies and kinds of water heater.
+ */
+
+export const EV_CHARGERS = [
+  { id: 'level-1', label: 'Level 1 (120 V outlet, 1.4 kW)', kw: 1.4 },
+  { id: 'level-2-16', label: 'Level 2 (240 V, 16 A, 3.8 kW)', kw: 3.8 },
+  { id: 'level-2-32', label: 'Level 2 (240 V, 32 A, 7.7 kW)', kw: 7.7 },
+  { id: 'level-2-48', label: 'Level 2 (240 V, 48 A, 11.5 kW)', kw: 11.5 }
+];
+
+// Typical energy use per mile, including losses in the car
+export const EV_EFFICIENCIES = [
+  { id: 'compact', label: 'Compact car', kWhPerMile: 0.25 },
+  { id: 'midsize', label: 'Midsize car', kWhPerMile: 0.3 },
+  { id: 'suv', label: 'SUV', kWhPerMile: 0.38 },
+  { id: 'truck', label: 'Pickup truck', kWhPerMile: 0.48 }
+];
+
+// Names match the appliance catalog; efficiency is the uniform energy factor (UEF)
+export const WATER_HEATER_TYPES = [
+  { id: 'resistance', name: 'Water Heater (Electric)', label: 'Electric tank', watts: 4500, efficiency: 0.92 },
+  { id: 'heat-pump', name: 'Water Heater (Heat Pump)', label: 'Heat pump', watts: 550, efficiency: 3.5 }
+];
+
+// Starting values of the calculators
+export const DEFAULT_EV = { milesPerDay: 30, kWhPerMile: 0.3, chargerId: 'level-2-32' };
+export const DEFAULT_WATER_HEATER = { people: 3, typeId: 'resistance' };
+export const DEFAULT_POOL_PUMP = { horsepower: 1.5, hours: 8, speedPercent: 100 };
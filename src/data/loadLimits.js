@@ -0,0 +1,31 @@
+/**
+ * loadLimits.js
+ *
+ * Common circuit and service ratings to compare the household's peak demand against.
+ * A limit is { amps, volts }: the breaker rating and the voltage it supplies.
+ */
+
+export const LOAD_LIMIT_PRESETS = [
+  { id: 'circuit-15', label: '15 A circuit (120 V)', amps: 15, volts: 120 },
+  { id: 'circuit-20', label: '20 A circuit (120 V)', amps: 20, volts: 120 },
+  { id: 'circuit-16-eu', label: '16 A circuit (230 V)', amps: 16, volts: 230 },
+  { id: 'service-60', label: '60 A service (240 V)', amps: 60, volts: 240 },
+  { id: 'service-100', label: '100 A service (240 V)', amps: 100, volts: 240 },
+  { id: 'service-200', label: '200 A service (240 V)', amps: 200, volts: 240 }
+];
+
+// Household supply voltages, offered as presets when working out watts from a nameplate
+export const SUPPLY_VOLTAGES = [120, 240];
+
+// The limit used until the user picks one: a common main service for a US home
+export const DEFAULT_LOAD_LIMIT = { amps: 100, volts: 240 };
+
+/**
+ * Finds the preset matching a limit.
+ *
+ * @param {{amps: number, volts: number}} limit - A limit.
+ * @returns {?Object} The preset, or null for a custom limit.
+ */
+export function findLoadLimitPreset(limit) {
+  return LOAD_LIMIT_PRESETS.find(preset => preset.amps === limit.amps && preset.volts === limit.volts) || null;
+}
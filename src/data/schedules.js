@@ -0,0 +1,35 @@
+/**
+ * schedules.js
+ *
+ * Presets for the schedule editor: common weekly patterns and seasonal curves.
+ *
+ * Weekly presets take the item's usual hours and return hours per weekday, Monday first.
+ * Seasonal multipliers scale the hours of use in each month, January first: 1 is a typical
+ * in-season day, 0 means the appliance is not used that month. The heating and cooling
+ * curves follow the Northern Hemisphere; "Flip Hemisphere" in the editor shifts them by six months.
+ */
+
+export const SCHEDULE_PRESETS = [
+  { id: 'every-day', label: 'Every day', build: (hours) => [hours, hours, hours, hours, hours, hours, hours] },
+  { id: 'weekdays', label: 'Weekdays only', build: (hours) => [hours, hours, hours, hours, hours, 0, 0] },
+  { id: 'weekends', label: 'Weekends only', build: (hours) => [0, 0, 0, 0, 0, hours, hours] },
+  { id: 'saturdays', label: 'Saturdays only', build: (hours) => [0, 0, 0, 0, 0, hours, 0] }
+];
+
+export const SEASONAL_PRESETS = [
+  { id: 'year-round', label: 'Year-round', multipliers: [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1] },
+  { id: 'cooling', label: 'Summer cooling', multipliers: [0, 0, 0, 0.25, 0.5, 1, 1, 1, 0.75, 0.25, 0, 0] },
+  { id: 'heating', label: 'Winter heating', multipliers: [1, 1, 0.75, 0.5, 0.25, 0, 0, 0, 0, 0.25, 0.75, 1] },
+  { id: 'heating-cooling', label: 'Heating and cooling', multipliers: [1, 0.9, 0.6, 0.3, 0.4, 0.8, 1, 1, 0.6, 0.3, 0.6, 0.9] },
+  { id: 'winter-lighting', label: 'Longer winter evenings', multipliers: [1.3, 1.2, 1, 0.9, 0.8, 0.7, 0.7, 0.8, 0.9, 1, 1.2, 1.3] }
+];
+
+/**
+ * Shifts monthly multipliers by six months, turning a Northern Hemisphere curve into a Southern one.
+ *
+ * @param {Array<number>} multipliers - Multipliers for January to December.
+ * @returns {Array<number>} The shifted multipliers.
+ */
+export function flipHemisphere(multipliers) {
+  return [...multipliers.slice(6), ...multipliers.slice(0, 6)];
+}
@@ -0,0 +1,91 @@
+/**
+ * solarResources.js
+ *
+ * Offline solar resource table for the solar simulator: average peak sun hours per day
+ * (kWh/m² of sunlight on panels tilted at the site's latitude and facing the equator) for
+ * each month, January first. Values are rounded long-term averages from NREL's PVWatts
+ * and the EU's PVGIS; real output varies from year to year.
+ *
+ * Roof direction and tilt scale the output of an equator-facing, latitude-tilted array.
+ */
+
+// Groups the locations are listed under in the selector
+export const SOLAR_LOCATION_GROUPS = {
+  US: 'United States',
+  INTERNATIONAL: 'International'
+};
+
+export const SOLAR_LOCATIONS = [
+  { id: 'us-phoenix', name: 'Phoenix, AZ', group: SOLAR_LOCATION_GROUPS.US, peakSunHours: [5.0, 5.9, 6.6, 7.4, 7.6, 7.4, 6.9, 6.9, 6.8, 6.3, 5.4, 4.8] },
+  { id: 'us-los-angeles', name: 'Los Angeles, CA', group: SOLAR_LOCATION_GROUPS.US, peakSunHours: [4.3, 4.9, 5.6, 6.1, 6.0, 6.0, 6.5, 6.5, 6.0, 5.3, 4.6, 4.1] },
+  { id: 'us-denver', name: 'Denver, CO', group: SOLAR_LOCATION_GROUPS.US, peakSunHours: [4.6, 5.2, 5.7, 5.9, 5.8, 6.0, 6.0, 6.0, 6.0, 5.6, 4.7, 4.3] },
+  { id: 'us-miami', name: 'Miami, FL', group: SOLAR_LOCATION_GROUPS.US, peakSunHours: [4.5, 5.1, 5.6, 6.0, 5.6, 5.1, 5.3, 5.3, 5.0, 4.9, 4.5, 4.2] },
+  { id: 'us-houston', name: 'Houston, TX', group: SOLAR_LOCATION_GROUPS.US, peakSunHours: [3.6, 4.2, 4.7, 5.1, 5.3, 5.5, 5.5, 5.6, 5.3, 5.0, 4.0, 3.5] },
+  { id: 'us-atlanta', name: 'Atlanta, GA', group: SOLAR_LOCATION_GROUPS.US, peakSunHours: [3.7, 4.4, 5.1, 5.6, 5.6, 5.6, 5.4, 5.5, 5.2, 5.0, 4.1, 3.5] },
+  { id: 'us-chicago', name: 'Chicago, IL', group: SOLAR_LOCATION_GROUPS.US, peakSunHours: [3.0, 3.7, 4.3, 4.8, 5.3, 5.6, 5.6, 5.4, 5.0, 4.1, 2.9, 2.5] },
+  { id: 'us-new-york', name: 'New York, NY', group: SOLAR_LOCATION_GROUPS.US, peakSunHours: [3.1, 3.8, 4.5, 4.9, 5.0, 5.2, 5.2, 5.1, 4.8, 4.1, 3.1, 2.7] },
+  { id: 'us-seattle', name: 'Seattle, WA', group: SOLAR_LOCATION_GROUPS.US, peakSunHours: [1.6, 2.4, 3.4, 4.4, 5.0, 5.3, 5.9, 5.6, 4.9, 3.3, 1.9, 1.4] },
+  { id: 'ca-toronto', name: 'Toronto, Canada', group: SOLAR_LOCATION_GROUPS.INTERNATIONAL, peakSunHours: [2.7, 3.6, 4.3, 4.8, 5.1, 5.4, 5.5, 5.3, 4.8, 3.7, 2.4, 2.1] },
+  { id: 'mx-mexico-city', name: 'Mexico City, Mexico', group: SOLAR_LOCATION_GROUPS.INTERNATIONAL, peakSunHours: [5.5, 6.1, 6.3, 6.0, 5.6, 5.0, 5.0, 5.0, 4.6, 4.9, 5.2, 5.1] },
+  { id: 'br-sao-paulo', name: 'São Paulo, Brazil', group: SOLAR_LOCATION_GROUPS.INTERNATIONAL, peakSunHours: [4.8, 5.0, 4.7, 4.5, 4.1, 4.0, 4.2, 4.8, 4.6, 4.8, 4.9, 4.7] },
+  { id: 'gb-london', name: 'London, United Kingdom', group: SOLAR_LOCATION_GROUPS.INTERNATIONAL, peakSunHours: [1.1, 1.8, 2.6, 3.6, 4.3, 4.4, 4.4, 4.0, 3.2, 2.2, 1.3, 0.9] },
+  { id: 'de-berlin', name: 'Berlin, Germany', group: SOLAR_LOCATION_GROUPS.INTERNATIONAL, peakSunHours: [1.1, 2.0, 3.0, 4.2, 4.8, 4.9, 4.9, 4.5, 3.6, 2.5, 1.3, 0.9] },
+  { id: 'es-madrid', name: 'Madrid, Spain', group: SOLAR_LOCATION_GROUPS.INTERNATIONAL, peakSunHours: [3.6, 4.5, 5.4, 5.5, 6.0, 6.5, 7.0, 6.8, 6.0, 4.7, 3.7, 3.2] },
+  { id: 'it-rome', name: 'Rome, Italy', group: SOLAR_LOCATION_GROUPS.INTERNATIONAL, peakSunHours: [3.0, 3.8, 4.8, 5.2, 5.8, 6.2, 6.6, 6.3, 5.4, 4.3, 3.1, 2.7] },
+  { id: 'za-johannesburg', name: 'Johannesburg, South Africa', group: SOLAR_LOCATION_GROUPS.INTERNATIONAL, peakSunHours: [5.8, 5.8, 5.7, 5.5, 5.7, 5.5, 5.8, 6.3, 6.4, 6.1, 5.8, 5.8] },
+  { id: 'in-delhi', name: 'Delhi, India', group: SOLAR_LOCATION_GROUPS.INTERNATIONAL, peakSunHours: [4.5, 5.3, 6.0, 6.3, 6.2, 5.4, 4.6, 4.7, 5.3, 5.6, 5.0, 4.3] },
+  { id: 'jp-tokyo', name: 'Tokyo, Japan', group: SOLAR_LOCATION_GROUPS.INTERNATIONAL, peakSunHours: [3.6, 3.8, 3.9, 4.2, 4.3, 3.6, 3.9, 4.2, 3.4, 3.2, 3.2, 3.3] },
+  { id: 'au-sydney', name: 'Sydney, Australia', group: SOLAR_LOCATION_GROUPS.INTERNATIONAL, peakSunHours: [5.6, 5.1, 4.8, 4.4, 3.9, 3.6, 3.9, 4.6, 5.2, 5.5, 5.7, 5.8] },
+  { id: 'au-melbourne', name: 'Melbourne, Australia', group: SOLAR_LOCATION_GROUPS.INTERNATIONAL, peakSunHours: [6.0, 5.6, 4.8, 3.9, 3.0, 2.6, 2.8, 3.5, 4.3, 5.1, 5.6, 6.0] }
+];
+
+// Which way the panels face, relative to the equator (south in the Northern Hemisphere)
+export const SOLAR_ORIENTATIONS = [
+  { id: 'equator', label: 'Toward the equator', factor: 1 },
+  { id: 'diagonal', label: 'Halfway to east or west', factor: 0.95 },
+  { id: 'east-west', label: 'East or west', factor: 0.84 },
+  { id: 'away', label: 'Away from the equator', factor: 0.6 }
+];
+
+// How steeply the panels are tilted. Flat panels face no direction, so orientation does not apply.
+export const SOLAR_TILTS = [
+  { id: 'flat', label: 'Flat (0°)', factor: 0.88 },
+  { id: 'low', label: 'Low pitch (about 15°)', factor: 0.95 },
+  { id: 'latitude', label: 'Matching the latitude', factor: 1 },
+  { id: 'steep', label: 'Steep (about 60°)', factor: 0.9 },
+  { id: 'vertical', label: 'Vertical wall (90°)', factor: 0.65 }
+];
+
+// The system shown until the user describes theirs: a typical residential array, no battery
+export const DEFAULT_SOLAR_SYSTEM = {
+  systemKw: 5,
+  locationId: 'us-new-york',
+  orientationId: 'equator',
+  tiltId: 'latitude',
+  batteryKwh: 0
+};
+
+/**
+ * Finds a location by id.
+ *
+ * @param {string} id - Location id.
+ * @returns {?Object} The location, or null if the id is unknown.
+ */
+export function findSolarLocation(id) {
+  return SOLAR_LOCATIONS.find(location => location.id === id) || null;
+}
+
+/**
+ * Returns the share of the ideal output a roof's direction and tilt allow.
+ *
+ * @param {string} orientationId - Id of one of SOLAR_ORIENTATIONS.
+ * @param {string} tiltId - Id of one of SOLAR_TILTS.
+ * @returns {number} Factor between 0 and 1; unknown ids count as ideal.
+ */
+export function getSiteFactor(orientationId, tiltId) {
+  const tilt = SOLAR_TILTS.find(option => option.id === tiltId);
+  const orientation = SOLAR_ORIENTATIONS.find(option => option.id === orientationId);
+  const tiltFactor = tilt ? tilt.factor : 1;
+  if (tilt && tilt.id === 'flat') return tiltFactor;
+  return tiltFactor * (orientation ? orientation.factor : 1);
+}
@@ -0,0 +1,19 @@
+import { SOLAR_LOCATIONS, findSolarLocation, getSiteFactor } from './solarResources';
+
+test('every location lists peak sun hours for twelve months', () => {
+  SOLAR_LOCATIONS.forEach(location => {
+    expect(location.peakSunHours).toHaveLength(12);
+    location.peakSunHours.forEach(hours => expect(hours).toBeGreaterThan(0));
+  });
+});
+
+test('finds locations by id', () => {
+  expect(findSolarLocation('gb-london').name).toBe('London, United Kingdom');
+  expect(findSolarLocation('atlantis')).toBeNull();
+});
+
+test('combines roof direction and tilt, ignoring direction for flat panels', () => {
+  expect(getSiteFactor('equator', 'latitude')).toBe(1);
+  expect(getSiteFactor('east-west', 'steep')).toBeCloseTo(0.84 * 0.9);
+  expect(getSiteFactor('away', 'flat')).toBe(getSiteFactor('equator', 'flat'));
+});
@@ -0,0 +1,45 @@
+/**
+ * tips.js
+ *
+ * Generic energy-saving tips, shown when none of the personalized recommendations
+ * apply to the household's appliances. A tip about a kind of appliance is only shown to
+ * households that have one, recognized by name like the recommendation rules do; the
+ * other tips apply to every home.
+ */
+
+/**
+ * Checks whether an appliance name is heating or cooling equipment with a filter, which
+ * water heaters are not.
+ *
+ * @param {string} name - Appliance name.
+ * @returns {boolean} Whether the name is an air conditioner or space heat pump.
+ */
+const isAirConditioning = (name) => /\b(ac|air condition\w*|heat pumps?)\b/i.test(name) && !/water heater/i.test(name);
+
+// Each tip has its text and, for tips about one kind of appliance, a test of the appliance name
+export const GENERIC_TIPS = [
+  { text: "Replace incandescent bulbs with LED bulbs to save up to 80% energy on lighting.", appliesTo: name => /incandescent/i.test(name) },
+  { text: "Unplug devices when not in use to eliminate 'phantom' energy use." },
+  { text: "Use smart power strips to automatically cut power to devices in standby mode." },
+  { text: "Set your refrigerator temperature to 38°F and freezer to 0°F for optimal efficiency.", appliesTo: name => /refrigerator|fridge|freezer/i.test(name) },
+  { text: "Run full loads in dishwashers and washing machines to maximize efficiency.", appliesTo: name => /dishwasher|washing machine|clothes washer/i.test(name) },
+  { text: "Use cold water for laundry when possible to save on water heating costs.", appliesTo: name => /washing machine|clothes washer/i.test(name) },
+  { text: "Clean or replace AC filters regularly to improve efficiency.", appliesTo: isAirConditioning },
+  { text: "Use ceiling fans to supplement AC and raise the thermostat by 4°F without loss of comfort.", appliesTo: isAirConditioning },
+  { text: "Enable power management settings on computers and monitors.", appliesTo: name => /computer|desktop|laptop|monitor/i.test(name) },
+  { text: "Air dry dishes and clothes when possible instead of using machine drying.", appliesTo: name => /dishwasher|dryer/i.test(name) && !/hair/i.test(name) }
+];
+
+/**
+ * Lists the generic tips that apply to a household.
+ *
+ * @param {Array<Object>} items - The household's usage items.
+ * @param {Array<Object>} [tips] - Tips to choose from; defaults to GENERIC_TIPS.
+ * @returns {Array<string>} Texts of the tips for every home and for appliances the household has,
+ *   in the order of the list.
+ */
+export function getApplicableTips(items, tips = GENERIC_TIPS) {
+  return tips
+    .filter(tip => !tip.appliesTo || items.some(item => tip.appliesTo(item.name)))
+    .map(tip => tip.text);
+}
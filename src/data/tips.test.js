@@ -0,0 +1,21 @@
+import { GENERIC_TIPS, getApplicableTips } from './tips';
+
+describe('getApplicableTips', () => {
+  test('gives a household without appliances only the tips for every home', () => {
+    expect(getApplicableTips([])).toEqual(GENERIC_TIPS.filter(tip => !tip.appliesTo).map(tip => tip.text));
+  });
+
+  test('adds the tips about appliances the household has', () => {
+    const tips = getApplicableTips([{ name: 'Light Bulb (Incandescent)' }, { name: 'Washing Machine' }]);
+    expect(tips[0]).toMatch(/incandescent bulbs with LED/);
+    expect(tips).toContain('Use cold water for laundry when possible to save on water heating costs.');
+    expect(tips.some(tip => /refrigerator/.test(tip))).toBe(false);
+  });
+
+  test('does not mistake water heaters, dishwashers or hair dryers for other appliances', () => {
+    const tips = getApplicableTips([{ name: 'Water Heater (Heat Pump)' }, { name: 'Dishwasher' }, { name: 'Hair Dryer' }]);
+    expect(tips.some(tip => /AC/.test(tip))).toBe(false);
+    expect(tips.some(tip => /laundry/.test(tip))).toBe(false);
+    expect(tips).toContain('Air dry dishes and clothes when possible instead of using machine drying.');
+  });
+});
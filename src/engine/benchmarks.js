@@ -0,0 +1,23 @@
+/**
+ * benchmarks.js
+ *
+ * Peer-group benchmarks: a region's average daily consumption, scaled by adjustment
+ * factors for the household (size, home type, climate).
+ */
+
+/**
+ * Builds a benchmark from a region and the chosen adjustments.
+ *
+ * @param {{name: string, dailyKwh: number}} region - Region with its average daily consumption.
+ * @param {Array<{id: string, label: string, factor: number}>} [adjustments] - Chosen adjustment options;
+ *   options with the id "typical" leave the average unchanged and are left out of the label.
+ * @returns {{dailyKwh: number, label: string}} The benchmark's daily consumption and a description
+ *   of the peer group, e.g. "Texas · 4 people · Detached house".
+ */
+export function calculateBenchmark(region, adjustments = []) {
+  const applied = adjustments.filter(option => option.id !== 'typical');
+  return {
+    dailyKwh: applied.reduce((kWh, option) => kWh * option.factor, region.dailyKwh),
+    label: [region.name, ...applied.map(option => option.label)].join(' · ')
+  };
+}
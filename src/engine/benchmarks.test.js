@@ -0,0 +1,22 @@
+import { calculateBenchmark } from './benchmarks';
+
+const texas = { name: 'Texas', dailyKwh: 37.6 };
+
+describe('calculateBenchmark', () => {
+  test('uses the region average without adjustments', () => {
+    expect(calculateBenchmark(texas)).toEqual({ dailyKwh: 37.6, label: 'Texas' });
+  });
+
+  test('multiplies the adjustment factors and lists them in the label', () => {
+    const benchmark = calculateBenchmark(texas, [
+      { id: '1', label: '1 person', factor: 0.6 },
+      { id: 'apartment', label: 'Apartment', factor: 0.6 }
+    ]);
+    expect(benchmark.dailyKwh).toBeCloseTo(13.536);
+    expect(benchmark.label).toBe('Texas · 1 person · Apartment');
+  });
+
+  test('leaves typical options out', () => {
+    expect(calculateBenchmark(texas, [{ id: 'typical', label: 'Typical for region', factor: 1 }]).label).toBe('Texas');
+  });
+});
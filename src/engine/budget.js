@@ -0,0 +1,84 @@
+/**
+ * budget.js
+ *
+ * Energy budget goals: a limit on kWh or cost per day or per month, and how a household's
+ * usage measures up against it. Usage is given as daily figures { kWh, cost } and projected
+ * to the budget's period, so the current estimate and saved snapshots compare the same way.
+ */
+
+import { DAYS_PER_MONTH } from './energy';
+import { formatCurrency } from './tariffs';
+
+// Period a budget covers
+export const BUDGET_PERIODS = {
+  DAILY: 'daily',
+  MONTHLY: 'monthly'
+};
+
+// What a budget limits
+export const BUDGET_UNITS = {
+  KWH: 'kwh',
+  COST: 'cost'
+};
+
+// No budget until the user sets an amount
+export const DEFAULT_BUDGET = {
+  amount: null,
+  period: BUDGET_PERIODS.MONTHLY,
+  unit: BUDGET_UNITS.KWH
+};
+
+// Share of the budget above which usage counts as close to it
+export const BUDGET_WARNING_SHARE = 0.9;
+
+// How usage measures up against a budget
+export const BUDGET_STATUS = {
+  NONE: 'none',
+  UNDER: 'under',
+  NEAR: 'near',
+  OVER: 'over'
+};
+
+/**
+ * Expresses daily usage in a budget's unit and period.
+ *
+ * @param {{kWh: number, cost: number}} usage - Daily energy and cost.
+ * @param {{period: string, unit: string}} budget - The budget.
+ * @returns {number} kWh or dollars per day or per month.
+ */
+export function getBudgetUsage(usage, budget) {
+  const daily = budget.unit === BUDGET_UNITS.COST ? usage.cost : usage.kWh;
+  return budget.period === BUDGET_PERIODS.MONTHLY ? daily * DAYS_PER_MONTH : daily;
+}
+
+/**
+ * Measures usage against a budget.
+ *
+ * @param {{kWh: number, cost: number}} usage - Daily energy and cost.
+ * @param {{amount: ?number, period: string, unit: string}} budget - The budget.
+ * @returns {{status: string, actual: number, limit: ?number, percentage: number, remaining: number}}
+ *   Usage and limit in the budget's unit and period, usage as a percentage of the limit, and how much
+ *   is left (negative when over). Without a positive amount the status is NONE.
+ */
+export function evaluateBudget(usage, budget) {
+  const actual = getBudgetUsage(usage, budget);
+  if (!(budget.amount > 0)) {
+    return { status: BUDGET_STATUS.NONE, actual, limit: null, percentage: 0, remaining: 0 };
+  }
+  const share = actual / budget.amount;
+  let status = BUDGET_STATUS.UNDER;
+  if (share > 1) status = BUDGET_STATUS.OVER;
+  else if (share >= BUDGET_WARNING_SHARE) status = BUDGET_STATUS.NEAR;
+  return { status, actual, limit: budget.amount, percentage: share * 100, remaining: budget.amount - actual };
+}
+
+/**
+ * Formats an amount in a budget's unit.
+ *
+ * @param {number} value - kWh or dollars.
+ * @param {string} unit - One of BUDGET_UNITS.
+ * @returns {string} e.g. "$42.10" or "310.5 kWh".
+ */
+export function formatBudgetAmount(value, unit) {
+  return unit === BUDGET_UNITS.COST ? formatCurrency(value) : `${value.toFixed(1)} kWh`;
+}
@@ -0,0 +1,40 @@
+import { DAYS_PER_MONTH } from './energy';
+import {
+  BUDGET_PERIODS,
+  BUDGET_STATUS,
+  BUDGET_UNITS,
+  DEFAULT_BUDGET,
+  evaluateBudget,
+  formatBudgetAmount,
+  getBudgetUsage
+} from './budget';
+
+const usage = { kWh: 20, cost: 3 };
+
+describe('getBudgetUsage', () => {
+  test('projects daily usage to the budget\'s period in its unit', () => {
+    expect(getBudgetUsage(usage, { period: BUDGET_PERIODS.DAILY, unit: BUDGET_UNITS.KWH })).toBe(20);
+    expect(getBudgetUsage(usage, { period: BUDGET_PERIODS.MONTHLY, unit: BUDGET_UNITS.COST })).toBeCloseTo(3 * DAYS_PER_MONTH);
+  });
+});
+
+describe('evaluateBudget', () => {
+  test('has no status until an amount is set', () => {
+    expect(evaluateBudget(usage, DEFAULT_BUDGET)).toMatchObject({ status: BUDGET_STATUS.NONE, limit: null });
+  });
+
+  test('flags usage under, close to and over the budget', () => {
+    const daily = (amount) => ({ amount, period: BUDGET_PERIODS.DAILY, unit: BUDGET_UNITS.KWH });
+    expect(evaluateBudget(usage, daily(25))).toEqual({ status: BUDGET_STATUS.UNDER, actual: 20, limit: 25, percentage: 80, remaining: 5 });
+    expect(evaluateBudget(usage, daily(21)).status).toBe(BUDGET_STATUS.NEAR);
+    expect(evaluateBudget(usage, daily(20)).status).toBe(BUDGET_STATUS.NEAR);
+    expect(evaluateBudget(usage, daily(16))).toMatchObject({ status: BUDGET_STATUS.OVER, percentage: 125, remaining: -4 });
+  });
+});
+
+describe('formatBudgetAmount', () => {
+  test('formats kWh and dollars', () => {
+    expect(formatBudgetAmount(310.54, BUDGET_UNITS.KWH)).toBe('310.5 kWh');
+    expect(formatBudgetAmount(42.1, BUDGET_UNITS.COST)).toBe('$42.10');
+  });
+});
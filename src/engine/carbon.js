@@ -0,0 +1,65 @@
+/**
+ * carbon.js
+ *
+ * Greenhouse gas emissions (CO₂e) of electricity use, given a grid emission factor in kg/kWh.
+ *
+ * Equivalents follow the EPA Greenhouse Gas Equivalencies Calculator.
+ */
+
+import { DAYS_PER_YEAR } from './energy';
+
+// EPA equivalencies, in kg CO₂e per unit
+export const EMISSION_EQUIVALENTS = {
+  carMiles: { kgPerUnit: 0.393, label: 'miles driven by an average gasoline car' },
+  treeSeedlings: { kgPerUnit: 60, label: 'tree seedlings grown for 10 years to absorb it' },
+  smartphoneCharges: { kgPerUnit: 0.0124, label: 'smartphone charges' }
+};
+
+/**
+ * Picks the emission factor to use: a valid custom value wins over the selected table entry.
+ *
+ * @param {?Object} tableEntry - Selected entry of the emission factor table.
+ * @param {?number} customKgPerKwh - Custom factor entered by the user, if any.
+ * @returns {number} Emission factor in kg CO₂e per kWh.
+ */
+export function resolveEmissionFactor(tableEntry, customKgPerKwh) {
+  if (typeof customKgPerKwh === 'number' && Number.isFinite(customKgPerKwh) && customKgPerKwh >= 0) {
+    return customKgPerKwh;
+  }
+  return tableEntry ? tableEntry.kgPerKwh : 0;
+}
+
+/**
+ * Calculates daily emissions of each usage item and of the whole household.
+ *
+ * @param {Array<Object>} items - Usage items with their daily kWh.
+ * @param {number} kgPerKwh - Grid emission factor.
+ * @returns {{dailyKg: number, annualKg: number, items: Array<{id: number, name: string, dailyKg: number, share: number}>}}
+ *   Totals, and per-item daily emissions with their percentage share, largest first.
+ */
+export function calculateEmissions(items, kgPerKwh) {
+  const dailyKg = items.reduce((sum, item) => sum + item.kWh * kgPerKwh, 0);
+  return {
+    dailyKg,
+    annualKg: dailyKg * DAYS_PER_YEAR,
+    items: items
+      .map(item => {
+        const itemKg = item.kWh * kgPerKwh;
+        return { id: item.id, name: item.name, dailyKg: itemKg, share: dailyKg > 0 ? (itemKg / dailyKg) * 100 : 0 };
+      })
+      .sort((a, b) => b.dailyKg - a.dailyKg)
+  };
+}
+
+/**
+ * Expresses an amount of emissions in relatable terms.
+ *
+ * @param {number} kg - Emissions in kg CO₂e.
+ * @returns {{carMiles: number, treeSeedlings: number, smartphoneCharges: number}} Equivalent amounts.
+ */
+export function getEmissionEquivalents(kg) {
+  return Object.keys(EMISSION_EQUIVALENTS).reduce((equivalents, key) => ({
+    ...equivalents,
+    [key]: kg / EMISSION_EQUIVALENTS[key].kgPerUnit
+  }), {});
+}
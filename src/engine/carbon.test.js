@@ -0,0 +1,48 @@
+import { calculateEmissions, getEmissionEquivalents, resolveEmissionFactor } from './carbon';
+import { createUsageItem } from './energy';
+
+const items = [
+  createUsageItem({ name: 'Refrigerator', watts: 150, hours: 24 }, 1),
+  createUsageItem({ name: 'TV', watts: 100, hours: 4 }, 2)
+];
+
+describe('resolveEmissionFactor', () => {
+  test('uses the selected table entry', () => {
+    expect(resolveEmissionFactor({ kgPerKwh: 0.4 }, null)).toBe(0.4);
+  });
+
+  test('prefers a custom factor, including zero', () => {
+    expect(resolveEmissionFactor({ kgPerKwh: 0.4 }, 0.05)).toBe(0.05);
+    expect(resolveEmissionFactor({ kgPerKwh: 0.4 }, 0)).toBe(0);
+  });
+
+  test('ignores an invalid custom factor', () => {
+    expect(resolveEmissionFactor({ kgPerKwh: 0.4 }, -1)).toBe(0.4);
+    expect(resolveEmissionFactor(undefined, null)).toBe(0);
+  });
+});
+
+describe('calculateEmissions', () => {
+  test('applies CO₂e = kWh × factor per item and in total', () => {
+    const emissions = calculateEmissions(items, 0.5);
+    // 3.6 kWh + 0.4 kWh
+    expect(emissions.dailyKg).toBeCloseTo(2);
+    expect(emissions.annualKg).toBeCloseTo(730);
+    expect(emissions.items.map(item => item.name)).toEqual(['Refrigerator', 'TV']);
+    expect(emissions.items[0].dailyKg).toBeCloseTo(1.8);
+    expect(emissions.items[0].share).toBeCloseTo(90);
+  });
+
+  test('has no shares when nothing is emitted', () => {
+    expect(calculateEmissions(items, 0).items[1].share).toBe(0);
+  });
+});
+
+describe('getEmissionEquivalents', () => {
+  test('converts kg to car miles, tree seedlings and phone charges', () => {
+    const equivalents = getEmissionEquivalents(393);
+    expect(equivalents.carMiles).toBeCloseTo(1000);
+    expect(equivalents.treeSeedlings).toBeCloseTo(6.55);
+    expect(equivalents.smartphoneCharges).toBeCloseTo(31693.5, 0);
+  });
+});
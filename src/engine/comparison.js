@@ -0,0 +1,83 @@
+/**
+ * comparison.js
+ *
+ * Appliance-by-appliance comparison of two households, such as two homes or the
+ * "before" and "after" plans of one home.
+ *
+ * Appliances are matched by name (ignoring case and surrounding spaces). Several
+ * entries with the same name, e.g. two "Ceiling Fan" rows, are added together.
+ */
+
+import { calculateTotalKwh } from './energy';
+
+// Differences smaller than this (kWh/day) count as unchanged, so rounding noise is ignored
+export const COMPARISON_TOLERANCE_KWH = 0.0005;
+
+// How an appliance differs from the first household to the second
+export const COMPARISON_STATUS = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CHANGED: 'changed',
+  UNCHANGED: 'unchanged'
+};
+
+/**
+ * Adds up the units and daily energy of a household's appliances by name.
+ *
+ * @param {Array<Object>} items - The household's usage items.
+ * @returns {Map<string, {name: string, quantity: number, kWh: number}>} Totals keyed by normalized name.
+ */
+function groupByName(items) {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = item.name.trim().toLowerCase();
+    const group = groups.get(key) || { name: item.name.trim(), quantity: 0, kWh: 0 };
+    group.quantity += item.quantity || 1;
+    group.kWh += item.kWh;
+    groups.set(key, group);
+  });
+  return groups;
+}
+
+/**
+ * Compares two households appliance by appliance and in total.
+ *
+ * @param {Array<Object>} itemsA - Usage items of the first household.
+ * @param {Array<Object>} itemsB - Usage items of the second household.
+ * @returns {{rows: Array<Object>, totals: {kWhA: number, kWhB: number, diffKwh: number}}} One row per
+ *   appliance name { name, quantityA, quantityB, kWhA, kWhB, diffKwh, status }, largest difference first;
+ *   diffKwh is B minus A, so a negative difference means the second household uses less.
+ */
+export function compareHouseholds(itemsA, itemsB) {
+  const groupsA = groupByName(itemsA);
+  const groupsB = groupByName(itemsB);
+  const keys = [...groupsA.keys(), ...[...groupsB.keys()].filter(key => !groupsA.has(key))];
+
+  const rows = keys.map(key => {
+    const a = groupsA.get(key);
+    const b = groupsB.get(key);
+    const kWhA = a ? a.kWh : 0;
+    const kWhB = b ? b.kWh : 0;
+    const diffKwh = kWhB - kWhA;
+    let status = COMPARISON_STATUS.UNCHANGED;
+    if (!a) status = COMPARISON_STATUS.ADDED;
+    else if (!b) status = COMPARISON_STATUS.REMOVED;
+    else if (Math.abs(diffKwh) >= COMPARISON_TOLERANCE_KWH || a.quantity !== b.quantity) status = COMPARISON_STATUS.CHANGED;
+    return {
+      name: (a || b).name,
+      quantityA: a ? a.quantity : 0,
+      quantityB: b ? b.quantity : 0,
+      kWhA,
+      kWhB,
+      diffKwh,
+      status
+    };
+  });
+
+  const kWhA = calculateTotalKwh(itemsA);
+  const kWhB = calculateTotalKwh(itemsB);
+  return {
+    rows: rows.sort((x, y) => Math.abs(y.diffKwh) - Math.abs(x.diffKwh)),
+    totals: { kWhA, kWhB, diffKwh: kWhB - kWhA }
+  };
+}
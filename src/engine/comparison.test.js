@@ -0,0 +1,42 @@
+import { createUsageItem } from './energy';
+import { COMPARISON_STATUS, compareHouseholds } from './comparison';
+
+const fridge = createUsageItem({ name: 'Refrigerator', watts: 200, hours: 24, dutyCycle: 50 }, 1);
+const tv = createUsageItem({ name: 'TV', watts: 100, hours: 4 }, 2);
+const fan = createUsageItem({ name: 'Ceiling Fan', watts: 75, hours: 8 }, 3);
+
+describe('compareHouseholds', () => {
+  test('matches appliances by name and reports what changed', () => {
+    const efficientFridge = createUsageItem({ name: 'refrigerator ', watts: 120, hours: 24, dutyCycle: 50 }, 7);
+    const { rows, totals } = compareHouseholds([fridge, tv], [efficientFridge, tv, fan]);
+    expect(rows.map(row => [row.name, row.status])).toEqual([
+      // 200 W → 120 W at 50% duty = -0.96 kWh/day; fan adds 0.6 kWh/day
+      ['Refrigerator', COMPARISON_STATUS.CHANGED],
+      ['Ceiling Fan', COMPARISON_STATUS.ADDED],
+      ['TV', COMPARISON_STATUS.UNCHANGED]
+    ]);
+    expect(rows[0].diffKwh).toBeCloseTo(-0.96);
+    expect(rows[1]).toMatchObject({ quantityA: 0, quantityB: 1, kWhA: 0, kWhB: 0.6 });
+    expect(totals.kWhA).toBeCloseTo(2.8);
+    expect(totals.kWhB).toBeCloseTo(2.44);
+    expect(totals.diffKwh).toBeCloseTo(-0.36);
+  });
+
+  test('adds up entries with the same name', () => {
+    const secondTv = createUsageItem({ name: 'TV', watts: 50, hours: 2 }, 4);
+    const { rows } = compareHouseholds([tv, secondTv], [tv]);
+    expect(rows).toEqual([expect.objectContaining({
+      name: 'TV',
+      quantityA: 2,
+      quantityB: 1,
+      status: COMPARISON_STATUS.CHANGED
+    })]);
+    expect(rows[0].diffKwh).toBeCloseTo(-0.1);
+  });
+
+  test('reports appliances only the first household has as removed', () => {
+    const { rows } = compareHouseholds([fan], []);
+    expect(rows[0].status).toBe(COMPARISON_STATUS.REMOVED);
+    expect(rows[0].diffKwh).toBeCloseTo(-0.6);
+  });
+});
@@ -0,0 +1,430 @@
+/**
+ * energy.js
+ *
+ * Core energy math for Watt's Up?, free of any UI code:
+ * - Power from an appliance's nameplate: Watts = Volts × Amps × Power Factor.
+ * - Per-item daily energy: kWh = (Power in Watts × Hours of Use) ÷ 1,000,
+ *   split into active energy (scaled by the duty cycle) and standby energy
+ *   drawn for the remaining hours of the day, times the number of identical units.
+ * - Weekly schedules (hours per weekday) and seasonal multipliers (per month), which
+ *   make an item's daily energy the average day of the year.
+ * - Time-of-day windows, which say when an item runs (see loadProfile.js) without
+ *   changing how much energy it uses.
+ * - Household totals.
+ * - Comparison against a reference household, banded into efficiency levels.
+ * - Projections of daily figures to a week, a month and a year, and month-by-month projections.
+ */
+
+// Number of days used when projecting daily figures to a week, a month and a year
+export const DAYS_PER_WEEK = 7;
+export const DAYS_PER_YEAR = 365;
+export const DAYS_PER_MONTH = DAYS_PER_YEAR / 12;
+
+// Hours in a day; an appliance draws standby power for the hours it is not in use
+export const HOURS_PER_DAY = 24;
+
+// Days of a weekly schedule, Monday first
+export const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Months of seasonal multipliers and monthly projections, with their length in a non-leap year
+export const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+export const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Defaults for items that predate duty cycle and standby modeling
+export const DEFAULT_DUTY_CYCLE = 100;
+export const DEFAULT_STANDBY_WATTS = 0;
+export const DEFAULT_QUANTITY = 1;
+
+// Power factor assumed when a nameplate gives only volts and amps, as for heaters and bulbs
+export const DEFAULT_POWER_FACTOR = 1;
+
+// U.S. average daily household electricity consumption in kWh for comparison
+export const US_AVERAGE_KWH = 30;
+
+// Efficiency bands, ordered by the highest comparison percentage (usage ÷ reference × 100) they cover
+export const COMPARISON_BANDS = [
+  {
+    id: 'excellent',
+    maxPercentage: 50,
+    className: 'text-green-500',
+    emoji: '✨',
+    label: 'Excellent',
+    message: 'Excellent! Your usage is significantly below average.'
+  },
+  {
+    id: 'good',
+    maxPercentage: 80,
+    className: 'text-green-400',
+    emoji: '👍',
+    label: 'Good',
+    message: 'Good! Your usage is below average.'
+  },
+  {
+    id: 'average',
+    maxPercentage: 120,
+    className: 'text-yellow-500',
+    emoji: '⚖️',
+    label: 'Average',
+    message: 'Your usage is about average.'
+  },
+  {
+    id: 'high',
+    maxPercentage: Infinity,
+    className: 'text-red-500',
+    emoji: '⚠️',
+    label: 'Warning',
+    message: 'Your usage is above average. Consider energy-saving measures.'
+  }
+];
+
+/**
+ * Calculates the daily energy of an appliance.
+ *
+ * @param {number} watts - Power draw in watts.
+ * @param {number} hours - Hours of use per day.
+ * @returns {number} Daily energy in kWh.
+ */
+export function calculateItemKwh(watts, hours) {
+  return (watts * hours) / 1000;
+}
+
+/**
+ * Calculates an appliance's power from the ratings on its nameplate.
+ *
+ * @param {Object} nameplate
+ * @param {number} nameplate.volts - Rated voltage.
+ * @param {number} nameplate.amps - Rated current.
+ * @param {number} [nameplate.powerFactor] - Share of that current doing work, between 0 and 1.
+ *   Motors and electronics are often 0.6 to 0.95.
+ * @returns {number} Power in whole watts.
+ */
+export function calculateNameplateWatts({ volts, amps, powerFactor = DEFAULT_POWER_FACTOR }) {
+  return Math.round(volts * amps * powerFactor);
+}
+
+/**
+ * Parses nameplate ratings.
+ *
+ * @param {*} nameplate - Raw { volts, amps, powerFactor }; a blank power factor means DEFAULT_POWER_FACTOR.
+ * @returns {?{volts: number, amps: number, powerFactor: number}} The ratings, or null if they are
+ *   missing or invalid.
+ */
+export function parseNameplate(nameplate) {
+  if (!nameplate || typeof nameplate !== 'object') return null;
+  const volts = parseFloat(nameplate.volts);
+  const amps = parseFloat(nameplate.amps);
+  const rawPowerFactor = nameplate.powerFactor;
+  const powerFactor = rawPowerFactor == null || rawPowerFactor === '' ? DEFAULT_POWER_FACTOR : parseFloat(rawPowerFactor);
+  const isValid = volts > 0 && amps > 0 && powerFactor > 0 && powerFactor <= 1;
+  return isValid ? { volts, amps, powerFactor } : null;
+}
+
+/**
+ * Formats how an appliance's power follows from its nameplate.
+ *
+ * @param {{volts: number, amps: number, powerFactor: number}} nameplate - Parsed ratings.
+ * @returns {string} e.g. "120 V × 12.5 A × 0.9 PF = 1350 W"; the power factor is left out when it is 1.
+ */
+export function formatNameplate(nameplate) {
+  const factors = [`${nameplate.volts} V`, `${nameplate.amps} A`];
+  if (nameplate.powerFactor !== DEFAULT_POWER_FACTOR) factors.push(`${nameplate.powerFactor} PF`);
+  return `${factors.join(' × ')} = ${calculateNameplateWatts(nameplate)} W`;
+}
+
+/**
+ * Calculates the daily energy of an appliance, split into active and standby energy.
+ *
+ * @param {Object} item
+ * @param {number} item.watts - Power draw of one unit while running.
+ * @param {number} item.hours - Hours per day the appliance is switched on.
+ * @param {number} [item.dutyCycle] - Percentage of those hours it draws full power.
+ * @param {number} [item.standbyWatts] - Power drawn by one unit for the rest of the day.
+ * @param {number} [item.quantity] - Number of identical units.
+ * @returns {{activeKwh: number, standbyKwh: number, kWh: number}} Daily energy in kWh for all units.
+ */
+export function calculateItemEnergy({
+  watts,
+  hours,
+  dutyCycle = DEFAULT_DUTY_CYCLE,
+  standbyWatts = DEFAULT_STANDBY_WATTS,
+  quantity = DEFAULT_QUANTITY
+}) {
+  const activeKwh = calculateItemKwh(watts, hours) * (dutyCycle / 100) * quantity;
+  const standbyKwh = calculateItemKwh(standbyWatts, Math.max(HOURS_PER_DAY - hours, 0)) * quantity;
+  return { activeKwh, standbyKwh, kWh: activeKwh + standbyKwh };
+}
+
+/**
+ * Parses a list of numbers of a fixed length, such as a weekly schedule.
+ *
+ * @param {*} values - The raw list.
+ * @param {number} length - Required number of values.
+ * @param {number} max - Largest allowed value.
+ * @returns {?Array<number>} The numbers, or null if the list is missing or invalid.
+ */
+function parseVariation(values, length, max) {
+  if (!Array.isArray(values) || values.length !== length) return null;
+  const numbers = values.map(value => parseFloat(value));
+  return numbers.every(value => Number.isFinite(value) && value >= 0 && value <= max) ? numbers : null;
+}
+
+/**
+ * Parses the time-of-day windows an appliance runs in.
+ *
+ * @param {*} windows - Raw list of { start, end } in hours on a 24-hour clock; a window
+ *   may wrap past midnight, e.g. { start: 22, end: 6 }.
+ * @returns {?Array<{start: number, end: number}>} The windows, or null if the list is missing,
+ *   empty or invalid.
+ */
+function parseTimeWindows(windows) {
+  if (!Array.isArray(windows) || windows.length === 0) return null;
+  const parsed = windows.map(window => ({
+    start: parseFloat(window && window.start),
+    end: parseFloat(window && window.end)
+  }));
+  const isValid = parsed.every(({ start, end }) => start >= 0 && start < HOURS_PER_DAY
+    && end >= 0 && end <= HOURS_PER_DAY
+    && start !== end);
+  return isValid ? parsed : null;
+}
+
+/**
+ * Calculates an item's energy for each month of the year, taking its weekly schedule and
+ * seasonal multipliers into account. A multiplier scales the hours of use (capped at 24),
+ * so an appliance used less draws standby power for longer.
+ *
+ * @param {Object} item - A usage item, optionally with schedule and seasonality.
+ * @returns {Array<{activeKwh: number, standbyKwh: number, kWh: number}>} Energy for each month, January first.
+ */
+export function calculateMonthlyItemEnergy(item) {
+  const weekHours = item.schedule || WEEKDAYS.map(() => item.hours);
+  const multipliers = item.seasonality || MONTHS.map(() => 1);
+  return multipliers.map((multiplier, month) => {
+    const week = weekHours.map(hours => calculateItemEnergy({
+      ...item,
+      hours: Math.min(hours * multiplier, HOURS_PER_DAY)
+    }));
+    const days = DAYS_IN_MONTH[month];
+    const total = (key) => (week.reduce((sum, day) => sum + day[key], 0) / week.length) * days;
+    return { activeKwh: total('activeKwh'), standbyKwh: total('standbyKwh'), kWh: total('kWh') };
+  });
+}
+
+/**
+ * Calculates an item's energy on the average day of the year.
+ *
+ * @param {Object} item - A usage item, optionally with schedule and seasonality.
+ * @returns {{activeKwh: number, standbyKwh: number, kWh: number}} Average daily energy in kWh.
+ */
+function calculateAverageDailyEnergy(item) {
+  if (!item.schedule && !item.seasonality) return calculateItemEnergy(item);
+  const months = calculateMonthlyItemEnergy(item);
+  const average = (key) => months.reduce((sum, month) => sum + month[key], 0) / DAYS_PER_YEAR;
+  return { activeKwh: average('activeKwh'), standbyKwh: average('standbyKwh'), kWh: average('kWh') };
+}
+
+/**
+ * Builds a usage item from raw form values, parsing them and computing its daily energy.
+ *
+ * @param {Object} values
+ * @param {string} values.name - Appliance name.
+ * @param {number|string} values.watts - Power draw in watts.
+ * @param {number|string} values.hours - Hours of use per day.
+ * @param {number|string} [values.dutyCycle] - Percentage of those hours at full power.
+ * @param {number|string} [values.standbyWatts] - Standby power for the rest of the day.
+ * @param {number|string} [values.quantity] - Number of identical units.
+ * @param {?Array<number>} [values.schedule] - Hours of use on each weekday, Monday first. When given,
+ *   hours becomes their average.
+ * @param {?Array<number>} [values.seasonality] - Multiplier of the hours of use in each month, January first.
+ * @param {?Array<{start: number, end: number}>} [values.timeWindows] - Times of day the appliance runs.
+ * @param {?Object} [values.nameplate] - Volts, amps and power factor the watts were worked out from,
+ *   kept to show the derivation.
+ * @param {number} id - Unique identifier of the item.
+ * @returns {Object} The usage item, including activeKwh, standbyKwh and kWh on the average day of the year.
+ */
+export function createUsageItem({
+  name,
+  watts,
+  hours,
+  dutyCycle = DEFAULT_DUTY_CYCLE,
+  standbyWatts = DEFAULT_STANDBY_WATTS,
+  quantity = DEFAULT_QUANTITY,
+  schedule = null,
+  seasonality = null,
+  timeWindows = null,
+  nameplate = null
+}, id) {
+  // The same hours every day are plain daily hours, and a multiplier of 1 every month changes nothing
+  const weekValues = parseVariation(schedule, WEEKDAYS.length, HOURS_PER_DAY);
+  const weekHours = weekValues && weekValues.some(value => value !== weekValues[0]) ? weekValues : null;
+  const monthValues = parseVariation(seasonality, MONTHS.length, Infinity);
+  const item = {
+    id,
+    name,
+    watts: parseInt(watts, 10),
+    // With a schedule, the hours shown are the weekly average, rounded for display
+    hours: weekValues
+      ? Math.round((weekValues.reduce((sum, value) => sum + value, 0) / WEEKDAYS.length) * 100) / 100
+      : parseFloat(hours),
+    dutyCycle: parseFloat(dutyCycle),
+    standbyWatts: parseFloat(standbyWatts),
+    quantity: parseInt(quantity, 10),
+    schedule: weekHours,
+    seasonality: monthValues && monthValues.some(value => value !== 1) ? monthValues : null,
+    timeWindows: parseTimeWindows(timeWindows),
+    nameplate: parseNameplate(nameplate)
+  };
+  return { ...item, ...calculateAverageDailyEnergy(item) };
+}
+
+/**
+ * Applies edits to a usage item and recomputes its energy, so the stored kWh never goes stale.
+ * Editing the hours of an item with a weekly schedule replaces the schedule with those hours every day,
+ * and editing the watts of an item worked out from its nameplate drops the nameplate.
+ *
+ * @param {Object} item - The usage item to edit.
+ * @param {Object} changes - Edited fields (name, watts, hours, dutyCycle, standbyWatts, quantity,
+ *   schedule, seasonality, timeWindows, nameplate).
+ * @returns {Object} The updated usage item, keeping its id.
+ */
+export function updateUsageItem(item, changes) {
+  const hoursEdited = changes.hours !== undefined
+    && changes.schedule === undefined
+    && parseFloat(changes.hours) !== item.hours;
+  const wattsEdited = changes.watts !== undefined
+    && changes.nameplate === undefined
+    && parseInt(changes.watts, 10) !== item.watts;
+  return createUsageItem({
+    ...item,
+    ...changes,
+    ...(hoursEdited ? { schedule: null } : {}),
+    ...(wattsEdited ? { nameplate: null } : {})
+  }, item.id);
+}
+
+/**
+ * Brings a stored usage item up to date: fills fields added since it was saved
+ * and recomputes its energy from its ratings.
+ *
+ * @param {Object} item - A stored usage item.
+ * @returns {Object} The complete usage item.
+ */
+export function normalizeUsageItem(item) {
+  return createUsageItem({
+    ...item,
+    watts: item.watts || 0,
+    hours: item.hours || 0,
+    dutyCycle: item.dutyCycle == null ? DEFAULT_DUTY_CYCLE : item.dutyCycle,
+    standbyWatts: item.standbyWatts == null ? DEFAULT_STANDBY_WATTS : item.standbyWatts,
+    quantity: item.quantity == null ? DEFAULT_QUANTITY : item.quantity
+  }, item.id);
+}
+
+/**
+ * Checks the ratings of a usage item before it is created or edited, so blank or out-of-range
+ * values never turn into NaN energy. Fields left out of the values are not checked.
+ *
+ * @param {Object} values - Raw values, as numbers or as text from an input.
+ * @param {number|string} [values.watts] - Power draw in watts.
+ * @param {number|string} [values.hours] - Hours of use per day.
+ * @param {number|string} [values.quantity] - Number of identical units.
+ * @param {number|string} [values.dutyCycle] - Percentage of the hours at full power.
+ * @param {number|string} [values.standbyWatts] - Standby power.
+ * @returns {Array<string>} One message per invalid field, empty when all are valid.
+ */
+export function validateUsageValues(values) {
+  const read = (field) => (String(values[field]).trim() === '' ? NaN : Number(values[field]));
+  const has = (field) => values[field] !== undefined;
+  const errors = [];
+  if (has('watts') && !(read('watts') >= 0)) errors.push('Watts must be a non-negative number');
+  if (has('hours') && !(read('hours') >= 0 && read('hours') <= HOURS_PER_DAY)) errors.push('Hours must be between 0 and 24');
+  if (has('quantity') && !(Number.isInteger(read('quantity')) && read('quantity') >= 1)) {
+    errors.push('Quantity must be a whole number of at least 1');
+  }
+  if (has('dutyCycle') && !(read('dutyCycle') >= 1 && read('dutyCycle') <= 100)) errors.push('Duty cycle must be between 1 and 100');
+  if (has('standbyWatts') && !(read('standbyWatts') >= 0)) errors.push('Standby watts must be a non-negative number');
+  return errors;
+}
+
+/**
+ * Sums the daily energy of a list of usage items.
+ *
+ * @param {Array<{kWh: number}>} items - The usage items.
+ * @returns {number} Total daily energy in kWh.
+ */
+export function calculateTotalKwh(items) {
+  return items.reduce((sum, item) => sum + item.kWh, 0);
+}
+
+/**
+ * Sums the standby ("phantom") energy of a list of usage items.
+ *
+ * @param {Array<{standbyKwh: number}>} items - The usage items.
+ * @returns {number} Total daily standby energy in kWh.
+ */
+export function calculateStandbyKwh(items) {
+  return items.reduce((sum, item) => sum + (item.standbyKwh || 0), 0);
+}
+
+/**
+ * Expresses a household's consumption as a percentage of a reference household.
+ *
+ * @param {number} totalKwh - The household's daily energy.
+ * @param {number} [referenceKwh] - The reference household's daily energy.
+ * @returns {number} Percentage of the reference (100 means equal).
+ */
+export function getComparisonPercentage(totalKwh, referenceKwh = US_AVERAGE_KWH) {
+  return referenceKwh > 0 ? (totalKwh / referenceKwh) * 100 : 0;
+}
+
+/**
+ * Returns the efficiency band a comparison percentage falls into.
+ *
+ * @param {number} percentage - Comparison percentage from getComparisonPercentage.
+ * @returns {Object} One of COMPARISON_BANDS.
+ */
+export function getComparisonBand(percentage) {
+  return COMPARISON_BANDS.find(band => percentage <= band.maxPercentage);
+}
+
+/**
+ * Puts a comparison percentage into words, as the Insights tab and the audit report show it.
+ *
+ * @param {number} percentage - Comparison percentage from getComparisonPercentage.
+ * @returns {string} e.g. "You use 85% of the typical daily energy of homes in your peer group."
+ */
+export function describeComparison(percentage) {
+  return `You use ${percentage.toFixed(0)}% of the typical daily energy of homes in your peer group.`;
+}
+
+/**
+ * Projects a daily figure (kWh, dollars, ...) to longer periods.
+ *
+ * @param {number} daily - Value for one day.
+ * @returns {{daily: number, weekly: number, monthly: number, annual: number}} The projections.
+ */
+export function projectPeriods(daily) {
+  return {
+    daily,
+    weekly: daily * DAYS_PER_WEEK,
+    monthly: daily * DAYS_PER_MONTH,
+    annual: daily * DAYS_PER_YEAR
+  };
+}
+
+/**
+ * Projects a household's consumption for each month of the year, following the
+ * weekly schedules and seasonal multipliers of its items.
+ *
+ * @param {Array<Object>} items - The usage items.
+ * @returns {Array<{month: string, days: number, kWh: number}>} Energy for each month, January first.
+ */
+export function projectMonthlyKwh(items) {
+  const monthly = MONTHS.map((month, index) => ({ month, days: DAYS_IN_MONTH[index], kWh: 0 }));
+  items.forEach(item => {
+    calculateMonthlyItemEnergy(item).forEach((energy, index) => {
+      monthly[index].kWh += energy.kWh;
+    });
+  });
+  return monthly;
+}
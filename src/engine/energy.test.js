@@ -0,0 +1,300 @@
+import {
+  COMPARISON_BANDS,
+  DAYS_PER_MONTH,
+  US_AVERAGE_KWH,
+  calculateItemEnergy,
+  calculateItemKwh,
+  calculateNameplateWatts,
+  parseNameplate,
+  formatNameplate,
+  calculateStandbyKwh,
+  calculateTotalKwh,
+  createUsageItem,
+  normalizeUsageItem,
+  updateUsageItem,
+  validateUsageValues,
+  calculateMonthlyItemEnergy,
+  projectMonthlyKwh,
+  MONTHS,
+  DAYS_IN_MONTH,
+  getComparisonBand,
+  getComparisonPercentage,
+  projectPeriods
+} from './energy';
+
+describe('calculateItemKwh', () => {
+  test('applies kWh = watts × hours ÷ 1000', () => {
+    expect(calculateItemKwh(150, 24)).toBeCloseTo(3.6);
+    expect(calculateItemKwh(1000, 1)).toBe(1);
+    expect(calculateItemKwh(100, 10)).toBe(1);
+  });
+
+  test('is zero when the appliance is not used', () => {
+    expect(calculateItemKwh(1500, 0)).toBe(0);
+  });
+});
+
+describe('calculateNameplateWatts', () => {
+  test('multiplies volts, amps and the power factor', () => {
+    expect(calculateNameplateWatts({ volts: 120, amps: 12.5, powerFactor: 0.9 })).toBe(1350);
+    expect(calculateNameplateWatts({ volts: 240, amps: 0.6 })).toBe(144);
+  });
+});
+
+describe('parseNameplate', () => {
+  test('fills in a blank power factor and rejects ratings out of range', () => {
+    expect(parseNameplate({ volts: '120', amps: '2.5', powerFactor: '' })).toEqual({ volts: 120, amps: 2.5, powerFactor: 1 });
+    expect(parseNameplate({ volts: 120, amps: 2.5, powerFactor: 1.2 })).toBeNull();
+    expect(parseNameplate({ volts: 120, amps: 0 })).toBeNull();
+    expect(parseNameplate(null)).toBeNull();
+  });
+});
+
+describe('formatNameplate', () => {
+  test('shows the derivation, leaving out a power factor of 1', () => {
+    expect(formatNameplate({ volts: 120, amps: 12.5, powerFactor: 0.9 })).toBe('120 V × 12.5 A × 0.9 PF = 1350 W');
+    expect(formatNameplate({ volts: 240, amps: 10, powerFactor: 1 })).toBe('240 V × 10 A = 2400 W');
+  });
+});
+
+describe('calculateItemEnergy', () => {
+  test('scales active energy by the duty cycle', () => {
+    const energy = calculateItemEnergy({ watts: 150, hours: 24, dutyCycle: 35, standbyWatts: 0 });
+    expect(energy.activeKwh).toBeCloseTo(1.26);
+    expect(energy.standbyKwh).toBe(0);
+    expect(energy.kWh).toBeCloseTo(1.26);
+  });
+
+  test('adds standby power for the hours the appliance is off', () => {
+    const energy = calculateItemEnergy({ watts: 100, hours: 4, dutyCycle: 100, standbyWatts: 3 });
+    expect(energy.activeKwh).toBeCloseTo(0.4);
+    expect(energy.standbyKwh).toBeCloseTo(0.06);
+    expect(energy.kWh).toBeCloseTo(0.46);
+  });
+
+  test('defaults to full power and no standby draw', () => {
+    expect(calculateItemEnergy({ watts: 100, hours: 10 })).toEqual({ activeKwh: 1, standbyKwh: 0, kWh: 1 });
+  });
+
+  test('multiplies active and standby energy by the quantity', () => {
+    const energy = calculateItemEnergy({ watts: 9, hours: 4, dutyCycle: 100, standbyWatts: 0.5, quantity: 12 });
+    expect(energy.activeKwh).toBeCloseTo(0.432);
+    expect(energy.standbyKwh).toBeCloseTo(0.12);
+  });
+});
+
+describe('createUsageItem', () => {
+  test('parses form values and computes daily energy', () => {
+    expect(createUsageItem({ name: 'TV', watts: '100', hours: '2.5', dutyCycle: '100', standbyWatts: '2' }, 7)).toEqual({
+      id: 7,
+      name: 'TV',
+      watts: 100,
+      hours: 2.5,
+      dutyCycle: 100,
+      standbyWatts: 2,
+      quantity: 1,
+      schedule: null,
+      seasonality: null,
+      timeWindows: null,
+      nameplate: null,
+      activeKwh: 0.25,
+      standbyKwh: 0.043,
+      kWh: 0.293
+    });
+  });
+
+  test('averages the energy of a weekly schedule', () => {
+    // A 500 W washing machine used 2 h on Saturdays and Sundays only
+    const item = createUsageItem({ name: 'Washing Machine', watts: 500, hours: 1, schedule: [0, 0, 0, 0, 0, 2, 2] }, 1);
+    expect(item.hours).toBe(0.57);
+    expect(item.kWh).toBeCloseTo((2 * 1) / 7);
+  });
+
+  test('reads a schedule that is the same every day as daily hours, and ignores one out of range', () => {
+    const uniform = createUsageItem({ name: 'TV', watts: 100, hours: 3, schedule: [2, 2, 2, 2, 2, 2, 2] }, 1);
+    expect(uniform.schedule).toBeNull();
+    expect(uniform.hours).toBe(2);
+    expect(createUsageItem({ name: 'TV', watts: 100, hours: 3, schedule: [2, 2, 30, 2, 2, 2, 2] }, 1).schedule).toBeNull();
+    expect(createUsageItem({ name: 'TV', watts: 100, hours: 3, schedule: [2, 2] }, 1).hours).toBe(3);
+  });
+
+  test('scales the hours of use by seasonal multipliers, drawing standby power the rest of the time', () => {
+    // Used 8 h/day in June to August only, 5 W standby otherwise
+    const seasonality = [0, 0, 0, 0, 0, 1, 1, 1, 0, 0, 0, 0];
+    const item = createUsageItem({ name: 'AC', watts: 1000, hours: 8, standbyWatts: 5, seasonality }, 1);
+    const summerDays = 30 + 31 + 31;
+    expect(item.activeKwh).toBeCloseTo((8 * summerDays) / 365);
+    expect(item.standbyKwh).toBeCloseTo((0.08 * summerDays + 0.12 * (365 - summerDays)) / 365);
+  });
+
+  test('keeps seasonal multipliers that are the same, but not 1, every month', () => {
+    const half = createUsageItem({ name: 'TV', watts: 100, hours: 4, seasonality: MONTHS.map(() => 0.5) }, 1);
+    expect(half.seasonality).toEqual(MONTHS.map(() => 0.5));
+    expect(half.kWh).toBeCloseTo(0.2);
+    const unused = createUsageItem({ name: 'TV', watts: 100, hours: 4, seasonality: MONTHS.map(() => 0) }, 1);
+    expect(unused.kWh).toBe(0);
+    expect(createUsageItem({ name: 'TV', watts: 100, hours: 4, seasonality: MONTHS.map(() => 1) }, 1).seasonality).toBeNull();
+  });
+
+  test('keeps valid time-of-day windows, including ones that wrap past midnight', () => {
+    const windows = [{ start: 18, end: 23 }, { start: 22.5, end: 1 }];
+    expect(createUsageItem({ name: 'Lamp', watts: 9, hours: 5, timeWindows: windows }, 1).timeWindows).toEqual(windows);
+    expect(createUsageItem({ name: 'Lamp', watts: 9, hours: 5, timeWindows: [{ start: 18, end: 25 }] }, 1).timeWindows).toBeNull();
+    expect(createUsageItem({ name: 'Lamp', watts: 9, hours: 5, timeWindows: [{ start: 5, end: 5 }] }, 1).timeWindows).toBeNull();
+  });
+});
+
+describe('calculateMonthlyItemEnergy', () => {
+  test('returns the energy of each month', () => {
+    const item = createUsageItem({ name: 'Heater', watts: 1500, hours: 4, seasonality: [1, 1, 0.5, 0, 0, 0, 0, 0, 0, 0, 0.5, 1] }, 1);
+    const months = calculateMonthlyItemEnergy(item);
+    expect(months).toHaveLength(12);
+    expect(months[0].kWh).toBeCloseTo(6 * 31);
+    expect(months[2].kWh).toBeCloseTo(3 * 31);
+    expect(months[6].kWh).toBe(0);
+  });
+
+  test('spreads an item without variation evenly over the days of each month', () => {
+    const item = createUsageItem({ name: 'Refrigerator', watts: 150, hours: 24 }, 1);
+    calculateMonthlyItemEnergy(item).forEach((month, index) => {
+      expect(month.kWh).toBeCloseTo(3.6 * DAYS_IN_MONTH[index]);
+    });
+  });
+});
+
+describe('projectMonthlyKwh', () => {
+  test('adds up the months of all items and matches the annual projection', () => {
+    const fridge = createUsageItem({ name: 'Refrigerator', watts: 150, hours: 24 }, 1);
+    const ac = createUsageItem({ name: 'AC', watts: 1000, hours: 8, seasonality: [0, 0, 0, 0, 0, 1, 1, 1, 0, 0, 0, 0] }, 2);
+    const monthly = projectMonthlyKwh([fridge, ac]);
+    expect(monthly.map(entry => entry.month)).toEqual(MONTHS);
+    expect(monthly[0].kWh).toBeCloseTo(3.6 * 31);
+    expect(monthly[6].kWh).toBeCloseTo((3.6 + 8) * 31);
+    const annual = monthly.reduce((sum, entry) => sum + entry.kWh, 0);
+    expect(annual).toBeCloseTo(projectPeriods(fridge.kWh + ac.kWh).annual);
+  });
+});
+
+describe('updateUsageItem', () => {
+  test('recomputes energy after an edit and keeps the id', () => {
+    const item = createUsageItem({ name: 'Light Bulb (LED)', watts: 9, hours: 5 }, 4);
+    const updated = updateUsageItem(item, { hours: '10', quantity: '12' });
+    expect(updated.id).toBe(4);
+    expect(updated.hours).toBe(10);
+    expect(updated.quantity).toBe(12);
+    expect(updated.kWh).toBeCloseTo(1.08);
+  });
+  test('replaces a weekly schedule when the hours are edited', () => {
+    const item = createUsageItem({ name: 'Washing Machine', watts: 500, hours: 1, schedule: [0, 0, 0, 0, 0, 2, 2] }, 4);
+    expect(updateUsageItem(item, { watts: 400 }).schedule).toEqual(item.schedule);
+    expect(updateUsageItem(item, { hours: item.hours }).schedule).toEqual(item.schedule);
+    const edited = updateUsageItem(item, { hours: '1' });
+    expect(edited.schedule).toBeNull();
+    expect(edited.kWh).toBeCloseTo(0.5);
+  });
+
+  test('drops the nameplate when the watts are edited', () => {
+    const nameplate = { volts: 120, amps: 5, powerFactor: 1 };
+    const item = createUsageItem({ name: 'Other', watts: 600, hours: 1, nameplate }, 4);
+    expect(updateUsageItem(item, { watts: '600', hours: 2 }).nameplate).toEqual(nameplate);
+    expect(updateUsageItem(item, { watts: 500 }).nameplate).toBeNull();
+  });
+});
+
+describe('normalizeUsageItem', () => {
+  test('upgrades an item saved before duty cycles and standby power existed', () => {
+    expect(normalizeUsageItem({ id: 3, name: 'TV', watts: 100, hours: 2, kWh: 0.2 })).toEqual(
+      createUsageItem({ name: 'TV', watts: 100, hours: 2, dutyCycle: 100, standbyWatts: 0 }, 3)
+    );
+  });
+});
+
+describe('calculateTotalKwh', () => {
+  test('sums item energy', () => {
+    expect(calculateTotalKwh([{ kWh: 1.5 }, { kWh: 2 }])).toBeCloseTo(3.5);
+  });
+
+  test('is zero for an empty household', () => {
+    expect(calculateTotalKwh([])).toBe(0);
+  });
+});
+
+describe('calculateStandbyKwh', () => {
+  test('sums standby energy and ignores items without it', () => {
+    expect(calculateStandbyKwh([{ standbyKwh: 0.1 }, { standbyKwh: 0.05 }, {}])).toBeCloseTo(0.15);
+  });
+});
+
+describe('getComparisonPercentage', () => {
+  test('compares against the U.S. average by default', () => {
+    expect(getComparisonPercentage(US_AVERAGE_KWH)).toBe(100);
+    expect(getComparisonPercentage(15)).toBe(50);
+  });
+
+  test('compares against a custom reference', () => {
+    expect(getComparisonPercentage(10, 20)).toBe(50);
+  });
+
+  test('is zero when the reference is zero', () => {
+    expect(getComparisonPercentage(10, 0)).toBe(0);
+  });
+});
+
+describe('validateUsageValues', () => {
+  test('accepts ratings given as numbers or as text', () => {
+    expect(validateUsageValues({ watts: 100, hours: 24, quantity: 2, dutyCycle: 100, standbyWatts: 0 })).toEqual([]);
+    expect(validateUsageValues({ watts: '0', hours: '0.5', quantity: '1', dutyCycle: '35' })).toEqual([]);
+  });
+
+  test('rejects blank and out-of-range ratings, and checks only the fields given', () => {
+    expect(validateUsageValues({ watts: '', hours: '25', quantity: '1.5', dutyCycle: '0', standbyWatts: '-2' })).toEqual([
+      'Watts must be a non-negative number',
+      'Hours must be between 0 and 24',
+      'Quantity must be a whole number of at least 1',
+      'Duty cycle must be between 1 and 100',
+      'Standby watts must be a non-negative number'
+    ]);
+    expect(validateUsageValues({ hours: ' ' })).toEqual(['Hours must be between 0 and 24']);
+  });
+
+  test('accepts duty cycles from 1 to 100 only, as the message says', () => {
+    expect(validateUsageValues({ dutyCycle: 1 })).toEqual([]);
+    expect(validateUsageValues({ dutyCycle: '100' })).toEqual([]);
+    expect(validateUsageValues({ dutyCycle: 0.5 })).toEqual(['Duty cycle must be between 1 and 100']);
+    expect(validateUsageValues({ dutyCycle: 100.5 })).toEqual(['Duty cycle must be between 1 and 100']);
+  });
+});
+
+describe('getComparisonBand', () => {
+  test.each([
+    [0, 'excellent'],
+    [50, 'excellent'],
+    [50.1, 'good'],
+    [80, 'good'],
+    [120, 'average'],
+    [121, 'high'],
+    [500, 'high']
+  ])('puts %p%% in the %s band', (percentage, id) => {
+    expect(getComparisonBand(percentage).id).toBe(id);
+  });
+
+  test('keeps the existing Tailwind classes', () => {
+    expect(COMPARISON_BANDS.map(band => band.className)).toEqual([
+      'text-green-500',
+      'text-green-400',
+      'text-yellow-500',
+      'text-red-500'
+    ]);
+  });
+});
+
+describe('projectPeriods', () => {
+  test('projects a daily value to a week, a month and a year', () => {
+    expect(projectPeriods(2)).toEqual({
+      daily: 2,
+      weekly: 14,
+      monthly: 2 * DAYS_PER_MONTH,
+      annual: 730
+    });
+  });
+});
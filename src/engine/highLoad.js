@@ -0,0 +1,107 @@
+/**
+ * highLoad.js
+ *
+ * Calculators for large loads whose daily use is easier to describe in their own terms
+ * than in hours: an electric vehicle by the miles it drives, a water heater by the people
+ * in the home, a pool pump by its motor. Each returns the values of an ordinary usage item
+ * (see createUsageItem), with the hours of use worked out from the energy needed.
+ */
+
+import { HOURS_PER_DAY } from './energy';
+
+// Share of the energy drawn from the wall that ends up in an EV's battery
+export const EV_CHARGING_EFFICIENCY = 0.9;
+
+// Hot water used per person per day, in US gallons (about 64 gallons for a family of four)
+export const HOT_WATER_GALLONS_PER_PERSON = 16;
+
+// Rise from the temperature of the water supply (about 50 °F) to the tank setting (120 °F)
+export const WATER_TEMPERATURE_RISE_F = 70;
+
+// Energy to heat one gallon of water by 1 °F, and BTUs in a kWh
+const BTU_PER_GALLON_DEGREE = 8.34;
+const BTU_PER_KWH = 3412;
+
+// Watts per horsepower, and the share of a pool pump motor's input that reaches the shaft
+const WATTS_PER_HORSEPOWER = 746;
+export const POOL_PUMP_MOTOR_EFFICIENCY = 0.65;
+
+/**
+ * Works out the hours an appliance of a given power needs to use some energy.
+ *
+ * @param {number} dailyKwh - Energy needed per day.
+ * @param {number} watts - Power draw while running.
+ * @returns {number} Hours per day, rounded to 2 decimals and at most 24.
+ */
+function getHoursFor(dailyKwh, watts) {
+  if (!(watts > 0)) return 0;
+  return Math.min(Math.round((dailyKwh / (watts / 1000)) * 100) / 100, HOURS_PER_DAY);
+}
+
+/**
+ * Estimates the daily charging of an electric vehicle.
+ *
+ * @param {Object} values
+ * @param {number} values.milesPerDay - Average distance driven per day.
+ * @param {number} values.kWhPerMile - Vehicle efficiency, e.g. 0.3 for a midsize EV.
+ * @param {number} values.chargerKw - Power of the home charger.
+ * @param {number} [values.chargingEfficiency] - Share of the charging energy stored in the battery.
+ * @returns {Object} Usage item values (name, watts, hours, dutyCycle, standbyWatts, quantity).
+ */
+export function estimateEvCharging({ milesPerDay, kWhPerMile, chargerKw, chargingEfficiency = EV_CHARGING_EFFICIENCY }) {
+  const dailyKwh = (Math.max(0, milesPerDay) * Math.max(0, kWhPerMile)) / chargingEfficiency;
+  const watts = Math.round(chargerKw * 1000);
+  return { name: 'Electric Vehicle', watts, hours: getHoursFor(dailyKwh, watts), dutyCycle: 100, standbyWatts: 0, quantity: 1 };
+}
+
+/**
+ * Estimates the daily use of a water heater from the size of the household.
+ *
+ * @param {Object} values
+ * @param {number} values.people - People living in the home.
+ * @param {{name: string, watts: number, efficiency: number}} values.heater - The kind of heater: its
+ *   catalog name, its power while heating, and its efficiency (uniform energy factor; above 1 for heat pumps).
+ * @param {number} [values.gallonsPerPerson] - Hot water used per person per day.
+ * @param {number} [values.temperatureRiseF] - How much the water is heated, in °F.
+ * @returns {Object} Usage item values (name, watts, hours, dutyCycle, standbyWatts, quantity).
+ */
+export function estimateWaterHeater({
+  people,
+  heater,
+  gallonsPerPerson = HOT_WATER_GALLONS_PER_PERSON,
+  temperatureRiseF = WATER_TEMPERATURE_RISE_F
+}) {
+  const gallons = Math.max(0, people) * gallonsPerPerson;
+  const dailyKwh = (gallons * BTU_PER_GALLON_DEGREE * temperatureRiseF) / BTU_PER_KWH / heater.efficiency;
+  return {
+    name: heater.name,
+    watts: heater.watts,
+    hours: getHoursFor(dailyKwh, heater.watts),
+    dutyCycle: 100,
+    standbyWatts: 0,
+    quantity: 1
+  };
+}
+
+/**
+ * Estimates the power of a pool pump from its motor. A variable-speed pump's power falls
+ * with the cube of its speed, so running at half speed takes about an eighth of the power.
+ *
+ * @param {Object} values
+ * @param {number} values.horsepower - Rated horsepower of the motor.
+ * @param {number} values.hours - Hours the pump runs per day.
+ * @param {number} [values.speedPercent] - Speed as a percentage of full speed; 100 for single-speed pumps.
+ * @returns {Object} Usage item values (name, watts, hours, dutyCycle, standbyWatts, quantity).
+ */
+export function estimatePoolPump({ horsepower, hours, speedPercent = 100 }) {
+  const fullWatts = (Math.max(0, horsepower) * WATTS_PER_HORSEPOWER) / POOL_PUMP_MOTOR_EFFICIENCY;
+  const watts = Math.round(fullWatts * (Math.min(Math.max(speedPercent, 0), 100) / 100) ** 3);
+  return {
+    name: 'Pool Pump',
+    watts,
+    hours: Math.min(Math.max(0, hours), HOURS_PER_DAY),
+    dutyCycle: 100,
+    standbyWatts: 0,
+    quantity: 1
+  };
+}
@@ -0,0 +1,46 @@
+import { createUsageItem } from './energy';
+import { estimateEvCharging, estimatePoolPump, estimateWaterHeater } from './highLoad';
+
+const electricTank = { name: 'Water Heater (Electric)', watts: 4500, efficiency: 0.92 };
+const heatPump = { name: 'Water Heater (Heat Pump)', watts: 550, efficiency: 3.5 };
+
+describe('estimateEvCharging', () => {
+  test('charges the energy driven plus charging losses', () => {
+    const values = estimateEvCharging({ milesPerDay: 36, kWhPerMile: 0.3, chargerKw: 7.2 });
+    expect(values).toMatchObject({ name: 'Electric Vehicle', watts: 7200, hours: 1.67, dutyCycle: 100 });
+    // 36 × 0.3 ÷ 0.9 = 12 kWh
+    expect(createUsageItem(values, 1).kWh).toBeCloseTo(12, 1);
+  });
+
+  test('cannot charge for more than a day', () => {
+    expect(estimateEvCharging({ milesPerDay: 200, kWhPerMile: 0.4, chargerKw: 1.4 }).hours).toBe(24);
+  });
+});
+
+describe('estimateWaterHeater', () => {
+  test('heats the hot water a household uses', () => {
+    const values = estimateWaterHeater({ people: 4, heater: electricTank });
+    // 64 gallons × 8.34 BTU/°F × 70 °F ÷ 3412 BTU/kWh ÷ 0.92
+    expect(createUsageItem(values, 1).kWh).toBeCloseTo(11.9, 1);
+    expect(values.name).toBe('Water Heater (Electric)');
+  });
+
+  test('uses far less energy with a heat pump', () => {
+    const tank = createUsageItem(estimateWaterHeater({ people: 3, heater: electricTank }), 1);
+    const pump = createUsageItem(estimateWaterHeater({ people: 3, heater: heatPump }), 2);
+    expect(pump.kWh / tank.kWh).toBeCloseTo(0.92 / 3.5, 1);
+  });
+});
+
+describe('estimatePoolPump', () => {
+  test('derives the power from the motor size', () => {
+    expect(estimatePoolPump({ horsepower: 1.5, hours: 8 })).toMatchObject({ name: 'Pool Pump', watts: 1722, hours: 8 });
+  });
+
+  test('cuts power with the cube of the speed', () => {
+    const full = estimatePoolPump({ horsepower: 1.5, hours: 8 });
+    const half = estimatePoolPump({ horsepower: 1.5, hours: 16, speedPercent: 50 });
+    expect(half.watts).toBe(Math.round(full.watts / 8));
+    expect(createUsageItem(half, 1).kWh).toBeLessThan(createUsageItem(full, 2).kWh / 3);
+  });
+});
@@ -0,0 +1,19 @@
+/**
+ * index.js
+ *
+ * Public entry point of the Watt's Up? calculation engine.
+ * Everything exported here is pure and can be imported without the React UI.
+ */
+
+export * from './energy';
+export * from './tariffs';
+export * from './meter';
+export * from './carbon';
+export * from './benchmarks';
+export * from './recommendations';
+export * from './upgrades';
+export * from './comparison';
+export * from './loadProfile';
+export * from './solar';
+export * from './highLoad';
+export * from './budget';
@@ -0,0 +1,162 @@
+/**
+ * loadProfile.js
+ *
+ * When the household uses its energy: a 24-hour load curve built from the time-of-day
+ * windows of its appliances, the peak demand, and how that peak compares with the
+ * capacity of a circuit or the electrical service.
+ *
+ * The curve has two series, in watts, for each slot of the day:
+ * - Average load: each appliance's daily active energy spread over its windows, plus its
+ *   standby power for the rest of the day. It adds up to the daily kWh.
+ * - Running load: the worst case, with every appliance in its window drawing full power
+ *   at the same time. This is what a breaker has to carry, so the peak demand is its maximum.
+ * Appliances without windows could run at any time; they are spread evenly over the day
+ * in both series.
+ */
+
+import { HOURS_PER_DAY } from './energy';
+import { getWindowHours } from './tariffs';
+
+// Resolution of the load curve
+export const SLOTS_PER_HOUR = 4;
+
+// Share of a circuit's rating it may carry continuously (the usual 80% rule for breakers)
+export const CONTINUOUS_LOAD_RATIO = 0.8;
+
+// How a peak compares with a limit
+export const DEMAND_STATUS = {
+  OK: 'ok',
+  NEAR: 'near',
+  OVER: 'over'
+};
+
+/**
+ * Formats an hour of the day as a clock time.
+ *
+ * @param {number} hours - Hours since midnight, e.g. 19.5.
+ * @returns {string} e.g. "19:30".
+ */
+export function formatTimeOfDay(hours) {
+  const totalMinutes = Math.round(hours * 60) % (HOURS_PER_DAY * 60);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(Math.floor(totalMinutes / 60))}:${pad(totalMinutes % 60)}`;
+}
+
+/**
+ * Parses a clock time.
+ *
+ * @param {string} text - e.g. "19:30" or "24:00".
+ * @returns {number} Hours since midnight, or NaN if the text is not a time.
+ */
+export function parseTimeOfDay(text) {
+  const match = /^\s*(\d{1,2}):(\d{2})\s*$/.exec(String(text));
+  if (!match) return NaN;
+  const hours = Number(match[1]) + Number(match[2]) / 60;
+  return Number(match[2]) < 60 && hours <= HOURS_PER_DAY ? hours : NaN;
+}
+
+/**
+ * Returns how many hours of a time-of-day window fall within a span of the day.
+ *
+ * @param {{start: number, end: number}} window - The window; may wrap past midnight.
+ * @param {number} from - Start of the span in hours.
+ * @param {number} to - End of the span in hours, after from.
+ * @returns {number} Overlap in hours.
+ */
+export function getWindowOverlap(window, from, to) {
+  const overlap = (start, end) => Math.max(0, Math.min(end, to) - Math.max(start, from));
+  if (window.end > window.start) return overlap(window.start, window.end);
+  return overlap(window.start, HOURS_PER_DAY) + overlap(0, window.end);
+}
+
+/**
+ * Returns the total length of an item's time-of-day windows.
+ *
+ * @param {Array<{start: number, end: number}>} windows - The windows.
+ * @returns {number} Length in hours.
+ */
+function getTotalWindowHours(windows) {
+  return windows.reduce((sum, window) => sum + (getWindowHours(window.start, window.end) || HOURS_PER_DAY), 0);
+}
+
+/**
+ * Calculates what one item draws during a slot of the day.
+ *
+ * @param {Object} item - A usage item, optionally with timeWindows.
+ * @param {number} from - Start of the slot in hours.
+ * @param {number} to - End of the slot in hours.
+ * @returns {{averageWatts: number, runningWatts: number}} Average and worst-case load in the slot.
+ */
+function getSlotLoad(item, from, to) {
+  const slotHours = to - from;
+  const standbyWatts = (item.standbyKwh * 1000) / HOURS_PER_DAY;
+  if (!item.timeWindows) {
+    const averageWatts = (item.kWh * 1000) / HOURS_PER_DAY;
+    return { averageWatts, runningWatts: averageWatts };
+  }
+  const windowHours = item.timeWindows.reduce((sum, window) => sum + getWindowOverlap(window, from, to), 0);
+  const inWindow = Math.min(windowHours / slotHours, 1);
+  const activeWatts = (item.activeKwh * 1000) / getTotalWindowHours(item.timeWindows);
+  const fullWatts = item.watts * (item.quantity || 1);
+  return {
+    averageWatts: activeWatts * inWindow + standbyWatts,
+    // In its window the appliance may draw full power; outside it only its standby power
+    runningWatts: inWindow > 0 ? Math.max(fullWatts, activeWatts) : standbyWatts
+  };
+}
+
+/**
+ * Builds the household's 24-hour load curve and finds its peak demand.
+ *
+ * @param {Array<Object>} items - The usage items.
+ * @returns {{slots: Array<{time: string, start: number, averageWatts: number, runningWatts: number}>,
+ *   peak: {watts: number, time: string}, averagePeak: {watts: number, time: string}}} The curve, the
+ *   highest running load (the peak demand) and when it starts, and the highest average load.
+ */
+export function calculateLoadProfile(items) {
+  const slotHours = 1 / SLOTS_PER_HOUR;
+  const slots = Array.from({ length: HOURS_PER_DAY * SLOTS_PER_HOUR }, (unused, index) => {
+    const start = index * slotHours;
+    const loads = items.map(item => getSlotLoad(item, start, start + slotHours));
+    return {
+      time: formatTimeOfDay(start),
+      start,
+      averageWatts: loads.reduce((sum, load) => sum + load.averageWatts, 0),
+      runningWatts: loads.reduce((sum, load) => sum + load.runningWatts, 0)
+    };
+  });
+  const highest = (key) => slots.reduce((max, slot) => (slot[key] > max[key] ? slot : max));
+  const peakSlot = highest('runningWatts');
+  const averagePeakSlot = highest('averageWatts');
+  return {
+    slots,
+    peak: { watts: peakSlot.runningWatts, time: peakSlot.time },
+    averagePeak: { watts: averagePeakSlot.averageWatts, time: averagePeakSlot.time }
+  };
+}
+
+/**
+ * Returns the power a circuit or service can carry.
+ *
+ * @param {{amps: number, volts: number}} limit - Breaker rating and voltage.
+ * @returns {number} Capacity in watts.
+ */
+export function getLimitWatts(limit) {
+  return limit.amps * limit.volts;
+}
+
+/**
+ * Compares a peak demand with a circuit or service limit.
+ *
+ * @param {number} peakWatts - Peak demand.
+ * @param {number} limitWatts - Capacity of the circuit or service.
+ * @returns {{status: string, percentage: number}} One of DEMAND_STATUS (NEAR above the continuous-load
+ *   share of the limit) and the peak as a percentage of the limit.
+ */
+export function assessLoad(peakWatts, limitWatts) {
+  const percentage = limitWatts > 0 ? (peakWatts / limitWatts) * 100 : 0;
+  let status = DEMAND_STATUS.OK;
+  if (peakWatts > limitWatts) status = DEMAND_STATUS.OVER;
+  else if (peakWatts > limitWatts * CONTINUOUS_LOAD_RATIO) status = DEMAND_STATUS.NEAR;
+  return { status, percentage };
+}
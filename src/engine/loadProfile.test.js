@@ -0,0 +1,76 @@
+import { createUsageItem } from './energy';
+import {
+  DEMAND_STATUS,
+  assessLoad,
+  calculateLoadProfile,
+  formatTimeOfDay,
+  getLimitWatts,
+  getWindowOverlap,
+  parseTimeOfDay
+} from './loadProfile';
+
+const dryer = createUsageItem({ name: 'Dryer', watts: 3000, hours: 1, dutyCycle: 75, timeWindows: [{ start: 19, end: 20 }] }, 1);
+const lights = createUsageItem({ name: 'Light Bulb (LED)', watts: 9, hours: 5, quantity: 10, timeWindows: [{ start: 18, end: 23 }] }, 2);
+const fridge = createUsageItem({ name: 'Refrigerator', watts: 150, hours: 24, dutyCycle: 35 }, 3);
+
+/**
+ * Returns the slot of a load profile starting at a clock time.
+ *
+ * @param {Object} profile - Result of calculateLoadProfile.
+ * @param {string} time - e.g. "19:15".
+ * @returns {Object} The slot.
+ */
+const slotAt = (profile, time) => profile.slots.find(slot => slot.time === time);
+
+describe('formatTimeOfDay and parseTimeOfDay', () => {
+  test('convert between hours and clock times', () => {
+    expect(formatTimeOfDay(19.5)).toBe('19:30');
+    expect(formatTimeOfDay(24)).toBe('00:00');
+    expect(parseTimeOfDay('07:45')).toBe(7.75);
+    expect(parseTimeOfDay('24:00')).toBe(24);
+    expect(parseTimeOfDay('25:00')).toBeNaN();
+    expect(parseTimeOfDay('evening')).toBeNaN();
+  });
+});
+
+describe('getWindowOverlap', () => {
+  test('handles windows that wrap past midnight', () => {
+    const night = { start: 22, end: 2 };
+    expect(getWindowOverlap(night, 23, 24)).toBe(1);
+    expect(getWindowOverlap(night, 1.5, 3)).toBe(0.5);
+    expect(getWindowOverlap(night, 12, 13)).toBe(0);
+  });
+});
+
+describe('calculateLoadProfile', () => {
+  test('spreads energy over the time windows and adds up to the daily total', () => {
+    const profile = calculateLoadProfile([dryer, lights, fridge]);
+    expect(profile.slots).toHaveLength(96);
+    const dailyKwh = profile.slots.reduce((sum, slot) => sum + slot.averageWatts / 4, 0) / 1000;
+    expect(dailyKwh).toBeCloseTo(dryer.kWh + lights.kWh + fridge.kWh);
+    // Fridge only, spread evenly: 1.26 kWh over 24 h
+    expect(slotAt(profile, '03:00').averageWatts).toBeCloseTo(52.5);
+    // Dryer at 75% duty, lights and fridge
+    expect(slotAt(profile, '19:15').averageWatts).toBeCloseTo(2250 + 90 + 52.5);
+  });
+
+  test('finds the peak demand with everything in its window at full power', () => {
+    const { peak, averagePeak } = calculateLoadProfile([dryer, lights, fridge]);
+    expect(peak).toEqual({ watts: 3000 + 90 + 52.5, time: '19:00' });
+    expect(averagePeak.time).toBe('19:00');
+  });
+
+  test('returns a flat, empty curve without items', () => {
+    expect(calculateLoadProfile([]).peak.watts).toBe(0);
+  });
+});
+
+describe('assessLoad', () => {
+  test('flags peaks near and over the limit', () => {
+    const limit = getLimitWatts({ amps: 15, volts: 120 });
+    expect(limit).toBe(1800);
+    expect(assessLoad(1000, limit).status).toBe(DEMAND_STATUS.OK);
+    expect(assessLoad(1500, limit).status).toBe(DEMAND_STATUS.NEAR);
+    expect(assessLoad(2000, limit)).toEqual({ status: DEMAND_STATUS.OVER, percentage: (2000 / 1800) * 100 });
+  });
+});
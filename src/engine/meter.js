@@ -0,0 +1,98 @@
+/**
+ * meter.js
+ *
+ * Summaries of smart-meter interval readings, and their reconciliation with the
+ * appliance-based estimate.
+ *
+ * A reading is { start, duration, kWh }: start is a timestamp in milliseconds whose UTC
+ * fields hold the meter's local wall-clock time, and duration is in seconds. Keeping
+ * readings in wall-clock time means days and hours line up with the household's own
+ * clock regardless of the browser's time zone.
+ */
+
+import { HOURS_PER_DAY } from './energy';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * Formats the day of a wall-clock timestamp.
+ *
+ * @param {number} timestamp - Wall-clock timestamp in milliseconds.
+ * @returns {string} The date as YYYY-MM-DD.
+ */
+export function toDateKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Splits a reading at hour boundaries, sharing its energy in proportion to the time
+ * spent in each hour. Readings longer than an hour (e.g. daily totals) are spread evenly.
+ *
+ * @param {{start: number, duration: number, kWh: number}} reading - A meter reading.
+ * @returns {Array<{start: number, kWh: number}>} One slice per hour the reading covers.
+ */
+function splitByHour(reading) {
+  const end = reading.start + reading.duration * 1000;
+  const slices = [];
+  let sliceStart = reading.start;
+  while (sliceStart < end) {
+    const hourEnd = (Math.floor(sliceStart / MS_PER_HOUR) + 1) * MS_PER_HOUR;
+    const sliceEnd = Math.min(hourEnd, end);
+    slices.push({ start: sliceStart, kWh: reading.kWh * (sliceEnd - sliceStart) / (end - reading.start) });
+    sliceStart = sliceEnd;
+  }
+  return slices;
+}
+
+/**
+ * Computes actual daily and hourly consumption from meter readings.
+ *
+ * @param {Array<{start: number, duration: number, kWh: number}>} readings - Meter readings.
+ * @returns {?{startDate: string, endDate: string, totalKwh: number, dailyAverageKwh: number,
+ *   days: Array<{date: string, kWh: number}>, hourlyProfile: Array<number>}} The summary, where
+ *   hourlyProfile holds the average kWh used in each hour of the day (0–23), or null without readings.
+ */
+export function summarizeReadings(readings) {
+  const usable = readings.filter(reading => reading.duration > 0 && Number.isFinite(reading.kWh));
+  if (usable.length === 0) return null;
+
+  const dailyTotals = new Map();
+  const hourlyTotals = new Array(HOURS_PER_DAY).fill(0);
+  usable.forEach(reading => {
+    splitByHour(reading).forEach(slice => {
+      const date = toDateKey(slice.start);
+      dailyTotals.set(date, (dailyTotals.get(date) || 0) + slice.kWh);
+      hourlyTotals[new Date(slice.start).getUTCHours()] += slice.kWh;
+    });
+  });
+
+  const days = Array.from(dailyTotals, ([date, kWh]) => ({ date, kWh }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const totalKwh = days.reduce((sum, day) => sum + day.kWh, 0);
+  return {
+    startDate: days[0].date,
+    endDate: days[days.length - 1].date,
+    totalKwh,
+    dailyAverageKwh: totalKwh / days.length,
+    days,
+    hourlyProfile: hourlyTotals.map(kWh => kWh / days.length)
+  };
+}
+
+/**
+ * Compares the appliance-based estimate with metered consumption.
+ *
+ * @param {number} estimatedKwh - Estimated daily consumption from the appliance list.
+ * @param {number} actualKwh - Average daily consumption measured by the meter.
+ * @returns {{estimatedKwh: number, actualKwh: number, unaccountedKwh: number, coveragePercentage: number}}
+ *   unaccountedKwh is metered energy the appliance list does not explain (negative when the
+ *   list overestimates), and coveragePercentage is the share of metered energy it explains.
+ */
+export function reconcileUsage(estimatedKwh, actualKwh) {
+  return {
+    estimatedKwh,
+    actualKwh,
+    unaccountedKwh: actualKwh - estimatedKwh,
+    coveragePercentage: actualKwh > 0 ? (estimatedKwh / actualKwh) * 100 : 0
+  };
+}
@@ -0,0 +1,68 @@
+import { reconcileUsage, summarizeReadings, toDateKey } from './meter';
+
+const HOUR = 3600;
+
+/**
+ * Builds a reading starting at a wall-clock time.
+ *
+ * @param {number} day - Day of January 2025.
+ * @param {number} hour - Hour of the day.
+ * @param {number} kWh - Energy used.
+ * @param {number} [duration] - Length in seconds.
+ * @returns {Object} A meter reading.
+ */
+const reading = (day, hour, kWh, duration = HOUR) => ({ start: Date.UTC(2025, 0, day, hour), duration, kWh });
+
+describe('summarizeReadings', () => {
+  test('totals consumption per day and averages it', () => {
+    const summary = summarizeReadings([reading(6, 0, 1), reading(6, 12, 2), reading(7, 0, 5)]);
+    expect(summary.startDate).toBe('2025-01-06');
+    expect(summary.endDate).toBe('2025-01-07');
+    expect(summary.days).toEqual([{ date: '2025-01-06', kWh: 3 }, { date: '2025-01-07', kWh: 5 }]);
+    expect(summary.totalKwh).toBe(8);
+    expect(summary.dailyAverageKwh).toBe(4);
+  });
+
+  test('averages each hour of the day across days', () => {
+    const summary = summarizeReadings([reading(6, 18, 1), reading(7, 18, 2)]);
+    expect(summary.hourlyProfile).toHaveLength(24);
+    expect(summary.hourlyProfile[18]).toBe(1.5);
+    expect(summary.hourlyProfile[17]).toBe(0);
+  });
+
+  test('adds up 15-minute readings within their hour', () => {
+    const quarterHours = [0, 15, 30, 45].map(minute => ({ start: Date.UTC(2025, 0, 6, 9, minute), duration: 900, kWh: 0.25 }));
+    expect(summarizeReadings(quarterHours).hourlyProfile[9]).toBe(1);
+  });
+
+  test('spreads readings longer than an hour evenly, across midnight if needed', () => {
+    const summary = summarizeReadings([reading(6, 22, 4, 4 * HOUR)]);
+    expect(summary.days).toEqual([{ date: '2025-01-06', kWh: 2 }, { date: '2025-01-07', kWh: 2 }]);
+    expect(summary.hourlyProfile[23]).toBe(0.5);
+  });
+
+  test('returns null without usable readings', () => {
+    expect(summarizeReadings([])).toBeNull();
+    expect(summarizeReadings([reading(6, 0, NaN)])).toBeNull();
+  });
+});
+
+describe('reconcileUsage', () => {
+  test('reports metered energy the estimate does not explain', () => {
+    expect(reconcileUsage(12, 16)).toEqual({ estimatedKwh: 12, actualKwh: 16, unaccountedKwh: 4, coveragePercentage: 75 });
+  });
+
+  test('is negative when the estimate is too high', () => {
+    expect(reconcileUsage(20, 16).unaccountedKwh).toBe(-4);
+  });
+
+  test('has no coverage without metered use', () => {
+    expect(reconcileUsage(5, 0).coveragePercentage).toBe(0);
+  });
+});
+
+describe('toDateKey', () => {
+  test('uses the wall-clock date', () => {
+    expect(toDateKey(Date.UTC(2025, 0, 6, 23, 59))).toBe('2025-01-06');
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * recommendations.js
+ *
+ * Rule-based, personalized energy-saving recommendations.
+ *
+ * Each rule looks at the household's usage items and returns zero or more recommendations,
+ * each tied to the appliance it applies to and an estimate of the kWh it would save per day.
+ * Appliances are recognized by name, so renamed catalog items ("Kitchen Bulbs") only
+ * match when the name still says what they are.
+ */
+
+import { calculateTotalKwh } from './energy';
+
+// Fraction of lighting energy saved by replacing an incandescent bulb with an LED
+export const LED_SAVINGS_RATIO = 0.85;
+
+// Daily dryer hours above which line-drying is recommended
+export const DRYER_HOURS_THRESHOLD = 1;
+
+// Share of total consumption (%) above which heating and cooling gets a recommendation
+export const HVAC_SHARE_THRESHOLD = 40;
+
+// Fraction of heating/cooling energy saved by setting the thermostat 4°F closer to outdoors (~3% per degree)
+export const THERMOSTAT_SAVINGS_RATIO = 0.12;
+
+// Daily standby energy (kWh) above which a smart power strip is recommended for an appliance
+export const STANDBY_KWH_THRESHOLD = 0.05;
+
+// Refrigerator duty cycle (%) above which seals and coils probably need attention
+export const FRIDGE_DUTY_CYCLE_THRESHOLD = 50;
+
+// Fraction of refrigerator energy saved by cleaning coils and fixing door seals
+export const FRIDGE_MAINTENANCE_SAVINGS_RATIO = 0.15;
+
+// Daily computer hours above which power management is recommended
+export const COMPUTER_HOURS_THRESHOLD = 6;
+
+// Fraction of computer energy saved by sleep and display-off settings
+export const POWER_MANAGEMENT_SAVINGS_RATIO = 0.3;
+
+/**
+ * Checks whether an item heats or cools the home. Only whole words count, so "Acer monitor"
+ * is not an AC. Water heaters share words with heaters and heat pumps but are not affected
+ * by the thermostat, so they are left out.
+ *
+ * @param {Object} item - A usage item.
+ * @returns {boolean} Whether it is space heating or cooling.
+ */
+const isSpaceConditioning = (item) => /\b(ac|air condition\w*|heaters?|heat pumps?)\b/i.test(item.name)
+  && !/water heater/i.test(item.name);
+
+/**
+ * Builds a recommendation for one usage item.
+ *
+ * @param {string} ruleId - Id of the rule that produced it.
+ * @param {Object} item - The usage item it applies to.
+ * @param {string} title - Short call to action.
+ * @param {string} description - Why and how.
+ * @param {number} savingsKwh - Estimated daily savings in kWh.
+ * @returns {Object} The recommendation.
+ */
+const recommend = (ruleId, item, title, description, savingsKwh) => ({
+  id: `${ruleId}-${item.id}`,
+  ruleId,
+  itemId: item.id,
+  applianceName: item.name,
+  title,
+  description,
+  savingsKwh
+});
+
+/**
+ * The recommendation rules. Each takes (items, totalKwh) and returns an array of recommendations.
+ */
+export const RECOMMENDATION_RULES = [
+  {
+    id: 'led-bulbs',
+    evaluate: (items) => items
+      .filter(item => /incandescent/i.test(item.name))
+      .map(item => recommend(
+        'led-bulbs',
+        item,
+        'Switch to LED bulbs',
+        'LEDs give the same light for about 85% less energy and last years longer.',
+        item.activeKwh * LED_SAVINGS_RATIO
+      ))
+  },
+  {
+    id: 'line-dry',
+    evaluate: (items) => items
+      .filter(item => /dryer/i.test(item.name) && !/hair/i.test(item.name) && item.hours > DRYER_HOURS_THRESHOLD)
+      .map(item => recommend(
+        'line-dry',
+        item,
+        'Line-dry some loads',
+        `Your dryer runs ${item.hours} hours a day. Air-drying enough loads to keep it to ${DRYER_HOURS_THRESHOLD} hour a day cuts its energy use substantially.`,
+        item.activeKwh * (item.hours - DRYER_HOURS_THRESHOLD) / item.hours
+      ))
+  },
+  {
+    id: 'thermostat',
+    evaluate: (items, totalKwh) => items
+      .filter(item => isSpaceConditioning(item)
+        && totalKwh > 0
+        && (item.kWh / totalKwh) * 100 > HVAC_SHARE_THRESHOLD)
+      .map(item => recommend(
+        'thermostat',
+        item,
+        'Adjust your thermostat by 4°F',
+        `Heating and cooling make up ${((item.kWh / totalKwh) * 100).toFixed(0)}% of your usage. Each degree closer to the outdoor temperature saves about 3%; ceiling fans make the difference hard to notice.`,
+        item.activeKwh * THERMOSTAT_SAVINGS_RATIO
+      ))
+  },
+  {
+    id: 'smart-strip',
+    evaluate: (items) => items
+      .filter(item => item.standbyKwh > STANDBY_KWH_THRESHOLD)
+      .map(item => recommend(
+        'smart-strip',
+        item,
+        'Cut standby power with a smart power strip',
+        `It draws ${item.standbyWatts} W while switched off. A smart strip or switching it off at the wall removes that phantom load.`,
+        item.standbyKwh
+      ))
+  },
+  {
+    id: 'fridge-maintenance',
+    evaluate: (items) => items
+      .filter(item => /refrigerator|fridge|freezer/i.test(item.name) && item.dutyCycle > FRIDGE_DUTY_CYCLE_THRESHOLD)
+      .map(item => recommend(
+        'fridge-maintenance',
+        item,
+        'Clean the coils and check the door seals',
+        `Its compressor runs ${item.dutyCycle}% of the time. Dusty coils and leaky seals make it work harder; set it to 38°F and the freezer to 0°F.`,
+        item.activeKwh * FRIDGE_MAINTENANCE_SAVINGS_RATIO
+      ))
+  },
+  {
+    id: 'power-management',
+    evaluate: (items) => items
+      .filter(item => /desktop|computer/i.test(item.name) && item.hours > COMPUTER_HOURS_THRESHOLD)
+      .map(item => recommend(
+        'power-management',
+        item,
+        'Turn on sleep and display-off settings',
+        `It's on ${item.hours} hours a day. Letting it sleep when idle cuts its energy use by about a third.`,
+        item.activeKwh * POWER_MANAGEMENT_SAVINGS_RATIO
+      ))
+  }
+];
+
+/**
+ * Evaluates every rule against the household and ranks the results.
+ *
+ * @param {Array<Object>} items - The household's usage items.
+ * @param {Array<Object>} [rules] - Rules to evaluate; defaults to RECOMMENDATION_RULES.
+ * @returns {Array<Object>} Recommendations that save energy, largest daily savings first.
+ */
+export function getRecommendations(items, rules = RECOMMENDATION_RULES) {
+  const totalKwh = calculateTotalKwh(items);
+  return rules
+    .reduce((all, rule) => all.concat(rule.evaluate(items, totalKwh)), [])
+    .filter(recommendation => recommendation.savingsKwh > 0)
+    .sort((a, b) => b.savingsKwh - a.savingsKwh);
+}
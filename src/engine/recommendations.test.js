@@ -0,0 +1,85 @@
+import { createUsageItem } from './energy';
+import { getRecommendations } from './recommendations';
+
+/**
+ * Creates a usage item for a test household.
+ *
+ * @param {Object} fields - Item fields.
+ * @param {number} id - Item id.
+ * @returns {Object} The usage item.
+ */
+const item = (fields, id) => createUsageItem(fields, id);
+
+describe('getRecommendations', () => {
+  test('suggests LEDs only when there are incandescent bulbs', () => {
+    expect(getRecommendations([item({ name: 'Light Bulb (LED)', watts: 9, hours: 5 }, 1)])).toEqual([]);
+
+    const [led] = getRecommendations([item({ name: 'Light Bulb (Incandescent)', watts: 60, hours: 5, quantity: 4 }, 2)]);
+    expect(led.ruleId).toBe('led-bulbs');
+    expect(led.itemId).toBe(2);
+    expect(led.applianceName).toBe('Light Bulb (Incandescent)');
+    // 4 × 60 W × 5 h = 1.2 kWh, 85% saved
+    expect(led.savingsKwh).toBeCloseTo(1.02);
+  });
+
+  test('suggests line-drying when the dryer runs above the threshold', () => {
+    expect(getRecommendations([item({ name: 'Dryer', watts: 3000, hours: 1 }, 1)])).toEqual([]);
+    const [dry] = getRecommendations([item({ name: 'Dryer', watts: 3000, hours: 2 }, 1)]);
+    expect(dry.ruleId).toBe('line-dry');
+    expect(dry.savingsKwh).toBeCloseTo(3);
+  });
+
+  test('ignores hair dryers', () => {
+    expect(getRecommendations([item({ name: 'Hair Dryer', watts: 1800, hours: 2 }, 1)])).toEqual([]);
+  });
+
+  test('suggests a thermostat change when heating and cooling dominate', () => {
+    const ac = item({ name: 'AC/Heater', watts: 1500, hours: 8, dutyCycle: 60 }, 1);
+    const fridge = item({ name: 'Refrigerator', watts: 150, hours: 24, dutyCycle: 35 }, 2);
+    const [thermostat] = getRecommendations([ac, fridge]);
+    expect(thermostat.ruleId).toBe('thermostat');
+    expect(thermostat.savingsKwh).toBeCloseTo(7.2 * 0.12);
+
+    const bigFridge = item({ name: 'Freezer', watts: 3000, hours: 24, dutyCycle: 35 }, 3);
+    expect(getRecommendations([ac, bigFridge]).map(r => r.ruleId)).not.toContain('thermostat');
+  });
+
+  test('gives no thermostat advice to a household dominated by its water heater', () => {
+    const tank = item({ name: 'Water Heater (Electric)', watts: 4500, hours: 2 }, 1);
+    const heatPump = item({ name: 'Water Heater (Heat Pump)', watts: 550, hours: 4.3 }, 2);
+    const tv = item({ name: 'TV', watts: 100, hours: 4 }, 3);
+    expect(getRecommendations([tank, tv]).map(r => r.ruleId)).not.toContain('thermostat');
+    expect(getRecommendations([heatPump, tv]).map(r => r.ruleId)).not.toContain('thermostat');
+
+    // The space heater still gets it, its share measured against the whole household
+    const heater = item({ name: 'AC/Heater', watts: 1500, hours: 8, dutyCycle: 60 }, 4);
+    const advice = getRecommendations([tank, heater]).filter(r => r.ruleId === 'thermostat');
+    expect(advice.map(r => r.applianceName)).toEqual(['AC/Heater']);
+  });
+
+  test('matches heating and cooling by whole words only', () => {
+    const tv = item({ name: 'TV', watts: 100, hours: 1 }, 3);
+    ['Acer Monitor', 'Accent Lamp', 'Heated Blanket'].forEach(name => {
+      const heavy = item({ name, watts: 1500, hours: 8 }, 1);
+      expect(getRecommendations([heavy, tv]).map(r => r.ruleId)).not.toContain('thermostat');
+    });
+    ['Window AC', 'Air Conditioner', 'Space Heaters', 'Heat Pump'].forEach(name => {
+      const heavy = item({ name, watts: 1500, hours: 8 }, 1);
+      expect(getRecommendations([heavy, tv]).map(r => r.ruleId)).toContain('thermostat');
+    });
+  });
+
+  test('ranks recommendations by daily savings', () => {
+    const recommendations = getRecommendations([
+      item({ name: 'TV', watts: 100, hours: 4, standbyWatts: 5 }, 1),
+      item({ name: 'Light Bulb (Incandescent)', watts: 60, hours: 5 }, 2),
+      item({ name: 'Desktop Computer', watts: 200, hours: 10 }, 3)
+    ]);
+    expect(recommendations.map(r => r.ruleId)).toEqual(['power-management', 'led-bulbs', 'smart-strip']);
+  });
+
+  test('flags a refrigerator that runs most of the time', () => {
+    const [fridge] = getRecommendations([item({ name: 'Refrigerator', watts: 150, hours: 24, dutyCycle: 70 }, 1)]);
+    expect(fridge.ruleId).toBe('fridge-maintenance');
+  });
+});
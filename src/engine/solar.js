@@ -0,0 +1,144 @@
+/**
+ * solar.js
+ *
+ * Rooftop solar and home battery simulation: how much a system generates each month, and
+ * how much of the household's consumption it covers once generation and use are matched
+ * up over the day.
+ *
+ * Each month is simulated as one representative day. Generation follows a half-sine from
+ * sunrise to sunset; consumption follows the household's average load curve (see
+ * loadProfile.js), scaled to the month's projected use. Surplus charges the battery, then
+ * goes to the grid; shortfalls draw on the battery, then on the grid.
+ */
+
+import { MONTHS, DAYS_IN_MONTH, DAYS_PER_YEAR, projectMonthlyKwh, calculateTotalKwh } from './energy';
+import { calculateLoadProfile, SLOTS_PER_HOUR } from './loadProfile';
+
+// Share of the panels' rated output left after inverter, wiring, heat and soiling losses
+export const DEFAULT_PERFORMANCE_RATIO = 0.8;
+
+// Share of the energy put into a battery that can be taken out again
+export const BATTERY_ROUND_TRIP_EFFICIENCY = 0.9;
+
+// Hours between which the panels generate, centred on solar noon
+export const SUNRISE_HOUR = 6;
+export const SUNSET_HOUR = 18;
+
+/**
+ * Returns the share of a day's solar generation that falls within a span of the day.
+ *
+ * @param {number} from - Start of the span in hours.
+ * @param {number} to - End of the span in hours, after from.
+ * @returns {number} Share between 0 and 1.
+ */
+export function getGenerationShare(from, to) {
+  const daylight = SUNSET_HOUR - SUNRISE_HOUR;
+  const start = Math.max(from, SUNRISE_HOUR);
+  const end = Math.min(to, SUNSET_HOUR);
+  if (end <= start) return 0;
+  // Integral of sin(π(t − sunrise) / daylight), divided by its integral over the whole daylight
+  const angle = (hours) => (Math.PI * (hours - SUNRISE_HOUR)) / daylight;
+  return (Math.cos(angle(start)) - Math.cos(angle(end))) / 2;
+}
+
+/**
+ * Estimates a solar system's daily generation in each month.
+ *
+ * @param {Object} system
+ * @param {number} system.systemKw - Rated size of the panels in kW.
+ * @param {Array<number>} system.peakSunHours - Peak sun hours per day in each month, January first.
+ * @param {number} [system.siteFactor] - Share of the ideal output the roof's direction and tilt allow.
+ * @param {number} [system.performanceRatio] - Share of the rated output left after system losses.
+ * @returns {Array<number>} Daily generation in kWh for each month, January first.
+ */
+export function estimateSolarGeneration({
+  systemKw,
+  peakSunHours,
+  siteFactor = 1,
+  performanceRatio = DEFAULT_PERFORMANCE_RATIO
+}) {
+  return peakSunHours.map(hours => Math.max(0, systemKw) * hours * siteFactor * performanceRatio);
+}
+
+/**
+ * Simulates one day of generation and use, with a battery that starts the day at a given charge.
+ *
+ * @param {Array<number>} loadKwh - Consumption in each slot of the day.
+ * @param {Array<number>} solarKwh - Generation in each slot of the day.
+ * @param {number} batteryKwh - Usable battery capacity.
+ * @param {number} startCharge - Energy stored at midnight.
+ * @returns {{importKwh: number, exportKwh: number, endCharge: number}} Energy bought from and sent to
+ *   the grid, and the energy stored at the end of the day.
+ */
+function simulateDay(loadKwh, solarKwh, batteryKwh, startCharge) {
+  let charge = startCharge;
+  let importKwh = 0;
+  let exportKwh = 0;
+  loadKwh.forEach((load, slot) => {
+    const balance = solarKwh[slot] - load;
+    if (balance >= 0) {
+      const stored = Math.min(balance, (batteryKwh - charge) / BATTERY_ROUND_TRIP_EFFICIENCY);
+      charge += stored * BATTERY_ROUND_TRIP_EFFICIENCY;
+      exportKwh += balance - stored;
+    } else {
+      const discharged = Math.min(-balance, charge);
+      charge -= discharged;
+      importKwh += -balance - discharged;
+    }
+  });
+  return { importKwh, exportKwh, endCharge: charge };
+}
+
+/**
+ * Simulates a solar system, and optionally a battery, against a household's consumption.
+ *
+ * @param {Array<Object>} items - The usage items.
+ * @param {Object} system - The solar system (see estimateSolarGeneration), plus:
+ * @param {number} [system.batteryKwh] - Usable battery capacity; 0 for no battery.
+ * @returns {{months: Array<{month: string, days: number, generationKwh: number, consumptionKwh: number,
+ *   importKwh: number, exportKwh: number}>, daily: {generationKwh: number, consumptionKwh: number,
+ *   importKwh: number, exportKwh: number, netKwh: number}, selfSufficiency: number}} Totals for each month;
+ *   the average day of the year, where netKwh is import minus export (negative for a net exporter);
+ *   and the percentage of consumption not bought from the grid.
+ */
+export function simulateSolar(items, system) {
+  const batteryKwh = Math.max(0, system.batteryKwh || 0);
+  const slotHours = 1 / SLOTS_PER_HOUR;
+  const averageDayKwh = calculateTotalKwh(items);
+  const loadShape = calculateLoadProfile(items).slots.map(slot => (slot.averageWatts / 1000) * slotHours);
+  const solarShape = loadShape.map((unused, index) => getGenerationShare(index * slotHours, (index + 1) * slotHours));
+  const generation = estimateSolarGeneration(system);
+  const consumption = projectMonthlyKwh(items);
+
+  const months = MONTHS.map((month, index) => {
+    const days = DAYS_IN_MONTH[index];
+    const dayKwh = consumption[index].kWh / days;
+    const scale = averageDayKwh > 0 ? dayKwh / averageDayKwh : 0;
+    const loadKwh = loadShape.map(kWh => kWh * scale);
+    const solarKwh = solarShape.map(share => share * generation[index]);
+    // The battery's charge at midnight depends on the day before, so run the day twice
+    const { endCharge } = simulateDay(loadKwh, solarKwh, batteryKwh, 0);
+    const day = simulateDay(loadKwh, solarKwh, batteryKwh, endCharge);
+    return {
+      month,
+      days,
+      generationKwh: generation[index] * days,
+      consumptionKwh: dayKwh * days,
+      importKwh: day.importKwh * days,
+      exportKwh: day.exportKwh * days
+    };
+  });
+
+  const average = (key) => months.reduce((sum, entry) => sum + entry[key], 0) / DAYS_PER_YEAR;
+  const daily = {
+    generationKwh: average('generationKwh'),
+    consumptionKwh: average('consumptionKwh'),
+    importKwh: average('importKwh'),
+    exportKwh: average('exportKwh')
+  };
+  daily.netKwh = daily.importKwh - daily.exportKwh;
+  const selfSufficiency = daily.consumptionKwh > 0
+    ? ((daily.consumptionKwh - daily.importKwh) / daily.consumptionKwh) * 100
+    : 0;
+  return { months, daily, selfSufficiency };
+}
@@ -0,0 +1,73 @@
+import { createUsageItem, calculateTotalKwh } from './energy';
+import { DEFAULT_PERFORMANCE_RATIO, estimateSolarGeneration, getGenerationShare, simulateSolar } from './solar';
+
+const EVEN_SUN = [4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4];
+
+// A 1 kW load running only around midday, and one running only in the evening
+const midday = createUsageItem({ name: 'Other', watts: 1000, hours: 4, timeWindows: [{ start: 10, end: 14 }] }, 1);
+const evening = createUsageItem({ name: 'Other', watts: 1000, hours: 3, timeWindows: [{ start: 20, end: 23 }] }, 2);
+
+describe('getGenerationShare', () => {
+  test('spreads the whole day\'s generation over daylight, peaking at noon', () => {
+    expect(getGenerationShare(0, 24)).toBeCloseTo(1);
+    expect(getGenerationShare(0, 6)).toBe(0);
+    expect(getGenerationShare(18, 24)).toBe(0);
+    expect(getGenerationShare(6, 12)).toBeCloseTo(0.5);
+    expect(getGenerationShare(11, 12)).toBeGreaterThan(getGenerationShare(7, 8));
+  });
+});
+
+describe('estimateSolarGeneration', () => {
+  test('scales the peak sun hours by system size, site and losses', () => {
+    const [january] = estimateSolarGeneration({ systemKw: 5, peakSunHours: EVEN_SUN });
+    expect(january).toBeCloseTo(5 * 4 * DEFAULT_PERFORMANCE_RATIO);
+    expect(estimateSolarGeneration({ systemKw: 5, peakSunHours: EVEN_SUN, siteFactor: 0.5 })[0]).toBeCloseTo(january / 2);
+  });
+});
+
+describe('simulateSolar', () => {
+  test('buys everything from the grid without a system', () => {
+    const { daily, selfSufficiency } = simulateSolar([midday], { systemKw: 0, peakSunHours: EVEN_SUN });
+    expect(daily.importKwh).toBeCloseTo(calculateTotalKwh([midday]));
+    expect(daily.exportKwh).toBe(0);
+    expect(selfSufficiency).toBeCloseTo(0);
+  });
+
+  test('covers daytime use from the panels and exports the rest', () => {
+    const { daily, selfSufficiency } = simulateSolar([midday], { systemKw: 5, peakSunHours: EVEN_SUN });
+    expect(daily.generationKwh).toBeCloseTo(16);
+    expect(daily.importKwh).toBeCloseTo(0);
+    expect(daily.exportKwh).toBeCloseTo(16 - 4);
+    expect(daily.netKwh).toBeCloseTo(-12);
+    expect(selfSufficiency).toBeCloseTo(100);
+  });
+
+  test('needs a battery to cover evening use', () => {
+    const withoutBattery = simulateSolar([evening], { systemKw: 5, peakSunHours: EVEN_SUN });
+    expect(withoutBattery.daily.importKwh).toBeCloseTo(3);
+    expect(withoutBattery.daily.exportKwh).toBeCloseTo(16);
+
+    const withBattery = simulateSolar([evening], { systemKw: 5, peakSunHours: EVEN_SUN, batteryKwh: 10 });
+    expect(withBattery.daily.importKwh).toBeCloseTo(0);
+    // Storing 3 kWh for the evening takes 3 ÷ 0.9 kWh of surplus
+    expect(withBattery.daily.exportKwh).toBeCloseTo(16 - 3 / 0.9);
+    expect(withBattery.selfSufficiency).toBeCloseTo(100);
+  });
+
+  test('follows the seasons of the sun and of the household', () => {
+    const heater = createUsageItem({
+      name: 'AC/Heater',
+      watts: 1500,
+      hours: 4,
+      seasonality: [1, 1, 1, 0, 0, 0, 0, 0, 0, 1, 1, 1],
+      timeWindows: [{ start: 10, end: 14 }]
+    }, 3);
+    const sun = [2, 2, 2, 6, 6, 6, 6, 6, 6, 2, 2, 2];
+    const { months } = simulateSolar([heater], { systemKw: 1, peakSunHours: sun });
+    expect(months[0].generationKwh).toBeCloseTo(2 * 0.8 * 31);
+    expect(months[6].generationKwh).toBeCloseTo(6 * 0.8 * 31);
+    expect(months[0].importKwh).toBeGreaterThan(0);
+    expect(months[6].importKwh).toBeCloseTo(0);
+    expect(months[6].consumptionKwh).toBeCloseTo(0);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * tariffs.js
+ *
+ * Electricity cost engine for Watt's Up?.
+ * Turns daily energy consumption (kWh) into money using one of three tariff models:
+ *
+ * - Flat: a single $/kWh rate.
+ * - Tiered: block pricing where each block of monthly kWh is billed at its own rate.
+ * - Time-of-use: separate peak and off-peak rates, with a daily peak window.
+ *
+ * Every tariff also carries a fixed monthly service charge. All functions are pure,
+ * so the engine can be used without the UI.
+ */
+
+import { DAYS_PER_MONTH } from './energy';
+
+// Supported tariff models
+export const TARIFF_TYPES = {
+  FLAT: 'flat',
+  TIERED: 'tiered',
+  TIME_OF_USE: 'tou'
+};
+
+// Default tariff, roughly matching an average U.S. residential bill.
+// All model fields are kept on one object so switching type never loses entered values.
+export const DEFAULT_TARIFF = {
+  type: TARIFF_TYPES.FLAT,
+  flatRate: 0.16,
+  // Monthly kWh blocks; the last tier has no upper bound (upTo: null)
+  tiers: [
+    { upTo: 500, rate: 0.13 },
+    { upTo: 1000, rate: 0.17 },
+    { upTo: null, rate: 0.22 }
+  ],
+  peakRate: 0.32,
+  offPeakRate: 0.12,
+  // Peak window in whole hours on a 24-hour clock; may wrap past midnight
+  peakStart: 16,
+  peakEnd: 21,
+  serviceCharge: 10
+};
+
+/**
+ * Returns the number of hours in a daily window, handling windows that wrap past midnight.
+ *
+ * @param {number} start - Start hour (0-23).
+ * @param {number} end - End hour (0-24).
+ * @returns {number} Length of the window in hours.
+ */
+export function getWindowHours(start, end) {
+  return (((end - start) % 24) + 24) % 24;
+}
+
+/**
+ * Orders tiered blocks by their upper bound, with the unbounded block last, so tiers entered
+ * or stored out of order are still billed block by block.
+ *
+ * @param {Array<{upTo: ?number, rate: number}>} tiers - Blocks in any order.
+ * @returns {Array<{upTo: ?number, rate: number}>} A sorted copy of the blocks.
+ */
+export function sortTiers(tiers) {
+  const upperBound = (tier) => (tier.upTo == null ? Infinity : tier.upTo);
+  return [...tiers].sort((a, b) => upperBound(a) - upperBound(b));
+}
+
+/**
+ * Calculates the energy charge for one month of consumption under a tiered tariff.
+ *
+ * @param {number} monthlyKwh - Energy consumed in the month.
+ * @param {Array<{upTo: ?number, rate: number}>} tiers - Blocks, in any order of their upper bound.
+ * @returns {number} Energy charge in dollars.
+ */
+export function calculateTieredCharge(monthlyKwh, tiers) {
+  let charge = 0;
+  let lowerBound = 0;
+  for (const tier of sortTiers(tiers)) {
+    if (monthlyKwh <= lowerBound) break;
+    const upperBound = tier.upTo == null ? Infinity : tier.upTo;
+    const kwhInTier = Math.min(monthlyKwh, upperBound) - lowerBound;
+    charge += kwhInTier * tier.rate;
+    lowerBound = upperBound;
+  }
+  return charge;
+}
+
+/**
+ * Returns the blended $/kWh rate of a time-of-use tariff, assuming consumption
+ * is spread evenly over the day.
+ *
+ * @param {Object} tariff - A time-of-use tariff.
+ * @returns {number} Blended rate in $/kWh.
+ */
+export function getTimeOfUseRate(tariff) {
+  const peakShare = getWindowHours(tariff.peakStart, tariff.peakEnd) / 24;
+  return peakShare * tariff.peakRate + (1 - peakShare) * tariff.offPeakRate;
+}
+
+/**
+ * Calculates the monthly energy charge (excluding the service charge).
+ *
+ * @param {number} dailyKwh - Average daily consumption.
+ * @param {Object} tariff - The tariff to apply.
+ * @returns {number} Energy charge for one month in dollars.
+ */
+export function calculateMonthlyEnergyCharge(dailyKwh, tariff) {
+  const monthlyKwh = dailyKwh * DAYS_PER_MONTH;
+  switch (tariff.type) {
+    case TARIFF_TYPES.TIERED:
+      return calculateTieredCharge(monthlyKwh, tariff.tiers);
+    case TARIFF_TYPES.TIME_OF_USE:
+      return monthlyKwh * getTimeOfUseRate(tariff);
+    case TARIFF_TYPES.FLAT:
+    default:
+      return monthlyKwh * tariff.flatRate;
+  }
+}
+
+/**
+ * Returns the average price paid per kWh for a given consumption, excluding the service charge.
+ * This is what per-appliance costs are billed at, so they always add up to the energy charge.
+ *
+ * @param {number} dailyKwh - Average daily consumption of the whole household.
+ * @param {Object} tariff - The tariff to apply.
+ * @returns {number} Effective rate in $/kWh.
+ */
+export function getEffectiveRate(dailyKwh, tariff) {
+  switch (tariff.type) {
+    case TARIFF_TYPES.TIERED: {
+      if (dailyKwh <= 0) return tariff.tiers.length > 0 ? sortTiers(tariff.tiers)[0].rate : 0;
+      return calculateMonthlyEnergyCharge(dailyKwh, tariff) / (dailyKwh * DAYS_PER_MONTH);
+    }
+    case TARIFF_TYPES.TIME_OF_USE:
+      return getTimeOfUseRate(tariff);
+    case TARIFF_TYPES.FLAT:
+    default:
+      return tariff.flatRate;
+  }
+}
+
+/**
+ * Summarizes the cost of a household's consumption over a day, a month and a year.
+ * The service charge is included in every total, prorated for the daily figure.
+ *
+ * @param {number} dailyKwh - Average daily consumption.
+ * @param {Object} tariff - The tariff to apply.
+ * @returns {{effectiveRate: number, daily: number, monthly: number, annual: number, serviceCharge: number}}
+ */
+export function getCostSummary(dailyKwh, tariff) {
+  const energyCharge = calculateMonthlyEnergyCharge(dailyKwh, tariff);
+  const monthly = energyCharge + tariff.serviceCharge;
+  return {
+    effectiveRate: getEffectiveRate(dailyKwh, tariff),
+    daily: monthly / DAYS_PER_MONTH,
+    monthly,
+    annual: monthly * 12,
+    serviceCharge: tariff.serviceCharge
+  };
+}
+
+/**
+ * Restores a stored tariff, filling any missing fields from the defaults.
+ *
+ * @param {Object} [stored] - Tariff read from storage.
+ * @returns {Object} A complete tariff.
+ */
+export function normalizeTariff(stored) {
+  if (!stored || typeof stored !== 'object') return { ...DEFAULT_TARIFF };
+  return {
+    ...DEFAULT_TARIFF,
+    ...stored,
+    tiers: Array.isArray(stored.tiers) && stored.tiers.length > 0 ? stored.tiers : DEFAULT_TARIFF.tiers
+  };
+}
+
+/**
+ * Formats a dollar amount for display.
+ *
+ * @param {number} value - Amount in dollars.
+ * @returns {string} The formatted amount, e.g. "$1.23".
+ */
+export function formatCurrency(value) {
+  return value.toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+}
@@ -0,0 +1,88 @@
+import { DAYS_PER_MONTH } from './energy';
+import {
+  DEFAULT_TARIFF,
+  TARIFF_TYPES,
+  calculateTieredCharge,
+  getCostSummary,
+  getEffectiveRate,
+  getWindowHours,
+  normalizeTariff
+} from './tariffs';
+
+const flat = { ...DEFAULT_TARIFF, type: TARIFF_TYPES.FLAT, flatRate: 0.2, serviceCharge: 0 };
+
+describe('getWindowHours', () => {
+  test('counts hours in a same-day window', () => {
+    expect(getWindowHours(16, 21)).toBe(5);
+  });
+
+  test('counts hours in a window that wraps past midnight', () => {
+    expect(getWindowHours(22, 6)).toBe(8);
+  });
+});
+
+describe('calculateTieredCharge', () => {
+  const tiers = [
+    { upTo: 100, rate: 0.1 },
+    { upTo: null, rate: 0.2 }
+  ];
+
+  test('bills consumption inside the first block at its rate', () => {
+    expect(calculateTieredCharge(50, tiers)).toBeCloseTo(5);
+  });
+
+  test('bills consumption above a block at the next rate', () => {
+    expect(calculateTieredCharge(150, tiers)).toBeCloseTo(10 + 10);
+  });
+
+  test('bills blocks in order of their upper bound however they are listed', () => {
+    const unsorted = [
+      { upTo: null, rate: 0.3 },
+      { upTo: 200, rate: 0.2 },
+      { upTo: 100, rate: 0.1 }
+    ];
+    expect(calculateTieredCharge(250, unsorted)).toBeCloseTo(10 + 20 + 15);
+    expect(calculateTieredCharge(50, unsorted)).toBeCloseTo(5);
+  });
+});
+
+describe('getEffectiveRate', () => {
+  test('returns the flat rate', () => {
+    expect(getEffectiveRate(10, flat)).toBe(0.2);
+  });
+
+  test('blends peak and off-peak rates by the share of hours in the peak window', () => {
+    const tou = { ...flat, type: TARIFF_TYPES.TIME_OF_USE, peakRate: 0.4, offPeakRate: 0.1, peakStart: 0, peakEnd: 6 };
+    expect(getEffectiveRate(10, tou)).toBeCloseTo(0.25 * 0.4 + 0.75 * 0.1);
+  });
+
+  test('uses the lowest block of unsorted tiers when nothing is used', () => {
+    const tiered = { ...flat, type: TARIFF_TYPES.TIERED, tiers: [{ upTo: null, rate: 0.5 }, { upTo: 100, rate: 0.1 }] };
+    expect(getEffectiveRate(0, tiered)).toBe(0.1);
+  });
+
+  test('averages tiered charges over the monthly consumption', () => {
+    const tiered = { ...flat, type: TARIFF_TYPES.TIERED, tiers: [{ upTo: 0, rate: 1 }, { upTo: null, rate: 0.5 }] };
+    expect(getEffectiveRate(10, tiered)).toBeCloseTo(0.5);
+  });
+});
+
+describe('getCostSummary', () => {
+  test('adds the service charge to monthly and annual totals', () => {
+    const summary = getCostSummary(10, { ...flat, serviceCharge: 12 });
+    const monthly = 10 * DAYS_PER_MONTH * 0.2 + 12;
+    expect(summary.monthly).toBeCloseTo(monthly);
+    expect(summary.annual).toBeCloseTo(monthly * 12);
+    expect(summary.daily).toBeCloseTo(monthly / DAYS_PER_MONTH);
+  });
+});
+
+describe('normalizeTariff', () => {
+  test('fills missing fields from the defaults', () => {
+    expect(normalizeTariff({ flatRate: 0.3 })).toEqual({ ...DEFAULT_TARIFF, flatRate: 0.3 });
+  });
+
+  test('returns the defaults when nothing was stored', () => {
+    expect(normalizeTariff(null)).toEqual(DEFAULT_TARIFF);
+  });
+});
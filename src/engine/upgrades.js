@@ -0,0 +1,102 @@
+/**
+ * upgrades.js
+ *
+ * What-if upgrades: replacing an appliance with a more efficient one (or using it less)
+ * and working out what that saves and how long it takes to pay for itself.
+ *
+ * An upgrade is { itemId, changes, price, lifetimeYears }: changes are edited item fields
+ * (name, watts, hours, dutyCycle, standbyWatts), price is the purchase price and
+ * lifetimeYears how long the replacement is expected to last.
+ */
+
+import { DAYS_PER_YEAR, calculateTotalKwh, updateUsageItem } from './energy';
+import { getCostSummary } from './tariffs';
+
+// Expected life of a replacement appliance when none is given
+export const DEFAULT_UPGRADE_LIFETIME_YEARS = 10;
+
+/**
+ * Evaluates one upgrade of a usage item.
+ *
+ * @param {Object} item - The current usage item.
+ * @param {Object} upgrade - The proposed upgrade.
+ * @param {number} pricePerKwh - Price of electricity used to value the savings.
+ * @returns {{upgrade: Object, item: Object, proposed: Object, savedKwh: number, annualKwh: number,
+ *   annualSavings: number, paybackYears: number, lifetimeSavings: number}} The proposed item, daily and
+ *   annual kWh saved, money saved per year, simple payback in years (Infinity if it never pays back)
+ *   and net savings over the replacement's lifetime after its price.
+ */
+export function evaluateUpgrade(item, upgrade, pricePerKwh) {
+  const proposed = updateUsageItem(item, upgrade.changes);
+  const savedKwh = item.kWh - proposed.kWh;
+  const annualKwh = savedKwh * DAYS_PER_YEAR;
+  const annualSavings = annualKwh * pricePerKwh;
+  const lifetimeYears = upgrade.lifetimeYears || DEFAULT_UPGRADE_LIFETIME_YEARS;
+  return {
+    upgrade,
+    item,
+    proposed,
+    savedKwh,
+    annualKwh,
+    annualSavings,
+    paybackYears: annualSavings > 0 ? upgrade.price / annualSavings : Infinity,
+    lifetimeSavings: annualSavings * lifetimeYears - upgrade.price
+  };
+}
+
+/**
+ * Applies a set of upgrades to the household and compares it with the current one.
+ * Upgrades of items that no longer exist are ignored.
+ *
+ * @param {Array<Object>} items - The current usage items.
+ * @param {Array<Object>} upgrades - Proposed upgrades, at most one per item.
+ * @param {Object} tariff - The tariff used to price both households.
+ * @returns {{upgrades: Array<Object>, current: Object, proposed: Object, totals: Object}} Per-upgrade
+ *   results (see evaluateUpgrade); { items, kWh, cost } for the current and upgraded household;
+ *   and scenario totals { savedKwh, annualSavings, totalPrice, paybackYears, lifetimeSavings }, where
+ *   lifetimeSavings are the bill savings over the upgrades' lifetimes after their prices.
+ */
+export function evaluateScenario(items, upgrades, tariff) {
+  const currentKwh = calculateTotalKwh(items);
+  const currentCost = getCostSummary(currentKwh, tariff);
+
+  const results = upgrades
+    .map(upgrade => {
+      const item = items.find(candidate => candidate.id === upgrade.itemId);
+      return item ? evaluateUpgrade(item, upgrade, currentCost.effectiveRate) : null;
+    })
+    .filter(Boolean);
+
+  const proposedItems = items.map(item => {
+    const result = results.find(candidate => candidate.item.id === item.id);
+    return result ? result.proposed : item;
+  });
+  const proposedKwh = calculateTotalKwh(proposedItems);
+  const proposedCost = getCostSummary(proposedKwh, tariff);
+
+  // Priced on the whole bill, so tier boundaries and service charges are taken into account
+  const annualSavings = currentCost.annual - proposedCost.annual;
+  const totalPrice = results.reduce((sum, result) => sum + result.upgrade.price, 0);
+
+  // Each upgrade's savings last as long as the upgrade, so the bill savings are counted over the
+  // lifetimes of the upgrades weighted by the energy each saves. Upgrades that use more energy get
+  // no weight; if none saves any, the lifetimes are simply averaged.
+  const weights = results.map(result => Math.max(result.annualKwh, 0));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const lifetimeYears = results.reduce((sum, result, index) => {
+    const share = totalWeight > 0 ? weights[index] / totalWeight : 1 / results.length;
+    return sum + share * (result.upgrade.lifetimeYears || DEFAULT_UPGRADE_LIFETIME_YEARS);
+  }, 0);
+  return {
+    upgrades: results,
+    current: { items, kWh: currentKwh, cost: currentCost },
+    proposed: { items: proposedItems, kWh: proposedKwh, cost: proposedCost },
+    totals: {
+      savedKwh: currentKwh - proposedKwh,
+      annualSavings,
+      totalPrice,
+      paybackYears: annualSavings > 0 ? totalPrice / annualSavings : Infinity,
+      lifetimeSavings: annualSavings * lifetimeYears - totalPrice
+    }
+  };
+}
@@ -0,0 +1,93 @@
+import { createUsageItem } from './energy';
+import { DEFAULT_TARIFF, TARIFF_TYPES } from './tariffs';
+import { DEFAULT_UPGRADE_LIFETIME_YEARS, evaluateScenario, evaluateUpgrade } from './upgrades';
+
+const flat = { ...DEFAULT_TARIFF, type: TARIFF_TYPES.FLAT, flatRate: 0.2, serviceCharge: 10 };
+
+const bulbs = createUsageItem({ name: 'Light Bulb (Incandescent)', watts: 60, hours: 5, quantity: 10 }, 1);
+const fridge = createUsageItem({ name: 'Refrigerator', watts: 200, hours: 24, dutyCycle: 50 }, 2);
+
+describe('evaluateUpgrade', () => {
+  test('works out savings, payback and lifetime savings', () => {
+    const result = evaluateUpgrade(bulbs, { itemId: 1, changes: { name: 'Light Bulb (LED)', watts: 9 }, price: 50, lifetimeYears: 15 }, 0.2);
+    expect(result.proposed.name).toBe('Light Bulb (LED)');
+    // 10 × (60 − 9) W × 5 h = 2.55 kWh/day
+    expect(result.savedKwh).toBeCloseTo(2.55);
+    expect(result.annualKwh).toBeCloseTo(930.75);
+    expect(result.annualSavings).toBeCloseTo(186.15);
+    expect(result.paybackYears).toBeCloseTo(50 / 186.15);
+    expect(result.lifetimeSavings).toBeCloseTo(186.15 * 15 - 50);
+  });
+
+  test('never pays back when it saves nothing', () => {
+    const result = evaluateUpgrade(fridge, { itemId: 2, changes: { watts: 250 }, price: 900 }, 0.2);
+    expect(result.savedKwh).toBeLessThan(0);
+    expect(result.paybackYears).toBe(Infinity);
+    expect(result.lifetimeSavings).toBeLessThan(-900);
+  });
+
+  test('assumes the default lifetime', () => {
+    const result = evaluateUpgrade(fridge, { itemId: 2, changes: { hours: 12 }, price: 0 }, 0.2);
+    expect(result.lifetimeSavings).toBeCloseTo(result.annualSavings * DEFAULT_UPGRADE_LIFETIME_YEARS);
+  });
+});
+
+describe('evaluateScenario', () => {
+  test('stacks upgrades and compares the households side by side', () => {
+    const scenario = evaluateScenario([bulbs, fridge], [
+      { itemId: 1, changes: { watts: 9 }, price: 50, lifetimeYears: 15 },
+      { itemId: 2, changes: { watts: 100 }, price: 1000, lifetimeYears: 15 }
+    ], flat);
+    // 3 + 2.4 kWh now; 0.45 + 1.2 kWh after
+    expect(scenario.current.kWh).toBeCloseTo(5.4);
+    expect(scenario.proposed.kWh).toBeCloseTo(1.65);
+    expect(scenario.totals.savedKwh).toBeCloseTo(3.75);
+    expect(scenario.totals.totalPrice).toBe(1050);
+    // The service charge is paid either way
+    expect(scenario.totals.annualSavings).toBeCloseTo(scenario.current.cost.annual - scenario.proposed.cost.annual);
+    expect(scenario.totals.paybackYears).toBeCloseTo(1050 / scenario.totals.annualSavings);
+    expect(scenario.proposed.items[1].watts).toBe(100);
+  });
+
+  test('works out lifetime savings from the savings on the whole bill', () => {
+    const tiered = { ...DEFAULT_TARIFF, type: TARIFF_TYPES.TIERED };
+    const heavyBulbs = createUsageItem({ name: 'Light Bulb (Incandescent)', watts: 60, hours: 10, quantity: 30 }, 1);
+    const scenario = evaluateScenario([heavyBulbs, fridge], [
+      { itemId: 1, changes: { watts: 9 }, price: 150, lifetimeYears: 15 },
+      { itemId: 2, changes: { watts: 100 }, price: 1000, lifetimeYears: 5 }
+    ], tiered);
+    const [bulbResult, fridgeResult] = scenario.upgrades;
+    const annualKwh = bulbResult.annualKwh + fridgeResult.annualKwh;
+    const lifetimeYears = (bulbResult.annualKwh * 15 + fridgeResult.annualKwh * 5) / annualKwh;
+    expect(scenario.totals.lifetimeSavings).toBeCloseTo(scenario.totals.annualSavings * lifetimeYears - 1150);
+    // Savings fall out of the top tier, so the bill drops by more than the average rate suggests
+    expect(scenario.totals.annualSavings).toBeGreaterThan(bulbResult.annualSavings + fridgeResult.annualSavings);
+  });
+
+  test('keeps lifetime savings within the upgrades\' lifetimes when they pull in opposite directions', () => {
+    // The bulbs save 2.55 kWh a day; the bigger fridge uses 2.4 kWh a day more
+    const scenario = evaluateScenario([bulbs, fridge], [
+      { itemId: 1, changes: { watts: 9 }, price: 50, lifetimeYears: 10 },
+      { itemId: 2, changes: { watts: 400 }, price: 1000, lifetimeYears: 20 }
+    ], flat);
+    expect(scenario.totals.savedKwh).toBeCloseTo(0.15);
+    expect(scenario.totals.lifetimeSavings).toBeCloseTo(scenario.totals.annualSavings * 10 - 1050);
+  });
+
+  test('averages the lifetimes when no upgrade saves energy', () => {
+    const scenario = evaluateScenario([bulbs, fridge], [
+      { itemId: 1, changes: { watts: 100 }, price: 0, lifetimeYears: 10 },
+      { itemId: 2, changes: { watts: 400 }, price: 0, lifetimeYears: 20 }
+    ], flat);
+    expect(scenario.totals.annualSavings).toBeLessThan(0);
+    expect(scenario.totals.lifetimeSavings).toBeCloseTo(scenario.totals.annualSavings * 15);
+  });
+
+  test('ignores upgrades of deleted items', () => {
+    const scenario = evaluateScenario([fridge], [{ itemId: 99, changes: { watts: 1 }, price: 10 }], flat);
+    expect(scenario.upgrades).toEqual([]);
+    expect(scenario.totals.totalPrice).toBe(0);
+    expect(scenario.totals.paybackYears).toBe(Infinity);
+    expect(scenario.totals.lifetimeSavings).toBe(0);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * useAppStatus.js
+ *
+ * Whether the browser is online, whether a new version of the app is waiting to be
+ * applied, and whether offline use failed to set up, from the service worker registered
+ * here (see serviceWorker.js).
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { register, applyUpdate } from '../serviceWorker';
+
+/**
+ * @returns {{isOnline: boolean, updateAvailable: boolean, offlineUnavailable: boolean, applyUpdate: Function,
+ *   dismissUpdate: Function}} The connection state, whether a new version is waiting, whether the service
+ *   worker could not be registered, a function that reloads into the new version, and one that hides the
+ *   prompt until the next update.
+ */
+export default function useAppStatus() {
+  const [isOnline, setIsOnline] = useState(navigator.onLine !== false);
+  const [waitingRegistration, setWaitingRegistration] = useState(null);
+  const [offlineUnavailable, setOfflineUnavailable] = useState(false);
+
+  // Follow the connection as the browser reports it
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  // Register the service worker once; it reports new versions as they finish installing,
+  // a failed check for it when the page was opened from the cache without a connection,
+  // and a registration that failed, leaving the app without offline support
+  useEffect(() => {
+    register({
+      onUpdate: (registration) => setWaitingRegistration(registration),
+      onOffline: () => setIsOnline(false),
+      onError: () => setOfflineUnavailable(true)
+    });
+  }, []);
+
+  const update = useCallback(() => {
+    if (waitingRegistration) applyUpdate(waitingRegistration);
+  }, [waitingRegistration]);
+
+  const dismissUpdate = useCallback(() => setWaitingRegistration(null), []);
+
+  return {
+    isOnline,
+    updateAvailable: waitingRegistration !== null,
+    offlineUnavailable,
+    applyUpdate: update,
+    dismissUpdate
+  };
+}
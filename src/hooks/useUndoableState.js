@@ -0,0 +1,58 @@
+/**
+ * useUndoableState.js
+ *
+ * A useState variant that remembers previous values so changes can be undone and redone.
+ */
+
+import { useState, useCallback } from 'react';
+
+// Maximum number of changes that can be undone
+const HISTORY_LIMIT = 50;
+
+/**
+ * @param {*} initialValue - Initial state.
+ * @returns {[*, Function, Object]} The current value, a setter that records history, and
+ *   { undo, redo, reset, canUndo, canRedo } where reset replaces the value and clears history
+ *   (used for loading data, which should not be undoable).
+ */
+export default function useUndoableState(initialValue) {
+  const [history, setHistory] = useState({ past: [], present: initialValue, future: [] });
+
+  const setValue = useCallback((value) => {
+    setHistory((current) => {
+      const next = typeof value === 'function' ? value(current.present) : value;
+      if (next === current.present) return current;
+      return { past: [...current.past, current.present].slice(-HISTORY_LIMIT), present: next, future: [] };
+    });
+  }, []);
+
+  const undo = useCallback(() => {
+    setHistory(({ past, present, future }) => {
+      if (past.length === 0) return { past, present, future };
+      return { past: past.slice(0, -1), present: past[past.length - 1], future: [present, ...future] };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setHistory(({ past, present, future }) => {
+      if (future.length === 0) return { past, present, future };
+      return { past: [...past, present], present: future[0], future: future.slice(1) };
+    });
+  }, []);
+
+  const reset = useCallback((value) => {
+    setHistory({ past: [], present: value, future: [] });
+  }, []);
+
+  return [
+    history.present,
+    setValue,
+    {
+      undo,
+      redo,
+      reset,
+      canUndo: history.past.length > 0,
+      canRedo: history.future.length > 0
+    }
+  ];
+}
@@ -0,0 +1,143 @@
+/**
+ * serviceWorker.js
+ *
+ * Registers the service worker that the production build generates (build/service-worker.js).
+ * It precaches the app shell and the bundled scripts, datasets included, so the app opens
+ * and works without a network connection after the first visit.
+ *
+ * A new deployment installs a new worker in the background. It waits until every tab of the
+ * old version is closed, unless the user accepts the update prompt, which calls applyUpdate.
+ * Nothing is registered in development or tests, where caching would hide code changes.
+ */
+
+// Local hosts, where a missing or stale service worker is checked for and cleaned up
+const isLocalhost = Boolean(
+  window.location.hostname === 'localhost'
+    || window.location.hostname === '[::1]'
+    || /^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/.test(window.location.hostname)
+);
+
+/**
+ * Registers the service worker and reports when its content is cached or updated.
+ *
+ * @param {Object} [config]
+ * @param {Function} [config.onSuccess] - Called with the registration once the app is cached for offline use.
+ * @param {Function} [config.onUpdate] - Called with the registration when a new version is waiting.
+ * @param {Function} [config.onOffline] - Called when the worker cannot be checked for lack of a connection,
+ *   so the page is running from the cache.
+ * @param {Function} [config.onError] - Called with the error when the worker cannot be registered,
+ *   so the app will not work offline.
+ */
+export function register(config = {}) {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  // The worker only controls pages under the public URL; a CDN-hosted build cannot use it
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+  const start = () => {
+    if (isLocalhost) {
+      checkValidServiceWorker(swUrl, config);
+    } else {
+      registerValidSW(swUrl, config);
+    }
+  };
+
+  // Wait for the page to finish loading, so caching does not compete with it
+  if (document.readyState === 'complete') {
+    start();
+  } else {
+    window.addEventListener('load', start);
+  }
+}
+
+/**
+ * Registers a worker known to exist and watches for new versions of it.
+ *
+ * @param {string} swUrl - URL of the service worker script.
+ * @param {Object} config - Callbacks passed to register.
+ */
+function registerValidSW(swUrl, config) {
+  navigator.serviceWorker
+    .register(swUrl)
+    .then(registration => {
+      // A version deployed while this tab was closed may already be waiting
+      if (registration.waiting && navigator.serviceWorker.controller && config.onUpdate) {
+        config.onUpdate(registration);
+      }
+      registration.onupdatefound = () => {
+        const installingWorker = registration.installing;
+        if (!installingWorker) return;
+        installingWorker.onstatechange = () => {
+          if (installingWorker.state !== 'installed') return;
+          if (navigator.serviceWorker.controller) {
+            // An older version controls the page: the new one waits until it is applied
+            if (config.onUpdate) config.onUpdate(registration);
+          } else if (config.onSuccess) {
+            // First install: everything is now cached for offline use
+            config.onSuccess(registration);
+          }
+        };
+      };
+    })
+    .catch(error => {
+      if (config.onError) config.onError(error);
+    });
+}
+
+/**
+ * On local hosts, registers the worker only if the build serves one, and otherwise removes
+ * a worker left over from another app on the same port.
+ *
+ * @param {string} swUrl - URL of the service worker script.
+ * @param {Object} config - Callbacks passed to register.
+ */
+function checkValidServiceWorker(swUrl, config) {
+  fetch(swUrl, { headers: { 'Service-Worker': 'script' } })
+    .then(response => {
+      const contentType = response.headers.get('content-type');
+      if (response.status === 404 || (contentType != null && contentType.indexOf('javascript') === -1)) {
+        navigator.serviceWorker.ready.then(registration => {
+          registration.unregister().then(() => {
+            window.location.reload();
+          });
+        });
+      } else {
+        registerValidSW(swUrl, config);
+      }
+    })
+    .catch(() => {
+      if (config.onOffline) config.onOffline();
+    });
+}
+
+/**
+ * Switches to the waiting version of the app: the new worker takes over and the page reloads
+ * once it controls it.
+ *
+ * @param {ServiceWorkerRegistration} registration - Registration with a waiting worker.
+ */
+export function applyUpdate(registration) {
+  if (!registration.waiting) return;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    window.location.reload();
+  });
+  // The generated worker listens for this message and calls skipWaiting
+  registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+}
+
+/**
+ * Removes the service worker, e.g. to opt out of offline support.
+ *
+ * @param {Object} [config]
+ * @param {Function} [config.onError] - Called with the error when the worker cannot be removed.
+ */
+export function unregister(config = {}) {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then(registration => registration.unregister())
+    .catch(error => {
+      if (config.onError) config.onError(error);
+    });
+}
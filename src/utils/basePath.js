@@ -0,0 +1,16 @@
+/**
+ * basePath.js
+ *
+ * The path the app is served from, e.g. "/watts-up" when the build's homepage or PUBLIC_URL
+ * points at a sub-path, or "" at the site root. The router uses it as its basename, and share
+ * links are built under it, so both keep working when the app is not at the root.
+ */
+
+/**
+ * @param {string} [publicUrl] - The build's public URL, a path or an absolute URL; defaults to PUBLIC_URL.
+ * @returns {string} The path without a trailing slash, "" at the site root.
+ */
+export function getBasePath(publicUrl = process.env.PUBLIC_URL || '') {
+  const { pathname } = new URL(publicUrl || '/', window.location.href);
+  return pathname.replace(/\/+$/, '');
+}
@@ -0,0 +1,14 @@
+import { getBasePath } from './basePath';
+
+describe('getBasePath', () => {
+  test('is empty at the site root', () => {
+    expect(getBasePath('')).toBe('');
+    expect(getBasePath('/')).toBe('');
+  });
+
+  test('keeps a sub-path without its trailing slash, given as a path or a full URL', () => {
+    expect(getBasePath('/watts-up')).toBe('/watts-up');
+    expect(getBasePath('/watts-up/')).toBe('/watts-up');
+    expect(getBasePath('https://example.github.io/watts-up')).toBe('/watts-up');
+  });
+});
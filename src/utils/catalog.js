@@ -0,0 +1,133 @@
+/**
+ * catalog.js
+ *
+ * The appliance catalog users pick from: the built-in appliances together with their own.
+ * A custom appliance is { id, name, watts, hours, standbyWatts, category, notes } and is
+ * saved with the rest of the data, for all profiles (see storage.js).
+ */
+
+import { APPLIANCES, APPLIANCE_CATEGORIES, DEFAULT_CATEGORY_ID } from '../data/appliances';
+import { DEFAULT_DUTY_CYCLE, HOURS_PER_DAY } from '../engine/energy';
+
+// Hours per day filled in for a custom appliance when none are given
+export const DEFAULT_CUSTOM_HOURS = 1;
+
+/**
+ * Returns an id that no existing custom appliance uses.
+ *
+ * @param {Array<Object>} customAppliances - The existing custom appliances.
+ * @returns {number} A new unique id.
+ */
+export function createCustomApplianceId(customAppliances) {
+  return customAppliances.reduce((max, entry) => Math.max(max, entry.id + 1), 1);
+}
+
+/**
+ * Brings a stored custom appliance into shape, filling in optional fields.
+ *
+ * @param {*} entry - A stored custom appliance.
+ * @param {number} index - Its position in the list, used as its id when the id is missing.
+ * @returns {?Object} The custom appliance, or null if it has no name or no valid wattage.
+ */
+export function normalizeCustomAppliance(entry, index) {
+  if (!entry || typeof entry !== 'object' || typeof entry.name !== 'string' || !entry.name.trim()) return null;
+  const watts = Number(entry.watts);
+  if (!Number.isFinite(watts) || watts < 0) return null;
+  const hours = Number(entry.hours);
+  const standbyWatts = Number(entry.standbyWatts);
+  return {
+    id: Number.isFinite(entry.id) ? entry.id : index + 1,
+    name: entry.name.trim(),
+    watts,
+    hours: Number.isFinite(hours) && hours >= 0 && hours <= HOURS_PER_DAY ? hours : DEFAULT_CUSTOM_HOURS,
+    standbyWatts: Number.isFinite(standbyWatts) && standbyWatts >= 0 ? standbyWatts : 0,
+    category: APPLIANCE_CATEGORIES.some(category => category.id === entry.category) ? entry.category : DEFAULT_CATEGORY_ID,
+    notes: typeof entry.notes === 'string' ? entry.notes.trim() : ''
+  };
+}
+
+/**
+ * Returns the catalog: built-in appliances followed by the user's, which are marked isCustom.
+ *
+ * @param {Array<Object>} customAppliances - The user's custom appliances.
+ * @returns {Array<Object>} Catalog entries with name, watts, hours, dutyCycle, standbyWatts and category.
+ */
+export function buildCatalog(customAppliances) {
+  return [
+    ...APPLIANCES,
+    ...customAppliances.map(entry => ({ ...entry, dutyCycle: DEFAULT_DUTY_CYCLE, isCustom: true }))
+  ];
+}
+
+/**
+ * Looks up a catalog entry by name, ignoring case and surrounding spaces.
+ *
+ * @param {Array<Object>} catalog - The catalog.
+ * @param {string} name - Appliance name.
+ * @returns {?Object} The entry, or null if no entry has that name.
+ */
+export function findCatalogEntry(catalog, name) {
+  const wanted = String(name).trim().toLowerCase();
+  return catalog.find(entry => entry.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Checks the values of a new custom appliance.
+ *
+ * @param {Object} values - Form values: name, watts, hours, standbyWatts.
+ * @param {Array<Object>} catalog - The current catalog, whose names are taken.
+ * @returns {Array<string>} Error messages; empty when the values are valid.
+ */
+export function validateCustomAppliance(values, catalog) {
+  const errors = [];
+  const name = String(values.name || '').trim();
+  const watts = Number(values.watts);
+  const hours = Number(values.hours);
+  const standbyWatts = Number(values.standbyWatts);
+  if (!name) errors.push('Name is required');
+  else if (findCatalogEntry(catalog, name)) errors.push(`"${name}" is already in the catalog`);
+  if (values.watts === '' || !Number.isFinite(watts) || watts < 0) errors.push('Watts must be a non-negative number');
+  if (values.hours === '' || !Number.isFinite(hours) || hours < 0 || hours > HOURS_PER_DAY) errors.push('Hours must be between 0 and 24');
+  if (!Number.isFinite(standbyWatts) || standbyWatts < 0) errors.push('Standby watts must be a non-negative number');
+  return errors;
+}
+
+/**
+ * Creates a custom appliance from validated form values.
+ *
+ * @param {Array<Object>} customAppliances - The existing custom appliances, to pick a unique id.
+ * @param {Object} values - Form values: name, watts, hours, standbyWatts, category, notes.
+ * @returns {Object} The new custom appliance.
+ */
+export function createCustomAppliance(customAppliances, values) {
+  return normalizeCustomAppliance({ ...values, id: createCustomApplianceId(customAppliances) }, customAppliances.length);
+}
+
+/**
+ * Finds the catalog entries matching a search. Every word of the query must appear in
+ * the entry's name, category or notes.
+ *
+ * @param {Array<Object>} catalog - The catalog.
+ * @param {string} query - Search text; blank matches everything.
+ * @returns {Array<Object>} The matching entries, in catalog order.
+ */
+export function searchCatalog(catalog, query) {
+  const words = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+  return catalog.filter(entry => {
+    const category = APPLIANCE_CATEGORIES.find(candidate => candidate.id === entry.category);
+    const text = [entry.name, category ? category.label : '', entry.notes || ''].join(' ').toLowerCase();
+    return words.every(word => text.includes(word));
+  });
+}
+
+/**
+ * Groups catalog entries by category, in the order of APPLIANCE_CATEGORIES.
+ *
+ * @param {Array<Object>} entries - Catalog entries.
+ * @returns {Array<{category: {id: string, label: string}, entries: Array<Object>}>} The non-empty groups.
+ */
+export function groupByCategory(entries) {
+  return APPLIANCE_CATEGORIES
+    .map(category => ({ category, entries: entries.filter(entry => (entry.category || DEFAULT_CATEGORY_ID) === category.id) }))
+    .filter(group => group.entries.length > 0);
+}
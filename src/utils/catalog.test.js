@@ -0,0 +1,80 @@
+import {
+  buildCatalog,
+  createCustomAppliance,
+  findCatalogEntry,
+  groupByCategory,
+  searchCatalog,
+  validateCustomAppliance
+} from './catalog';
+import { APPLIANCES, APPLIANCE_CATEGORIES } from '../data/appliances';
+
+const kiln = { id: 1, name: 'Pottery Kiln', watts: 5000, hours: 2, standbyWatts: 0, category: 'other', notes: 'Garage, fired monthly' };
+const catalog = buildCatalog([kiln]);
+
+const validValues = { name: 'Aquarium Pump', watts: '20', hours: '24', standbyWatts: '0', category: 'other', notes: '' };
+
+describe('buildCatalog', () => {
+  test('lists the built-in appliances, then the user\'s own', () => {
+    expect(catalog).toHaveLength(APPLIANCES.length + 1);
+    expect(catalog[APPLIANCES.length]).toMatchObject({ name: 'Pottery Kiln', dutyCycle: 100, isCustom: true });
+  });
+});
+
+describe('findCatalogEntry', () => {
+  test('ignores case and surrounding spaces', () => {
+    expect(findCatalogEntry(catalog, '  pottery KILN ')).toMatchObject({ watts: 5000 });
+    expect(findCatalogEntry(catalog, 'Refrigerator')).toMatchObject({ category: 'kitchen' });
+    expect(findCatalogEntry(catalog, 'Jacuzzi')).toBeNull();
+  });
+});
+
+describe('validateCustomAppliance', () => {
+  test('accepts complete values', () => {
+    expect(validateCustomAppliance(validValues, catalog)).toEqual([]);
+  });
+
+  test('rejects names already in the catalog, built-in or custom', () => {
+    expect(validateCustomAppliance({ ...validValues, name: 'tv' }, catalog)).toEqual(['"tv" is already in the catalog']);
+    expect(validateCustomAppliance({ ...validValues, name: 'Pottery Kiln' }, catalog)).toHaveLength(1);
+  });
+
+  test('reports every invalid field', () => {
+    expect(validateCustomAppliance({ name: ' ', watts: '', hours: '30', standbyWatts: '-1' }, catalog)).toEqual([
+      'Name is required',
+      'Watts must be a non-negative number',
+      'Hours must be between 0 and 24',
+      'Standby watts must be a non-negative number'
+    ]);
+  });
+});
+
+describe('createCustomAppliance', () => {
+  test('gives the appliance a new id and numeric ratings', () => {
+    expect(createCustomAppliance([kiln], { ...validValues, name: ' Aquarium Pump ', notes: ' 55 gallons ' })).toEqual({
+      id: 2,
+      name: 'Aquarium Pump',
+      watts: 20,
+      hours: 24,
+      standbyWatts: 0,
+      category: 'other',
+      notes: '55 gallons'
+    });
+  });
+});
+
+describe('searchCatalog', () => {
+  test('matches every word against the name, category and notes', () => {
+    expect(searchCatalog(catalog, 'led').map(entry => entry.name)).toEqual(['Light Bulb (LED)']);
+    expect(searchCatalog(catalog, 'garage kiln')).toEqual([catalog[APPLIANCES.length]]);
+    expect(searchCatalog(catalog, 'laundry').every(entry => entry.category === 'laundry')).toBe(true);
+    expect(searchCatalog(catalog, '')).toHaveLength(catalog.length);
+  });
+});
+
+describe('groupByCategory', () => {
+  test('groups entries in category order and leaves out empty categories', () => {
+    const groups = groupByCategory(searchCatalog(catalog, 'wash'));
+    expect(groups.map(group => group.category.id)).toEqual(['kitchen', 'laundry']);
+    expect(groupByCategory(catalog)).toHaveLength(APPLIANCE_CATEGORIES.length);
+  });
+});
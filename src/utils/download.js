@@ -0,0 +1,24 @@
+/**
+ * download.js
+ *
+ * Triggers a browser download of content generated on the client.
+ */
+
+/**
+ * Downloads text content as a file.
+ *
+ * @param {string} filename - Suggested file name.
+ * @param {string} content - File content.
+ * @param {string} [type] - MIME type of the content.
+ */
+export function downloadFile(filename, content, type = 'text/plain') {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,97 @@
+/**
+ * history.js
+ *
+ * Dated snapshots of a profile's saved configurations, to track progress over time.
+ * A snapshot is { date, savedAt, kWh, cost, items }: the local date it was saved on, the
+ * daily energy and cost at the time, and the appliances by name, quantity and daily kWh.
+ * Each profile keeps at most one snapshot per day; saving again the same day replaces it.
+ */
+
+import { calculateTotalKwh } from '../engine/energy';
+import { getCostSummary } from '../engine/tariffs';
+
+// Snapshots kept per profile, a year of daily saves; the oldest are dropped first
+export const MAX_SNAPSHOTS = 365;
+
+/**
+ * Returns the local calendar date of a moment.
+ *
+ * @param {Date} date - The moment.
+ * @returns {string} e.g. "2025-05-09".
+ */
+export function toDateKey(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Takes a snapshot of a profile's appliances.
+ *
+ * @param {Array<Object>} items - The profile's usage items.
+ * @param {Object} tariff - The profile's tariff, to price the day.
+ * @param {Date} [date] - When the snapshot is taken; defaults to now.
+ * @returns {Object} The snapshot.
+ */
+export function createSnapshot(items, tariff, date = new Date()) {
+  const kWh = calculateTotalKwh(items);
+  return {
+    date: toDateKey(date),
+    savedAt: date.toISOString(),
+    kWh,
+    cost: getCostSummary(kWh, tariff).daily,
+    items: items.map(item => ({ name: item.name, quantity: item.quantity, kWh: item.kWh }))
+  };
+}
+
+/**
+ * Checks whether two snapshots hold the same usage, whenever they were taken.
+ *
+ * @param {Object} a - A snapshot.
+ * @param {Object} b - Another snapshot.
+ * @returns {boolean} Whether their totals and appliances match.
+ */
+function isSameUsage(a, b) {
+  return a.kWh === b.kWh && a.cost === b.cost && JSON.stringify(a.items) === JSON.stringify(b.items);
+}
+
+/**
+ * Adds a snapshot to a profile's history, replacing one from the same day.
+ *
+ * @param {Array<Object>} snapshots - The history, oldest first.
+ * @param {Object} snapshot - The new snapshot.
+ * @returns {Array<Object>} The updated history, or the same array when the day's snapshot
+ *   already holds this usage, so callers can tell nothing changed.
+ */
+export function recordSnapshot(snapshots, snapshot) {
+  const last = snapshots[snapshots.length - 1];
+  if (last && last.date === snapshot.date) {
+    if (isSameUsage(last, snapshot)) return snapshots;
+    return [...snapshots.slice(0, -1), snapshot];
+  }
+  return [...snapshots, snapshot].slice(-MAX_SNAPSHOTS);
+}
+
+/**
+ * Validates a stored snapshot.
+ *
+ * @param {*} snapshot - A stored snapshot.
+ * @returns {?Object} The snapshot, or null if it cannot be used.
+ */
+export function normalizeSnapshot(snapshot) {
+  const isValid = Boolean(snapshot)
+    && typeof snapshot === 'object'
+    && /^\d{4}-\d{2}-\d{2}$/.test(snapshot.date)
+    && Number.isFinite(snapshot.kWh)
+    && Number.isFinite(snapshot.cost)
+    && Array.isArray(snapshot.items);
+  if (!isValid) return null;
+  return {
+    date: snapshot.date,
+    savedAt: typeof snapshot.savedAt === 'string' ? snapshot.savedAt : `${snapshot.date}T00:00:00.000Z`,
+    kWh: snapshot.kWh,
+    cost: snapshot.cost,
+    items: snapshot.items
+      .filter(item => item && typeof item.name === 'string' && Number.isFinite(item.kWh))
+      .map(item => ({ name: item.name, quantity: Number.isFinite(item.quantity) ? item.quantity : 1, kWh: item.kWh }))
+  };
+}
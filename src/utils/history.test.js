@@ -0,0 +1,58 @@
+import { MAX_SNAPSHOTS, createSnapshot, normalizeSnapshot, recordSnapshot, toDateKey } from './history';
+import { createUsageItem } from '../engine/energy';
+import { DEFAULT_TARIFF } from '../engine/tariffs';
+
+const tariff = { ...DEFAULT_TARIFF, flatRate: 0.2, serviceCharge: 0 };
+const items = [
+  createUsageItem({ name: 'Dryer', watts: 3000, hours: 1, dutyCycle: 100 }, 1),
+  createUsageItem({ name: 'TV', watts: 100, hours: 4 }, 2)
+];
+const may1 = new Date(2025, 4, 1, 18, 30);
+const may2 = new Date(2025, 4, 2, 9, 0);
+
+describe('toDateKey', () => {
+  test('returns the local calendar date', () => {
+    expect(toDateKey(may1)).toBe('2025-05-01');
+  });
+});
+
+describe('createSnapshot', () => {
+  test('records the daily energy, cost and appliances', () => {
+    const snapshot = createSnapshot(items, tariff, may1);
+    expect(snapshot).toMatchObject({ date: '2025-05-01', savedAt: may1.toISOString() });
+    expect(snapshot.kWh).toBeCloseTo(3.4);
+    expect(snapshot.cost).toBeCloseTo(0.68);
+    expect(snapshot.items).toEqual([{ name: 'Dryer', quantity: 1, kWh: 3 }, { name: 'TV', quantity: 1, kWh: 0.4 }]);
+  });
+});
+
+describe('recordSnapshot', () => {
+  test('appends a new day and replaces a snapshot from the same day', () => {
+    const first = recordSnapshot([], createSnapshot(items, tariff, may1));
+    const changed = recordSnapshot(first, createSnapshot(items.slice(1), tariff, new Date(2025, 4, 1, 21, 0)));
+    expect(changed).toHaveLength(1);
+    expect(changed[0].kWh).toBeCloseTo(0.4);
+    expect(recordSnapshot(changed, createSnapshot(items, tariff, may2))).toHaveLength(2);
+  });
+
+  test('returns the same history when the day\'s usage has not changed', () => {
+    const history = recordSnapshot([], createSnapshot(items, tariff, may1));
+    expect(recordSnapshot(history, createSnapshot(items, tariff, new Date(2025, 4, 1, 22, 0)))).toBe(history);
+  });
+
+  test('drops the oldest snapshots beyond the limit', () => {
+    const history = Array.from({ length: MAX_SNAPSHOTS }, (_, index) => ({ ...createSnapshot([], tariff, may1), date: `old-${index}` }));
+    const updated = recordSnapshot(history, createSnapshot(items, tariff, may2));
+    expect(updated).toHaveLength(MAX_SNAPSHOTS);
+    expect(updated[0].date).toBe('old-1');
+  });
+});
+
+describe('normalizeSnapshot', () => {
+  test('keeps valid snapshots and rejects unreadable ones', () => {
+    const snapshot = createSnapshot(items, tariff, may1);
+    expect(normalizeSnapshot(snapshot)).toEqual(snapshot);
+    expect(normalizeSnapshot({ ...snapshot, date: 'May 1' })).toBeNull();
+    expect(normalizeSnapshot({ ...snapshot, items: [{ name: 'TV' }] }).items).toEqual([]);
+  });
+});
@@ -0,0 +1,418 @@
+/**
+ * inventory.js
+ *
+ * CSV and JSON import/export of appliance inventories.
+ *
+ * Exports include the computed energy and cost columns. Imports accept the same formats
+ * (computed columns are ignored and recalculated) and validate every row, so a preview
+ * can show which rows will be imported, which were adjusted and which were rejected.
+ * Appliances whose watts were worked out from their label keep their volts, amps and
+ * power factor, and on import their watts are worked out from those ratings again.
+ */
+
+import {
+  createUsageItem,
+  validateUsageValues,
+  calculateNameplateWatts,
+  parseNameplate,
+  DEFAULT_DUTY_CYCLE,
+  DEFAULT_POWER_FACTOR,
+  DEFAULT_STANDBY_WATTS,
+  DEFAULT_QUANTITY,
+  HOURS_PER_DAY,
+  WEEKDAYS,
+  MONTHS
+} from '../engine/energy';
+import { formatTimeOfDay, parseTimeOfDay } from '../engine/loadProfile';
+import { APPLIANCES } from '../data/appliances';
+import { findCatalogEntry } from './catalog';
+
+// Supported file formats
+export const INVENTORY_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json'
+};
+
+// How an item's watts were entered: directly, or worked out from its nameplate ratings
+const POWER_INPUTS = {
+  WATTS: 'watts',
+  NAMEPLATE: 'nameplate'
+};
+
+// Item fields holding the nameplate ratings, which are exported as columns of their own
+const NAMEPLATE_FIELDS = ['volts', 'amps', 'powerFactor'];
+
+// Exported columns, in order. Computed columns are ignored on import.
+const EXPORT_COLUMNS = [
+  { key: 'name', header: 'Appliance' },
+  { key: 'quantity', header: 'Quantity' },
+  { key: 'watts', header: 'Watts' },
+  { key: 'powerInput', header: 'Power Input' },
+  { key: 'volts', header: 'Volts' },
+  { key: 'amps', header: 'Amps' },
+  { key: 'powerFactor', header: 'Power Factor' },
+  { key: 'hours', header: 'Hours/Day' },
+  { key: 'dutyCycle', header: 'Duty Cycle (%)' },
+  { key: 'standbyWatts', header: 'Standby Watts' },
+  { key: 'schedule', header: 'Schedule (Mon-Sun Hours)' },
+  { key: 'seasonality', header: 'Seasonal Multipliers (Jan-Dec)' },
+  { key: 'timeWindows', header: 'Time Windows' },
+  { key: 'activeKwh', header: 'Active kWh/Day', computed: true },
+  { key: 'standbyKwh', header: 'Standby kWh/Day', computed: true },
+  { key: 'kWh', header: 'kWh/Day', computed: true },
+  { key: 'dailyCost', header: 'Cost/Day ($)', computed: true }
+];
+
+// Accepted spellings of each input column header (compared lowercased, without spaces)
+const HEADER_ALIASES = {
+  name: ['appliance', 'name'],
+  quantity: ['quantity', 'qty', 'count'],
+  watts: ['watts', 'power', 'power(w)', 'power(watts)'],
+  powerInput: ['powerinput', 'inputmode', 'input'],
+  volts: ['volts', 'voltage', 'volts(v)', 'voltage(v)'],
+  amps: ['amps', 'current', 'amps(a)', 'current(a)', 'amperes'],
+  powerFactor: ['powerfactor', 'pf'],
+  hours: ['hours/day', 'hours', 'hoursperday', 'hoursusedperday'],
+  dutyCycle: ['dutycycle(%)', 'dutycycle', 'duty'],
+  standbyWatts: ['standbywatts', 'standby', 'standby(w)', 'standbypower'],
+  schedule: ['schedule(mon-sunhours)', 'schedule', 'weeklyschedule'],
+  seasonality: ['seasonalmultipliers(jan-dec)', 'seasonalmultipliers', 'seasonality', 'seasonal'],
+  timeWindows: ['timewindows', 'timesofday', 'timeofday', 'times']
+};
+
+// Separator of the values of a list column in CSV files, e.g. a weekly schedule
+const LIST_SEPARATOR = ';';
+
+// Separator of the start and end of a time window, e.g. "19:00-20:00"
+const WINDOW_SEPARATOR = '-';
+
+// Name that unknown appliances are imported as
+const FALLBACK_APPLIANCE = APPLIANCES[APPLIANCES.length - 1].name;
+
+/**
+ * Rounds a number for export so files don't carry floating-point noise.
+ *
+ * @param {number} value - The number.
+ * @returns {number} The value rounded to 4 decimals.
+ */
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Formats a time-of-day window for export.
+ *
+ * @param {{start: number, end: number}} window - Start and end in hours.
+ * @returns {string} e.g. "19:00-20:00".
+ */
+const formatWindow = (window) => `${formatTimeOfDay(window.start)}${WINDOW_SEPARATOR}${formatTimeOfDay(window.end)}`;
+
+/**
+ * Reads the value of an export column from a usage item.
+ *
+ * @param {Object} item - The usage item.
+ * @param {string} key - Key of the column.
+ * @param {number} effectiveRate - Price per kWh, for the cost column.
+ * @returns {*} The value; nameplate ratings are null for items whose watts were entered directly.
+ */
+function getExportValue(item, key, effectiveRate) {
+  if (key === 'dailyCost') return item.kWh * effectiveRate;
+  if (key === 'powerInput') return item.nameplate ? POWER_INPUTS.NAMEPLATE : POWER_INPUTS.WATTS;
+  if (NAMEPLATE_FIELDS.includes(key)) return item.nameplate ? item.nameplate[key] : null;
+  return item[key];
+}
+
+/**
+ * Converts usage items to export rows, adding the daily cost. Time windows are written as clock times.
+ *
+ * @param {Array<Object>} items - The usage items.
+ * @param {number} effectiveRate - Price per kWh.
+ * @returns {Array<Object>} One plain object per item, keyed by EXPORT_COLUMNS.
+ */
+function toExportRows(items, effectiveRate) {
+  return items.map(item => EXPORT_COLUMNS.reduce((row, column) => {
+    let value = getExportValue(item, column.key, effectiveRate);
+    if (column.key === 'timeWindows' && value) value = value.map(formatWindow);
+    return { ...row, [column.key]: typeof value === 'number' ? round(value) : value == null ? null : value };
+  }, {}));
+}
+
+/**
+ * Quotes a CSV field when it contains a separator, quote or line break.
+ * Lists are joined with LIST_SEPARATOR; missing values become empty fields.
+ *
+ * @param {*} value - Field value.
+ * @returns {string} The CSV-safe field.
+ */
+function toCsvField(value) {
+  if (value == null) return '';
+  const text = Array.isArray(value) ? value.join(LIST_SEPARATOR) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exports usage items as CSV, including computed energy and cost columns.
+ *
+ * @param {Array<Object>} items - The usage items.
+ * @param {number} effectiveRate - Price per kWh for the cost column.
+ * @returns {string} CSV text with a header row.
+ */
+export function exportInventoryCsv(items, effectiveRate) {
+  const header = EXPORT_COLUMNS.map(column => toCsvField(column.header)).join(',');
+  const rows = toExportRows(items, effectiveRate).map(row => (
+    EXPORT_COLUMNS.map(column => toCsvField(row[column.key])).join(',')
+  ));
+  return [header, ...rows].join('\r\n');
+}
+
+/**
+ * Exports usage items as JSON, including computed energy and cost fields.
+ *
+ * @param {Array<Object>} items - The usage items.
+ * @param {number} effectiveRate - Price per kWh for the cost field.
+ * @returns {string} Pretty-printed JSON.
+ */
+export function exportInventoryJson(items, effectiveRate) {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    items: toExportRows(items, effectiveRate)
+  }, null, 2);
+}
+
+/**
+ * Splits CSV text into rows of fields, handling quoted fields and CRLF line endings.
+ *
+ * @param {string} text - CSV text.
+ * @returns {Array<Array<string>>} Rows of raw field values; blank lines are skipped.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Maps a column header to the item field it holds.
+ *
+ * @param {string} header - Header text from the file.
+ * @returns {?string} The item field, or null for unknown or computed columns.
+ */
+function getFieldForHeader(header) {
+  const normalized = String(header).toLowerCase().replace(/\s+/g, '');
+  const match = Object.keys(HEADER_ALIASES).find(field => HEADER_ALIASES[field].includes(normalized));
+  return match || null;
+}
+
+/**
+ * Validates one raw record and turns it into a usage item.
+ *
+ * @param {Object} record - Raw values keyed by item field.
+ * @param {number} line - Row number in the file, for messages.
+ * @param {Array<Object>} [catalog] - Appliance catalog whose names are kept; defaults to the built-in appliances.
+ * @returns {{line: number, item: ?Object, errors: Array<string>, warnings: Array<string>}} The result;
+ *   item is null when the row has errors.
+ */
+export function validateRecord(record, line, catalog = APPLIANCES) {
+  const errors = [];
+  const warnings = [];
+  const rawName = String(record.name == null ? '' : record.name).trim();
+  const appliance = findCatalogEntry(catalog, rawName);
+  const name = appliance ? appliance.name : FALLBACK_APPLIANCE;
+  if (!appliance) {
+    warnings.push(`Unknown appliance "${rawName || '(blank)'}" imported as ${FALLBACK_APPLIANCE}`);
+  }
+
+  /**
+   * Tells whether a field is missing or blank.
+   *
+   * @param {string} field - Item field.
+   * @returns {boolean} True when the field has no value.
+   */
+  const isBlank = (field) => record[field] == null || String(record[field]).trim() === '';
+
+  /**
+   * Reads an optional numeric field, falling back to the catalog value or a default.
+   *
+   * @param {string} field - Item field.
+   * @param {number} fallback - Value used when the field is blank.
+   * @returns {number} The parsed number (NaN if not numeric).
+   */
+  const readNumber = (field, fallback) => (isBlank(field) ? fallback : Number(record[field]));
+
+  /**
+   * Reads an optional list field, given as an array (JSON) or as values separated by
+   * LIST_SEPARATOR (CSV).
+   *
+   * @param {string} field - Item field.
+   * @param {number} length - Required number of values.
+   * @param {number} max - Largest allowed value.
+   * @returns {?Array<number>|undefined} The numbers, null when blank, or undefined when invalid.
+   */
+  const readList = (field, length, max) => {
+    const value = record[field];
+    if (value == null || String(value).trim() === '') return null;
+    const numbers = (Array.isArray(value) ? value : String(value).split(LIST_SEPARATOR)).map(Number);
+    const isValid = numbers.length === length && numbers.every(number => Number.isFinite(number) && number >= 0 && number <= max);
+    return isValid ? numbers : undefined;
+  };
+
+  /**
+   * Reads the optional time windows, given as "HH:MM-HH:MM" values in an array (JSON) or
+   * separated by LIST_SEPARATOR (CSV).
+   *
+   * @returns {?Array<{start: number, end: number}>|undefined} The windows, null when blank,
+   *   or undefined when invalid.
+   */
+  const readWindows = () => {
+    const value = record.timeWindows;
+    if (value == null || String(value).trim() === '') return null;
+    const windows = (Array.isArray(value) ? value : String(value).split(LIST_SEPARATOR)).map(text => {
+      const [start, end] = String(text).split(WINDOW_SEPARATOR).map(parseTimeOfDay);
+      return { start, end };
+    });
+    const isValid = windows.every(({ start, end }) => start < HOURS_PER_DAY && end >= 0 && start !== end);
+    return isValid ? windows : undefined;
+  };
+
+  /**
+   * Reads the optional nameplate ratings. Without a power input column, a row is read as a
+   * nameplate when it gives volts or amps.
+   *
+   * @returns {?Object|undefined} The ratings, null when the watts were entered directly, or
+   *   undefined when the power input or the ratings are invalid.
+   */
+  const readNameplate = () => {
+    const powerInput = isBlank('powerInput')
+      ? (isBlank('volts') && isBlank('amps') ? POWER_INPUTS.WATTS : POWER_INPUTS.NAMEPLATE)
+      : String(record.powerInput).trim().toLowerCase();
+    if (powerInput === POWER_INPUTS.WATTS) return null;
+    if (powerInput !== POWER_INPUTS.NAMEPLATE) {
+      errors.push(`Power input must be "${POWER_INPUTS.WATTS}" or "${POWER_INPUTS.NAMEPLATE}"`);
+      return undefined;
+    }
+    const ratings = parseNameplate({
+      volts: readNumber('volts', NaN),
+      amps: readNumber('amps', NaN),
+      powerFactor: readNumber('powerFactor', DEFAULT_POWER_FACTOR)
+    });
+    if (!ratings) errors.push('Nameplate needs volts and amps above 0, and a power factor between 0 and 1');
+    return ratings || undefined;
+  };
+
+  const nameplate = readNameplate();
+  let watts = readNumber('watts', NaN);
+  if (nameplate) {
+    const nameplateWatts = calculateNameplateWatts(nameplate);
+    if (!isBlank('watts') && watts !== nameplateWatts) {
+      warnings.push(`Watts worked out from the nameplate as ${nameplateWatts} W`);
+    }
+    watts = nameplateWatts;
+  }
+  const hours = readNumber('hours', NaN);
+  const quantity = readNumber('quantity', DEFAULT_QUANTITY);
+  const dutyCycle = readNumber('dutyCycle', appliance ? appliance.dutyCycle : DEFAULT_DUTY_CYCLE);
+  const standbyWatts = readNumber('standbyWatts', appliance ? appliance.standbyWatts : DEFAULT_STANDBY_WATTS);
+  const schedule = readList('schedule', WEEKDAYS.length, HOURS_PER_DAY);
+  const seasonality = readList('seasonality', MONTHS.length, Infinity);
+  const timeWindows = readWindows();
+
+  // A nameplate that could not be read already has its own error
+  errors.push(...validateUsageValues(nameplate === undefined
+    ? { hours, quantity, dutyCycle, standbyWatts }
+    : { watts, hours, quantity, dutyCycle, standbyWatts }));
+  if (schedule === undefined) errors.push('Schedule must list 7 hours between 0 and 24, Monday first');
+  if (seasonality === undefined) errors.push('Seasonal multipliers must list 12 non-negative numbers, January first');
+  if (timeWindows === undefined) errors.push('Time windows must be clock times like 19:00-20:00, separated by semicolons');
+
+  const item = errors.length > 0
+    ? null
+    : createUsageItem({ name, watts, hours, dutyCycle, standbyWatts, quantity, schedule, seasonality, timeWindows, nameplate }, line);
+  return { line, item, errors, warnings };
+}
+
+/**
+ * Guesses the format of an inventory file from its name and content.
+ *
+ * @param {string} filename - Name of the file.
+ * @param {string} text - File content.
+ * @returns {string} One of INVENTORY_FORMATS.
+ */
+export function detectInventoryFormat(filename, text) {
+  if (/\.json$/i.test(filename)) return INVENTORY_FORMATS.JSON;
+  if (/\.csv$/i.test(filename)) return INVENTORY_FORMATS.CSV;
+  return /^\s*[[{]/.test(text) ? INVENTORY_FORMATS.JSON : INVENTORY_FORMATS.CSV;
+}
+
+/**
+ * Parses and validates an inventory file.
+ *
+ * @param {string} text - File content.
+ * @param {string} format - One of INVENTORY_FORMATS.
+ * @param {Array<Object>} [catalog] - Appliance catalog whose names are kept; defaults to the built-in appliances.
+ * @returns {{rows: Array<Object>, error: ?string}} One validation result per record
+ *   (see validateRecord), or an error when the file itself cannot be read.
+ */
+export function parseInventory(text, format, catalog = APPLIANCES) {
+  if (format === INVENTORY_FORMATS.JSON) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      return { rows: [], error: 'The file is not valid JSON.' };
+    }
+    const records = Array.isArray(parsed) ? parsed : parsed && parsed.items;
+    if (!Array.isArray(records)) {
+      return { rows: [], error: 'The JSON file must contain a list of appliances or an "items" list.' };
+    }
+    return {
+      rows: records.map((record, index) => validateRecord(record || {}, index + 1, catalog)),
+      error: null
+    };
+  }
+
+  const [headerRow, ...dataRows] = parseCsv(text);
+  if (!headerRow) return { rows: [], error: 'The file is empty.' };
+  const fields = headerRow.map(getFieldForHeader);
+  const hasPower = fields.includes('watts') || (fields.includes('volts') && fields.includes('amps'));
+  if (!fields.includes('name') || !hasPower || !fields.includes('hours')) {
+    return { rows: [], error: 'The CSV header must include Appliance and Hours/Day columns, and Watts or Volts and Amps.' };
+  }
+  return {
+    rows: dataRows.map((values, index) => {
+      const record = fields.reduce((acc, field, column) => (
+        field ? { ...acc, [field]: values[column] } : acc
+      ), {});
+      // Line numbers count the header as line 1
+      return validateRecord(record, index + 2, catalog);
+    }),
+    error: null
+  };
+}
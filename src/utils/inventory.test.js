@@ -0,0 +1,188 @@
+import {
+  INVENTORY_FORMATS,
+  detectInventoryFormat,
+  exportInventoryCsv,
+  exportInventoryJson,
+  parseCsv,
+  parseInventory
+} from './inventory';
+import { createUsageItem } from '../engine/energy';
+import { buildCatalog } from './catalog';
+
+const items = [
+  createUsageItem({ name: 'TV', watts: 100, hours: 4, standbyWatts: 3 }, 1),
+  createUsageItem({ name: 'Light Bulb (LED)', watts: 9, hours: 5, quantity: 12 }, 2)
+];
+
+describe('parseCsv', () => {
+  test('handles quoted fields, escaped quotes and CRLF line endings', () => {
+    expect(parseCsv('a,b\r\n"x, ""y""",2\r\n\r\n')).toEqual([['a', 'b'], ['x, "y"', '2']]);
+  });
+});
+
+describe('exportInventoryCsv', () => {
+  test('writes a header and computed energy and cost columns', () => {
+    const [header, tv] = exportInventoryCsv(items, 0.2).split('\r\n');
+    expect(header).toBe('Appliance,Quantity,Watts,Power Input,Volts,Amps,Power Factor,Hours/Day,Duty Cycle (%),Standby Watts,Schedule (Mon-Sun Hours),Seasonal Multipliers (Jan-Dec),Time Windows,Active kWh/Day,Standby kWh/Day,kWh/Day,Cost/Day ($)');
+    expect(tv).toBe('TV,1,100,watts,,,,4,100,3,,,,0.4,0.06,0.46,0.092');
+  });
+
+  test('writes the nameplate ratings of appliances worked out from their label', () => {
+    const microwave = createUsageItem({ name: 'Microwave', watts: 1350, hours: 0.5, nameplate: { volts: 120, amps: 12.5, powerFactor: 0.9 } }, 3);
+    expect(exportInventoryCsv([microwave], 0.2).split('\r\n')[1]).toMatch(/^Microwave,1,1350,nameplate,120,12.5,0.9,0.5,/);
+  });
+
+  test('writes schedules as values separated by semicolons', () => {
+    const washer = createUsageItem({ name: 'Washing Machine', watts: 500, hours: 1, schedule: [0, 0, 0, 0, 0, 2, 2] }, 3);
+    expect(exportInventoryCsv([washer], 0.2).split('\r\n')[1]).toMatch(/,0;0;0;0;0;2;2,,,/);
+  });
+
+  test('writes time windows as clock times', () => {
+    const lights = createUsageItem({ name: 'Light Bulb (LED)', watts: 9, hours: 6, timeWindows: [{ start: 6.5, end: 7.5 }, { start: 18, end: 23 }] }, 4);
+    expect(exportInventoryCsv([lights], 0.2).split('\r\n')[1]).toMatch(/,06:30-07:30;18:00-23:00,/);
+  });
+
+  test('quotes names containing commas', () => {
+    const csv = exportInventoryCsv([{ ...items[0], name: 'TV, bedroom' }], 0.2);
+    expect(csv.split('\r\n')[1]).toMatch(/^"TV, bedroom",/);
+  });
+});
+
+describe('exportInventoryJson', () => {
+  test('writes the items with their daily cost', () => {
+    const { items: exported } = JSON.parse(exportInventoryJson(items, 0.2));
+    expect(exported[1]).toMatchObject({ name: 'Light Bulb (LED)', quantity: 12, kWh: 0.54, dailyCost: 0.108 });
+  });
+});
+
+describe('parseInventory', () => {
+  test('reads back an exported CSV file', () => {
+    const { rows, error } = parseInventory(exportInventoryCsv(items, 0.2), INVENTORY_FORMATS.CSV);
+    expect(error).toBeNull();
+    expect(rows.map(row => row.item)).toEqual([{ ...items[0], id: 2 }, { ...items[1], id: 3 }]);
+  });
+
+  test('reads back an exported JSON file', () => {
+    const { rows } = parseInventory(exportInventoryJson(items, 0.2), INVENTORY_FORMATS.JSON);
+    expect(rows.map(row => row.item.kWh)).toEqual(items.map(item => item.kWh));
+  });
+
+  test('reads back schedules and seasonal patterns from CSV and JSON', () => {
+    const scheduled = [
+      createUsageItem({ name: 'Washing Machine', watts: 500, hours: 1, schedule: [0, 0, 0, 0, 0, 2, 2] }, 1),
+      createUsageItem({ name: 'AC/Heater', watts: 1500, hours: 3, seasonality: [1, 1, 0.5, 0, 0, 0, 0, 0, 0, 0, 0.5, 1] }, 2)
+    ];
+    [
+      parseInventory(exportInventoryCsv(scheduled, 0.2), INVENTORY_FORMATS.CSV),
+      parseInventory(exportInventoryJson(scheduled, 0.2), INVENTORY_FORMATS.JSON)
+    ].forEach(({ rows }) => {
+      rows.forEach((row, index) => {
+        expect(row.item.schedule).toEqual(scheduled[index].schedule);
+        expect(row.item.seasonality).toEqual(scheduled[index].seasonality);
+        expect(row.item.kWh).toBeCloseTo(scheduled[index].kWh);
+      });
+    });
+  });
+
+  test('reads back time windows from CSV and JSON', () => {
+    const dryer = createUsageItem({ name: 'Dryer', watts: 3000, hours: 1, timeWindows: [{ start: 22, end: 1.5 }] }, 1);
+    expect(parseInventory(exportInventoryCsv([dryer], 0.2), INVENTORY_FORMATS.CSV).rows[0].item.timeWindows).toEqual(dryer.timeWindows);
+    expect(parseInventory(exportInventoryJson([dryer], 0.2), INVENTORY_FORMATS.JSON).rows[0].item.timeWindows).toEqual(dryer.timeWindows);
+  });
+
+  test('reads back nameplate ratings from CSV and JSON', () => {
+    const microwave = createUsageItem({ name: 'Microwave', watts: 1350, hours: 0.5, nameplate: { volts: 120, amps: 12.5, powerFactor: 0.9 } }, 1);
+    [
+      parseInventory(exportInventoryCsv([microwave, items[0]], 0.2), INVENTORY_FORMATS.CSV),
+      parseInventory(exportInventoryJson([microwave, items[0]], 0.2), INVENTORY_FORMATS.JSON)
+    ].forEach(({ rows }) => {
+      expect(rows[0].item).toMatchObject({ watts: 1350, nameplate: microwave.nameplate });
+      expect(rows[0].warnings).toEqual([]);
+      expect(rows[1].item.nameplate).toBeNull();
+    });
+  });
+
+  test('works out watts from volts and amps when a file has no watts', () => {
+    const { rows, error } = parseInventory('Appliance,Volts,Amps,Hours/Day\nHair Dryer,240,6.25,3\n', INVENTORY_FORMATS.CSV);
+    expect(error).toBeNull();
+    expect(rows[0].item).toMatchObject({ watts: 1500, nameplate: { volts: 240, amps: 6.25, powerFactor: 1 } });
+  });
+
+  test('recalculates watts that disagree with the nameplate', () => {
+    const csv = 'Appliance,Watts,Power Input,Volts,Amps,Hours/Day\nHair Dryer,1000,nameplate,120,12.5,3\n';
+    const { rows } = parseInventory(csv, INVENTORY_FORMATS.CSV);
+    expect(rows[0].item.watts).toBe(1500);
+    expect(rows[0].warnings).toEqual(['Watts worked out from the nameplate as 1500 W']);
+  });
+
+  test('flags invalid nameplate ratings and power inputs', () => {
+    const csv = [
+      'Appliance,Watts,Power Input,Volts,Amps,Power Factor,Hours/Day',
+      'Hair Dryer,,nameplate,120,,,3',
+      'Hair Dryer,1500,nameplate,120,12.5,1.5,3',
+      'Hair Dryer,1500,label,120,12.5,,3'
+    ].join('\n');
+    const { rows } = parseInventory(csv, INVENTORY_FORMATS.CSV);
+    expect(rows.map(row => row.item)).toEqual([null, null, null]);
+    expect(rows[0].errors).toEqual(['Nameplate needs volts and amps above 0, and a power factor between 0 and 1']);
+    expect(rows[1].errors).toEqual(['Nameplate needs volts and amps above 0, and a power factor between 0 and 1']);
+    expect(rows[2].errors).toEqual(['Power input must be "watts" or "nameplate"']);
+  });
+
+  test('flags time windows that are not clock times', () => {
+    const csv = 'Appliance,Watts,Hours/Day,Time Windows\nTV,100,2,evenings\nTV,100,2,19:00-19:00\n';
+    parseInventory(csv, INVENTORY_FORMATS.CSV).rows.forEach(row => {
+      expect(row.errors).toEqual(['Time windows must be clock times like 19:00-20:00, separated by semicolons']);
+    });
+  });
+
+  test('flags schedules of the wrong length', () => {
+    const csv = 'Appliance,Watts,Hours/Day,Schedule\nTV,100,2,1;2;3\n';
+    expect(parseInventory(csv, INVENTORY_FORMATS.CSV).rows[0].errors).toEqual([
+      'Schedule must list 7 hours between 0 and 24, Monday first'
+    ]);
+  });
+
+  test('flags non-numeric watts and hours outside 0–24', () => {
+    const csv = 'Appliance,Watts,Hours/Day\nTV,lots,2\nMicrowave,1000,25\n';
+    const { rows } = parseInventory(csv, INVENTORY_FORMATS.CSV);
+    expect(rows[0].item).toBeNull();
+    expect(rows[0].errors).toEqual(['Watts must be a non-negative number']);
+    expect(rows[1].line).toBe(3);
+    expect(rows[1].errors).toEqual(['Hours must be between 0 and 24']);
+  });
+
+  test('imports unknown appliance names as Other with a warning', () => {
+    const { rows } = parseInventory('name,power,hours\nAquarium pump,20,24', INVENTORY_FORMATS.CSV);
+    expect(rows[0].item.name).toBe('Other');
+    expect(rows[0].warnings).toEqual(['Unknown appliance "Aquarium pump" imported as Other']);
+  });
+
+  test('keeps the names of the user\'s own appliances', () => {
+    const catalog = buildCatalog([{ id: 1, name: 'Aquarium Pump', watts: 20, hours: 24, standbyWatts: 2, category: 'other', notes: '' }]);
+    const { rows } = parseInventory('name,power,hours\naquarium pump,20,24', INVENTORY_FORMATS.CSV, catalog);
+    expect(rows[0].item).toMatchObject({ name: 'Aquarium Pump', standbyWatts: 2 });
+    expect(rows[0].warnings).toEqual([]);
+  });
+
+  test('uses catalog defaults for missing optional columns', () => {
+    const { rows } = parseInventory('[{"name":"refrigerator","watts":150,"hours":24}]', INVENTORY_FORMATS.JSON);
+    expect(rows[0].item).toMatchObject({ name: 'Refrigerator', dutyCycle: 35, quantity: 1 });
+    expect(rows[0].warnings).toEqual([]);
+  });
+
+  test('rejects files it cannot read', () => {
+    expect(parseInventory('{oops', INVENTORY_FORMATS.JSON).error).toMatch(/not valid JSON/);
+    expect(parseInventory('{"rows":[]}', INVENTORY_FORMATS.JSON).error).toMatch(/items/);
+    expect(parseInventory('Name,Color\nTV,red', INVENTORY_FORMATS.CSV).error).toMatch(/header/);
+  });
+});
+
+describe('detectInventoryFormat', () => {
+  test('uses the file extension, then the content', () => {
+    expect(detectInventoryFormat('list.JSON', '')).toBe(INVENTORY_FORMATS.JSON);
+    expect(detectInventoryFormat('list.csv', '[')).toBe(INVENTORY_FORMATS.CSV);
+    expect(detectInventoryFormat('list', ' [{}]')).toBe(INVENTORY_FORMATS.JSON);
+    expect(detectInventoryFormat('list', 'Appliance,Watts')).toBe(INVENTORY_FORMATS.CSV);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * meterData.js
+ *
+ * Parsers for utility interval exports, producing meter readings for src/engine/meter.js:
+ * - Green Button (ESPI XML): IntervalReading values, scaled by the ReadingType's
+ *   powerOfTenMultiplier and unit, with start times shifted by LocalTimeParameters.tzOffset.
+ * - Generic CSV: a timestamp column and a kWh column. Timestamps are read as the
+ *   wall-clock time written in the file; numeric timestamps are Unix seconds. Readings
+ *   that repeat a timestamp, like the hour repeated when clocks go back, are added together.
+ *
+ * Parsers return { readings, warnings, error }: warnings describe data that was adjusted
+ * while reading it, and error is set when the file cannot be used at all.
+ */
+
+import { parseCsv } from './inventory';
+
+// Supported meter file formats
+export const METER_FORMATS = {
+  GREEN_BUTTON: 'greenButton',
+  CSV: 'csv'
+};
+
+// ESPI unit of measure codes that the parser understands, with their factor to kWh
+const ESPI_UNIT_TO_KWH = {
+  72: 1 / 1000 // Wh
+};
+
+// Accepted CSV header spellings (compared lowercased, without spaces)
+const TIMESTAMP_HEADERS = ['timestamp', 'datetime', 'date', 'time', 'start', 'starttime', 'intervalstart'];
+const KWH_HEADERS = ['kwh', 'usage', 'usage(kwh)', 'consumption', 'consumption(kwh)', 'value', 'energy(kwh)'];
+
+// Interval length assumed when a CSV file has a single reading
+const DEFAULT_INTERVAL_SECONDS = 3600;
+
+/**
+ * Returns the text of the first element with a local name inside a parent, ignoring namespaces.
+ *
+ * @param {Element|Document} parent - Where to look.
+ * @param {string} name - Local element name.
+ * @returns {?string} The trimmed text, or null if there is no such element.
+ */
+function getChildText(parent, name) {
+  const element = parent.getElementsByTagNameNS('*', name)[0];
+  return element ? element.textContent.trim() : null;
+}
+
+/**
+ * Parses a Green Button (ESPI) XML export.
+ *
+ * @param {string} text - XML content.
+ * @returns {{readings: Array<Object>, warnings: Array<string>, error: ?string}} The readings, or an error message.
+ */
+export function parseGreenButton(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    return { readings: [], warnings: [], error: 'The file is not valid XML.' };
+  }
+
+  const readingType = doc.getElementsByTagNameNS('*', 'ReadingType')[0];
+  const multiplier = readingType ? Number(getChildText(readingType, 'powerOfTenMultiplier') || 0) : 0;
+  const uom = readingType ? getChildText(readingType, 'uom') : null;
+  if (uom !== null && !ESPI_UNIT_TO_KWH[uom]) {
+    return { readings: [], warnings: [], error: `Unsupported unit of measure (${uom}); only energy in Wh is supported.` };
+  }
+  const toKwh = Math.pow(10, multiplier) * ESPI_UNIT_TO_KWH[uom || 72];
+
+  const timeParameters = doc.getElementsByTagNameNS('*', 'LocalTimeParameters')[0];
+  const tzOffset = timeParameters ? Number(getChildText(timeParameters, 'tzOffset') || 0) : 0;
+
+  const readings = Array.from(doc.getElementsByTagNameNS('*', 'IntervalReading')).map(element => ({
+    start: (Number(getChildText(element, 'start')) + tzOffset) * 1000,
+    duration: Number(getChildText(element, 'duration')),
+    kWh: Number(getChildText(element, 'value')) * toKwh
+  })).filter(reading => Number.isFinite(reading.start) && Number.isFinite(reading.kWh));
+
+  if (readings.length === 0) {
+    return { readings: [], warnings: [], error: 'No interval readings were found in the Green Button file.' };
+  }
+  return { readings, warnings: [], error: null };
+}
+
+/**
+ * Reads a CSV timestamp as wall-clock time.
+ *
+ * @param {string} value - e.g. "2025-01-06 14:00", "2025-01-06T14:00:00-05:00" or "1736139600".
+ * @returns {number} Wall-clock timestamp in milliseconds, or NaN if it cannot be read.
+ */
+export function parseWallClockTimestamp(value) {
+  const text = String(value).trim();
+  if (/^\d{9,}$/.test(text)) return Number(text) * 1000;
+  const match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (!match) return NaN;
+  const [, year, month, day, hour = 0, minute = 0, second = 0] = match;
+  return Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+}
+
+/**
+ * Formats a wall-clock timestamp for messages.
+ *
+ * @param {number} timestamp - Wall-clock timestamp in milliseconds.
+ * @returns {string} e.g. "2025-11-02 01:00".
+ */
+const formatWallClock = (timestamp) => new Date(timestamp).toISOString().slice(0, 16).replace('T', ' ');
+
+/**
+ * Parses a generic timestamp,kWh CSV export. Each reading lasts until the next one;
+ * the last reading reuses the previous interval length. Readings with the same timestamp
+ * are added together, so none of their energy is lost, and a warning reports them.
+ *
+ * @param {string} text - CSV content with a header row.
+ * @returns {{readings: Array<Object>, warnings: Array<string>, error: ?string}} The readings, or an error message.
+ */
+export function parseIntervalCsv(text) {
+  const [headerRow, ...rows] = parseCsv(text);
+  if (!headerRow) return { readings: [], warnings: [], error: 'The file is empty.' };
+  const headers = headerRow.map(header => header.toLowerCase().replace(/\s+/g, ''));
+  const timeColumn = headers.findIndex(header => TIMESTAMP_HEADERS.includes(header));
+  const kwhColumn = headers.findIndex(header => KWH_HEADERS.includes(header));
+  if (timeColumn === -1 || kwhColumn === -1) {
+    return { readings: [], warnings: [], error: 'The CSV header must include a timestamp column and a kWh column.' };
+  }
+
+  const points = rows
+    .map(values => ({ start: parseWallClockTimestamp(values[timeColumn]), kWh: Number(values[kwhColumn]) }))
+    .filter(point => Number.isFinite(point.start) && Number.isFinite(point.kWh))
+    .sort((a, b) => a.start - b.start);
+  if (points.length === 0) return { readings: [], warnings: [], error: 'No readable timestamp and kWh rows were found.' };
+
+  // Merge readings that repeat the timestamp before them; the points are sorted by time
+  const duplicates = [];
+  const merged = [];
+  points.forEach(point => {
+    const last = merged[merged.length - 1];
+    if (last && last.start === point.start) {
+      duplicates.push(point.start);
+      merged[merged.length - 1] = { ...last, kWh: last.kWh + point.kWh };
+    } else {
+      merged.push(point);
+    }
+  });
+  const warnings = duplicates.length > 0
+    ? [`Added ${duplicates.length} reading${duplicates.length === 1 ? '' : 's'} with a repeated timestamp to the reading before, first at ${formatWallClock(duplicates[0])}.`]
+    : [];
+
+  let previousDuration = DEFAULT_INTERVAL_SECONDS;
+  const readings = merged.map((point, index) => {
+    const next = merged[index + 1];
+    const duration = next ? (next.start - point.start) / 1000 : previousDuration;
+    previousDuration = duration;
+    return { ...point, duration };
+  });
+  return { readings, warnings, error: null };
+}
+
+/**
+ * Guesses the format of a meter export from its name and content.
+ *
+ * @param {string} filename - Name of the file.
+ * @param {string} text - File content.
+ * @returns {string} One of METER_FORMATS.
+ */
+export function detectMeterFormat(filename, text) {
+  if (/\.xml$/i.test(filename) || /^\s*</.test(text)) return METER_FORMATS.GREEN_BUTTON;
+  return METER_FORMATS.CSV;
+}
+
+/**
+ * Parses a meter export in either supported format.
+ *
+ * @param {string} filename - Name of the file, used to detect the format.
+ * @param {string} text - File content.
+ * @returns {{readings: Array<Object>, warnings: Array<string>, error: ?string}} The readings, or an error message.
+ */
+export function parseMeterFile(filename, text) {
+  return detectMeterFormat(filename, text) === METER_FORMATS.GREEN_BUTTON
+    ? parseGreenButton(text)
+    : parseIntervalCsv(text);
+}
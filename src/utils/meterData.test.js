@@ -0,0 +1,109 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  METER_FORMATS,
+  detectMeterFormat,
+  parseGreenButton,
+  parseIntervalCsv,
+  parseMeterFile,
+  parseWallClockTimestamp
+} from './meterData';
+import { summarizeReadings } from '../engine/meter';
+
+/**
+ * Reads a sample file shipped in public/samples.
+ *
+ * @param {string} name - File name.
+ * @returns {string} The file content.
+ */
+const readSample = (name) => fs.readFileSync(path.join(__dirname, '../../public/samples', name), 'utf8');
+
+describe('parseGreenButton', () => {
+  test('reads the sample export in local time and kWh', () => {
+    const { readings, error } = parseGreenButton(readSample('green-button-sample.xml'));
+    expect(error).toBeNull();
+    expect(readings).toHaveLength(72);
+    // 2025-01-06 00:00 EST, 420 Wh
+    expect(readings[0]).toEqual({ start: Date.UTC(2025, 0, 6, 0), duration: 3600, kWh: 0.42 });
+  });
+
+  test('applies the power of ten multiplier', () => {
+    const xml = `<feed xmlns:espi="http://naesb.org/espi">
+      <espi:ReadingType><espi:powerOfTenMultiplier>-3</espi:powerOfTenMultiplier><espi:uom>72</espi:uom></espi:ReadingType>
+      <espi:IntervalReading><espi:timePeriod><espi:duration>900</espi:duration><espi:start>0</espi:start></espi:timePeriod><espi:value>250000</espi:value></espi:IntervalReading>
+    </feed>`;
+    expect(parseGreenButton(xml).readings[0].kWh).toBeCloseTo(0.25);
+  });
+
+  test('rejects files it cannot use', () => {
+    expect(parseGreenButton('<feed><oops').error).toMatch(/not valid XML/);
+    expect(parseGreenButton('<feed></feed>').error).toMatch(/No interval readings/);
+    expect(parseGreenButton('<feed><ReadingType><uom>38</uom></ReadingType></feed>').error).toMatch(/Unsupported unit/);
+  });
+});
+
+describe('parseIntervalCsv', () => {
+  test('reads the sample export', () => {
+    const { readings, error } = parseIntervalCsv(readSample('interval-sample.csv'));
+    expect(error).toBeNull();
+    expect(readings).toHaveLength(72);
+    expect(readings[71]).toEqual({ start: Date.UTC(2025, 0, 8, 23), duration: 3600, kWh: 0.494 });
+  });
+
+  test('derives interval lengths from consecutive timestamps', () => {
+    const { readings } = parseIntervalCsv('Start Time,Usage (kWh)\n2025-01-06 00:30,0.2\n2025-01-06 00:15,0.1\n');
+    expect(readings.map(r => r.duration)).toEqual([900, 900]);
+    expect(readings[0].kWh).toBe(0.1);
+  });
+
+  test('adds up readings that repeat a timestamp and warns about them', () => {
+    const csv = 'timestamp,kWh\n2025-11-02 00:00,1\n2025-11-02 01:00,0.5\n2025-11-02 01:00,0.7\n2025-11-02 02:00,0.4\n';
+    const { readings, warnings, error } = parseIntervalCsv(csv);
+    expect(error).toBeNull();
+    expect(readings.map(r => r.start)).toEqual([0, 1, 2].map(hour => Date.UTC(2025, 10, 2, hour)));
+    expect(readings[1].kWh).toBeCloseTo(1.2);
+    expect(readings.every(r => r.duration === 3600)).toBe(true);
+    expect(warnings).toEqual(['Added 1 reading with a repeated timestamp to the reading before, first at 2025-11-02 01:00.']);
+    expect(summarizeReadings(readings).totalKwh).toBeCloseTo(2.6);
+  });
+
+  test('has no warnings for a clean file', () => {
+    expect(parseIntervalCsv(readSample('interval-sample.csv')).warnings).toEqual([]);
+  });
+
+  test('rejects a file without timestamp and kWh columns', () => {
+    expect(parseIntervalCsv('date,temperature\n2025-01-06,3').error).toMatch(/timestamp column and a kWh column/);
+  });
+});
+
+describe('parseWallClockTimestamp', () => {
+  test('keeps the written local time and ignores a zone suffix', () => {
+    expect(parseWallClockTimestamp('2025-01-06T14:00:00-05:00')).toBe(Date.UTC(2025, 0, 6, 14));
+    expect(parseWallClockTimestamp('2025-1-6')).toBe(Date.UTC(2025, 0, 6));
+  });
+
+  test('reads Unix seconds', () => {
+    expect(parseWallClockTimestamp('1736139600')).toBe(1736139600000);
+  });
+
+  test('is NaN for anything else', () => {
+    expect(parseWallClockTimestamp('yesterday')).toBeNaN();
+  });
+});
+
+describe('parseMeterFile', () => {
+  test('the two sample formats summarize to the same consumption', () => {
+    const xml = summarizeReadings(parseMeterFile('green-button-sample.xml', readSample('green-button-sample.xml')).readings);
+    const csv = summarizeReadings(parseMeterFile('interval-sample.csv', readSample('interval-sample.csv')).readings);
+    expect(xml.days.map(day => day.date)).toEqual(['2025-01-06', '2025-01-07', '2025-01-08']);
+    expect(xml.dailyAverageKwh).toBeCloseTo(17.58);
+    expect(csv.dailyAverageKwh).toBeCloseTo(xml.dailyAverageKwh);
+    expect(csv.hourlyProfile[19]).toBeCloseTo(xml.hourlyProfile[19]);
+  });
+
+  test('detects the format from the name or content', () => {
+    expect(detectMeterFormat('usage.XML', '')).toBe(METER_FORMATS.GREEN_BUTTON);
+    expect(detectMeterFormat('export', '<?xml version="1.0"?>')).toBe(METER_FORMATS.GREEN_BUTTON);
+    expect(detectMeterFormat('export.csv', 'timestamp,kWh')).toBe(METER_FORMATS.CSV);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * profiles.js
+ *
+ * Named profiles: separate households, or "before" and "after" plans of the same one.
+ * Each profile is { id, name, items, tariff, settings, meter, snapshots } and is saved
+ * together with the others (see storage.js).
+ */
+
+import { normalizeTariff } from '../engine/tariffs';
+import { DEFAULT_SETTINGS } from './storage';
+
+/**
+ * Returns an id that no existing profile uses.
+ *
+ * @param {Array<Object>} profiles - The existing profiles.
+ * @returns {number} A new unique id.
+ */
+export function createProfileId(profiles) {
+  return profiles.reduce((max, profile) => Math.max(max, profile.id + 1), 1);
+}
+
+/**
+ * Creates an empty profile with default tariff and settings.
+ *
+ * @param {Array<Object>} profiles - The existing profiles, to pick a unique id.
+ * @param {string} name - Name of the new profile.
+ * @returns {Object} The new profile.
+ */
+export function createProfile(profiles, name) {
+  return {
+    id: createProfileId(profiles),
+    name: name.trim(),
+    items: [],
+    tariff: normalizeTariff(),
+    settings: { ...DEFAULT_SETTINGS },
+    meter: null,
+    snapshots: []
+  };
+}
+
+/**
+ * Returns a name for a copy of a profile that no existing profile uses,
+ * e.g. "Home (copy)", then "Home (copy 2)".
+ *
+ * @param {Array<Object>} profiles - The existing profiles.
+ * @param {string} name - Name of the profile being copied.
+ * @returns {string} The name of the copy.
+ */
+export function getCopyName(profiles, name) {
+  const taken = new Set(profiles.map(profile => profile.name));
+  let candidate = `${name} (copy)`;
+  for (let n = 2; taken.has(candidate); n += 1) {
+    candidate = `${name} (copy ${n})`;
+  }
+  return candidate;
+}
+
+/**
+ * Copies a profile, including its appliance list, tariff, settings and meter data.
+ * The copy starts without a history, since it is a new plan rather than the same household.
+ *
+ * @param {Array<Object>} profiles - The existing profiles, to pick a unique id and name.
+ * @param {Object} profile - The profile to copy.
+ * @returns {Object} The copy.
+ */
+export function cloneProfile(profiles, profile) {
+  return {
+    ...profile,
+    id: createProfileId(profiles),
+    name: getCopyName(profiles, profile.name),
+    items: profile.items.map(item => ({ ...item })),
+    snapshots: []
+  };
+}
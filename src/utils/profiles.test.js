@@ -0,0 +1,50 @@
+import { cloneProfile, createProfile, createProfileId, getCopyName } from './profiles';
+import { DEFAULT_SETTINGS } from './storage';
+import { DEFAULT_TARIFF } from '../engine/tariffs';
+import { createUsageItem } from '../engine/energy';
+
+const home = {
+  id: 1,
+  name: 'Home',
+  items: [createUsageItem({ name: 'TV', watts: 100, hours: 4 }, 1)],
+  tariff: { ...DEFAULT_TARIFF, flatRate: 0.3 },
+  settings: { ...DEFAULT_SETTINGS, emissionFactorId: 'CAMX' },
+  meter: null,
+  snapshots: [{ date: '2025-05-01', savedAt: '2025-05-01T18:00:00.000Z', kWh: 0.4, cost: 0.06, items: [] }]
+};
+
+describe('createProfileId', () => {
+  test('returns an id greater than every existing one', () => {
+    expect(createProfileId([])).toBe(1);
+    expect(createProfileId([{ id: 4 }, { id: 2 }])).toBe(5);
+  });
+});
+
+describe('createProfile', () => {
+  test('creates an empty profile with defaults', () => {
+    expect(createProfile([home], '  Cabin ')).toEqual({
+      id: 2,
+      name: 'Cabin',
+      items: [],
+      tariff: DEFAULT_TARIFF,
+      settings: DEFAULT_SETTINGS,
+      meter: null,
+      snapshots: []
+    });
+  });
+});
+
+describe('getCopyName', () => {
+  test('numbers copies so names stay unique', () => {
+    expect(getCopyName([home], 'Home')).toBe('Home (copy)');
+    expect(getCopyName([home, { name: 'Home (copy)' }, { name: 'Home (copy 2)' }], 'Home')).toBe('Home (copy 3)');
+  });
+});
+
+describe('cloneProfile', () => {
+  test('copies the data under a new id and name, without the history', () => {
+    const copy = cloneProfile([home], home);
+    expect(copy).toEqual({ ...home, id: 2, name: 'Home (copy)', snapshots: [] });
+    expect(copy.items[0]).not.toBe(home.items[0]);
+  });
+});
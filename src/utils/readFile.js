@@ -0,0 +1,20 @@
+/**
+ * readFile.js
+ *
+ * Reads files the user picked in a file input.
+ */
+
+/**
+ * Reads a file as text.
+ *
+ * @param {File} file - The chosen file.
+ * @returns {Promise<string>} The file content.
+ */
+export function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
@@ -0,0 +1,269 @@
+/**
+ * report.js
+ *
+ * The printable energy audit report: a summary of the household, its appliances, how it
+ * compares with similar homes, its largest consumers and the tips that apply to it.
+ * buildReport gathers the figures from the current profile; the Report tab renders them for
+ * printing, and renderReportHtml turns them into a standalone page to download.
+ */
+
+import {
+  calculateTotalKwh,
+  calculateStandbyKwh,
+  getComparisonPercentage,
+  getComparisonBand,
+  describeComparison,
+  projectPeriods,
+  DAYS_PER_YEAR
+} from '../engine/energy';
+import { getCostSummary, formatCurrency } from '../engine/tariffs';
+import { getRecommendations } from '../engine/recommendations';
+import { getApplicableTips } from '../data/tips';
+import { toDateKey } from './history';
+
+// Appliances listed as the largest consumers
+export const REPORT_TOP_CONSUMERS = 5;
+
+// Personalized recommendations listed, as on the Insights tab
+export const REPORT_MAX_RECOMMENDATIONS = 5;
+
+// Generic tips listed when no recommendation applies
+export const REPORT_GENERIC_TIPS = 3;
+
+/**
+ * Formats the day a report was generated.
+ *
+ * @param {Date} date - When the report was generated.
+ * @returns {string} e.g. "May 9, 2025".
+ */
+export function formatReportDate(date) {
+  return date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * Gathers the figures of the audit report.
+ *
+ * @param {Object} values
+ * @param {string} values.profileName - Name of the household's profile.
+ * @param {Array<Object>} values.items - The household's usage items.
+ * @param {Object} values.tariff - The household's tariff.
+ * @param {{dailyKwh: number, label: string}} values.benchmark - The peer group it is compared against.
+ * @param {Date} [values.date] - When the report is generated; defaults to now.
+ * @returns {Object} The report: its title and date, the energy, cost and standby summary, the comparison
+ *   verdict, every appliance with its share of the total, the top consumers, and the recommendations or,
+ *   when none apply, generic tips.
+ */
+export function buildReport({ profileName, items, tariff, benchmark, date = new Date() }) {
+  const totalKwh = calculateTotalKwh(items);
+  const standbyKwh = calculateStandbyKwh(items);
+  const cost = getCostSummary(totalKwh, tariff);
+  const percentage = getComparisonPercentage(totalKwh, benchmark.dailyKwh);
+  const band = getComparisonBand(percentage);
+
+  const appliances = items.map(item => ({
+    id: item.id,
+    name: item.name,
+    quantity: item.quantity,
+    watts: item.watts,
+    hours: item.hours,
+    kWh: item.kWh,
+    share: totalKwh > 0 ? (item.kWh / totalKwh) * 100 : 0
+  }));
+
+  const recommendations = getRecommendations(items)
+    .slice(0, REPORT_MAX_RECOMMENDATIONS)
+    .map(recommendation => ({
+      id: recommendation.id,
+      title: recommendation.title,
+      applianceName: recommendation.applianceName,
+      description: recommendation.description,
+      savingsKwh: recommendation.savingsKwh,
+      annualSavings: recommendation.savingsKwh * cost.effectiveRate * DAYS_PER_YEAR
+    }));
+
+  return {
+    title: 'Home Energy Audit',
+    profileName,
+    generatedAt: date,
+    applianceCount: items.length,
+    energy: projectPeriods(totalKwh),
+    cost,
+    standby: { kWh: standbyKwh, annualCost: standbyKwh * cost.effectiveRate * DAYS_PER_YEAR },
+    comparison: {
+      percentage,
+      band,
+      summary: describeComparison(percentage),
+      benchmarkKwh: benchmark.dailyKwh,
+      benchmarkLabel: benchmark.label
+    },
+    appliances,
+    topConsumers: [...appliances]
+      .filter(appliance => appliance.kWh > 0)
+      .sort((a, b) => b.kWh - a.kWh)
+      .slice(0, REPORT_TOP_CONSUMERS),
+    recommendations,
+    tips: recommendations.length === 0 ? getApplicableTips(items).slice(0, REPORT_GENERIC_TIPS) : []
+  };
+}
+
+/**
+ * Suggests a file name for the downloaded report.
+ *
+ * @param {Object} report - Report from buildReport.
+ * @returns {string} e.g. "watts-up-report-my-home-2025-05-09.html".
+ */
+export function getReportFilename(report) {
+  const slug = report.profileName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `watts-up-report-${slug ? `${slug}-` : ''}${toDateKey(report.generatedAt)}.html`;
+}
+
+/**
+ * Escapes text for HTML.
+ *
+ * @param {*} value - Text or number to show.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Styles of the downloaded page, kept inline so it opens and prints anywhere
+const REPORT_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2937; max-width: 800px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1 { font-size: 1.75rem; margin: 0; }
+  h2 { font-size: 1.15rem; margin: 1.75rem 0 0.5rem; padding-bottom: 0.25rem; border-bottom: 2px solid #2563eb; }
+  .meta { color: #6b7280; margin: 0.25rem 0 0; }
+  .grid { display: grid; grid-template-columns: repeat(4, 1fr); gap: 0.75rem; }
+  .stat { border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 0.5rem 0.75rem; }
+  .stat span { display: block; font-size: 0.75rem; color: #6b7280; }
+  .stat strong { font-size: 1.1rem; }
+  .verdict { border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 0.75rem; background: #f9fafb; }
+  .verdict p { margin: 0.25rem 0; }
+  .excellent, .good { color: #15803d; }
+  .average { color: #a16207; }
+  .high { color: #b91c1c; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+  th, td { text-align: left; padding: 0.4rem 0.5rem; border-bottom: 1px solid #e5e7eb; }
+  th { font-size: 0.75rem; text-transform: uppercase; color: #6b7280; }
+  td.number, th.number { text-align: right; }
+  tfoot td { font-weight: 600; }
+  li { margin-bottom: 0.5rem; }
+  .small { font-size: 0.8rem; color: #6b7280; }
+  footer { margin-top: 2rem; font-size: 0.8rem; color: #9ca3af; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    h2, tr, li, .verdict { break-inside: avoid; }
+  }
+`;
+
+/**
+ * Renders a table of appliances.
+ *
+ * @param {Array<Object>} appliances - Appliances of the report.
+ * @param {string} [footer] - Row of totals, as HTML.
+ * @returns {string} The table, as HTML.
+ */
+function renderApplianceTable(appliances, footer = '') {
+  const rows = appliances.map(appliance => `
+      <tr>
+        <td>${escapeHtml(appliance.name)}</td>
+        <td class="number">${appliance.quantity}</td>
+        <td class="number">${appliance.watts}</td>
+        <td class="number">${appliance.hours}</td>
+        <td class="number">${appliance.kWh.toFixed(2)}</td>
+        <td class="number">${appliance.share.toFixed(0)}%</td>
+      </tr>`).join('');
+  return `
+    <table>
+      <thead>
+        <tr>
+          <th>Appliance</th><th class="number">Qty</th><th class="number">Watts</th>
+          <th class="number">Hours/Day</th><th class="number">kWh/Day</th><th class="number">Share</th>
+        </tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>${footer}
+    </table>`;
+}
+
+/**
+ * Renders the report as a standalone HTML page, with its styles inline and print rules,
+ * to download and open, print or save as PDF without the app.
+ *
+ * @param {Object} report - Report from buildReport.
+ * @returns {string} The HTML document.
+ */
+export function renderReportHtml(report) {
+  const { energy, cost, standby, comparison } = report;
+  const stat = (label, value) => `<div class="stat"><span>${label}</span><strong>${escapeHtml(value)}</strong></div>`;
+
+  const tips = report.recommendations.length > 0
+    ? report.recommendations.map(recommendation => `
+        <li>
+          <strong>${escapeHtml(recommendation.title)}</strong> (${escapeHtml(recommendation.applianceName)}):
+          ${escapeHtml(recommendation.description)}
+          <br><span class="small">Saves ${recommendation.savingsKwh.toFixed(2)} kWh/day, about ${formatCurrency(recommendation.annualSavings)}/year</span>
+        </li>`).join('')
+    : report.tips.map(tip => `<li>${escapeHtml(tip)}</li>`).join('');
+
+  const appliances = report.appliances.length > 0
+    ? renderApplianceTable(report.appliances, `
+      <tfoot>
+        <tr><td colspan="4">Total</td><td class="number">${energy.daily.toFixed(2)}</td><td class="number">100%</td></tr>
+      </tfoot>`)
+    : '<p>No appliances have been added.</p>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(report.title)}: ${escapeHtml(report.profileName)}</title>
+  <style>${REPORT_STYLES}</style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(report.title)}</h1>
+    <p class="meta">${escapeHtml(report.profileName)} · ${formatReportDate(report.generatedAt)}</p>
+  </header>
+
+  <h2>Household Summary</h2>
+  <div class="grid">
+    ${stat('Appliances', report.applianceCount)}
+    ${stat('Daily energy', `${energy.daily.toFixed(2)} kWh`)}
+    ${stat('Monthly energy', `${energy.monthly.toFixed(1)} kWh`)}
+    ${stat('Annual energy', `${energy.annual.toFixed(0)} kWh`)}
+    ${stat('Daily cost', formatCurrency(cost.daily))}
+    ${stat('Monthly cost', formatCurrency(cost.monthly))}
+    ${stat('Annual cost', formatCurrency(cost.annual))}
+    ${stat('Average rate', `${formatCurrency(cost.effectiveRate)}/kWh`)}
+  </div>
+  <p class="small">Phantom (standby) load: ${standby.kWh.toFixed(2)} kWh/day, ${formatCurrency(standby.annualCost)}/year.</p>
+
+  <h2>How You Compare</h2>
+  <div class="verdict">
+    <p class="${comparison.band.id}"><strong>${comparison.band.emoji} ${escapeHtml(comparison.band.label)}:</strong> ${escapeHtml(comparison.band.message)}</p>
+    <p>${escapeHtml(comparison.summary)}</p>
+    <p class="small">Similar homes use ${comparison.benchmarkKwh.toFixed(1)} kWh a day. Benchmark: ${escapeHtml(comparison.benchmarkLabel)}</p>
+  </div>
+
+  <h2>Top Consumers</h2>
+  ${report.topConsumers.length > 0 ? renderApplianceTable(report.topConsumers) : '<p>No appliances use energy yet.</p>'}
+
+  <h2>Appliances</h2>
+  ${appliances}
+
+  <h2>${report.recommendations.length > 0 ? 'Recommended for You' : 'Energy Saving Tips'}</h2>
+  <ol>${tips}
+  </ol>
+
+  <footer>Generated by Watt's Up? Smart Energy Usage Estimator. Figures are estimates from the appliances entered.</footer>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,84 @@
+import { REPORT_GENERIC_TIPS, buildReport, getReportFilename, renderReportHtml } from './report';
+import { createUsageItem } from '../engine/energy';
+import { DEFAULT_TARIFF } from '../engine/tariffs';
+import { getApplicableTips } from '../data/tips';
+
+const tariff = { ...DEFAULT_TARIFF, flatRate: 0.2, serviceCharge: 0 };
+const benchmark = { dailyKwh: 10, label: 'Test homes' };
+const items = [
+  createUsageItem({ name: 'TV', watts: 100, hours: 4 }, 1),
+  createUsageItem({ name: 'Clothes Dryer', watts: 3000, hours: 2 }, 2),
+  createUsageItem({ name: 'Clock', watts: 0, hours: 24 }, 3)
+];
+const may9 = new Date(2025, 4, 9, 14, 0);
+const report = buildReport({ profileName: 'My Home', items, tariff, benchmark, date: may9 });
+
+describe('buildReport', () => {
+  test('summarizes the household\'s energy and cost', () => {
+    expect(report.applianceCount).toBe(3);
+    expect(report.energy.daily).toBeCloseTo(6.4);
+    expect(report.energy.annual).toBeCloseTo(6.4 * 365);
+    expect(report.cost.monthly).toBeCloseTo(6.4 * 0.2 * 365 / 12);
+  });
+
+  test('gives the same verdict as the Insights tab', () => {
+    expect(report.comparison.percentage).toBeCloseTo(64);
+    expect(report.comparison.band.id).toBe('good');
+    expect(report.comparison.summary).toBe('You use 64% of the typical daily energy of homes in your peer group.');
+    expect(report.comparison.benchmarkLabel).toBe('Test homes');
+  });
+
+  test('ranks the top consumers by energy and leaves out appliances that use none', () => {
+    expect(report.topConsumers.map(appliance => appliance.name)).toEqual(['Clothes Dryer', 'TV']);
+    expect(report.topConsumers[0].share).toBeCloseTo(93.75);
+    expect(report.appliances).toHaveLength(3);
+  });
+
+  test('lists the recommendations that apply, with their yearly savings', () => {
+    expect(report.recommendations).toHaveLength(1);
+    expect(report.recommendations[0]).toMatchObject({ title: 'Line-dry some loads', applianceName: 'Clothes Dryer' });
+    expect(report.recommendations[0].annualSavings).toBeCloseTo(3 * 0.2 * 365);
+    expect(report.tips).toEqual([]);
+  });
+
+  test('falls back to generic tips when no recommendation applies', () => {
+    const tvOnly = buildReport({ profileName: 'Flat', items: items.slice(0, 1), tariff, benchmark, date: may9 });
+    expect(tvOnly.recommendations).toEqual([]);
+    expect(tvOnly.tips).toEqual(getApplicableTips(items.slice(0, 1)).slice(0, REPORT_GENERIC_TIPS));
+    expect(tvOnly.tips.length).toBeGreaterThan(0);
+  });
+
+  test('leaves out generic tips about appliances the household does not have', () => {
+    const tvOnly = buildReport({ profileName: 'Flat', items: items.slice(0, 1), tariff, benchmark, date: may9 });
+    expect(tvOnly.tips.some(tip => /LED/.test(tip))).toBe(false);
+    const bulbs = createUsageItem({ name: 'Light Bulb (Incandescent)', watts: 60, hours: 0 }, 4);
+    const withBulbs = buildReport({ profileName: 'Flat', items: [items[0], bulbs], tariff, benchmark, date: may9 });
+    expect(withBulbs.recommendations).toEqual([]);
+    expect(withBulbs.tips[0]).toMatch(/LED/);
+  });
+});
+
+describe('getReportFilename', () => {
+  test('names the file after the profile and the date', () => {
+    expect(getReportFilename(report)).toBe('watts-up-report-my-home-2025-05-09.html');
+    expect(getReportFilename({ ...report, profileName: '!!' })).toBe('watts-up-report-2025-05-09.html');
+  });
+});
+
+describe('renderReportHtml', () => {
+  test('renders a standalone page with print styles', () => {
+    const html = renderReportHtml(report);
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('@media print');
+    expect(html).toContain('May 9, 2025');
+    expect(html).toContain('Good! Your usage is below average.');
+    expect(html).toContain('Line-dry some loads');
+    expect(html).not.toMatch(/<(link|script)/);
+  });
+
+  test('escapes names entered by the user', () => {
+    const html = renderReportHtml({ ...report, profileName: '<b>Mine</b> & co' });
+    expect(html).toContain('&lt;b&gt;Mine&lt;/b&gt; &amp; co');
+    expect(html).not.toContain('<b>Mine</b>');
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * shareLink.js
+ *
+ * Encodes a list of usage items into a compact, URL-safe string and back.
+ *
+ * The code is the base64url-encoded JSON of [SHARE_FORMAT_VERSION, tuples], so it fits in a single
+ * path segment, with one tuple per item:
+ *
+ *   [name, watts, hours, dutyCycle, standbyWatts, quantity, schedule, seasonality, timeWindows, nameplate]
+ *
+ * The first six fields are always present. The last four are optional: a weekly schedule of 7 hours,
+ * 12 seasonal multipliers, time windows as [start, end] pairs, and the nameplate as
+ * [volts, amps, powerFactor]. Empty trailing fields are left out, and missing ones take their
+ * defaults when decoding, so links made before a field existed still open.
+ */
+
+import { createUsageItem, DEFAULT_DUTY_CYCLE, DEFAULT_STANDBY_WATTS, DEFAULT_QUANTITY } from '../engine/energy';
+import { getBasePath } from './basePath';
+
+// Bumped when an existing field changes position or meaning. Optional fields appended to the end
+// of the tuple don't bump it, since older links simply lack them.
+const SHARE_FORMAT_VERSION = 1;
+
+/**
+ * Base64url-encodes a string, including non-ASCII characters.
+ *
+ * @param {string} text - Text to encode.
+ * @returns {string} URL-safe base64 without padding.
+ */
+function toBase64Url(text) {
+  const bytes = unescape(encodeURIComponent(text));
+  return btoa(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes a base64url string produced by toBase64Url.
+ *
+ * @param {string} encoded - URL-safe base64.
+ * @returns {string} The original text.
+ */
+function fromBase64Url(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  return decodeURIComponent(escape(atob(padded)));
+}
+
+/**
+ * Encodes usage items into a share code.
+ *
+ * @param {Array<Object>} usageItems - Items with name, watts, hours, dutyCycle, standbyWatts and quantity,
+ *   and optionally schedule, seasonality, timeWindows and nameplate.
+ * @returns {string} The share code.
+ */
+export function encodeUsageItems(usageItems) {
+  const tuples = usageItems.map(item => {
+    const tuple = [
+      item.name,
+      item.watts,
+      item.hours,
+      item.dutyCycle,
+      item.standbyWatts,
+      item.quantity,
+      item.schedule || null,
+      item.seasonality || null,
+      item.timeWindows ? item.timeWindows.map(window => [window.start, window.end]) : null,
+      item.nameplate ? [item.nameplate.volts, item.nameplate.amps, item.nameplate.powerFactor] : null
+    ];
+    // Leave out trailing empty fields to keep links short
+    while (tuple[tuple.length - 1] === null) tuple.pop();
+    return tuple;
+  });
+  return toBase64Url(JSON.stringify([SHARE_FORMAT_VERSION, tuples]));
+}
+
+/**
+ * Decodes a share code back into usage items with fresh ids.
+ *
+ * @param {string} code - A share code produced by encodeUsageItems.
+ * @returns {?Array<Object>} The usage items, or null if the code is invalid.
+ */
+export function decodeUsageItems(code) {
+  try {
+    const [version, tuples] = JSON.parse(fromBase64Url(code));
+    if (version !== SHARE_FORMAT_VERSION || !Array.isArray(tuples)) return null;
+    const items = tuples.map(([
+      name,
+      watts,
+      hours,
+      dutyCycle = DEFAULT_DUTY_CYCLE,
+      standbyWatts = DEFAULT_STANDBY_WATTS,
+      quantity = DEFAULT_QUANTITY,
+      schedule = null,
+      seasonality = null,
+      windows = null,
+      ratings = null
+    ], index) => {
+      const timeWindows = Array.isArray(windows) ? windows.map(pair => ({ start: pair[0], end: pair[1] })) : null;
+      const nameplate = Array.isArray(ratings) ? { volts: ratings[0], amps: ratings[1], powerFactor: ratings[2] } : null;
+      return createUsageItem({
+        name: String(name), watts, hours, dutyCycle, standbyWatts, quantity, schedule, seasonality, timeWindows, nameplate
+      }, index + 1);
+    });
+    return items.every(item => Number.isFinite(item.kWh)) ? items : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Builds the absolute URL of the read-only shared view for some usage items.
+ *
+ * @param {Array<Object>} usageItems - Items to share.
+ * @param {string} [origin] - Site origin; defaults to the current page's origin.
+ * @param {string} [basePath] - Path the app is served from; defaults to the build's (see basePath.js).
+ * @returns {string} The share URL.
+ */
+export function buildShareUrl(usageItems, origin = window.location.origin, basePath = getBasePath()) {
+  return `${origin}${basePath}/shared/${encodeUsageItems(usageItems)}`;
+}
@@ -0,0 +1,54 @@
+import { buildShareUrl, decodeUsageItems, encodeUsageItems } from './shareLink';
+import { createUsageItem } from '../engine/energy';
+
+const items = [
+  createUsageItem({ name: 'Refrigerator', watts: 150, hours: 24, dutyCycle: 35, standbyWatts: 0 }, 1),
+  createUsageItem({ name: 'Lámpara', watts: 9, hours: 5.5, dutyCycle: 100, standbyWatts: 0.5 }, 2)
+];
+
+test('round-trips usage items through a share code', () => {
+  expect(decodeUsageItems(encodeUsageItems(items))).toEqual(items);
+});
+
+test('keeps weekly schedules and seasonal patterns', () => {
+  const scheduled = [
+    createUsageItem({ name: 'Washing Machine', watts: 500, hours: 1, schedule: [0, 0, 0, 0, 0, 2, 2] }, 1),
+    createUsageItem({ name: 'AC', watts: 1000, hours: 8, seasonality: [0, 0, 0, 0, 0.5, 1, 1, 1, 0.5, 0, 0, 0] }, 2)
+  ];
+  expect(decodeUsageItems(encodeUsageItems(scheduled))).toEqual(scheduled);
+});
+
+test('keeps time-of-day windows', () => {
+  const lights = [createUsageItem({ name: 'Light Bulb (LED)', watts: 9, hours: 5, timeWindows: [{ start: 18, end: 23 }] }, 1)];
+  expect(decodeUsageItems(encodeUsageItems(lights))).toEqual(lights);
+});
+
+test('keeps the nameplate ratings the watts were worked out from', () => {
+  const heater = [createUsageItem({ name: 'Other', watts: 1350, hours: 2, nameplate: { volts: 120, amps: 12.5, powerFactor: 0.9 } }, 1)];
+  expect(decodeUsageItems(encodeUsageItems(heater))).toEqual(heater);
+});
+
+test('decodes links made before duty cycles and standby power existed', () => {
+  const legacyCode = btoa(JSON.stringify([1, [['TV', 100, 4]]])).replace(/=+$/, '');
+  expect(decodeUsageItems(legacyCode)).toEqual([
+    createUsageItem({ name: 'TV', watts: 100, hours: 4 }, 1)
+  ]);
+});
+
+test('produces a URL-safe code', () => {
+  expect(encodeUsageItems(items)).toMatch(/^[A-Za-z0-9_-]+$/);
+});
+
+test('returns null for a damaged code', () => {
+  expect(decodeUsageItems('not-a-share-code')).toBeNull();
+  expect(decodeUsageItems(encodeUsageItems(items).slice(0, 10))).toBeNull();
+});
+
+test('builds a link to the shared view', () => {
+  expect(buildShareUrl(items, 'https://example.com')).toBe(`https://example.com/shared/${encodeUsageItems(items)}`);
+});
+
+test('builds links under the path the app is served from', () => {
+  expect(buildShareUrl(items, 'https://example.com', '/watts-up'))
+    .toBe(`https://example.com/watts-up/shared/${encodeUsageItems(items)}`);
+});
@@ -0,0 +1,350 @@
+/**
+ * storage.js
+ *
+ * Versioned persistence of Watt's Up? data in localStorage.
+ *
+ * Saved data carries a schema version. Older shapes are upgraded step by step through
+ * MIGRATIONS, then validated. Anything that cannot be read (invalid JSON, an unknown
+ * shape, or individual broken items) is copied aside under a backup key instead of
+ * crashing the app, and the readable part is returned together with a status.
+ */
+
+import { normalizeUsageItem } from '../engine/energy';
+import { normalizeTariff } from '../engine/tariffs';
+import { DEFAULT_EMISSION_FACTOR_ID } from '../data/emissionFactors';
+import { DEFAULT_BENCHMARK_SELECTION } from '../data/benchmarks';
+import { DEFAULT_LOAD_LIMIT } from '../data/loadLimits';
+import { DEFAULT_SOLAR_SYSTEM } from '../data/solarResources';
+import { DEFAULT_BUDGET, BUDGET_PERIODS, BUDGET_UNITS } from '../engine/budget';
+import { normalizeCustomAppliance } from './catalog';
+import { normalizeSnapshot } from './history';
+
+// localStorage key of the saved data
+export const STORAGE_KEY = 'wattsUpData';
+
+// Prefix of the keys that unreadable data is copied to
+export const BACKUP_KEY_PREFIX = 'wattsUpData.backup.';
+
+// Current schema version of the saved data
+export const STORAGE_VERSION = 6;
+
+// Outcome of loading saved data
+export const LOAD_STATUS = {
+  EMPTY: 'empty',
+  LOADED: 'loaded',
+  MIGRATED: 'migrated',
+  RECOVERED: 'recovered'
+};
+
+// Settings stored with each profile
+export const DEFAULT_SETTINGS = {
+  emissionFactorId: DEFAULT_EMISSION_FACTOR_ID,
+  customEmissionFactor: null,
+  benchmark: DEFAULT_BENCHMARK_SELECTION,
+  loadLimit: DEFAULT_LOAD_LIMIT,
+  solar: DEFAULT_SOLAR_SYSTEM,
+  budget: DEFAULT_BUDGET
+};
+
+// Id and name of the profile that data saved before profiles existed is moved into
+export const DEFAULT_PROFILE_ID = 1;
+export const DEFAULT_PROFILE_NAME = 'My Home';
+
+/**
+ * Upgrades saved data from one schema version to the next, keyed by the version they upgrade from.
+ * - 0: the original bare array of usage items.
+ * - 1: { items, tariff } without a version, written once tariffs were added.
+ * - 2: { items, tariff, settings }, before imported smart-meter data was saved.
+ * - 3: { items, tariff, settings, meter } of a single household, before named profiles.
+ *   Autosave moves out of the settings, since it applies to all profiles.
+ * - 4: { autosave, activeProfileId, profiles }, before users could add their own appliances to the catalog.
+ * - 5: { autosave, activeProfileId, profiles, customAppliances }, before profiles kept a history of snapshots.
+ */
+const MIGRATIONS = {
+  0: (items) => ({ items }),
+  1: (data) => ({ ...data, settings: DEFAULT_SETTINGS }),
+  2: (data) => ({ ...data, meter: null }),
+  3: ({ items, tariff, settings, meter }) => {
+    const { autosave, ...profileSettings } = settings || {};
+    return {
+      autosave: Boolean(autosave),
+      activeProfileId: DEFAULT_PROFILE_ID,
+      profiles: [{ id: DEFAULT_PROFILE_ID, name: DEFAULT_PROFILE_NAME, items, tariff, settings: profileSettings, meter }]
+    };
+  },
+  4: (data) => ({ ...data, customAppliances: [] }),
+  5: (data) => ({
+    ...data,
+    profiles: Array.isArray(data.profiles) ? data.profiles.map(profile => ({ ...profile, snapshots: [] })) : data.profiles
+  })
+};
+
+/**
+ * Returns the schema version of parsed saved data.
+ *
+ * @param {*} data - Parsed saved data.
+ * @returns {number} The version; unversioned objects count as version 1.
+ */
+function getVersion(data) {
+  if (Array.isArray(data)) return 0;
+  return typeof data.version === 'number' ? data.version : 1;
+}
+
+/**
+ * Checks that a stored usage item has the fields the calculator needs.
+ *
+ * @param {*} item - A stored usage item.
+ * @returns {boolean} Whether the item can be used.
+ */
+export function isValidUsageItem(item) {
+  return Boolean(item)
+    && typeof item === 'object'
+    && typeof item.name === 'string'
+    && Number.isFinite(Number(item.watts))
+    && Number.isFinite(Number(item.hours))
+    && Number(item.hours) >= 0
+    && Number(item.hours) <= 24;
+}
+
+/**
+ * Checks that a stored smart-meter summary has the fields the Insights tab needs.
+ *
+ * @param {*} meter - A stored summary from summarizeReadings.
+ * @returns {boolean} Whether the summary can be used.
+ */
+function isValidMeterSummary(meter) {
+  return Boolean(meter)
+    && typeof meter === 'object'
+    && Number.isFinite(meter.dailyAverageKwh)
+    && Array.isArray(meter.days)
+    && Array.isArray(meter.hourlyProfile);
+}
+
+/**
+ * Tells whether a value is an object, as opposed to null, an array or a primitive.
+ *
+ * @param {*} value - Any value.
+ * @returns {boolean} Whether it is a plain object.
+ */
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Tells whether a value is a finite number of at least 0.
+ *
+ * @param {*} value - Any value.
+ * @returns {boolean} Whether it is a non-negative number.
+ */
+const isNonNegative = (value) => Number.isFinite(value) && value >= 0;
+
+// Checks of the stored settings, which are reset to their default one by one when they fail
+const SETTING_CHECKS = {
+  emissionFactorId: (value) => typeof value === 'string',
+  customEmissionFactor: (value) => value === null || isNonNegative(value),
+  benchmark: (value) => isObject(value) && typeof value.regionId === 'string',
+  loadLimit: (value) => isObject(value) && value.amps > 0 && value.volts > 0,
+  solar: (value) => isObject(value)
+    && isNonNegative(value.systemKw)
+    && isNonNegative(value.batteryKwh)
+    && ['locationId', 'orientationId', 'tiltId'].every(key => typeof value[key] === 'string'),
+  budget: (value) => isObject(value)
+    && (value.amount === null || (Number.isFinite(value.amount) && value.amount > 0))
+    && Object.values(BUDGET_PERIODS).includes(value.period)
+    && Object.values(BUDGET_UNITS).includes(value.unit)
+};
+
+/**
+ * Validates stored profile settings, keeping each one that can be used and filling in the
+ * defaults for the rest, including settings added since the data was saved.
+ *
+ * @param {*} settings - Stored settings.
+ * @returns {Object} Complete settings.
+ */
+function normalizeSettings(settings) {
+  const stored = isObject(settings) ? settings : {};
+  return Object.keys(DEFAULT_SETTINGS).reduce((result, key) => ({
+    ...result,
+    [key]: key in stored && SETTING_CHECKS[key](stored[key]) ? stored[key] : DEFAULT_SETTINGS[key]
+  }), {});
+}
+
+/**
+ * Validates one stored profile.
+ *
+ * @param {*} profile - A stored profile.
+ * @param {number} index - Its position in the list, used to name it when the name is missing.
+ * @returns {{profile: Object, droppedItems: number}} The profile with valid items, tariff,
+ *   settings, meter and snapshots, and how many invalid items were left out.
+ * @throws {Error} If the profile has no list of items.
+ */
+function validateProfile(profile, index) {
+  if (!profile || !Array.isArray(profile.items)) throw new Error('Saved data has no list of items');
+  const validItems = profile.items.filter(isValidUsageItem);
+  return {
+    profile: {
+      id: Number.isFinite(profile.id) ? profile.id : index + 1,
+      name: typeof profile.name === 'string' && profile.name.trim() ? profile.name : `Profile ${index + 1}`,
+      items: validItems.map(normalizeUsageItem),
+      tariff: normalizeTariff(profile.tariff),
+      settings: normalizeSettings(profile.settings),
+      meter: isValidMeterSummary(profile.meter) ? profile.meter : null,
+      snapshots: Array.isArray(profile.snapshots) ? profile.snapshots.map(normalizeSnapshot).filter(Boolean) : []
+    },
+    droppedItems: profile.items.length - validItems.length
+  };
+}
+
+/**
+ * Upgrades parsed saved data to the current version and validates it.
+ *
+ * @param {*} data - Parsed saved data of any known version.
+ * @returns {{data: Object, migrated: boolean, droppedItems: number}} The current-version data
+ *   { autosave, activeProfileId, profiles, customAppliances }, whether it had to be upgraded, and how
+ *   many invalid items and custom appliances were left out.
+ * @throws {Error} If the data is of an unknown shape or a newer version.
+ */
+export function migrateData(data) {
+  if (!data || typeof data !== 'object') throw new Error('Saved data is not an object');
+  let version = getVersion(data);
+  if (version > STORAGE_VERSION) throw new Error(`Saved data has unknown version ${version}`);
+  const migrated = version < STORAGE_VERSION;
+  let current = data;
+  while (version < STORAGE_VERSION) {
+    current = MIGRATIONS[version](current);
+    version += 1;
+  }
+  if (!Array.isArray(current.profiles) || current.profiles.length === 0) {
+    throw new Error('Saved data has no profiles');
+  }
+
+  const validated = current.profiles.map(validateProfile);
+  const profiles = validated.map(result => result.profile);
+  const activeProfile = profiles.find(profile => profile.id === current.activeProfileId) || profiles[0];
+  const storedAppliances = Array.isArray(current.customAppliances) ? current.customAppliances : [];
+  const customAppliances = storedAppliances.map(normalizeCustomAppliance).filter(Boolean);
+  return {
+    data: {
+      autosave: Boolean(current.autosave),
+      activeProfileId: activeProfile.id,
+      profiles,
+      customAppliances
+    },
+    migrated,
+    droppedItems: validated.reduce((sum, result) => sum + result.droppedItems, 0)
+      + storedAppliances.length - customAppliances.length
+  };
+}
+
+/**
+ * Returns the data of a fresh install: one empty profile with default settings and no custom appliances.
+ *
+ * @returns {{autosave: boolean, activeProfileId: number, profiles: Array<Object>, customAppliances: Array<Object>}}
+ *   The default data.
+ */
+function createEmptyData() {
+  return {
+    autosave: false,
+    activeProfileId: DEFAULT_PROFILE_ID,
+    profiles: [{
+      id: DEFAULT_PROFILE_ID,
+      name: DEFAULT_PROFILE_NAME,
+      items: [],
+      tariff: normalizeTariff(),
+      settings: { ...DEFAULT_SETTINGS },
+      meter: null,
+      snapshots: []
+    }],
+    customAppliances: []
+  };
+}
+
+/**
+ * Copies unreadable saved data aside so it is not lost when the app saves again.
+ *
+ * @param {Storage} storage - Where the data lives.
+ * @param {string} raw - The raw saved string.
+ * @returns {?string} The backup key, or null if it could not be written.
+ */
+function backupRawData(storage, raw) {
+  const key = `${BACKUP_KEY_PREFIX}${Date.now()}`;
+  try {
+    storage.setItem(key, raw);
+    return key;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Loads saved data, upgrading and validating it. Never throws.
+ *
+ * @param {Storage} [storage] - Where the data lives; defaults to localStorage.
+ * @returns {{status: string, data: Object, backupKey: ?string, message: ?string}} The loaded data
+ *   (defaults when nothing usable was saved) and what happened while loading it.
+ */
+export function loadData(storage = window.localStorage) {
+  const empty = createEmptyData();
+  let raw;
+  try {
+    raw = storage.getItem(STORAGE_KEY);
+  } catch (error) {
+    return { status: LOAD_STATUS.EMPTY, data: empty, backupKey: null, message: null };
+  }
+  if (!raw) return { status: LOAD_STATUS.EMPTY, data: empty, backupKey: null, message: null };
+
+  try {
+    const { data, migrated, droppedItems } = migrateData(JSON.parse(raw));
+    if (droppedItems > 0) {
+      return {
+        status: LOAD_STATUS.RECOVERED,
+        data,
+        backupKey: backupRawData(storage, raw),
+        message: `${droppedItems} saved appliance${droppedItems === 1 ? '' : 's'} could not be read and ${droppedItems === 1 ? 'was' : 'were'} left out.`
+      };
+    }
+    return {
+      status: migrated ? LOAD_STATUS.MIGRATED : LOAD_STATUS.LOADED,
+      data,
+      backupKey: null,
+      message: null
+    };
+  } catch (error) {
+    return {
+      status: LOAD_STATUS.RECOVERED,
+      data: empty,
+      backupKey: backupRawData(storage, raw),
+      message: `Your saved data could not be read (${error.message}), so the app started empty.`
+    };
+  }
+}
+
+/**
+ * Saves data in the current schema version.
+ *
+ * @param {{autosave: boolean, activeProfileId: number, profiles: Array<Object>, customAppliances: Array<Object>}} data
+ *   The data to save; each profile is { id, name, items, tariff, settings, meter, snapshots }.
+ * @param {Storage} [storage] - Where to save; defaults to localStorage.
+ * @returns {boolean} Whether the data was written (storage may be full or disabled).
+ */
+export function saveData(data, storage = window.localStorage) {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify({
+      version: STORAGE_VERSION,
+      savedAt: new Date().toISOString(),
+      autosave: Boolean(data.autosave),
+      activeProfileId: data.activeProfileId,
+      profiles: data.profiles.map(profile => ({
+        id: profile.id,
+        name: profile.name,
+        items: profile.items,
+        tariff: profile.tariff,
+        settings: profile.settings,
+        meter: profile.meter || null,
+        snapshots: profile.snapshots || []
+      })),
+      customAppliances: data.customAppliances || []
+    }));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
@@ -0,0 +1,233 @@
+import {
+  BACKUP_KEY_PREFIX,
+  DEFAULT_PROFILE_ID,
+  DEFAULT_PROFILE_NAME,
+  DEFAULT_SETTINGS,
+  LOAD_STATUS,
+  STORAGE_KEY,
+  STORAGE_VERSION,
+  loadData,
+  migrateData,
+  saveData
+} from './storage';
+import { createUsageItem } from '../engine/energy';
+import { DEFAULT_TARIFF } from '../engine/tariffs';
+import { summarizeReadings } from '../engine/meter';
+
+const tv = createUsageItem({ name: 'TV', watts: 100, hours: 4, standbyWatts: 3 }, 1);
+const meter = summarizeReadings([{ start: Date.UTC(2025, 0, 6), duration: 3600, kWh: 1.5 }]);
+const snapshot = { date: '2025-05-01', savedAt: '2025-05-01T18:00:00.000Z', kWh: 0.46, cost: 0.07, items: [{ name: 'TV', quantity: 1, kWh: 0.46 }] };
+const aquarium = { id: 1, name: 'Aquarium Pump', watts: 20, hours: 24, standbyWatts: 0, category: 'other', notes: '55-gallon tank' };
+
+/**
+ * Returns the keys of all backups currently in localStorage.
+ *
+ * @returns {Array<string>} Backup keys.
+ */
+const backupKeys = () => Object.keys(localStorage).filter(key => key.startsWith(BACKUP_KEY_PREFIX));
+
+/**
+ * Builds current-version saved data with a single profile.
+ *
+ * @param {Object} profile - Fields of the profile.
+ * @returns {Object} Saved data.
+ */
+const singleProfile = (profile) => ({
+  version: STORAGE_VERSION,
+  activeProfileId: 1,
+  profiles: [{ id: 1, name: 'Home', ...profile }]
+});
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('migrateData', () => {
+  test('upgrades the original bare array of items', () => {
+    const { data, migrated } = migrateData([{ id: 1, name: 'TV', watts: 100, hours: 4, kWh: 0.4 }]);
+    expect(migrated).toBe(true);
+    expect(data.autosave).toBe(false);
+    expect(data.activeProfileId).toBe(DEFAULT_PROFILE_ID);
+    const [profile] = data.profiles;
+    expect(profile.name).toBe(DEFAULT_PROFILE_NAME);
+    expect(profile.items[0]).toEqual(createUsageItem({ name: 'TV', watts: 100, hours: 4 }, 1));
+    expect(profile.tariff).toEqual(DEFAULT_TARIFF);
+    expect(profile.settings).toEqual(DEFAULT_SETTINGS);
+    expect(profile.meter).toBeNull();
+  });
+
+  test('upgrades unversioned { items, tariff } data', () => {
+    const { data, migrated } = migrateData({ items: [tv], tariff: { flatRate: 0.3 } });
+    expect(migrated).toBe(true);
+    expect(data.profiles[0].items).toEqual([tv]);
+    expect(data.profiles[0].tariff.flatRate).toBe(0.3);
+  });
+
+  test('moves single-household data into a profile and keeps autosave for all profiles', () => {
+    const { data } = migrateData({
+      version: 3,
+      items: [tv],
+      tariff: DEFAULT_TARIFF,
+      settings: { ...DEFAULT_SETTINGS, autosave: true, emissionFactorId: 'CAMX' },
+      meter
+    });
+    expect(data).toEqual({
+      autosave: true,
+      activeProfileId: DEFAULT_PROFILE_ID,
+      profiles: [{
+        id: DEFAULT_PROFILE_ID,
+        name: DEFAULT_PROFILE_NAME,
+        items: [tv],
+        tariff: DEFAULT_TARIFF,
+        settings: { ...DEFAULT_SETTINGS, emissionFactorId: 'CAMX' },
+        meter,
+        snapshots: []
+      }],
+      customAppliances: []
+    });
+  });
+
+  test('starts an empty catalog of custom appliances for data saved before it existed', () => {
+    const { data, migrated } = migrateData({ version: 4, activeProfileId: 1, profiles: [{ id: 1, name: 'Home', items: [tv] }] });
+    expect(migrated).toBe(true);
+    expect(data.customAppliances).toEqual([]);
+  });
+
+  test('starts an empty history for each profile saved before snapshots existed', () => {
+    const { data } = migrateData({ version: 5, activeProfileId: 1, profiles: [{ id: 1, name: 'Home', items: [tv] }], customAppliances: [] });
+    expect(data.profiles[0].snapshots).toEqual([]);
+  });
+
+  test('leaves out snapshots that cannot be read', () => {
+    const { data } = migrateData(singleProfile({ items: [], snapshots: [snapshot, { date: 'yesterday', kWh: 1 }, null] }));
+    expect(data.profiles[0].snapshots).toEqual([snapshot]);
+  });
+
+  test('leaves out custom appliances without a name or wattage and fills in optional fields', () => {
+    const { data, droppedItems } = migrateData({
+      ...singleProfile({ items: [] }),
+      customAppliances: [{ id: 3, name: 'Kiln', watts: 5000, category: 'unknown' }, { name: '', watts: 10 }, { name: 'Fan', watts: -1 }]
+    });
+    expect(data.customAppliances).toEqual([
+      { id: 3, name: 'Kiln', watts: 5000, hours: 1, standbyWatts: 0, category: 'other', notes: '' }
+    ]);
+    expect(droppedItems).toBe(2);
+  });
+
+  test('leaves out items that fail validation', () => {
+    const { data, droppedItems } = migrateData(singleProfile({
+      items: [tv, { name: 'Broken', watts: 'lots', hours: 2 }, { name: 'Too long', watts: 5, hours: 30 }, null]
+    }));
+    expect(data.profiles[0].items).toEqual([tv]);
+    expect(droppedItems).toBe(3);
+  });
+
+  test('fills in settings added since the data was saved', () => {
+    const { data } = migrateData(singleProfile({ items: [], settings: { emissionFactorId: 'CAMX' } }));
+    expect(data.profiles[0].settings).toEqual({ ...DEFAULT_SETTINGS, emissionFactorId: 'CAMX' });
+  });
+
+  test('resets each unreadable setting to its default and keeps the rest', () => {
+    const solar = { systemKw: 8, locationId: 'us-phoenix', orientationId: 'equator', tiltId: 'latitude', batteryKwh: 10 };
+    const { data } = migrateData(singleProfile({
+      items: [tv],
+      settings: {
+        emissionFactorId: 'CAMX',
+        benchmark: null,
+        loadLimit: { amps: 'lots', volts: 240 },
+        solar,
+        budget: { amount: 300, period: 'weekly', unit: 'kwh' }
+      }
+    }));
+    expect(data.profiles[0].settings).toEqual({ ...DEFAULT_SETTINGS, emissionFactorId: 'CAMX', solar });
+  });
+
+  test('uses the default settings when the stored settings are not an object', () => {
+    const { data } = migrateData(singleProfile({ items: [], settings: 'broken' }));
+    expect(data.profiles[0].settings).toEqual(DEFAULT_SETTINGS);
+  });
+
+  test('drops an unreadable meter summary but keeps the rest', () => {
+    const { data } = migrateData(singleProfile({ items: [tv], meter: { days: 'none' } }));
+    expect(data.profiles[0].items).toEqual([tv]);
+    expect(data.profiles[0].meter).toBeNull();
+  });
+
+  test('falls back to the first profile when the active one is missing', () => {
+    const { data } = migrateData({
+      version: STORAGE_VERSION,
+      activeProfileId: 9,
+      profiles: [{ id: 3, name: 'Cabin', items: [] }, { id: 4, name: 'Flat', items: [] }]
+    });
+    expect(data.activeProfileId).toBe(3);
+  });
+
+  test('rejects data without profiles', () => {
+    expect(() => migrateData({ version: STORAGE_VERSION, profiles: [] })).toThrow(/no profiles/);
+  });
+
+  test('rejects data from a newer version', () => {
+    expect(() => migrateData({ version: STORAGE_VERSION + 1, items: [] })).toThrow(/unknown version/);
+  });
+});
+
+describe('loadData', () => {
+  test('returns defaults when nothing was saved', () => {
+    const result = loadData();
+    expect(result.status).toBe(LOAD_STATUS.EMPTY);
+    expect(result.data.profiles).toHaveLength(1);
+    expect(result.data.profiles[0].items).toEqual([]);
+  });
+
+  test('reads back what saveData wrote', () => {
+    const data = {
+      autosave: true,
+      activeProfileId: 2,
+      profiles: [
+        { id: 1, name: 'Home', items: [tv], tariff: DEFAULT_TARIFF, settings: DEFAULT_SETTINGS, meter, snapshots: [snapshot] },
+        { id: 2, name: 'Cabin', items: [], tariff: DEFAULT_TARIFF, settings: { ...DEFAULT_SETTINGS, emissionFactorId: 'CAMX' }, meter: null, snapshots: [] }
+      ],
+      customAppliances: [aquarium]
+    };
+    saveData(data);
+    const result = loadData();
+    expect(result.status).toBe(LOAD_STATUS.LOADED);
+    expect(result.data).toEqual(data);
+  });
+
+  test('reports migrated data', () => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([tv]));
+    expect(loadData().status).toBe(LOAD_STATUS.MIGRATED);
+  });
+
+  test('keeps corrupted data aside instead of throwing', () => {
+    localStorage.setItem(STORAGE_KEY, '{not json');
+    const result = loadData();
+    expect(result.status).toBe(LOAD_STATUS.RECOVERED);
+    expect(result.data.profiles[0].items).toEqual([]);
+    expect(localStorage.getItem(result.backupKey)).toBe('{not json');
+    expect(backupKeys()).toEqual([result.backupKey]);
+  });
+
+  test('keeps the readable items and backs up the original when some items are broken', () => {
+    const raw = JSON.stringify(singleProfile({ items: [tv, { name: 42 }] }));
+    localStorage.setItem(STORAGE_KEY, raw);
+    const result = loadData();
+    expect(result.status).toBe(LOAD_STATUS.RECOVERED);
+    expect(result.data.profiles[0].items).toEqual([tv]);
+    expect(result.message).toMatch(/1 saved appliance could not be read/);
+    expect(localStorage.getItem(result.backupKey)).toBe(raw);
+  });
+});
+
+describe('saveData', () => {
+  test('writes the current version', () => {
+    saveData({ autosave: false, activeProfileId: 1, profiles: [] });
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEY)).version).toBe(STORAGE_VERSION);
+  });
+
+  test('returns false when storage rejects the write', () => {
+    const storage = { setItem: () => { throw new Error('QuotaExceededError'); } };
+    expect(saveData({ autosave: false, activeProfileId: 1, profiles: [] }, storage)).toBe(false);
+  });
+});